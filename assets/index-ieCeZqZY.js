@@ -6,4 +6,23 @@
 `+s[a].replace(" at new "," at ");return l.displayName&&A.includes("<anonymous>")&&(A=A.replace("<anonymous>",l.displayName)),A}while(1<=a&&0<=n);break}}}finally{Ga=!1,Error.prepareStackTrace=e}return(e=l?l.displayName||l.name:"")?Lt(e):""}function ac(l,t){switch(l.tag){case 26:case 27:case 5:return Lt(l.type);case 16:return Lt("Lazy");case 13:return l.child!==t&&t!==null?Lt("Suspense Fallback"):Lt("Suspense");case 19:return Lt("SuspenseList");case 0:case 15:return Fe(l.type,!1);case 11:return Fe(l.type.render,!1);case 1:return Fe(l.type,!0);case 31:return Lt("Activity");default:return""}}function qn(l){try{var t="",e=null;do t+=ac(l,e),e=l,l=l.return;while(l);return t}catch(a){return`
 Error generating stack: `+a.message+`
 `+a.stack}}var H=Object.prototype.hasOwnProperty,Z=f.unstable_scheduleCallback,cl=f.unstable_cancelCallback,nc=f.unstable_shouldYield,Yn=f.unstable_requestPaint,tt=f.unstable_now,I1=f.unstable_getCurrentPriorityLevel,xf=f.unstable_ImmediatePriority,Cf=f.unstable_UserBlockingPriority,Ln=f.unstable_NormalPriority,P1=f.unstable_LowPriority,jf=f.unstable_IdlePriority,ld=f.log,td=f.unstable_setDisableYieldValue,Xa=null,rt=null;function ne(l){if(typeof ld=="function"&&td(l),rt&&typeof rt.setStrictMode=="function")try{rt.setStrictMode(Xa,l)}catch{}}var ht=Math.clz32?Math.clz32:nd,ed=Math.log,ad=Math.LN2;function nd(l){return l>>>=0,l===0?32:31-(ed(l)/ad|0)|0}var Gn=256,Xn=262144,wn=4194304;function Ce(l){var t=l&42;if(t!==0)return t;switch(l&-l){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:return 64;case 128:return 128;case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:return l&261888;case 262144:case 524288:case 1048576:case 2097152:return l&3932160;case 4194304:case 8388608:case 16777216:case 33554432:return l&62914560;case 67108864:return 67108864;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 0;default:return l}}function Qn(l,t,e){var a=l.pendingLanes;if(a===0)return 0;var n=0,u=l.suspendedLanes,c=l.pingedLanes;l=l.warmLanes;var i=a&134217727;return i!==0?(a=i&~u,a!==0?n=Ce(a):(c&=i,c!==0?n=Ce(c):e||(e=i&~l,e!==0&&(n=Ce(e))))):(i=a&~u,i!==0?n=Ce(i):c!==0?n=Ce(c):e||(e=a&~l,e!==0&&(n=Ce(e)))),n===0?0:t!==0&&t!==n&&(t&u)===0&&(u=n&-n,e=t&-t,u>=e||u===32&&(e&4194048)!==0)?t:n}function wa(l,t){return(l.pendingLanes&~(l.suspendedLanes&~l.pingedLanes)&t)===0}function ud(l,t){switch(l){case 1:case 2:case 4:case 8:case 64:return t+250;case 16:case 32:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return t+5e3;case 4194304:case 8388608:case 16777216:case 33554432:return-1;case 67108864:case 134217728:case 268435456:case 536870912:case 1073741824:return-1;default:return-1}}function Uf(){var l=wn;return wn<<=1,(wn&62914560)===0&&(wn=4194304),l}function uc(l){for(var t=[],e=0;31>e;e++)t.push(l);return t}function Qa(l,t){l.pendingLanes|=t,t!==268435456&&(l.suspendedLanes=0,l.pingedLanes=0,l.warmLanes=0)}function cd(l,t,e,a,n,u){var c=l.pendingLanes;l.pendingLanes=e,l.suspendedLanes=0,l.pingedLanes=0,l.warmLanes=0,l.expiredLanes&=e,l.entangledLanes&=e,l.errorRecoveryDisabledLanes&=e,l.shellSuspendCounter=0;var i=l.entanglements,s=l.expirationTimes,g=l.hiddenUpdates;for(e=c&~e;0<e;){var A=31-ht(e),O=1<<A;i[A]=0,s[A]=-1;var S=g[A];if(S!==null)for(g[A]=null,A=0;A<S.length;A++){var T=S[A];T!==null&&(T.lane&=-536870913)}e&=~O}a!==0&&Hf(l,a,0),u!==0&&n===0&&l.tag!==0&&(l.suspendedLanes|=u&~(c&~t))}function Hf(l,t,e){l.pendingLanes|=t,l.suspendedLanes&=~t;var a=31-ht(t);l.entangledLanes|=t,l.entanglements[a]=l.entanglements[a]|1073741824|e&261930}function Rf(l,t){var e=l.entangledLanes|=t;for(l=l.entanglements;e;){var a=31-ht(e),n=1<<a;n&t|l[a]&t&&(l[a]|=t),e&=~n}}function Bf(l,t){var e=t&-t;return e=(e&42)!==0?1:cc(e),(e&(l.suspendedLanes|t))!==0?0:e}function cc(l){switch(l){case 2:l=1;break;case 8:l=4;break;case 32:l=16;break;case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:l=128;break;case 268435456:l=134217728;break;default:l=0}return l}function ic(l){return l&=-l,2<l?8<l?(l&134217727)!==0?32:268435456:8:2}function qf(){var l=p.p;return l!==0?l:(l=window.event,l===void 0?32:z1(l.type))}function Yf(l,t){var e=p.p;try{return p.p=l,t()}finally{p.p=e}}var ue=Math.random().toString(36).slice(2),kl="__reactFiber$"+ue,ut="__reactProps$"+ue,Ie="__reactContainer$"+ue,fc="__reactEvents$"+ue,id="__reactListeners$"+ue,fd="__reactHandles$"+ue,Lf="__reactResources$"+ue,Va="__reactMarker$"+ue;function sc(l){delete l[kl],delete l[ut],delete l[fc],delete l[id],delete l[fd]}function Pe(l){var t=l[kl];if(t)return t;for(var e=l.parentNode;e;){if(t=e[Ie]||e[kl]){if(e=t.alternate,t.child!==null||e!==null&&e.child!==null)for(l=i1(l);l!==null;){if(e=l[kl])return e;l=i1(l)}return t}l=e,e=l.parentNode}return null}function la(l){if(l=l[kl]||l[Ie]){var t=l.tag;if(t===5||t===6||t===13||t===31||t===26||t===27||t===3)return l}return null}function Za(l){var t=l.tag;if(t===5||t===26||t===27||t===6)return l.stateNode;throw Error(o(33))}function ta(l){var t=l[Lf];return t||(t=l[Lf]={hoistableStyles:new Map,hoistableScripts:new Map}),t}function Zl(l){l[Va]=!0}var Gf=new Set,Xf={};function je(l,t){ea(l,t),ea(l+"Capture",t)}function ea(l,t){for(Xf[l]=t,l=0;l<t.length;l++)Gf.add(t[l])}var sd=RegExp("^[:A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD][:A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040]*$"),wf={},Qf={};function od(l){return H.call(Qf,l)?!0:H.call(wf,l)?!1:sd.test(l)?Qf[l]=!0:(wf[l]=!0,!1)}function Vn(l,t,e){if(od(t))if(e===null)l.removeAttribute(t);else{switch(typeof e){case"undefined":case"function":case"symbol":l.removeAttribute(t);return;case"boolean":var a=t.toLowerCase().slice(0,5);if(a!=="data-"&&a!=="aria-"){l.removeAttribute(t);return}}l.setAttribute(t,""+e)}}function Zn(l,t,e){if(e===null)l.removeAttribute(t);else{switch(typeof e){case"undefined":case"function":case"symbol":case"boolean":l.removeAttribute(t);return}l.setAttribute(t,""+e)}}function Gt(l,t,e,a){if(a===null)l.removeAttribute(e);else{switch(typeof a){case"undefined":case"function":case"symbol":case"boolean":l.removeAttribute(e);return}l.setAttributeNS(t,e,""+a)}}function Et(l){switch(typeof l){case"bigint":case"boolean":case"number":case"string":case"undefined":return l;case"object":return l;default:return""}}function Vf(l){var t=l.type;return(l=l.nodeName)&&l.toLowerCase()==="input"&&(t==="checkbox"||t==="radio")}function dd(l,t,e){var a=Object.getOwnPropertyDescriptor(l.constructor.prototype,t);if(!l.hasOwnProperty(t)&&typeof a<"u"&&typeof a.get=="function"&&typeof a.set=="function"){var n=a.get,u=a.set;return Object.defineProperty(l,t,{configurable:!0,get:function(){return n.call(this)},set:function(c){e=""+c,u.call(this,c)}}),Object.defineProperty(l,t,{enumerable:a.enumerable}),{getValue:function(){return e},setValue:function(c){e=""+c},stopTracking:function(){l._valueTracker=null,delete l[t]}}}}function oc(l){if(!l._valueTracker){var t=Vf(l)?"checked":"value";l._valueTracker=dd(l,t,""+l[t])}}function Zf(l){if(!l)return!1;var t=l._valueTracker;if(!t)return!0;var e=t.getValue(),a="";return l&&(a=Vf(l)?l.checked?"true":"false":l.value),l=a,l!==e?(t.setValue(l),!0):!1}function Kn(l){if(l=l||(typeof document<"u"?document:void 0),typeof l>"u")return null;try{return l.activeElement||l.body}catch{return l.body}}var rd=/[\n"\\]/g;function zt(l){return l.replace(rd,function(t){return"\\"+t.charCodeAt(0).toString(16)+" "})}function dc(l,t,e,a,n,u,c,i){l.name="",c!=null&&typeof c!="function"&&typeof c!="symbol"&&typeof c!="boolean"?l.type=c:l.removeAttribute("type"),t!=null?c==="number"?(t===0&&l.value===""||l.value!=t)&&(l.value=""+Et(t)):l.value!==""+Et(t)&&(l.value=""+Et(t)):c!=="submit"&&c!=="reset"||l.removeAttribute("value"),t!=null?rc(l,c,Et(t)):e!=null?rc(l,c,Et(e)):a!=null&&l.removeAttribute("value"),n==null&&u!=null&&(l.defaultChecked=!!u),n!=null&&(l.checked=n&&typeof n!="function"&&typeof n!="symbol"),i!=null&&typeof i!="function"&&typeof i!="symbol"&&typeof i!="boolean"?l.name=""+Et(i):l.removeAttribute("name")}function Kf(l,t,e,a,n,u,c,i){if(u!=null&&typeof u!="function"&&typeof u!="symbol"&&typeof u!="boolean"&&(l.type=u),t!=null||e!=null){if(!(u!=="submit"&&u!=="reset"||t!=null)){oc(l);return}e=e!=null?""+Et(e):"",t=t!=null?""+Et(t):e,i||t===l.value||(l.value=t),l.defaultValue=t}a=a??n,a=typeof a!="function"&&typeof a!="symbol"&&!!a,l.checked=i?l.checked:!!a,l.defaultChecked=!!a,c!=null&&typeof c!="function"&&typeof c!="symbol"&&typeof c!="boolean"&&(l.name=c),oc(l)}function rc(l,t,e){t==="number"&&Kn(l.ownerDocument)===l||l.defaultValue===""+e||(l.defaultValue=""+e)}function aa(l,t,e,a){if(l=l.options,t){t={};for(var n=0;n<e.length;n++)t["$"+e[n]]=!0;for(e=0;e<l.length;e++)n=t.hasOwnProperty("$"+l[e].value),l[e].selected!==n&&(l[e].selected=n),n&&a&&(l[e].defaultSelected=!0)}else{for(e=""+Et(e),t=null,n=0;n<l.length;n++){if(l[n].value===e){l[n].selected=!0,a&&(l[n].defaultSelected=!0);return}t!==null||l[n].disabled||(t=l[n])}t!==null&&(t.selected=!0)}}function Jf(l,t,e){if(t!=null&&(t=""+Et(t),t!==l.value&&(l.value=t),e==null)){l.defaultValue!==t&&(l.defaultValue=t);return}l.defaultValue=e!=null?""+Et(e):""}function Wf(l,t,e,a){if(t==null){if(a!=null){if(e!=null)throw Error(o(92));if(Vl(a)){if(1<a.length)throw Error(o(93));a=a[0]}e=a}e==null&&(e=""),t=e}e=Et(t),l.defaultValue=e,a=l.textContent,a===e&&a!==""&&a!==null&&(l.value=a),oc(l)}function na(l,t){if(t){var e=l.firstChild;if(e&&e===l.lastChild&&e.nodeType===3){e.nodeValue=t;return}}l.textContent=t}var hd=new Set("animationIterationCount aspectRatio borderImageOutset borderImageSlice borderImageWidth boxFlex boxFlexGroup boxOrdinalGroup columnCount columns flex flexGrow flexPositive flexShrink flexNegative flexOrder gridArea gridRow gridRowEnd gridRowSpan gridRowStart gridColumn gridColumnEnd gridColumnSpan gridColumnStart fontWeight lineClamp lineHeight opacity order orphans scale tabSize widows zIndex zoom fillOpacity floodOpacity stopOpacity strokeDasharray strokeDashoffset strokeMiterlimit strokeOpacity strokeWidth MozAnimationIterationCount MozBoxFlex MozBoxFlexGroup MozLineClamp msAnimationIterationCount msFlex msZoom msFlexGrow msFlexNegative msFlexOrder msFlexPositive msFlexShrink msGridColumn msGridColumnSpan msGridRow msGridRowSpan WebkitAnimationIterationCount WebkitBoxFlex WebKitBoxFlexGroup WebkitBoxOrdinalGroup WebkitColumnCount WebkitColumns WebkitFlex WebkitFlexGrow WebkitFlexPositive WebkitFlexShrink WebkitLineClamp".split(" "));function $f(l,t,e){var a=t.indexOf("--")===0;e==null||typeof e=="boolean"||e===""?a?l.setProperty(t,""):t==="float"?l.cssFloat="":l[t]="":a?l.setProperty(t,e):typeof e!="number"||e===0||hd.has(t)?t==="float"?l.cssFloat=e:l[t]=(""+e).trim():l[t]=e+"px"}function kf(l,t,e){if(t!=null&&typeof t!="object")throw Error(o(62));if(l=l.style,e!=null){for(var a in e)!e.hasOwnProperty(a)||t!=null&&t.hasOwnProperty(a)||(a.indexOf("--")===0?l.setProperty(a,""):a==="float"?l.cssFloat="":l[a]="");for(var n in t)a=t[n],t.hasOwnProperty(n)&&e[n]!==a&&$f(l,n,a)}else for(var u in t)t.hasOwnProperty(u)&&$f(l,u,t[u])}function hc(l){if(l.indexOf("-")===-1)return!1;switch(l){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var vd=new Map([["acceptCharset","accept-charset"],["htmlFor","for"],["httpEquiv","http-equiv"],["crossOrigin","crossorigin"],["accentHeight","accent-height"],["alignmentBaseline","alignment-baseline"],["arabicForm","arabic-form"],["baselineShift","baseline-shift"],["capHeight","cap-height"],["clipPath","clip-path"],["clipRule","clip-rule"],["colorInterpolation","color-interpolation"],["colorInterpolationFilters","color-interpolation-filters"],["colorProfile","color-profile"],["colorRendering","color-rendering"],["dominantBaseline","dominant-baseline"],["enableBackground","enable-background"],["fillOpacity","fill-opacity"],["fillRule","fill-rule"],["floodColor","flood-color"],["floodOpacity","flood-opacity"],["fontFamily","font-family"],["fontSize","font-size"],["fontSizeAdjust","font-size-adjust"],["fontStretch","font-stretch"],["fontStyle","font-style"],["fontVariant","font-variant"],["fontWeight","font-weight"],["glyphName","glyph-name"],["glyphOrientationHorizontal","glyph-orientation-horizontal"],["glyphOrientationVertical","glyph-orientation-vertical"],["horizAdvX","horiz-adv-x"],["horizOriginX","horiz-origin-x"],["imageRendering","image-rendering"],["letterSpacing","letter-spacing"],["lightingColor","lighting-color"],["markerEnd","marker-end"],["markerMid","marker-mid"],["markerStart","marker-start"],["overlinePosition","overline-position"],["overlineThickness","overline-thickness"],["paintOrder","paint-order"],["panose-1","panose-1"],["pointerEvents","pointer-events"],["renderingIntent","rendering-intent"],["shapeRendering","shape-rendering"],["stopColor","stop-color"],["stopOpacity","stop-opacity"],["strikethroughPosition","strikethrough-position"],["strikethroughThickness","strikethrough-thickness"],["strokeDasharray","stroke-dasharray"],["strokeDashoffset","stroke-dashoffset"],["strokeLinecap","stroke-linecap"],["strokeLinejoin","stroke-linejoin"],["strokeMiterlimit","stroke-miterlimit"],["strokeOpacity","stroke-opacity"],["strokeWidth","stroke-width"],["textAnchor","text-anchor"],["textDecoration","text-decoration"],["textRendering","text-rendering"],["transformOrigin","transform-origin"],["underlinePosition","underline-position"],["underlineThickness","underline-thickness"],["unicodeBidi","unicode-bidi"],["unicodeRange","unicode-range"],["unitsPerEm","units-per-em"],["vAlphabetic","v-alphabetic"],["vHanging","v-hanging"],["vIdeographic","v-ideographic"],["vMathematical","v-mathematical"],["vectorEffect","vector-effect"],["vertAdvY","vert-adv-y"],["vertOriginX","vert-origin-x"],["vertOriginY","vert-origin-y"],["wordSpacing","word-spacing"],["writingMode","writing-mode"],["xmlnsXlink","xmlns:xlink"],["xHeight","x-height"]]),md=/^[\u0000-\u001F ]*j[\r\n\t]*a[\r\n\t]*v[\r\n\t]*a[\r\n\t]*s[\r\n\t]*c[\r\n\t]*r[\r\n\t]*i[\r\n\t]*p[\r\n\t]*t[\r\n\t]*:/i;function Jn(l){return md.test(""+l)?"javascript:throw new Error('React has blocked a javascript: URL as a security precaution.')":l}function Xt(){}var vc=null;function mc(l){return l=l.target||l.srcElement||window,l.correspondingUseElement&&(l=l.correspondingUseElement),l.nodeType===3?l.parentNode:l}var ua=null,ca=null;function Ff(l){var t=la(l);if(t&&(l=t.stateNode)){var e=l[ut]||null;l:switch(l=t.stateNode,t.type){case"input":if(dc(l,e.value,e.defaultValue,e.defaultValue,e.checked,e.defaultChecked,e.type,e.name),t=e.name,e.type==="radio"&&t!=null){for(e=l;e.parentNode;)e=e.parentNode;for(e=e.querySelectorAll('input[name="'+zt(""+t)+'"][type="radio"]'),t=0;t<e.length;t++){var a=e[t];if(a!==l&&a.form===l.form){var n=a[ut]||null;if(!n)throw Error(o(90));dc(a,n.value,n.defaultValue,n.defaultValue,n.checked,n.defaultChecked,n.type,n.name)}}for(t=0;t<e.length;t++)a=e[t],a.form===l.form&&Zf(a)}break l;case"textarea":Jf(l,e.value,e.defaultValue);break l;case"select":t=e.value,t!=null&&aa(l,!!e.multiple,t,!1)}}}var yc=!1;function If(l,t,e){if(yc)return l(t,e);yc=!0;try{var a=l(t);return a}finally{if(yc=!1,(ua!==null||ca!==null)&&(Hu(),ua&&(t=ua,l=ca,ca=ua=null,Ff(t),l)))for(t=0;t<l.length;t++)Ff(l[t])}}function Ka(l,t){var e=l.stateNode;if(e===null)return null;var a=e[ut]||null;if(a===null)return null;e=a[t];l:switch(t){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(a=!a.disabled)||(l=l.type,a=!(l==="button"||l==="input"||l==="select"||l==="textarea")),l=!a;break l;default:l=!1}if(l)return null;if(e&&typeof e!="function")throw Error(o(231,t,typeof e));return e}var wt=!(typeof window>"u"||typeof window.document>"u"||typeof window.document.createElement>"u"),gc=!1;if(wt)try{var Ja={};Object.defineProperty(Ja,"passive",{get:function(){gc=!0}}),window.addEventListener("test",Ja,Ja),window.removeEventListener("test",Ja,Ja)}catch{gc=!1}var ce=null,bc=null,Wn=null;function Pf(){if(Wn)return Wn;var l,t=bc,e=t.length,a,n="value"in ce?ce.value:ce.textContent,u=n.length;for(l=0;l<e&&t[l]===n[l];l++);var c=e-l;for(a=1;a<=c&&t[e-a]===n[u-a];a++);return Wn=n.slice(l,1<a?1-a:void 0)}function $n(l){var t=l.keyCode;return"charCode"in l?(l=l.charCode,l===0&&t===13&&(l=13)):l=t,l===10&&(l=13),32<=l||l===13?l:0}function kn(){return!0}function ls(){return!1}function ct(l){function t(e,a,n,u,c){this._reactName=e,this._targetInst=n,this.type=a,this.nativeEvent=u,this.target=c,this.currentTarget=null;for(var i in l)l.hasOwnProperty(i)&&(e=l[i],this[i]=e?e(u):u[i]);return this.isDefaultPrevented=(u.defaultPrevented!=null?u.defaultPrevented:u.returnValue===!1)?kn:ls,this.isPropagationStopped=ls,this}return U(t.prototype,{preventDefault:function(){this.defaultPrevented=!0;var e=this.nativeEvent;e&&(e.preventDefault?e.preventDefault():typeof e.returnValue!="unknown"&&(e.returnValue=!1),this.isDefaultPrevented=kn)},stopPropagation:function(){var e=this.nativeEvent;e&&(e.stopPropagation?e.stopPropagation():typeof e.cancelBubble!="unknown"&&(e.cancelBubble=!0),this.isPropagationStopped=kn)},persist:function(){},isPersistent:kn}),t}var Ue={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(l){return l.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},Fn=ct(Ue),Wa=U({},Ue,{view:0,detail:0}),yd=ct(Wa),Sc,pc,$a,In=U({},Wa,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:Ec,button:0,buttons:0,relatedTarget:function(l){return l.relatedTarget===void 0?l.fromElement===l.srcElement?l.toElement:l.fromElement:l.relatedTarget},movementX:function(l){return"movementX"in l?l.movementX:(l!==$a&&($a&&l.type==="mousemove"?(Sc=l.screenX-$a.screenX,pc=l.screenY-$a.screenY):pc=Sc=0,$a=l),Sc)},movementY:function(l){return"movementY"in l?l.movementY:pc}}),ts=ct(In),gd=U({},In,{dataTransfer:0}),bd=ct(gd),Sd=U({},Wa,{relatedTarget:0}),Tc=ct(Sd),pd=U({},Ue,{animationName:0,elapsedTime:0,pseudoElement:0}),Td=ct(pd),Ed=U({},Ue,{clipboardData:function(l){return"clipboardData"in l?l.clipboardData:window.clipboardData}}),zd=ct(Ed),Ad=U({},Ue,{data:0}),es=ct(Ad),Nd={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},Od={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},Md={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function Dd(l){var t=this.nativeEvent;return t.getModifierState?t.getModifierState(l):(l=Md[l])?!!t[l]:!1}function Ec(){return Dd}var _d=U({},Wa,{key:function(l){if(l.key){var t=Nd[l.key]||l.key;if(t!=="Unidentified")return t}return l.type==="keypress"?(l=$n(l),l===13?"Enter":String.fromCharCode(l)):l.type==="keydown"||l.type==="keyup"?Od[l.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:Ec,charCode:function(l){return l.type==="keypress"?$n(l):0},keyCode:function(l){return l.type==="keydown"||l.type==="keyup"?l.keyCode:0},which:function(l){return l.type==="keypress"?$n(l):l.type==="keydown"||l.type==="keyup"?l.keyCode:0}}),xd=ct(_d),Cd=U({},In,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0}),as=ct(Cd),jd=U({},Wa,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:Ec}),Ud=ct(jd),Hd=U({},Ue,{propertyName:0,elapsedTime:0,pseudoElement:0}),Rd=ct(Hd),Bd=U({},In,{deltaX:function(l){return"deltaX"in l?l.deltaX:"wheelDeltaX"in l?-l.wheelDeltaX:0},deltaY:function(l){return"deltaY"in l?l.deltaY:"wheelDeltaY"in l?-l.wheelDeltaY:"wheelDelta"in l?-l.wheelDelta:0},deltaZ:0,deltaMode:0}),qd=ct(Bd),Yd=U({},Ue,{newState:0,oldState:0}),Ld=ct(Yd),Gd=[9,13,27,32],zc=wt&&"CompositionEvent"in window,ka=null;wt&&"documentMode"in document&&(ka=document.documentMode);var Xd=wt&&"TextEvent"in window&&!ka,ns=wt&&(!zc||ka&&8<ka&&11>=ka),us=" ",cs=!1;function is(l,t){switch(l){case"keyup":return Gd.indexOf(t.keyCode)!==-1;case"keydown":return t.keyCode!==229;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function fs(l){return l=l.detail,typeof l=="object"&&"data"in l?l.data:null}var ia=!1;function wd(l,t){switch(l){case"compositionend":return fs(t);case"keypress":return t.which!==32?null:(cs=!0,us);case"textInput":return l=t.data,l===us&&cs?null:l;default:return null}}function Qd(l,t){if(ia)return l==="compositionend"||!zc&&is(l,t)?(l=Pf(),Wn=bc=ce=null,ia=!1,l):null;switch(l){case"paste":return null;case"keypress":if(!(t.ctrlKey||t.altKey||t.metaKey)||t.ctrlKey&&t.altKey){if(t.char&&1<t.char.length)return t.char;if(t.which)return String.fromCharCode(t.which)}return null;case"compositionend":return ns&&t.locale!=="ko"?null:t.data;default:return null}}var Vd={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function ss(l){var t=l&&l.nodeName&&l.nodeName.toLowerCase();return t==="input"?!!Vd[l.type]:t==="textarea"}function os(l,t,e,a){ua?ca?ca.push(a):ca=[a]:ua=a,t=Xu(t,"onChange"),0<t.length&&(e=new Fn("onChange","change",null,e,a),l.push({event:e,listeners:t}))}var Fa=null,Ia=null;function Zd(l){J0(l,0)}function Pn(l){var t=Za(l);if(Zf(t))return l}function ds(l,t){if(l==="change")return t}var rs=!1;if(wt){var Ac;if(wt){var Nc="oninput"in document;if(!Nc){var hs=document.createElement("div");hs.setAttribute("oninput","return;"),Nc=typeof hs.oninput=="function"}Ac=Nc}else Ac=!1;rs=Ac&&(!document.documentMode||9<document.documentMode)}function vs(){Fa&&(Fa.detachEvent("onpropertychange",ms),Ia=Fa=null)}function ms(l){if(l.propertyName==="value"&&Pn(Ia)){var t=[];os(t,Ia,l,mc(l)),If(Zd,t)}}function Kd(l,t,e){l==="focusin"?(vs(),Fa=t,Ia=e,Fa.attachEvent("onpropertychange",ms)):l==="focusout"&&vs()}function Jd(l){if(l==="selectionchange"||l==="keyup"||l==="keydown")return Pn(Ia)}function Wd(l,t){if(l==="click")return Pn(t)}function $d(l,t){if(l==="input"||l==="change")return Pn(t)}function kd(l,t){return l===t&&(l!==0||1/l===1/t)||l!==l&&t!==t}var vt=typeof Object.is=="function"?Object.is:kd;function Pa(l,t){if(vt(l,t))return!0;if(typeof l!="object"||l===null||typeof t!="object"||t===null)return!1;var e=Object.keys(l),a=Object.keys(t);if(e.length!==a.length)return!1;for(a=0;a<e.length;a++){var n=e[a];if(!H.call(t,n)||!vt(l[n],t[n]))return!1}return!0}function ys(l){for(;l&&l.firstChild;)l=l.firstChild;return l}function gs(l,t){var e=ys(l);l=0;for(var a;e;){if(e.nodeType===3){if(a=l+e.textContent.length,l<=t&&a>=t)return{node:e,offset:t-l};l=a}l:{for(;e;){if(e.nextSibling){e=e.nextSibling;break l}e=e.parentNode}e=void 0}e=ys(e)}}function bs(l,t){return l&&t?l===t?!0:l&&l.nodeType===3?!1:t&&t.nodeType===3?bs(l,t.parentNode):"contains"in l?l.contains(t):l.compareDocumentPosition?!!(l.compareDocumentPosition(t)&16):!1:!1}function Ss(l){l=l!=null&&l.ownerDocument!=null&&l.ownerDocument.defaultView!=null?l.ownerDocument.defaultView:window;for(var t=Kn(l.document);t instanceof l.HTMLIFrameElement;){try{var e=typeof t.contentWindow.location.href=="string"}catch{e=!1}if(e)l=t.contentWindow;else break;t=Kn(l.document)}return t}function Oc(l){var t=l&&l.nodeName&&l.nodeName.toLowerCase();return t&&(t==="input"&&(l.type==="text"||l.type==="search"||l.type==="tel"||l.type==="url"||l.type==="password")||t==="textarea"||l.contentEditable==="true")}var Fd=wt&&"documentMode"in document&&11>=document.documentMode,fa=null,Mc=null,ln=null,Dc=!1;function ps(l,t,e){var a=e.window===e?e.document:e.nodeType===9?e:e.ownerDocument;Dc||fa==null||fa!==Kn(a)||(a=fa,"selectionStart"in a&&Oc(a)?a={start:a.selectionStart,end:a.selectionEnd}:(a=(a.ownerDocument&&a.ownerDocument.defaultView||window).getSelection(),a={anchorNode:a.anchorNode,anchorOffset:a.anchorOffset,focusNode:a.focusNode,focusOffset:a.focusOffset}),ln&&Pa(ln,a)||(ln=a,a=Xu(Mc,"onSelect"),0<a.length&&(t=new Fn("onSelect","select",null,t,e),l.push({event:t,listeners:a}),t.target=fa)))}function He(l,t){var e={};return e[l.toLowerCase()]=t.toLowerCase(),e["Webkit"+l]="webkit"+t,e["Moz"+l]="moz"+t,e}var sa={animationend:He("Animation","AnimationEnd"),animationiteration:He("Animation","AnimationIteration"),animationstart:He("Animation","AnimationStart"),transitionrun:He("Transition","TransitionRun"),transitionstart:He("Transition","TransitionStart"),transitioncancel:He("Transition","TransitionCancel"),transitionend:He("Transition","TransitionEnd")},_c={},Ts={};wt&&(Ts=document.createElement("div").style,"AnimationEvent"in window||(delete sa.animationend.animation,delete sa.animationiteration.animation,delete sa.animationstart.animation),"TransitionEvent"in window||delete sa.transitionend.transition);function Re(l){if(_c[l])return _c[l];if(!sa[l])return l;var t=sa[l],e;for(e in t)if(t.hasOwnProperty(e)&&e in Ts)return _c[l]=t[e];return l}var Es=Re("animationend"),zs=Re("animationiteration"),As=Re("animationstart"),Id=Re("transitionrun"),Pd=Re("transitionstart"),lr=Re("transitioncancel"),Ns=Re("transitionend"),Os=new Map,xc="abort auxClick beforeToggle cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");xc.push("scrollEnd");function jt(l,t){Os.set(l,t),je(t,[l])}var lu=typeof reportError=="function"?reportError:function(l){if(typeof window=="object"&&typeof window.ErrorEvent=="function"){var t=new window.ErrorEvent("error",{bubbles:!0,cancelable:!0,message:typeof l=="object"&&l!==null&&typeof l.message=="string"?String(l.message):String(l),error:l});if(!window.dispatchEvent(t))return}else if(typeof process=="object"&&typeof process.emit=="function"){process.emit("uncaughtException",l);return}console.error(l)},At=[],oa=0,Cc=0;function tu(){for(var l=oa,t=Cc=oa=0;t<l;){var e=At[t];At[t++]=null;var a=At[t];At[t++]=null;var n=At[t];At[t++]=null;var u=At[t];if(At[t++]=null,a!==null&&n!==null){var c=a.pending;c===null?n.next=n:(n.next=c.next,c.next=n),a.pending=n}u!==0&&Ms(e,n,u)}}function eu(l,t,e,a){At[oa++]=l,At[oa++]=t,At[oa++]=e,At[oa++]=a,Cc|=a,l.lanes|=a,l=l.alternate,l!==null&&(l.lanes|=a)}function jc(l,t,e,a){return eu(l,t,e,a),au(l)}function Be(l,t){return eu(l,null,null,t),au(l)}function Ms(l,t,e){l.lanes|=e;var a=l.alternate;a!==null&&(a.lanes|=e);for(var n=!1,u=l.return;u!==null;)u.childLanes|=e,a=u.alternate,a!==null&&(a.childLanes|=e),u.tag===22&&(l=u.stateNode,l===null||l._visibility&1||(n=!0)),l=u,u=u.return;return l.tag===3?(u=l.stateNode,n&&t!==null&&(n=31-ht(e),l=u.hiddenUpdates,a=l[n],a===null?l[n]=[t]:a.push(t),t.lane=e|536870912),u):null}function au(l){if(50<zn)throw zn=0,Xi=null,Error(o(185));for(var t=l.return;t!==null;)l=t,t=l.return;return l.tag===3?l.stateNode:null}var da={};function tr(l,t,e,a){this.tag=l,this.key=e,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.refCleanup=this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=a,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function mt(l,t,e,a){return new tr(l,t,e,a)}function Uc(l){return l=l.prototype,!(!l||!l.isReactComponent)}function Qt(l,t){var e=l.alternate;return e===null?(e=mt(l.tag,t,l.key,l.mode),e.elementType=l.elementType,e.type=l.type,e.stateNode=l.stateNode,e.alternate=l,l.alternate=e):(e.pendingProps=t,e.type=l.type,e.flags=0,e.subtreeFlags=0,e.deletions=null),e.flags=l.flags&65011712,e.childLanes=l.childLanes,e.lanes=l.lanes,e.child=l.child,e.memoizedProps=l.memoizedProps,e.memoizedState=l.memoizedState,e.updateQueue=l.updateQueue,t=l.dependencies,e.dependencies=t===null?null:{lanes:t.lanes,firstContext:t.firstContext},e.sibling=l.sibling,e.index=l.index,e.ref=l.ref,e.refCleanup=l.refCleanup,e}function Ds(l,t){l.flags&=65011714;var e=l.alternate;return e===null?(l.childLanes=0,l.lanes=t,l.child=null,l.subtreeFlags=0,l.memoizedProps=null,l.memoizedState=null,l.updateQueue=null,l.dependencies=null,l.stateNode=null):(l.childLanes=e.childLanes,l.lanes=e.lanes,l.child=e.child,l.subtreeFlags=0,l.deletions=null,l.memoizedProps=e.memoizedProps,l.memoizedState=e.memoizedState,l.updateQueue=e.updateQueue,l.type=e.type,t=e.dependencies,l.dependencies=t===null?null:{lanes:t.lanes,firstContext:t.firstContext}),l}function nu(l,t,e,a,n,u){var c=0;if(a=l,typeof l=="function")Uc(l)&&(c=1);else if(typeof l=="string")c=ch(l,e,L.current)?26:l==="html"||l==="head"||l==="body"?27:5;else l:switch(l){case Xl:return l=mt(31,e,t,n),l.elementType=Xl,l.lanes=u,l;case rl:return qe(e.children,n,u,t);case Ml:c=8,n|=24;break;case fl:return l=mt(12,e,t,n|2),l.elementType=fl,l.lanes=u,l;case jl:return l=mt(13,e,t,n),l.elementType=jl,l.lanes=u,l;case yl:return l=mt(19,e,t,n),l.elementType=yl,l.lanes=u,l;default:if(typeof l=="object"&&l!==null)switch(l.$$typeof){case Dl:c=10;break l;case Nl:c=9;break l;case _l:c=11;break l;case K:c=14;break l;case pl:c=16,a=null;break l}c=29,e=Error(o(130,l===null?"null":typeof l,"")),a=null}return t=mt(c,e,t,n),t.elementType=l,t.type=a,t.lanes=u,t}function qe(l,t,e,a){return l=mt(7,l,a,t),l.lanes=e,l}function Hc(l,t,e){return l=mt(6,l,null,t),l.lanes=e,l}function _s(l){var t=mt(18,null,null,0);return t.stateNode=l,t}function Rc(l,t,e){return t=mt(4,l.children!==null?l.children:[],l.key,t),t.lanes=e,t.stateNode={containerInfo:l.containerInfo,pendingChildren:null,implementation:l.implementation},t}var xs=new WeakMap;function Nt(l,t){if(typeof l=="object"&&l!==null){var e=xs.get(l);return e!==void 0?e:(t={value:l,source:t,stack:qn(t)},xs.set(l,t),t)}return{value:l,source:t,stack:qn(t)}}var ra=[],ha=0,uu=null,tn=0,Ot=[],Mt=0,ie=null,Rt=1,Bt="";function Vt(l,t){ra[ha++]=tn,ra[ha++]=uu,uu=l,tn=t}function Cs(l,t,e){Ot[Mt++]=Rt,Ot[Mt++]=Bt,Ot[Mt++]=ie,ie=l;var a=Rt;l=Bt;var n=32-ht(a)-1;a&=~(1<<n),e+=1;var u=32-ht(t)+n;if(30<u){var c=n-n%5;u=(a&(1<<c)-1).toString(32),a>>=c,n-=c,Rt=1<<32-ht(t)+n|e<<n|a,Bt=u+l}else Rt=1<<u|e<<n|a,Bt=l}function Bc(l){l.return!==null&&(Vt(l,1),Cs(l,1,0))}function qc(l){for(;l===uu;)uu=ra[--ha],ra[ha]=null,tn=ra[--ha],ra[ha]=null;for(;l===ie;)ie=Ot[--Mt],Ot[Mt]=null,Bt=Ot[--Mt],Ot[Mt]=null,Rt=Ot[--Mt],Ot[Mt]=null}function js(l,t){Ot[Mt++]=Rt,Ot[Mt++]=Bt,Ot[Mt++]=ie,Rt=t.id,Bt=t.overflow,ie=l}var Fl=null,El=null,il=!1,fe=null,Dt=!1,Yc=Error(o(519));function se(l){var t=Error(o(418,1<arguments.length&&arguments[1]!==void 0&&arguments[1]?"text":"HTML",""));throw en(Nt(t,l)),Yc}function Us(l){var t=l.stateNode,e=l.type,a=l.memoizedProps;switch(t[kl]=l,t[ut]=a,e){case"dialog":el("cancel",t),el("close",t);break;case"iframe":case"object":case"embed":el("load",t);break;case"video":case"audio":for(e=0;e<Nn.length;e++)el(Nn[e],t);break;case"source":el("error",t);break;case"img":case"image":case"link":el("error",t),el("load",t);break;case"details":el("toggle",t);break;case"input":el("invalid",t),Kf(t,a.value,a.defaultValue,a.checked,a.defaultChecked,a.type,a.name,!0);break;case"select":el("invalid",t);break;case"textarea":el("invalid",t),Wf(t,a.value,a.defaultValue,a.children)}e=a.children,typeof e!="string"&&typeof e!="number"&&typeof e!="bigint"||t.textContent===""+e||a.suppressHydrationWarning===!0||F0(t.textContent,e)?(a.popover!=null&&(el("beforetoggle",t),el("toggle",t)),a.onScroll!=null&&el("scroll",t),a.onScrollEnd!=null&&el("scrollend",t),a.onClick!=null&&(t.onclick=Xt),t=!0):t=!1,t||se(l,!0)}function Hs(l){for(Fl=l.return;Fl;)switch(Fl.tag){case 5:case 31:case 13:Dt=!1;return;case 27:case 3:Dt=!0;return;default:Fl=Fl.return}}function va(l){if(l!==Fl)return!1;if(!il)return Hs(l),il=!0,!1;var t=l.tag,e;if((e=t!==3&&t!==27)&&((e=t===5)&&(e=l.type,e=!(e!=="form"&&e!=="button")||ef(l.type,l.memoizedProps)),e=!e),e&&El&&se(l),Hs(l),t===13){if(l=l.memoizedState,l=l!==null?l.dehydrated:null,!l)throw Error(o(317));El=c1(l)}else if(t===31){if(l=l.memoizedState,l=l!==null?l.dehydrated:null,!l)throw Error(o(317));El=c1(l)}else t===27?(t=El,ze(l.type)?(l=ff,ff=null,El=l):El=t):El=Fl?xt(l.stateNode.nextSibling):null;return!0}function Ye(){El=Fl=null,il=!1}function Lc(){var l=fe;return l!==null&&(ot===null?ot=l:ot.push.apply(ot,l),fe=null),l}function en(l){fe===null?fe=[l]:fe.push(l)}var Gc=d(null),Le=null,Zt=null;function oe(l,t,e){R(Gc,t._currentValue),t._currentValue=e}function Kt(l){l._currentValue=Gc.current,M(Gc)}function Xc(l,t,e){for(;l!==null;){var a=l.alternate;if((l.childLanes&t)!==t?(l.childLanes|=t,a!==null&&(a.childLanes|=t)):a!==null&&(a.childLanes&t)!==t&&(a.childLanes|=t),l===e)break;l=l.return}}function wc(l,t,e,a){var n=l.child;for(n!==null&&(n.return=l);n!==null;){var u=n.dependencies;if(u!==null){var c=n.child;u=u.firstContext;l:for(;u!==null;){var i=u;u=n;for(var s=0;s<t.length;s++)if(i.context===t[s]){u.lanes|=e,i=u.alternate,i!==null&&(i.lanes|=e),Xc(u.return,e,l),a||(c=null);break l}u=i.next}}else if(n.tag===18){if(c=n.return,c===null)throw Error(o(341));c.lanes|=e,u=c.alternate,u!==null&&(u.lanes|=e),Xc(c,e,l),c=null}else c=n.child;if(c!==null)c.return=n;else for(c=n;c!==null;){if(c===l){c=null;break}if(n=c.sibling,n!==null){n.return=c.return,c=n;break}c=c.return}n=c}}function ma(l,t,e,a){l=null;for(var n=t,u=!1;n!==null;){if(!u){if((n.flags&524288)!==0)u=!0;else if((n.flags&262144)!==0)break}if(n.tag===10){var c=n.alternate;if(c===null)throw Error(o(387));if(c=c.memoizedProps,c!==null){var i=n.type;vt(n.pendingProps.value,c.value)||(l!==null?l.push(i):l=[i])}}else if(n===sl.current){if(c=n.alternate,c===null)throw Error(o(387));c.memoizedState.memoizedState!==n.memoizedState.memoizedState&&(l!==null?l.push(xn):l=[xn])}n=n.return}l!==null&&wc(t,l,e,a),t.flags|=262144}function cu(l){for(l=l.firstContext;l!==null;){if(!vt(l.context._currentValue,l.memoizedValue))return!0;l=l.next}return!1}function Ge(l){Le=l,Zt=null,l=l.dependencies,l!==null&&(l.firstContext=null)}function Il(l){return Rs(Le,l)}function iu(l,t){return Le===null&&Ge(l),Rs(l,t)}function Rs(l,t){var e=t._currentValue;if(t={context:t,memoizedValue:e,next:null},Zt===null){if(l===null)throw Error(o(308));Zt=t,l.dependencies={lanes:0,firstContext:t},l.flags|=524288}else Zt=Zt.next=t;return e}var er=typeof AbortController<"u"?AbortController:function(){var l=[],t=this.signal={aborted:!1,addEventListener:function(e,a){l.push(a)}};this.abort=function(){t.aborted=!0,l.forEach(function(e){return e()})}},ar=f.unstable_scheduleCallback,nr=f.unstable_NormalPriority,Bl={$$typeof:Dl,Consumer:null,Provider:null,_currentValue:null,_currentValue2:null,_threadCount:0};function Qc(){return{controller:new er,data:new Map,refCount:0}}function an(l){l.refCount--,l.refCount===0&&ar(nr,function(){l.controller.abort()})}var nn=null,Vc=0,ya=0,ga=null;function ur(l,t){if(nn===null){var e=nn=[];Vc=0,ya=Ji(),ga={status:"pending",value:void 0,then:function(a){e.push(a)}}}return Vc++,t.then(Bs,Bs),t}function Bs(){if(--Vc===0&&nn!==null){ga!==null&&(ga.status="fulfilled");var l=nn;nn=null,ya=0,ga=null;for(var t=0;t<l.length;t++)(0,l[t])()}}function cr(l,t){var e=[],a={status:"pending",value:null,reason:null,then:function(n){e.push(n)}};return l.then(function(){a.status="fulfilled",a.value=t;for(var n=0;n<e.length;n++)(0,e[n])(t)},function(n){for(a.status="rejected",a.reason=n,n=0;n<e.length;n++)(0,e[n])(void 0)}),a}var qs=b.S;b.S=function(l,t){T0=tt(),typeof t=="object"&&t!==null&&typeof t.then=="function"&&ur(l,t),qs!==null&&qs(l,t)};var Xe=d(null);function Zc(){var l=Xe.current;return l!==null?l:Tl.pooledCache}function fu(l,t){t===null?R(Xe,Xe.current):R(Xe,t.pool)}function Ys(){var l=Zc();return l===null?null:{parent:Bl._currentValue,pool:l}}var ba=Error(o(460)),Kc=Error(o(474)),su=Error(o(542)),ou={then:function(){}};function Ls(l){return l=l.status,l==="fulfilled"||l==="rejected"}function Gs(l,t,e){switch(e=l[e],e===void 0?l.push(t):e!==t&&(t.then(Xt,Xt),t=e),t.status){case"fulfilled":return t.value;case"rejected":throw l=t.reason,ws(l),l;default:if(typeof t.status=="string")t.then(Xt,Xt);else{if(l=Tl,l!==null&&100<l.shellSuspendCounter)throw Error(o(482));l=t,l.status="pending",l.then(function(a){if(t.status==="pending"){var n=t;n.status="fulfilled",n.value=a}},function(a){if(t.status==="pending"){var n=t;n.status="rejected",n.reason=a}})}switch(t.status){case"fulfilled":return t.value;case"rejected":throw l=t.reason,ws(l),l}throw Qe=t,ba}}function we(l){try{var t=l._init;return t(l._payload)}catch(e){throw e!==null&&typeof e=="object"&&typeof e.then=="function"?(Qe=e,ba):e}}var Qe=null;function Xs(){if(Qe===null)throw Error(o(459));var l=Qe;return Qe=null,l}function ws(l){if(l===ba||l===su)throw Error(o(483))}var Sa=null,un=0;function du(l){var t=un;return un+=1,Sa===null&&(Sa=[]),Gs(Sa,l,t)}function cn(l,t){t=t.props.ref,l.ref=t!==void 0?t:null}function ru(l,t){throw t.$$typeof===k?Error(o(525)):(l=Object.prototype.toString.call(t),Error(o(31,l==="[object Object]"?"object with keys {"+Object.keys(t).join(", ")+"}":l)))}function Qs(l){function t(v,r){if(l){var y=v.deletions;y===null?(v.deletions=[r],v.flags|=16):y.push(r)}}function e(v,r){if(!l)return null;for(;r!==null;)t(v,r),r=r.sibling;return null}function a(v){for(var r=new Map;v!==null;)v.key!==null?r.set(v.key,v):r.set(v.index,v),v=v.sibling;return r}function n(v,r){return v=Qt(v,r),v.index=0,v.sibling=null,v}function u(v,r,y){return v.index=y,l?(y=v.alternate,y!==null?(y=y.index,y<r?(v.flags|=67108866,r):y):(v.flags|=67108866,r)):(v.flags|=1048576,r)}function c(v){return l&&v.alternate===null&&(v.flags|=67108866),v}function i(v,r,y,N){return r===null||r.tag!==6?(r=Hc(y,v.mode,N),r.return=v,r):(r=n(r,y),r.return=v,r)}function s(v,r,y,N){var w=y.type;return w===rl?A(v,r,y.props.children,N,y.key):r!==null&&(r.elementType===w||typeof w=="object"&&w!==null&&w.$$typeof===pl&&we(w)===r.type)?(r=n(r,y.props),cn(r,y),r.return=v,r):(r=nu(y.type,y.key,y.props,null,v.mode,N),cn(r,y),r.return=v,r)}function g(v,r,y,N){return r===null||r.tag!==4||r.stateNode.containerInfo!==y.containerInfo||r.stateNode.implementation!==y.implementation?(r=Rc(y,v.mode,N),r.return=v,r):(r=n(r,y.children||[]),r.return=v,r)}function A(v,r,y,N,w){return r===null||r.tag!==7?(r=qe(y,v.mode,N,w),r.return=v,r):(r=n(r,y),r.return=v,r)}function O(v,r,y){if(typeof r=="string"&&r!==""||typeof r=="number"||typeof r=="bigint")return r=Hc(""+r,v.mode,y),r.return=v,r;if(typeof r=="object"&&r!==null){switch(r.$$typeof){case P:return y=nu(r.type,r.key,r.props,null,v.mode,y),cn(y,r),y.return=v,y;case ul:return r=Rc(r,v.mode,y),r.return=v,r;case pl:return r=we(r),O(v,r,y)}if(Vl(r)||Rl(r))return r=qe(r,v.mode,y,null),r.return=v,r;if(typeof r.then=="function")return O(v,du(r),y);if(r.$$typeof===Dl)return O(v,iu(v,r),y);ru(v,r)}return null}function S(v,r,y,N){var w=r!==null?r.key:null;if(typeof y=="string"&&y!==""||typeof y=="number"||typeof y=="bigint")return w!==null?null:i(v,r,""+y,N);if(typeof y=="object"&&y!==null){switch(y.$$typeof){case P:return y.key===w?s(v,r,y,N):null;case ul:return y.key===w?g(v,r,y,N):null;case pl:return y=we(y),S(v,r,y,N)}if(Vl(y)||Rl(y))return w!==null?null:A(v,r,y,N,null);if(typeof y.then=="function")return S(v,r,du(y),N);if(y.$$typeof===Dl)return S(v,r,iu(v,y),N);ru(v,y)}return null}function T(v,r,y,N,w){if(typeof N=="string"&&N!==""||typeof N=="number"||typeof N=="bigint")return v=v.get(y)||null,i(r,v,""+N,w);if(typeof N=="object"&&N!==null){switch(N.$$typeof){case P:return v=v.get(N.key===null?y:N.key)||null,s(r,v,N,w);case ul:return v=v.get(N.key===null?y:N.key)||null,g(r,v,N,w);case pl:return N=we(N),T(v,r,y,N,w)}if(Vl(N)||Rl(N))return v=v.get(y)||null,A(r,v,N,w,null);if(typeof N.then=="function")return T(v,r,y,du(N),w);if(N.$$typeof===Dl)return T(v,r,y,iu(r,N),w);ru(r,N)}return null}function Y(v,r,y,N){for(var w=null,ol=null,G=r,I=r=0,nl=null;G!==null&&I<y.length;I++){G.index>I?(nl=G,G=null):nl=G.sibling;var dl=S(v,G,y[I],N);if(dl===null){G===null&&(G=nl);break}l&&G&&dl.alternate===null&&t(v,G),r=u(dl,r,I),ol===null?w=dl:ol.sibling=dl,ol=dl,G=nl}if(I===y.length)return e(v,G),il&&Vt(v,I),w;if(G===null){for(;I<y.length;I++)G=O(v,y[I],N),G!==null&&(r=u(G,r,I),ol===null?w=G:ol.sibling=G,ol=G);return il&&Vt(v,I),w}for(G=a(G);I<y.length;I++)nl=T(G,v,I,y[I],N),nl!==null&&(l&&nl.alternate!==null&&G.delete(nl.key===null?I:nl.key),r=u(nl,r,I),ol===null?w=nl:ol.sibling=nl,ol=nl);return l&&G.forEach(function(De){return t(v,De)}),il&&Vt(v,I),w}function V(v,r,y,N){if(y==null)throw Error(o(151));for(var w=null,ol=null,G=r,I=r=0,nl=null,dl=y.next();G!==null&&!dl.done;I++,dl=y.next()){G.index>I?(nl=G,G=null):nl=G.sibling;var De=S(v,G,dl.value,N);if(De===null){G===null&&(G=nl);break}l&&G&&De.alternate===null&&t(v,G),r=u(De,r,I),ol===null?w=De:ol.sibling=De,ol=De,G=nl}if(dl.done)return e(v,G),il&&Vt(v,I),w;if(G===null){for(;!dl.done;I++,dl=y.next())dl=O(v,dl.value,N),dl!==null&&(r=u(dl,r,I),ol===null?w=dl:ol.sibling=dl,ol=dl);return il&&Vt(v,I),w}for(G=a(G);!dl.done;I++,dl=y.next())dl=T(G,v,I,dl.value,N),dl!==null&&(l&&dl.alternate!==null&&G.delete(dl.key===null?I:dl.key),r=u(dl,r,I),ol===null?w=dl:ol.sibling=dl,ol=dl);return l&&G.forEach(function(gh){return t(v,gh)}),il&&Vt(v,I),w}function Sl(v,r,y,N){if(typeof y=="object"&&y!==null&&y.type===rl&&y.key===null&&(y=y.props.children),typeof y=="object"&&y!==null){switch(y.$$typeof){case P:l:{for(var w=y.key;r!==null;){if(r.key===w){if(w=y.type,w===rl){if(r.tag===7){e(v,r.sibling),N=n(r,y.props.children),N.return=v,v=N;break l}}else if(r.elementType===w||typeof w=="object"&&w!==null&&w.$$typeof===pl&&we(w)===r.type){e(v,r.sibling),N=n(r,y.props),cn(N,y),N.return=v,v=N;break l}e(v,r);break}else t(v,r);r=r.sibling}y.type===rl?(N=qe(y.props.children,v.mode,N,y.key),N.return=v,v=N):(N=nu(y.type,y.key,y.props,null,v.mode,N),cn(N,y),N.return=v,v=N)}return c(v);case ul:l:{for(w=y.key;r!==null;){if(r.key===w)if(r.tag===4&&r.stateNode.containerInfo===y.containerInfo&&r.stateNode.implementation===y.implementation){e(v,r.sibling),N=n(r,y.children||[]),N.return=v,v=N;break l}else{e(v,r);break}else t(v,r);r=r.sibling}N=Rc(y,v.mode,N),N.return=v,v=N}return c(v);case pl:return y=we(y),Sl(v,r,y,N)}if(Vl(y))return Y(v,r,y,N);if(Rl(y)){if(w=Rl(y),typeof w!="function")throw Error(o(150));return y=w.call(y),V(v,r,y,N)}if(typeof y.then=="function")return Sl(v,r,du(y),N);if(y.$$typeof===Dl)return Sl(v,r,iu(v,y),N);ru(v,y)}return typeof y=="string"&&y!==""||typeof y=="number"||typeof y=="bigint"?(y=""+y,r!==null&&r.tag===6?(e(v,r.sibling),N=n(r,y),N.return=v,v=N):(e(v,r),N=Hc(y,v.mode,N),N.return=v,v=N),c(v)):e(v,r)}return function(v,r,y,N){try{un=0;var w=Sl(v,r,y,N);return Sa=null,w}catch(G){if(G===ba||G===su)throw G;var ol=mt(29,G,null,v.mode);return ol.lanes=N,ol.return=v,ol}}}var Ve=Qs(!0),Vs=Qs(!1),de=!1;function Jc(l){l.updateQueue={baseState:l.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,lanes:0,hiddenCallbacks:null},callbacks:null}}function Wc(l,t){l=l.updateQueue,t.updateQueue===l&&(t.updateQueue={baseState:l.baseState,firstBaseUpdate:l.firstBaseUpdate,lastBaseUpdate:l.lastBaseUpdate,shared:l.shared,callbacks:null})}function re(l){return{lane:l,tag:0,payload:null,callback:null,next:null}}function he(l,t,e){var a=l.updateQueue;if(a===null)return null;if(a=a.shared,(hl&2)!==0){var n=a.pending;return n===null?t.next=t:(t.next=n.next,n.next=t),a.pending=t,t=au(l),Ms(l,null,e),t}return eu(l,a,t,e),au(l)}function fn(l,t,e){if(t=t.updateQueue,t!==null&&(t=t.shared,(e&4194048)!==0)){var a=t.lanes;a&=l.pendingLanes,e|=a,t.lanes=e,Rf(l,e)}}function $c(l,t){var e=l.updateQueue,a=l.alternate;if(a!==null&&(a=a.updateQueue,e===a)){var n=null,u=null;if(e=e.firstBaseUpdate,e!==null){do{var c={lane:e.lane,tag:e.tag,payload:e.payload,callback:null,next:null};u===null?n=u=c:u=u.next=c,e=e.next}while(e!==null);u===null?n=u=t:u=u.next=t}else n=u=t;e={baseState:a.baseState,firstBaseUpdate:n,lastBaseUpdate:u,shared:a.shared,callbacks:a.callbacks},l.updateQueue=e;return}l=e.lastBaseUpdate,l===null?e.firstBaseUpdate=t:l.next=t,e.lastBaseUpdate=t}var kc=!1;function sn(){if(kc){var l=ga;if(l!==null)throw l}}function on(l,t,e,a){kc=!1;var n=l.updateQueue;de=!1;var u=n.firstBaseUpdate,c=n.lastBaseUpdate,i=n.shared.pending;if(i!==null){n.shared.pending=null;var s=i,g=s.next;s.next=null,c===null?u=g:c.next=g,c=s;var A=l.alternate;A!==null&&(A=A.updateQueue,i=A.lastBaseUpdate,i!==c&&(i===null?A.firstBaseUpdate=g:i.next=g,A.lastBaseUpdate=s))}if(u!==null){var O=n.baseState;c=0,A=g=s=null,i=u;do{var S=i.lane&-536870913,T=S!==i.lane;if(T?(al&S)===S:(a&S)===S){S!==0&&S===ya&&(kc=!0),A!==null&&(A=A.next={lane:0,tag:i.tag,payload:i.payload,callback:null,next:null});l:{var Y=l,V=i;S=t;var Sl=e;switch(V.tag){case 1:if(Y=V.payload,typeof Y=="function"){O=Y.call(Sl,O,S);break l}O=Y;break l;case 3:Y.flags=Y.flags&-65537|128;case 0:if(Y=V.payload,S=typeof Y=="function"?Y.call(Sl,O,S):Y,S==null)break l;O=U({},O,S);break l;case 2:de=!0}}S=i.callback,S!==null&&(l.flags|=64,T&&(l.flags|=8192),T=n.callbacks,T===null?n.callbacks=[S]:T.push(S))}else T={lane:S,tag:i.tag,payload:i.payload,callback:i.callback,next:null},A===null?(g=A=T,s=O):A=A.next=T,c|=S;if(i=i.next,i===null){if(i=n.shared.pending,i===null)break;T=i,i=T.next,T.next=null,n.lastBaseUpdate=T,n.shared.pending=null}}while(!0);A===null&&(s=O),n.baseState=s,n.firstBaseUpdate=g,n.lastBaseUpdate=A,u===null&&(n.shared.lanes=0),be|=c,l.lanes=c,l.memoizedState=O}}function Zs(l,t){if(typeof l!="function")throw Error(o(191,l));l.call(t)}function Ks(l,t){var e=l.callbacks;if(e!==null)for(l.callbacks=null,l=0;l<e.length;l++)Zs(e[l],t)}var pa=d(null),hu=d(0);function Js(l,t){l=te,R(hu,l),R(pa,t),te=l|t.baseLanes}function Fc(){R(hu,te),R(pa,pa.current)}function Ic(){te=hu.current,M(pa),M(hu)}var yt=d(null),_t=null;function ve(l){var t=l.alternate;R(Ul,Ul.current&1),R(yt,l),_t===null&&(t===null||pa.current!==null||t.memoizedState!==null)&&(_t=l)}function Pc(l){R(Ul,Ul.current),R(yt,l),_t===null&&(_t=l)}function Ws(l){l.tag===22?(R(Ul,Ul.current),R(yt,l),_t===null&&(_t=l)):me()}function me(){R(Ul,Ul.current),R(yt,yt.current)}function gt(l){M(yt),_t===l&&(_t=null),M(Ul)}var Ul=d(0);function vu(l){for(var t=l;t!==null;){if(t.tag===13){var e=t.memoizedState;if(e!==null&&(e=e.dehydrated,e===null||uf(e)||cf(e)))return t}else if(t.tag===19&&(t.memoizedProps.revealOrder==="forwards"||t.memoizedProps.revealOrder==="backwards"||t.memoizedProps.revealOrder==="unstable_legacy-backwards"||t.memoizedProps.revealOrder==="together")){if((t.flags&128)!==0)return t}else if(t.child!==null){t.child.return=t,t=t.child;continue}if(t===l)break;for(;t.sibling===null;){if(t.return===null||t.return===l)return null;t=t.return}t.sibling.return=t.return,t=t.sibling}return null}var Jt=0,F=null,gl=null,ql=null,mu=!1,Ta=!1,Ze=!1,yu=0,dn=0,Ea=null,ir=0;function xl(){throw Error(o(321))}function li(l,t){if(t===null)return!1;for(var e=0;e<t.length&&e<l.length;e++)if(!vt(l[e],t[e]))return!1;return!0}function ti(l,t,e,a,n,u){return Jt=u,F=t,t.memoizedState=null,t.updateQueue=null,t.lanes=0,b.H=l===null||l.memoizedState===null?jo:yi,Ze=!1,u=e(a,n),Ze=!1,Ta&&(u=ks(t,e,a,n)),$s(l),u}function $s(l){b.H=vn;var t=gl!==null&&gl.next!==null;if(Jt=0,ql=gl=F=null,mu=!1,dn=0,Ea=null,t)throw Error(o(300));l===null||Yl||(l=l.dependencies,l!==null&&cu(l)&&(Yl=!0))}function ks(l,t,e,a){F=l;var n=0;do{if(Ta&&(Ea=null),dn=0,Ta=!1,25<=n)throw Error(o(301));if(n+=1,ql=gl=null,l.updateQueue!=null){var u=l.updateQueue;u.lastEffect=null,u.events=null,u.stores=null,u.memoCache!=null&&(u.memoCache.index=0)}b.H=Uo,u=t(e,a)}while(Ta);return u}function fr(){var l=b.H,t=l.useState()[0];return t=typeof t.then=="function"?rn(t):t,l=l.useState()[0],(gl!==null?gl.memoizedState:null)!==l&&(F.flags|=1024),t}function ei(){var l=yu!==0;return yu=0,l}function ai(l,t,e){t.updateQueue=l.updateQueue,t.flags&=-2053,l.lanes&=~e}function ni(l){if(mu){for(l=l.memoizedState;l!==null;){var t=l.queue;t!==null&&(t.pending=null),l=l.next}mu=!1}Jt=0,ql=gl=F=null,Ta=!1,dn=yu=0,Ea=null}function nt(){var l={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return ql===null?F.memoizedState=ql=l:ql=ql.next=l,ql}function Hl(){if(gl===null){var l=F.alternate;l=l!==null?l.memoizedState:null}else l=gl.next;var t=ql===null?F.memoizedState:ql.next;if(t!==null)ql=t,gl=l;else{if(l===null)throw F.alternate===null?Error(o(467)):Error(o(310));gl=l,l={memoizedState:gl.memoizedState,baseState:gl.baseState,baseQueue:gl.baseQueue,queue:gl.queue,next:null},ql===null?F.memoizedState=ql=l:ql=ql.next=l}return ql}function gu(){return{lastEffect:null,events:null,stores:null,memoCache:null}}function rn(l){var t=dn;return dn+=1,Ea===null&&(Ea=[]),l=Gs(Ea,l,t),t=F,(ql===null?t.memoizedState:ql.next)===null&&(t=t.alternate,b.H=t===null||t.memoizedState===null?jo:yi),l}function bu(l){if(l!==null&&typeof l=="object"){if(typeof l.then=="function")return rn(l);if(l.$$typeof===Dl)return Il(l)}throw Error(o(438,String(l)))}function ui(l){var t=null,e=F.updateQueue;if(e!==null&&(t=e.memoCache),t==null){var a=F.alternate;a!==null&&(a=a.updateQueue,a!==null&&(a=a.memoCache,a!=null&&(t={data:a.data.map(function(n){return n.slice()}),index:0})))}if(t==null&&(t={data:[],index:0}),e===null&&(e=gu(),F.updateQueue=e),e.memoCache=t,e=t.data[t.index],e===void 0)for(e=t.data[t.index]=Array(l),a=0;a<l;a++)e[a]=Tt;return t.index++,e}function Wt(l,t){return typeof t=="function"?t(l):t}function Su(l){var t=Hl();return ci(t,gl,l)}function ci(l,t,e){var a=l.queue;if(a===null)throw Error(o(311));a.lastRenderedReducer=e;var n=l.baseQueue,u=a.pending;if(u!==null){if(n!==null){var c=n.next;n.next=u.next,u.next=c}t.baseQueue=n=u,a.pending=null}if(u=l.baseState,n===null)l.memoizedState=u;else{t=n.next;var i=c=null,s=null,g=t,A=!1;do{var O=g.lane&-536870913;if(O!==g.lane?(al&O)===O:(Jt&O)===O){var S=g.revertLane;if(S===0)s!==null&&(s=s.next={lane:0,revertLane:0,gesture:null,action:g.action,hasEagerState:g.hasEagerState,eagerState:g.eagerState,next:null}),O===ya&&(A=!0);else if((Jt&S)===S){g=g.next,S===ya&&(A=!0);continue}else O={lane:0,revertLane:g.revertLane,gesture:null,action:g.action,hasEagerState:g.hasEagerState,eagerState:g.eagerState,next:null},s===null?(i=s=O,c=u):s=s.next=O,F.lanes|=S,be|=S;O=g.action,Ze&&e(u,O),u=g.hasEagerState?g.eagerState:e(u,O)}else S={lane:O,revertLane:g.revertLane,gesture:g.gesture,action:g.action,hasEagerState:g.hasEagerState,eagerState:g.eagerState,next:null},s===null?(i=s=S,c=u):s=s.next=S,F.lanes|=O,be|=O;g=g.next}while(g!==null&&g!==t);if(s===null?c=u:s.next=i,!vt(u,l.memoizedState)&&(Yl=!0,A&&(e=ga,e!==null)))throw e;l.memoizedState=u,l.baseState=c,l.baseQueue=s,a.lastRenderedState=u}return n===null&&(a.lanes=0),[l.memoizedState,a.dispatch]}function ii(l){var t=Hl(),e=t.queue;if(e===null)throw Error(o(311));e.lastRenderedReducer=l;var a=e.dispatch,n=e.pending,u=t.memoizedState;if(n!==null){e.pending=null;var c=n=n.next;do u=l(u,c.action),c=c.next;while(c!==n);vt(u,t.memoizedState)||(Yl=!0),t.memoizedState=u,t.baseQueue===null&&(t.baseState=u),e.lastRenderedState=u}return[u,a]}function Fs(l,t,e){var a=F,n=Hl(),u=il;if(u){if(e===void 0)throw Error(o(407));e=e()}else e=t();var c=!vt((gl||n).memoizedState,e);if(c&&(n.memoizedState=e,Yl=!0),n=n.queue,oi(lo.bind(null,a,n,l),[l]),n.getSnapshot!==t||c||ql!==null&&ql.memoizedState.tag&1){if(a.flags|=2048,za(9,{destroy:void 0},Ps.bind(null,a,n,e,t),null),Tl===null)throw Error(o(349));u||(Jt&127)!==0||Is(a,t,e)}return e}function Is(l,t,e){l.flags|=16384,l={getSnapshot:t,value:e},t=F.updateQueue,t===null?(t=gu(),F.updateQueue=t,t.stores=[l]):(e=t.stores,e===null?t.stores=[l]:e.push(l))}function Ps(l,t,e,a){t.value=e,t.getSnapshot=a,to(t)&&eo(l)}function lo(l,t,e){return e(function(){to(t)&&eo(l)})}function to(l){var t=l.getSnapshot;l=l.value;try{var e=t();return!vt(l,e)}catch{return!0}}function eo(l){var t=Be(l,2);t!==null&&dt(t,l,2)}function fi(l){var t=nt();if(typeof l=="function"){var e=l;if(l=e(),Ze){ne(!0);try{e()}finally{ne(!1)}}}return t.memoizedState=t.baseState=l,t.queue={pending:null,lanes:0,dispatch:null,lastRenderedReducer:Wt,lastRenderedState:l},t}function ao(l,t,e,a){return l.baseState=e,ci(l,gl,typeof a=="function"?a:Wt)}function sr(l,t,e,a,n){if(Eu(l))throw Error(o(485));if(l=t.action,l!==null){var u={payload:n,action:l,next:null,isTransition:!0,status:"pending",value:null,reason:null,listeners:[],then:function(c){u.listeners.push(c)}};b.T!==null?e(!0):u.isTransition=!1,a(u),e=t.pending,e===null?(u.next=t.pending=u,no(t,u)):(u.next=e.next,t.pending=e.next=u)}}function no(l,t){var e=t.action,a=t.payload,n=l.state;if(t.isTransition){var u=b.T,c={};b.T=c;try{var i=e(n,a),s=b.S;s!==null&&s(c,i),uo(l,t,i)}catch(g){si(l,t,g)}finally{u!==null&&c.types!==null&&(u.types=c.types),b.T=u}}else try{u=e(n,a),uo(l,t,u)}catch(g){si(l,t,g)}}function uo(l,t,e){e!==null&&typeof e=="object"&&typeof e.then=="function"?e.then(function(a){co(l,t,a)},function(a){return si(l,t,a)}):co(l,t,e)}function co(l,t,e){t.status="fulfilled",t.value=e,io(t),l.state=e,t=l.pending,t!==null&&(e=t.next,e===t?l.pending=null:(e=e.next,t.next=e,no(l,e)))}function si(l,t,e){var a=l.pending;if(l.pending=null,a!==null){a=a.next;do t.status="rejected",t.reason=e,io(t),t=t.next;while(t!==a)}l.action=null}function io(l){l=l.listeners;for(var t=0;t<l.length;t++)(0,l[t])()}function fo(l,t){return t}function so(l,t){if(il){var e=Tl.formState;if(e!==null){l:{var a=F;if(il){if(El){t:{for(var n=El,u=Dt;n.nodeType!==8;){if(!u){n=null;break t}if(n=xt(n.nextSibling),n===null){n=null;break t}}u=n.data,n=u==="F!"||u==="F"?n:null}if(n){El=xt(n.nextSibling),a=n.data==="F!";break l}}se(a)}a=!1}a&&(t=e[0])}}return e=nt(),e.memoizedState=e.baseState=t,a={pending:null,lanes:0,dispatch:null,lastRenderedReducer:fo,lastRenderedState:t},e.queue=a,e=_o.bind(null,F,a),a.dispatch=e,a=fi(!1),u=mi.bind(null,F,!1,a.queue),a=nt(),n={state:t,dispatch:null,action:l,pending:null},a.queue=n,e=sr.bind(null,F,n,u,e),n.dispatch=e,a.memoizedState=l,[t,e,!1]}function oo(l){var t=Hl();return ro(t,gl,l)}function ro(l,t,e){if(t=ci(l,t,fo)[0],l=Su(Wt)[0],typeof t=="object"&&t!==null&&typeof t.then=="function")try{var a=rn(t)}catch(c){throw c===ba?su:c}else a=t;t=Hl();var n=t.queue,u=n.dispatch;return e!==t.memoizedState&&(F.flags|=2048,za(9,{destroy:void 0},or.bind(null,n,e),null)),[a,u,l]}function or(l,t){l.action=t}function ho(l){var t=Hl(),e=gl;if(e!==null)return ro(t,e,l);Hl(),t=t.memoizedState,e=Hl();var a=e.queue.dispatch;return e.memoizedState=l,[t,a,!1]}function za(l,t,e,a){return l={tag:l,create:e,deps:a,inst:t,next:null},t=F.updateQueue,t===null&&(t=gu(),F.updateQueue=t),e=t.lastEffect,e===null?t.lastEffect=l.next=l:(a=e.next,e.next=l,l.next=a,t.lastEffect=l),l}function vo(){return Hl().memoizedState}function pu(l,t,e,a){var n=nt();F.flags|=l,n.memoizedState=za(1|t,{destroy:void 0},e,a===void 0?null:a)}function Tu(l,t,e,a){var n=Hl();a=a===void 0?null:a;var u=n.memoizedState.inst;gl!==null&&a!==null&&li(a,gl.memoizedState.deps)?n.memoizedState=za(t,u,e,a):(F.flags|=l,n.memoizedState=za(1|t,u,e,a))}function mo(l,t){pu(8390656,8,l,t)}function oi(l,t){Tu(2048,8,l,t)}function dr(l){F.flags|=4;var t=F.updateQueue;if(t===null)t=gu(),F.updateQueue=t,t.events=[l];else{var e=t.events;e===null?t.events=[l]:e.push(l)}}function yo(l){var t=Hl().memoizedState;return dr({ref:t,nextImpl:l}),function(){if((hl&2)!==0)throw Error(o(440));return t.impl.apply(void 0,arguments)}}function go(l,t){return Tu(4,2,l,t)}function bo(l,t){return Tu(4,4,l,t)}function So(l,t){if(typeof t=="function"){l=l();var e=t(l);return function(){typeof e=="function"?e():t(null)}}if(t!=null)return l=l(),t.current=l,function(){t.current=null}}function po(l,t,e){e=e!=null?e.concat([l]):null,Tu(4,4,So.bind(null,t,l),e)}function di(){}function To(l,t){var e=Hl();t=t===void 0?null:t;var a=e.memoizedState;return t!==null&&li(t,a[1])?a[0]:(e.memoizedState=[l,t],l)}function Eo(l,t){var e=Hl();t=t===void 0?null:t;var a=e.memoizedState;if(t!==null&&li(t,a[1]))return a[0];if(a=l(),Ze){ne(!0);try{l()}finally{ne(!1)}}return e.memoizedState=[a,t],a}function ri(l,t,e){return e===void 0||(Jt&1073741824)!==0&&(al&261930)===0?l.memoizedState=t:(l.memoizedState=e,l=z0(),F.lanes|=l,be|=l,e)}function zo(l,t,e,a){return vt(e,t)?e:pa.current!==null?(l=ri(l,e,a),vt(l,t)||(Yl=!0),l):(Jt&42)===0||(Jt&1073741824)!==0&&(al&261930)===0?(Yl=!0,l.memoizedState=e):(l=z0(),F.lanes|=l,be|=l,t)}function Ao(l,t,e,a,n){var u=p.p;p.p=u!==0&&8>u?u:8;var c=b.T,i={};b.T=i,mi(l,!1,t,e);try{var s=n(),g=b.S;if(g!==null&&g(i,s),s!==null&&typeof s=="object"&&typeof s.then=="function"){var A=cr(s,a);hn(l,t,A,pt(l))}else hn(l,t,a,pt(l))}catch(O){hn(l,t,{then:function(){},status:"rejected",reason:O},pt())}finally{p.p=u,c!==null&&i.types!==null&&(c.types=i.types),b.T=c}}function rr(){}function hi(l,t,e,a){if(l.tag!==5)throw Error(o(476));var n=No(l).queue;Ao(l,n,t,D,e===null?rr:function(){return Oo(l),e(a)})}function No(l){var t=l.memoizedState;if(t!==null)return t;t={memoizedState:D,baseState:D,baseQueue:null,queue:{pending:null,lanes:0,dispatch:null,lastRenderedReducer:Wt,lastRenderedState:D},next:null};var e={};return t.next={memoizedState:e,baseState:e,baseQueue:null,queue:{pending:null,lanes:0,dispatch:null,lastRenderedReducer:Wt,lastRenderedState:e},next:null},l.memoizedState=t,l=l.alternate,l!==null&&(l.memoizedState=t),t}function Oo(l){var t=No(l);t.next===null&&(t=l.alternate.memoizedState),hn(l,t.next.queue,{},pt())}function vi(){return Il(xn)}function Mo(){return Hl().memoizedState}function Do(){return Hl().memoizedState}function hr(l){for(var t=l.return;t!==null;){switch(t.tag){case 24:case 3:var e=pt();l=re(e);var a=he(t,l,e);a!==null&&(dt(a,t,e),fn(a,t,e)),t={cache:Qc()},l.payload=t;return}t=t.return}}function vr(l,t,e){var a=pt();e={lane:a,revertLane:0,gesture:null,action:e,hasEagerState:!1,eagerState:null,next:null},Eu(l)?xo(t,e):(e=jc(l,t,e,a),e!==null&&(dt(e,l,a),Co(e,t,a)))}function _o(l,t,e){var a=pt();hn(l,t,e,a)}function hn(l,t,e,a){var n={lane:a,revertLane:0,gesture:null,action:e,hasEagerState:!1,eagerState:null,next:null};if(Eu(l))xo(t,n);else{var u=l.alternate;if(l.lanes===0&&(u===null||u.lanes===0)&&(u=t.lastRenderedReducer,u!==null))try{var c=t.lastRenderedState,i=u(c,e);if(n.hasEagerState=!0,n.eagerState=i,vt(i,c))return eu(l,t,n,0),Tl===null&&tu(),!1}catch{}if(e=jc(l,t,n,a),e!==null)return dt(e,l,a),Co(e,t,a),!0}return!1}function mi(l,t,e,a){if(a={lane:2,revertLane:Ji(),gesture:null,action:a,hasEagerState:!1,eagerState:null,next:null},Eu(l)){if(t)throw Error(o(479))}else t=jc(l,e,a,2),t!==null&&dt(t,l,2)}function Eu(l){var t=l.alternate;return l===F||t!==null&&t===F}function xo(l,t){Ta=mu=!0;var e=l.pending;e===null?t.next=t:(t.next=e.next,e.next=t),l.pending=t}function Co(l,t,e){if((e&4194048)!==0){var a=t.lanes;a&=l.pendingLanes,e|=a,t.lanes=e,Rf(l,e)}}var vn={readContext:Il,use:bu,useCallback:xl,useContext:xl,useEffect:xl,useImperativeHandle:xl,useLayoutEffect:xl,useInsertionEffect:xl,useMemo:xl,useReducer:xl,useRef:xl,useState:xl,useDebugValue:xl,useDeferredValue:xl,useTransition:xl,useSyncExternalStore:xl,useId:xl,useHostTransitionStatus:xl,useFormState:xl,useActionState:xl,useOptimistic:xl,useMemoCache:xl,useCacheRefresh:xl};vn.useEffectEvent=xl;var jo={readContext:Il,use:bu,useCallback:function(l,t){return nt().memoizedState=[l,t===void 0?null:t],l},useContext:Il,useEffect:mo,useImperativeHandle:function(l,t,e){e=e!=null?e.concat([l]):null,pu(4194308,4,So.bind(null,t,l),e)},useLayoutEffect:function(l,t){return pu(4194308,4,l,t)},useInsertionEffect:function(l,t){pu(4,2,l,t)},useMemo:function(l,t){var e=nt();t=t===void 0?null:t;var a=l();if(Ze){ne(!0);try{l()}finally{ne(!1)}}return e.memoizedState=[a,t],a},useReducer:function(l,t,e){var a=nt();if(e!==void 0){var n=e(t);if(Ze){ne(!0);try{e(t)}finally{ne(!1)}}}else n=t;return a.memoizedState=a.baseState=n,l={pending:null,lanes:0,dispatch:null,lastRenderedReducer:l,lastRenderedState:n},a.queue=l,l=l.dispatch=vr.bind(null,F,l),[a.memoizedState,l]},useRef:function(l){var t=nt();return l={current:l},t.memoizedState=l},useState:function(l){l=fi(l);var t=l.queue,e=_o.bind(null,F,t);return t.dispatch=e,[l.memoizedState,e]},useDebugValue:di,useDeferredValue:function(l,t){var e=nt();return ri(e,l,t)},useTransition:function(){var l=fi(!1);return l=Ao.bind(null,F,l.queue,!0,!1),nt().memoizedState=l,[!1,l]},useSyncExternalStore:function(l,t,e){var a=F,n=nt();if(il){if(e===void 0)throw Error(o(407));e=e()}else{if(e=t(),Tl===null)throw Error(o(349));(al&127)!==0||Is(a,t,e)}n.memoizedState=e;var u={value:e,getSnapshot:t};return n.queue=u,mo(lo.bind(null,a,u,l),[l]),a.flags|=2048,za(9,{destroy:void 0},Ps.bind(null,a,u,e,t),null),e},useId:function(){var l=nt(),t=Tl.identifierPrefix;if(il){var e=Bt,a=Rt;e=(a&~(1<<32-ht(a)-1)).toString(32)+e,t="_"+t+"R_"+e,e=yu++,0<e&&(t+="H"+e.toString(32)),t+="_"}else e=ir++,t="_"+t+"r_"+e.toString(32)+"_";return l.memoizedState=t},useHostTransitionStatus:vi,useFormState:so,useActionState:so,useOptimistic:function(l){var t=nt();t.memoizedState=t.baseState=l;var e={pending:null,lanes:0,dispatch:null,lastRenderedReducer:null,lastRenderedState:null};return t.queue=e,t=mi.bind(null,F,!0,e),e.dispatch=t,[l,t]},useMemoCache:ui,useCacheRefresh:function(){return nt().memoizedState=hr.bind(null,F)},useEffectEvent:function(l){var t=nt(),e={impl:l};return t.memoizedState=e,function(){if((hl&2)!==0)throw Error(o(440));return e.impl.apply(void 0,arguments)}}},yi={readContext:Il,use:bu,useCallback:To,useContext:Il,useEffect:oi,useImperativeHandle:po,useInsertionEffect:go,useLayoutEffect:bo,useMemo:Eo,useReducer:Su,useRef:vo,useState:function(){return Su(Wt)},useDebugValue:di,useDeferredValue:function(l,t){var e=Hl();return zo(e,gl.memoizedState,l,t)},useTransition:function(){var l=Su(Wt)[0],t=Hl().memoizedState;return[typeof l=="boolean"?l:rn(l),t]},useSyncExternalStore:Fs,useId:Mo,useHostTransitionStatus:vi,useFormState:oo,useActionState:oo,useOptimistic:function(l,t){var e=Hl();return ao(e,gl,l,t)},useMemoCache:ui,useCacheRefresh:Do};yi.useEffectEvent=yo;var Uo={readContext:Il,use:bu,useCallback:To,useContext:Il,useEffect:oi,useImperativeHandle:po,useInsertionEffect:go,useLayoutEffect:bo,useMemo:Eo,useReducer:ii,useRef:vo,useState:function(){return ii(Wt)},useDebugValue:di,useDeferredValue:function(l,t){var e=Hl();return gl===null?ri(e,l,t):zo(e,gl.memoizedState,l,t)},useTransition:function(){var l=ii(Wt)[0],t=Hl().memoizedState;return[typeof l=="boolean"?l:rn(l),t]},useSyncExternalStore:Fs,useId:Mo,useHostTransitionStatus:vi,useFormState:ho,useActionState:ho,useOptimistic:function(l,t){var e=Hl();return gl!==null?ao(e,gl,l,t):(e.baseState=l,[l,e.queue.dispatch])},useMemoCache:ui,useCacheRefresh:Do};Uo.useEffectEvent=yo;function gi(l,t,e,a){t=l.memoizedState,e=e(a,t),e=e==null?t:U({},t,e),l.memoizedState=e,l.lanes===0&&(l.updateQueue.baseState=e)}var bi={enqueueSetState:function(l,t,e){l=l._reactInternals;var a=pt(),n=re(a);n.payload=t,e!=null&&(n.callback=e),t=he(l,n,a),t!==null&&(dt(t,l,a),fn(t,l,a))},enqueueReplaceState:function(l,t,e){l=l._reactInternals;var a=pt(),n=re(a);n.tag=1,n.payload=t,e!=null&&(n.callback=e),t=he(l,n,a),t!==null&&(dt(t,l,a),fn(t,l,a))},enqueueForceUpdate:function(l,t){l=l._reactInternals;var e=pt(),a=re(e);a.tag=2,t!=null&&(a.callback=t),t=he(l,a,e),t!==null&&(dt(t,l,e),fn(t,l,e))}};function Ho(l,t,e,a,n,u,c){return l=l.stateNode,typeof l.shouldComponentUpdate=="function"?l.shouldComponentUpdate(a,u,c):t.prototype&&t.prototype.isPureReactComponent?!Pa(e,a)||!Pa(n,u):!0}function Ro(l,t,e,a){l=t.state,typeof t.componentWillReceiveProps=="function"&&t.componentWillReceiveProps(e,a),typeof t.UNSAFE_componentWillReceiveProps=="function"&&t.UNSAFE_componentWillReceiveProps(e,a),t.state!==l&&bi.enqueueReplaceState(t,t.state,null)}function Ke(l,t){var e=t;if("ref"in t){e={};for(var a in t)a!=="ref"&&(e[a]=t[a])}if(l=l.defaultProps){e===t&&(e=U({},e));for(var n in l)e[n]===void 0&&(e[n]=l[n])}return e}function Bo(l){lu(l)}function qo(l){console.error(l)}function Yo(l){lu(l)}function zu(l,t){try{var e=l.onUncaughtError;e(t.value,{componentStack:t.stack})}catch(a){setTimeout(function(){throw a})}}function Lo(l,t,e){try{var a=l.onCaughtError;a(e.value,{componentStack:e.stack,errorBoundary:t.tag===1?t.stateNode:null})}catch(n){setTimeout(function(){throw n})}}function Si(l,t,e){return e=re(e),e.tag=3,e.payload={element:null},e.callback=function(){zu(l,t)},e}function Go(l){return l=re(l),l.tag=3,l}function Xo(l,t,e,a){var n=e.type.getDerivedStateFromError;if(typeof n=="function"){var u=a.value;l.payload=function(){return n(u)},l.callback=function(){Lo(t,e,a)}}var c=e.stateNode;c!==null&&typeof c.componentDidCatch=="function"&&(l.callback=function(){Lo(t,e,a),typeof n!="function"&&(Se===null?Se=new Set([this]):Se.add(this));var i=a.stack;this.componentDidCatch(a.value,{componentStack:i!==null?i:""})})}function mr(l,t,e,a,n){if(e.flags|=32768,a!==null&&typeof a=="object"&&typeof a.then=="function"){if(t=e.alternate,t!==null&&ma(t,e,n,!0),e=yt.current,e!==null){switch(e.tag){case 31:case 13:return _t===null?Ru():e.alternate===null&&Cl===0&&(Cl=3),e.flags&=-257,e.flags|=65536,e.lanes=n,a===ou?e.flags|=16384:(t=e.updateQueue,t===null?e.updateQueue=new Set([a]):t.add(a),Vi(l,a,n)),!1;case 22:return e.flags|=65536,a===ou?e.flags|=16384:(t=e.updateQueue,t===null?(t={transitions:null,markerInstances:null,retryQueue:new Set([a])},e.updateQueue=t):(e=t.retryQueue,e===null?t.retryQueue=new Set([a]):e.add(a)),Vi(l,a,n)),!1}throw Error(o(435,e.tag))}return Vi(l,a,n),Ru(),!1}if(il)return t=yt.current,t!==null?((t.flags&65536)===0&&(t.flags|=256),t.flags|=65536,t.lanes=n,a!==Yc&&(l=Error(o(422),{cause:a}),en(Nt(l,e)))):(a!==Yc&&(t=Error(o(423),{cause:a}),en(Nt(t,e))),l=l.current.alternate,l.flags|=65536,n&=-n,l.lanes|=n,a=Nt(a,e),n=Si(l.stateNode,a,n),$c(l,n),Cl!==4&&(Cl=2)),!1;var u=Error(o(520),{cause:a});if(u=Nt(u,e),En===null?En=[u]:En.push(u),Cl!==4&&(Cl=2),t===null)return!0;a=Nt(a,e),e=t;do{switch(e.tag){case 3:return e.flags|=65536,l=n&-n,e.lanes|=l,l=Si(e.stateNode,a,l),$c(e,l),!1;case 1:if(t=e.type,u=e.stateNode,(e.flags&128)===0&&(typeof t.getDerivedStateFromError=="function"||u!==null&&typeof u.componentDidCatch=="function"&&(Se===null||!Se.has(u))))return e.flags|=65536,n&=-n,e.lanes|=n,n=Go(n),Xo(n,l,e,a),$c(e,n),!1}e=e.return}while(e!==null);return!1}var pi=Error(o(461)),Yl=!1;function Pl(l,t,e,a){t.child=l===null?Vs(t,null,e,a):Ve(t,l.child,e,a)}function wo(l,t,e,a,n){e=e.render;var u=t.ref;if("ref"in a){var c={};for(var i in a)i!=="ref"&&(c[i]=a[i])}else c=a;return Ge(t),a=ti(l,t,e,c,u,n),i=ei(),l!==null&&!Yl?(ai(l,t,n),$t(l,t,n)):(il&&i&&Bc(t),t.flags|=1,Pl(l,t,a,n),t.child)}function Qo(l,t,e,a,n){if(l===null){var u=e.type;return typeof u=="function"&&!Uc(u)&&u.defaultProps===void 0&&e.compare===null?(t.tag=15,t.type=u,Vo(l,t,u,a,n)):(l=nu(e.type,null,a,t,t.mode,n),l.ref=t.ref,l.return=t,t.child=l)}if(u=l.child,!Di(l,n)){var c=u.memoizedProps;if(e=e.compare,e=e!==null?e:Pa,e(c,a)&&l.ref===t.ref)return $t(l,t,n)}return t.flags|=1,l=Qt(u,a),l.ref=t.ref,l.return=t,t.child=l}function Vo(l,t,e,a,n){if(l!==null){var u=l.memoizedProps;if(Pa(u,a)&&l.ref===t.ref)if(Yl=!1,t.pendingProps=a=u,Di(l,n))(l.flags&131072)!==0&&(Yl=!0);else return t.lanes=l.lanes,$t(l,t,n)}return Ti(l,t,e,a,n)}function Zo(l,t,e,a){var n=a.children,u=l!==null?l.memoizedState:null;if(l===null&&t.stateNode===null&&(t.stateNode={_visibility:1,_pendingMarkers:null,_retryCache:null,_transitions:null}),a.mode==="hidden"){if((t.flags&128)!==0){if(u=u!==null?u.baseLanes|e:e,l!==null){for(a=t.child=l.child,n=0;a!==null;)n=n|a.lanes|a.childLanes,a=a.sibling;a=n&~u}else a=0,t.child=null;return Ko(l,t,u,e,a)}if((e&536870912)!==0)t.memoizedState={baseLanes:0,cachePool:null},l!==null&&fu(t,u!==null?u.cachePool:null),u!==null?Js(t,u):Fc(),Ws(t);else return a=t.lanes=536870912,Ko(l,t,u!==null?u.baseLanes|e:e,e,a)}else u!==null?(fu(t,u.cachePool),Js(t,u),me(),t.memoizedState=null):(l!==null&&fu(t,null),Fc(),me());return Pl(l,t,n,e),t.child}function mn(l,t){return l!==null&&l.tag===22||t.stateNode!==null||(t.stateNode={_visibility:1,_pendingMarkers:null,_retryCache:null,_transitions:null}),t.sibling}function Ko(l,t,e,a,n){var u=Zc();return u=u===null?null:{parent:Bl._currentValue,pool:u},t.memoizedState={baseLanes:e,cachePool:u},l!==null&&fu(t,null),Fc(),Ws(t),l!==null&&ma(l,t,a,!0),t.childLanes=n,null}function Au(l,t){return t=Ou({mode:t.mode,children:t.children},l.mode),t.ref=l.ref,l.child=t,t.return=l,t}function Jo(l,t,e){return Ve(t,l.child,null,e),l=Au(t,t.pendingProps),l.flags|=2,gt(t),t.memoizedState=null,l}function yr(l,t,e){var a=t.pendingProps,n=(t.flags&128)!==0;if(t.flags&=-129,l===null){if(il){if(a.mode==="hidden")return l=Au(t,a),t.lanes=536870912,mn(null,l);if(Pc(t),(l=El)?(l=u1(l,Dt),l=l!==null&&l.data==="&"?l:null,l!==null&&(t.memoizedState={dehydrated:l,treeContext:ie!==null?{id:Rt,overflow:Bt}:null,retryLane:536870912,hydrationErrors:null},e=_s(l),e.return=t,t.child=e,Fl=t,El=null)):l=null,l===null)throw se(t);return t.lanes=536870912,null}return Au(t,a)}var u=l.memoizedState;if(u!==null){var c=u.dehydrated;if(Pc(t),n)if(t.flags&256)t.flags&=-257,t=Jo(l,t,e);else if(t.memoizedState!==null)t.child=l.child,t.flags|=128,t=null;else throw Error(o(558));else if(Yl||ma(l,t,e,!1),n=(e&l.childLanes)!==0,Yl||n){if(a=Tl,a!==null&&(c=Bf(a,e),c!==0&&c!==u.retryLane))throw u.retryLane=c,Be(l,c),dt(a,l,c),pi;Ru(),t=Jo(l,t,e)}else l=u.treeContext,El=xt(c.nextSibling),Fl=t,il=!0,fe=null,Dt=!1,l!==null&&js(t,l),t=Au(t,a),t.flags|=4096;return t}return l=Qt(l.child,{mode:a.mode,children:a.children}),l.ref=t.ref,t.child=l,l.return=t,l}function Nu(l,t){var e=t.ref;if(e===null)l!==null&&l.ref!==null&&(t.flags|=4194816);else{if(typeof e!="function"&&typeof e!="object")throw Error(o(284));(l===null||l.ref!==e)&&(t.flags|=4194816)}}function Ti(l,t,e,a,n){return Ge(t),e=ti(l,t,e,a,void 0,n),a=ei(),l!==null&&!Yl?(ai(l,t,n),$t(l,t,n)):(il&&a&&Bc(t),t.flags|=1,Pl(l,t,e,n),t.child)}function Wo(l,t,e,a,n,u){return Ge(t),t.updateQueue=null,e=ks(t,a,e,n),$s(l),a=ei(),l!==null&&!Yl?(ai(l,t,u),$t(l,t,u)):(il&&a&&Bc(t),t.flags|=1,Pl(l,t,e,u),t.child)}function $o(l,t,e,a,n){if(Ge(t),t.stateNode===null){var u=da,c=e.contextType;typeof c=="object"&&c!==null&&(u=Il(c)),u=new e(a,u),t.memoizedState=u.state!==null&&u.state!==void 0?u.state:null,u.updater=bi,t.stateNode=u,u._reactInternals=t,u=t.stateNode,u.props=a,u.state=t.memoizedState,u.refs={},Jc(t),c=e.contextType,u.context=typeof c=="object"&&c!==null?Il(c):da,u.state=t.memoizedState,c=e.getDerivedStateFromProps,typeof c=="function"&&(gi(t,e,c,a),u.state=t.memoizedState),typeof e.getDerivedStateFromProps=="function"||typeof u.getSnapshotBeforeUpdate=="function"||typeof u.UNSAFE_componentWillMount!="function"&&typeof u.componentWillMount!="function"||(c=u.state,typeof u.componentWillMount=="function"&&u.componentWillMount(),typeof u.UNSAFE_componentWillMount=="function"&&u.UNSAFE_componentWillMount(),c!==u.state&&bi.enqueueReplaceState(u,u.state,null),on(t,a,u,n),sn(),u.state=t.memoizedState),typeof u.componentDidMount=="function"&&(t.flags|=4194308),a=!0}else if(l===null){u=t.stateNode;var i=t.memoizedProps,s=Ke(e,i);u.props=s;var g=u.context,A=e.contextType;c=da,typeof A=="object"&&A!==null&&(c=Il(A));var O=e.getDerivedStateFromProps;A=typeof O=="function"||typeof u.getSnapshotBeforeUpdate=="function",i=t.pendingProps!==i,A||typeof u.UNSAFE_componentWillReceiveProps!="function"&&typeof u.componentWillReceiveProps!="function"||(i||g!==c)&&Ro(t,u,a,c),de=!1;var S=t.memoizedState;u.state=S,on(t,a,u,n),sn(),g=t.memoizedState,i||S!==g||de?(typeof O=="function"&&(gi(t,e,O,a),g=t.memoizedState),(s=de||Ho(t,e,s,a,S,g,c))?(A||typeof u.UNSAFE_componentWillMount!="function"&&typeof u.componentWillMount!="function"||(typeof u.componentWillMount=="function"&&u.componentWillMount(),typeof u.UNSAFE_componentWillMount=="function"&&u.UNSAFE_componentWillMount()),typeof u.componentDidMount=="function"&&(t.flags|=4194308)):(typeof u.componentDidMount=="function"&&(t.flags|=4194308),t.memoizedProps=a,t.memoizedState=g),u.props=a,u.state=g,u.context=c,a=s):(typeof u.componentDidMount=="function"&&(t.flags|=4194308),a=!1)}else{u=t.stateNode,Wc(l,t),c=t.memoizedProps,A=Ke(e,c),u.props=A,O=t.pendingProps,S=u.context,g=e.contextType,s=da,typeof g=="object"&&g!==null&&(s=Il(g)),i=e.getDerivedStateFromProps,(g=typeof i=="function"||typeof u.getSnapshotBeforeUpdate=="function")||typeof u.UNSAFE_componentWillReceiveProps!="function"&&typeof u.componentWillReceiveProps!="function"||(c!==O||S!==s)&&Ro(t,u,a,s),de=!1,S=t.memoizedState,u.state=S,on(t,a,u,n),sn();var T=t.memoizedState;c!==O||S!==T||de||l!==null&&l.dependencies!==null&&cu(l.dependencies)?(typeof i=="function"&&(gi(t,e,i,a),T=t.memoizedState),(A=de||Ho(t,e,A,a,S,T,s)||l!==null&&l.dependencies!==null&&cu(l.dependencies))?(g||typeof u.UNSAFE_componentWillUpdate!="function"&&typeof u.componentWillUpdate!="function"||(typeof u.componentWillUpdate=="function"&&u.componentWillUpdate(a,T,s),typeof u.UNSAFE_componentWillUpdate=="function"&&u.UNSAFE_componentWillUpdate(a,T,s)),typeof u.componentDidUpdate=="function"&&(t.flags|=4),typeof u.getSnapshotBeforeUpdate=="function"&&(t.flags|=1024)):(typeof u.componentDidUpdate!="function"||c===l.memoizedProps&&S===l.memoizedState||(t.flags|=4),typeof u.getSnapshotBeforeUpdate!="function"||c===l.memoizedProps&&S===l.memoizedState||(t.flags|=1024),t.memoizedProps=a,t.memoizedState=T),u.props=a,u.state=T,u.context=s,a=A):(typeof u.componentDidUpdate!="function"||c===l.memoizedProps&&S===l.memoizedState||(t.flags|=4),typeof u.getSnapshotBeforeUpdate!="function"||c===l.memoizedProps&&S===l.memoizedState||(t.flags|=1024),a=!1)}return u=a,Nu(l,t),a=(t.flags&128)!==0,u||a?(u=t.stateNode,e=a&&typeof e.getDerivedStateFromError!="function"?null:u.render(),t.flags|=1,l!==null&&a?(t.child=Ve(t,l.child,null,n),t.child=Ve(t,null,e,n)):Pl(l,t,e,n),t.memoizedState=u.state,l=t.child):l=$t(l,t,n),l}function ko(l,t,e,a){return Ye(),t.flags|=256,Pl(l,t,e,a),t.child}var Ei={dehydrated:null,treeContext:null,retryLane:0,hydrationErrors:null};function zi(l){return{baseLanes:l,cachePool:Ys()}}function Ai(l,t,e){return l=l!==null?l.childLanes&~e:0,t&&(l|=St),l}function Fo(l,t,e){var a=t.pendingProps,n=!1,u=(t.flags&128)!==0,c;if((c=u)||(c=l!==null&&l.memoizedState===null?!1:(Ul.current&2)!==0),c&&(n=!0,t.flags&=-129),c=(t.flags&32)!==0,t.flags&=-33,l===null){if(il){if(n?ve(t):me(),(l=El)?(l=u1(l,Dt),l=l!==null&&l.data!=="&"?l:null,l!==null&&(t.memoizedState={dehydrated:l,treeContext:ie!==null?{id:Rt,overflow:Bt}:null,retryLane:536870912,hydrationErrors:null},e=_s(l),e.return=t,t.child=e,Fl=t,El=null)):l=null,l===null)throw se(t);return cf(l)?t.lanes=32:t.lanes=536870912,null}var i=a.children;return a=a.fallback,n?(me(),n=t.mode,i=Ou({mode:"hidden",children:i},n),a=qe(a,n,e,null),i.return=t,a.return=t,i.sibling=a,t.child=i,a=t.child,a.memoizedState=zi(e),a.childLanes=Ai(l,c,e),t.memoizedState=Ei,mn(null,a)):(ve(t),Ni(t,i))}var s=l.memoizedState;if(s!==null&&(i=s.dehydrated,i!==null)){if(u)t.flags&256?(ve(t),t.flags&=-257,t=Oi(l,t,e)):t.memoizedState!==null?(me(),t.child=l.child,t.flags|=128,t=null):(me(),i=a.fallback,n=t.mode,a=Ou({mode:"visible",children:a.children},n),i=qe(i,n,e,null),i.flags|=2,a.return=t,i.return=t,a.sibling=i,t.child=a,Ve(t,l.child,null,e),a=t.child,a.memoizedState=zi(e),a.childLanes=Ai(l,c,e),t.memoizedState=Ei,t=mn(null,a));else if(ve(t),cf(i)){if(c=i.nextSibling&&i.nextSibling.dataset,c)var g=c.dgst;c=g,a=Error(o(419)),a.stack="",a.digest=c,en({value:a,source:null,stack:null}),t=Oi(l,t,e)}else if(Yl||ma(l,t,e,!1),c=(e&l.childLanes)!==0,Yl||c){if(c=Tl,c!==null&&(a=Bf(c,e),a!==0&&a!==s.retryLane))throw s.retryLane=a,Be(l,a),dt(c,l,a),pi;uf(i)||Ru(),t=Oi(l,t,e)}else uf(i)?(t.flags|=192,t.child=l.child,t=null):(l=s.treeContext,El=xt(i.nextSibling),Fl=t,il=!0,fe=null,Dt=!1,l!==null&&js(t,l),t=Ni(t,a.children),t.flags|=4096);return t}return n?(me(),i=a.fallback,n=t.mode,s=l.child,g=s.sibling,a=Qt(s,{mode:"hidden",children:a.children}),a.subtreeFlags=s.subtreeFlags&65011712,g!==null?i=Qt(g,i):(i=qe(i,n,e,null),i.flags|=2),i.return=t,a.return=t,a.sibling=i,t.child=a,mn(null,a),a=t.child,i=l.child.memoizedState,i===null?i=zi(e):(n=i.cachePool,n!==null?(s=Bl._currentValue,n=n.parent!==s?{parent:s,pool:s}:n):n=Ys(),i={baseLanes:i.baseLanes|e,cachePool:n}),a.memoizedState=i,a.childLanes=Ai(l,c,e),t.memoizedState=Ei,mn(l.child,a)):(ve(t),e=l.child,l=e.sibling,e=Qt(e,{mode:"visible",children:a.children}),e.return=t,e.sibling=null,l!==null&&(c=t.deletions,c===null?(t.deletions=[l],t.flags|=16):c.push(l)),t.child=e,t.memoizedState=null,e)}function Ni(l,t){return t=Ou({mode:"visible",children:t},l.mode),t.return=l,l.child=t}function Ou(l,t){return l=mt(22,l,null,t),l.lanes=0,l}function Oi(l,t,e){return Ve(t,l.child,null,e),l=Ni(t,t.pendingProps.children),l.flags|=2,t.memoizedState=null,l}function Io(l,t,e){l.lanes|=t;var a=l.alternate;a!==null&&(a.lanes|=t),Xc(l.return,t,e)}function Mi(l,t,e,a,n,u){var c=l.memoizedState;c===null?l.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:a,tail:e,tailMode:n,treeForkCount:u}:(c.isBackwards=t,c.rendering=null,c.renderingStartTime=0,c.last=a,c.tail=e,c.tailMode=n,c.treeForkCount=u)}function Po(l,t,e){var a=t.pendingProps,n=a.revealOrder,u=a.tail;a=a.children;var c=Ul.current,i=(c&2)!==0;if(i?(c=c&1|2,t.flags|=128):c&=1,R(Ul,c),Pl(l,t,a,e),a=il?tn:0,!i&&l!==null&&(l.flags&128)!==0)l:for(l=t.child;l!==null;){if(l.tag===13)l.memoizedState!==null&&Io(l,e,t);else if(l.tag===19)Io(l,e,t);else if(l.child!==null){l.child.return=l,l=l.child;continue}if(l===t)break l;for(;l.sibling===null;){if(l.return===null||l.return===t)break l;l=l.return}l.sibling.return=l.return,l=l.sibling}switch(n){case"forwards":for(e=t.child,n=null;e!==null;)l=e.alternate,l!==null&&vu(l)===null&&(n=e),e=e.sibling;e=n,e===null?(n=t.child,t.child=null):(n=e.sibling,e.sibling=null),Mi(t,!1,n,e,u,a);break;case"backwards":case"unstable_legacy-backwards":for(e=null,n=t.child,t.child=null;n!==null;){if(l=n.alternate,l!==null&&vu(l)===null){t.child=n;break}l=n.sibling,n.sibling=e,e=n,n=l}Mi(t,!0,e,null,u,a);break;case"together":Mi(t,!1,null,null,void 0,a);break;default:t.memoizedState=null}return t.child}function $t(l,t,e){if(l!==null&&(t.dependencies=l.dependencies),be|=t.lanes,(e&t.childLanes)===0)if(l!==null){if(ma(l,t,e,!1),(e&t.childLanes)===0)return null}else return null;if(l!==null&&t.child!==l.child)throw Error(o(153));if(t.child!==null){for(l=t.child,e=Qt(l,l.pendingProps),t.child=e,e.return=t;l.sibling!==null;)l=l.sibling,e=e.sibling=Qt(l,l.pendingProps),e.return=t;e.sibling=null}return t.child}function Di(l,t){return(l.lanes&t)!==0?!0:(l=l.dependencies,!!(l!==null&&cu(l)))}function gr(l,t,e){switch(t.tag){case 3:$l(t,t.stateNode.containerInfo),oe(t,Bl,l.memoizedState.cache),Ye();break;case 27:case 5:xe(t);break;case 4:$l(t,t.stateNode.containerInfo);break;case 10:oe(t,t.type,t.memoizedProps.value);break;case 31:if(t.memoizedState!==null)return t.flags|=128,Pc(t),null;break;case 13:var a=t.memoizedState;if(a!==null)return a.dehydrated!==null?(ve(t),t.flags|=128,null):(e&t.child.childLanes)!==0?Fo(l,t,e):(ve(t),l=$t(l,t,e),l!==null?l.sibling:null);ve(t);break;case 19:var n=(l.flags&128)!==0;if(a=(e&t.childLanes)!==0,a||(ma(l,t,e,!1),a=(e&t.childLanes)!==0),n){if(a)return Po(l,t,e);t.flags|=128}if(n=t.memoizedState,n!==null&&(n.rendering=null,n.tail=null,n.lastEffect=null),R(Ul,Ul.current),a)break;return null;case 22:return t.lanes=0,Zo(l,t,e,t.pendingProps);case 24:oe(t,Bl,l.memoizedState.cache)}return $t(l,t,e)}function l0(l,t,e){if(l!==null)if(l.memoizedProps!==t.pendingProps)Yl=!0;else{if(!Di(l,e)&&(t.flags&128)===0)return Yl=!1,gr(l,t,e);Yl=(l.flags&131072)!==0}else Yl=!1,il&&(t.flags&1048576)!==0&&Cs(t,tn,t.index);switch(t.lanes=0,t.tag){case 16:l:{var a=t.pendingProps;if(l=we(t.elementType),t.type=l,typeof l=="function")Uc(l)?(a=Ke(l,a),t.tag=1,t=$o(null,t,l,a,e)):(t.tag=0,t=Ti(null,t,l,a,e));else{if(l!=null){var n=l.$$typeof;if(n===_l){t.tag=11,t=wo(null,t,l,a,e);break l}else if(n===K){t.tag=14,t=Qo(null,t,l,a,e);break l}}throw t=Wl(l)||l,Error(o(306,t,""))}}return t;case 0:return Ti(l,t,t.type,t.pendingProps,e);case 1:return a=t.type,n=Ke(a,t.pendingProps),$o(l,t,a,n,e);case 3:l:{if($l(t,t.stateNode.containerInfo),l===null)throw Error(o(387));a=t.pendingProps;var u=t.memoizedState;n=u.element,Wc(l,t),on(t,a,null,e);var c=t.memoizedState;if(a=c.cache,oe(t,Bl,a),a!==u.cache&&wc(t,[Bl],e,!0),sn(),a=c.element,u.isDehydrated)if(u={element:a,isDehydrated:!1,cache:c.cache},t.updateQueue.baseState=u,t.memoizedState=u,t.flags&256){t=ko(l,t,a,e);break l}else if(a!==n){n=Nt(Error(o(424)),t),en(n),t=ko(l,t,a,e);break l}else for(l=t.stateNode.containerInfo,l.nodeType===9?l=l.body:l=l.nodeName==="HTML"?l.ownerDocument.body:l,El=xt(l.firstChild),Fl=t,il=!0,fe=null,Dt=!0,e=Vs(t,null,a,e),t.child=e;e;)e.flags=e.flags&-3|4096,e=e.sibling;else{if(Ye(),a===n){t=$t(l,t,e);break l}Pl(l,t,a,e)}t=t.child}return t;case 26:return Nu(l,t),l===null?(e=d1(t.type,null,t.pendingProps,null))?t.memoizedState=e:il||(e=t.type,l=t.pendingProps,a=wu(ll.current).createElement(e),a[kl]=t,a[ut]=l,lt(a,e,l),Zl(a),t.stateNode=a):t.memoizedState=d1(t.type,l.memoizedProps,t.pendingProps,l.memoizedState),null;case 27:return xe(t),l===null&&il&&(a=t.stateNode=f1(t.type,t.pendingProps,ll.current),Fl=t,Dt=!0,n=El,ze(t.type)?(ff=n,El=xt(a.firstChild)):El=n),Pl(l,t,t.pendingProps.children,e),Nu(l,t),l===null&&(t.flags|=4194304),t.child;case 5:return l===null&&il&&((n=a=El)&&(a=Jr(a,t.type,t.pendingProps,Dt),a!==null?(t.stateNode=a,Fl=t,El=xt(a.firstChild),Dt=!1,n=!0):n=!1),n||se(t)),xe(t),n=t.type,u=t.pendingProps,c=l!==null?l.memoizedProps:null,a=u.children,ef(n,u)?a=null:c!==null&&ef(n,c)&&(t.flags|=32),t.memoizedState!==null&&(n=ti(l,t,fr,null,null,e),xn._currentValue=n),Nu(l,t),Pl(l,t,a,e),t.child;case 6:return l===null&&il&&((l=e=El)&&(e=Wr(e,t.pendingProps,Dt),e!==null?(t.stateNode=e,Fl=t,El=null,l=!0):l=!1),l||se(t)),null;case 13:return Fo(l,t,e);case 4:return $l(t,t.stateNode.containerInfo),a=t.pendingProps,l===null?t.child=Ve(t,null,a,e):Pl(l,t,a,e),t.child;case 11:return wo(l,t,t.type,t.pendingProps,e);case 7:return Pl(l,t,t.pendingProps,e),t.child;case 8:return Pl(l,t,t.pendingProps.children,e),t.child;case 12:return Pl(l,t,t.pendingProps.children,e),t.child;case 10:return a=t.pendingProps,oe(t,t.type,a.value),Pl(l,t,a.children,e),t.child;case 9:return n=t.type._context,a=t.pendingProps.children,Ge(t),n=Il(n),a=a(n),t.flags|=1,Pl(l,t,a,e),t.child;case 14:return Qo(l,t,t.type,t.pendingProps,e);case 15:return Vo(l,t,t.type,t.pendingProps,e);case 19:return Po(l,t,e);case 31:return yr(l,t,e);case 22:return Zo(l,t,e,t.pendingProps);case 24:return Ge(t),a=Il(Bl),l===null?(n=Zc(),n===null&&(n=Tl,u=Qc(),n.pooledCache=u,u.refCount++,u!==null&&(n.pooledCacheLanes|=e),n=u),t.memoizedState={parent:a,cache:n},Jc(t),oe(t,Bl,n)):((l.lanes&e)!==0&&(Wc(l,t),on(t,null,null,e),sn()),n=l.memoizedState,u=t.memoizedState,n.parent!==a?(n={parent:a,cache:a},t.memoizedState=n,t.lanes===0&&(t.memoizedState=t.updateQueue.baseState=n),oe(t,Bl,a)):(a=u.cache,oe(t,Bl,a),a!==n.cache&&wc(t,[Bl],e,!0))),Pl(l,t,t.pendingProps.children,e),t.child;case 29:throw t.pendingProps}throw Error(o(156,t.tag))}function kt(l){l.flags|=4}function _i(l,t,e,a,n){if((t=(l.mode&32)!==0)&&(t=!1),t){if(l.flags|=16777216,(n&335544128)===n)if(l.stateNode.complete)l.flags|=8192;else if(M0())l.flags|=8192;else throw Qe=ou,Kc}else l.flags&=-16777217}function t0(l,t){if(t.type!=="stylesheet"||(t.state.loading&4)!==0)l.flags&=-16777217;else if(l.flags|=16777216,!y1(t))if(M0())l.flags|=8192;else throw Qe=ou,Kc}function Mu(l,t){t!==null&&(l.flags|=4),l.flags&16384&&(t=l.tag!==22?Uf():536870912,l.lanes|=t,Ma|=t)}function yn(l,t){if(!il)switch(l.tailMode){case"hidden":t=l.tail;for(var e=null;t!==null;)t.alternate!==null&&(e=t),t=t.sibling;e===null?l.tail=null:e.sibling=null;break;case"collapsed":e=l.tail;for(var a=null;e!==null;)e.alternate!==null&&(a=e),e=e.sibling;a===null?t||l.tail===null?l.tail=null:l.tail.sibling=null:a.sibling=null}}function zl(l){var t=l.alternate!==null&&l.alternate.child===l.child,e=0,a=0;if(t)for(var n=l.child;n!==null;)e|=n.lanes|n.childLanes,a|=n.subtreeFlags&65011712,a|=n.flags&65011712,n.return=l,n=n.sibling;else for(n=l.child;n!==null;)e|=n.lanes|n.childLanes,a|=n.subtreeFlags,a|=n.flags,n.return=l,n=n.sibling;return l.subtreeFlags|=a,l.childLanes=e,t}function br(l,t,e){var a=t.pendingProps;switch(qc(t),t.tag){case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return zl(t),null;case 1:return zl(t),null;case 3:return e=t.stateNode,a=null,l!==null&&(a=l.memoizedState.cache),t.memoizedState.cache!==a&&(t.flags|=2048),Kt(Bl),Ol(),e.pendingContext&&(e.context=e.pendingContext,e.pendingContext=null),(l===null||l.child===null)&&(va(t)?kt(t):l===null||l.memoizedState.isDehydrated&&(t.flags&256)===0||(t.flags|=1024,Lc())),zl(t),null;case 26:var n=t.type,u=t.memoizedState;return l===null?(kt(t),u!==null?(zl(t),t0(t,u)):(zl(t),_i(t,n,null,a,e))):u?u!==l.memoizedState?(kt(t),zl(t),t0(t,u)):(zl(t),t.flags&=-16777217):(l=l.memoizedProps,l!==a&&kt(t),zl(t),_i(t,n,l,a,e)),null;case 27:if(ke(t),e=ll.current,n=t.type,l!==null&&t.stateNode!=null)l.memoizedProps!==a&&kt(t);else{if(!a){if(t.stateNode===null)throw Error(o(166));return zl(t),null}l=L.current,va(t)?Us(t):(l=f1(n,a,e),t.stateNode=l,kt(t))}return zl(t),null;case 5:if(ke(t),n=t.type,l!==null&&t.stateNode!=null)l.memoizedProps!==a&&kt(t);else{if(!a){if(t.stateNode===null)throw Error(o(166));return zl(t),null}if(u=L.current,va(t))Us(t);else{var c=wu(ll.current);switch(u){case 1:u=c.createElementNS("http://www.w3.org/2000/svg",n);break;case 2:u=c.createElementNS("http://www.w3.org/1998/Math/MathML",n);break;default:switch(n){case"svg":u=c.createElementNS("http://www.w3.org/2000/svg",n);break;case"math":u=c.createElementNS("http://www.w3.org/1998/Math/MathML",n);break;case"script":u=c.createElement("div"),u.innerHTML="<script><\/script>",u=u.removeChild(u.firstChild);break;case"select":u=typeof a.is=="string"?c.createElement("select",{is:a.is}):c.createElement("select"),a.multiple?u.multiple=!0:a.size&&(u.size=a.size);break;default:u=typeof a.is=="string"?c.createElement(n,{is:a.is}):c.createElement(n)}}u[kl]=t,u[ut]=a;l:for(c=t.child;c!==null;){if(c.tag===5||c.tag===6)u.appendChild(c.stateNode);else if(c.tag!==4&&c.tag!==27&&c.child!==null){c.child.return=c,c=c.child;continue}if(c===t)break l;for(;c.sibling===null;){if(c.return===null||c.return===t)break l;c=c.return}c.sibling.return=c.return,c=c.sibling}t.stateNode=u;l:switch(lt(u,n,a),n){case"button":case"input":case"select":case"textarea":a=!!a.autoFocus;break l;case"img":a=!0;break l;default:a=!1}a&&kt(t)}}return zl(t),_i(t,t.type,l===null?null:l.memoizedProps,t.pendingProps,e),null;case 6:if(l&&t.stateNode!=null)l.memoizedProps!==a&&kt(t);else{if(typeof a!="string"&&t.stateNode===null)throw Error(o(166));if(l=ll.current,va(t)){if(l=t.stateNode,e=t.memoizedProps,a=null,n=Fl,n!==null)switch(n.tag){case 27:case 5:a=n.memoizedProps}l[kl]=t,l=!!(l.nodeValue===e||a!==null&&a.suppressHydrationWarning===!0||F0(l.nodeValue,e)),l||se(t,!0)}else l=wu(l).createTextNode(a),l[kl]=t,t.stateNode=l}return zl(t),null;case 31:if(e=t.memoizedState,l===null||l.memoizedState!==null){if(a=va(t),e!==null){if(l===null){if(!a)throw Error(o(318));if(l=t.memoizedState,l=l!==null?l.dehydrated:null,!l)throw Error(o(557));l[kl]=t}else Ye(),(t.flags&128)===0&&(t.memoizedState=null),t.flags|=4;zl(t),l=!1}else e=Lc(),l!==null&&l.memoizedState!==null&&(l.memoizedState.hydrationErrors=e),l=!0;if(!l)return t.flags&256?(gt(t),t):(gt(t),null);if((t.flags&128)!==0)throw Error(o(558))}return zl(t),null;case 13:if(a=t.memoizedState,l===null||l.memoizedState!==null&&l.memoizedState.dehydrated!==null){if(n=va(t),a!==null&&a.dehydrated!==null){if(l===null){if(!n)throw Error(o(318));if(n=t.memoizedState,n=n!==null?n.dehydrated:null,!n)throw Error(o(317));n[kl]=t}else Ye(),(t.flags&128)===0&&(t.memoizedState=null),t.flags|=4;zl(t),n=!1}else n=Lc(),l!==null&&l.memoizedState!==null&&(l.memoizedState.hydrationErrors=n),n=!0;if(!n)return t.flags&256?(gt(t),t):(gt(t),null)}return gt(t),(t.flags&128)!==0?(t.lanes=e,t):(e=a!==null,l=l!==null&&l.memoizedState!==null,e&&(a=t.child,n=null,a.alternate!==null&&a.alternate.memoizedState!==null&&a.alternate.memoizedState.cachePool!==null&&(n=a.alternate.memoizedState.cachePool.pool),u=null,a.memoizedState!==null&&a.memoizedState.cachePool!==null&&(u=a.memoizedState.cachePool.pool),u!==n&&(a.flags|=2048)),e!==l&&e&&(t.child.flags|=8192),Mu(t,t.updateQueue),zl(t),null);case 4:return Ol(),l===null&&Fi(t.stateNode.containerInfo),zl(t),null;case 10:return Kt(t.type),zl(t),null;case 19:if(M(Ul),a=t.memoizedState,a===null)return zl(t),null;if(n=(t.flags&128)!==0,u=a.rendering,u===null)if(n)yn(a,!1);else{if(Cl!==0||l!==null&&(l.flags&128)!==0)for(l=t.child;l!==null;){if(u=vu(l),u!==null){for(t.flags|=128,yn(a,!1),l=u.updateQueue,t.updateQueue=l,Mu(t,l),t.subtreeFlags=0,l=e,e=t.child;e!==null;)Ds(e,l),e=e.sibling;return R(Ul,Ul.current&1|2),il&&Vt(t,a.treeForkCount),t.child}l=l.sibling}a.tail!==null&&tt()>ju&&(t.flags|=128,n=!0,yn(a,!1),t.lanes=4194304)}else{if(!n)if(l=vu(u),l!==null){if(t.flags|=128,n=!0,l=l.updateQueue,t.updateQueue=l,Mu(t,l),yn(a,!0),a.tail===null&&a.tailMode==="hidden"&&!u.alternate&&!il)return zl(t),null}else 2*tt()-a.renderingStartTime>ju&&e!==536870912&&(t.flags|=128,n=!0,yn(a,!1),t.lanes=4194304);a.isBackwards?(u.sibling=t.child,t.child=u):(l=a.last,l!==null?l.sibling=u:t.child=u,a.last=u)}return a.tail!==null?(l=a.tail,a.rendering=l,a.tail=l.sibling,a.renderingStartTime=tt(),l.sibling=null,e=Ul.current,R(Ul,n?e&1|2:e&1),il&&Vt(t,a.treeForkCount),l):(zl(t),null);case 22:case 23:return gt(t),Ic(),a=t.memoizedState!==null,l!==null?l.memoizedState!==null!==a&&(t.flags|=8192):a&&(t.flags|=8192),a?(e&536870912)!==0&&(t.flags&128)===0&&(zl(t),t.subtreeFlags&6&&(t.flags|=8192)):zl(t),e=t.updateQueue,e!==null&&Mu(t,e.retryQueue),e=null,l!==null&&l.memoizedState!==null&&l.memoizedState.cachePool!==null&&(e=l.memoizedState.cachePool.pool),a=null,t.memoizedState!==null&&t.memoizedState.cachePool!==null&&(a=t.memoizedState.cachePool.pool),a!==e&&(t.flags|=2048),l!==null&&M(Xe),null;case 24:return e=null,l!==null&&(e=l.memoizedState.cache),t.memoizedState.cache!==e&&(t.flags|=2048),Kt(Bl),zl(t),null;case 25:return null;case 30:return null}throw Error(o(156,t.tag))}function Sr(l,t){switch(qc(t),t.tag){case 1:return l=t.flags,l&65536?(t.flags=l&-65537|128,t):null;case 3:return Kt(Bl),Ol(),l=t.flags,(l&65536)!==0&&(l&128)===0?(t.flags=l&-65537|128,t):null;case 26:case 27:case 5:return ke(t),null;case 31:if(t.memoizedState!==null){if(gt(t),t.alternate===null)throw Error(o(340));Ye()}return l=t.flags,l&65536?(t.flags=l&-65537|128,t):null;case 13:if(gt(t),l=t.memoizedState,l!==null&&l.dehydrated!==null){if(t.alternate===null)throw Error(o(340));Ye()}return l=t.flags,l&65536?(t.flags=l&-65537|128,t):null;case 19:return M(Ul),null;case 4:return Ol(),null;case 10:return Kt(t.type),null;case 22:case 23:return gt(t),Ic(),l!==null&&M(Xe),l=t.flags,l&65536?(t.flags=l&-65537|128,t):null;case 24:return Kt(Bl),null;case 25:return null;default:return null}}function e0(l,t){switch(qc(t),t.tag){case 3:Kt(Bl),Ol();break;case 26:case 27:case 5:ke(t);break;case 4:Ol();break;case 31:t.memoizedState!==null&&gt(t);break;case 13:gt(t);break;case 19:M(Ul);break;case 10:Kt(t.type);break;case 22:case 23:gt(t),Ic(),l!==null&&M(Xe);break;case 24:Kt(Bl)}}function gn(l,t){try{var e=t.updateQueue,a=e!==null?e.lastEffect:null;if(a!==null){var n=a.next;e=n;do{if((e.tag&l)===l){a=void 0;var u=e.create,c=e.inst;a=u(),c.destroy=a}e=e.next}while(e!==n)}}catch(i){ml(t,t.return,i)}}function ye(l,t,e){try{var a=t.updateQueue,n=a!==null?a.lastEffect:null;if(n!==null){var u=n.next;a=u;do{if((a.tag&l)===l){var c=a.inst,i=c.destroy;if(i!==void 0){c.destroy=void 0,n=t;var s=e,g=i;try{g()}catch(A){ml(n,s,A)}}}a=a.next}while(a!==u)}}catch(A){ml(t,t.return,A)}}function a0(l){var t=l.updateQueue;if(t!==null){var e=l.stateNode;try{Ks(t,e)}catch(a){ml(l,l.return,a)}}}function n0(l,t,e){e.props=Ke(l.type,l.memoizedProps),e.state=l.memoizedState;try{e.componentWillUnmount()}catch(a){ml(l,t,a)}}function bn(l,t){try{var e=l.ref;if(e!==null){switch(l.tag){case 26:case 27:case 5:var a=l.stateNode;break;case 30:a=l.stateNode;break;default:a=l.stateNode}typeof e=="function"?l.refCleanup=e(a):e.current=a}}catch(n){ml(l,t,n)}}function qt(l,t){var e=l.ref,a=l.refCleanup;if(e!==null)if(typeof a=="function")try{a()}catch(n){ml(l,t,n)}finally{l.refCleanup=null,l=l.alternate,l!=null&&(l.refCleanup=null)}else if(typeof e=="function")try{e(null)}catch(n){ml(l,t,n)}else e.current=null}function u0(l){var t=l.type,e=l.memoizedProps,a=l.stateNode;try{l:switch(t){case"button":case"input":case"select":case"textarea":e.autoFocus&&a.focus();break l;case"img":e.src?a.src=e.src:e.srcSet&&(a.srcset=e.srcSet)}}catch(n){ml(l,l.return,n)}}function xi(l,t,e){try{var a=l.stateNode;Xr(a,l.type,e,t),a[ut]=t}catch(n){ml(l,l.return,n)}}function c0(l){return l.tag===5||l.tag===3||l.tag===26||l.tag===27&&ze(l.type)||l.tag===4}function Ci(l){l:for(;;){for(;l.sibling===null;){if(l.return===null||c0(l.return))return null;l=l.return}for(l.sibling.return=l.return,l=l.sibling;l.tag!==5&&l.tag!==6&&l.tag!==18;){if(l.tag===27&&ze(l.type)||l.flags&2||l.child===null||l.tag===4)continue l;l.child.return=l,l=l.child}if(!(l.flags&2))return l.stateNode}}function ji(l,t,e){var a=l.tag;if(a===5||a===6)l=l.stateNode,t?(e.nodeType===9?e.body:e.nodeName==="HTML"?e.ownerDocument.body:e).insertBefore(l,t):(t=e.nodeType===9?e.body:e.nodeName==="HTML"?e.ownerDocument.body:e,t.appendChild(l),e=e._reactRootContainer,e!=null||t.onclick!==null||(t.onclick=Xt));else if(a!==4&&(a===27&&ze(l.type)&&(e=l.stateNode,t=null),l=l.child,l!==null))for(ji(l,t,e),l=l.sibling;l!==null;)ji(l,t,e),l=l.sibling}function Du(l,t,e){var a=l.tag;if(a===5||a===6)l=l.stateNode,t?e.insertBefore(l,t):e.appendChild(l);else if(a!==4&&(a===27&&ze(l.type)&&(e=l.stateNode),l=l.child,l!==null))for(Du(l,t,e),l=l.sibling;l!==null;)Du(l,t,e),l=l.sibling}function i0(l){var t=l.stateNode,e=l.memoizedProps;try{for(var a=l.type,n=t.attributes;n.length;)t.removeAttributeNode(n[0]);lt(t,a,e),t[kl]=l,t[ut]=e}catch(u){ml(l,l.return,u)}}var Ft=!1,Ll=!1,Ui=!1,f0=typeof WeakSet=="function"?WeakSet:Set,Kl=null;function pr(l,t){if(l=l.containerInfo,lf=$u,l=Ss(l),Oc(l)){if("selectionStart"in l)var e={start:l.selectionStart,end:l.selectionEnd};else l:{e=(e=l.ownerDocument)&&e.defaultView||window;var a=e.getSelection&&e.getSelection();if(a&&a.rangeCount!==0){e=a.anchorNode;var n=a.anchorOffset,u=a.focusNode;a=a.focusOffset;try{e.nodeType,u.nodeType}catch{e=null;break l}var c=0,i=-1,s=-1,g=0,A=0,O=l,S=null;t:for(;;){for(var T;O!==e||n!==0&&O.nodeType!==3||(i=c+n),O!==u||a!==0&&O.nodeType!==3||(s=c+a),O.nodeType===3&&(c+=O.nodeValue.length),(T=O.firstChild)!==null;)S=O,O=T;for(;;){if(O===l)break t;if(S===e&&++g===n&&(i=c),S===u&&++A===a&&(s=c),(T=O.nextSibling)!==null)break;O=S,S=O.parentNode}O=T}e=i===-1||s===-1?null:{start:i,end:s}}else e=null}e=e||{start:0,end:0}}else e=null;for(tf={focusedElem:l,selectionRange:e},$u=!1,Kl=t;Kl!==null;)if(t=Kl,l=t.child,(t.subtreeFlags&1028)!==0&&l!==null)l.return=t,Kl=l;else for(;Kl!==null;){switch(t=Kl,u=t.alternate,l=t.flags,t.tag){case 0:if((l&4)!==0&&(l=t.updateQueue,l=l!==null?l.events:null,l!==null))for(e=0;e<l.length;e++)n=l[e],n.ref.impl=n.nextImpl;break;case 11:case 15:break;case 1:if((l&1024)!==0&&u!==null){l=void 0,e=t,n=u.memoizedProps,u=u.memoizedState,a=e.stateNode;try{var Y=Ke(e.type,n);l=a.getSnapshotBeforeUpdate(Y,u),a.__reactInternalSnapshotBeforeUpdate=l}catch(V){ml(e,e.return,V)}}break;case 3:if((l&1024)!==0){if(l=t.stateNode.containerInfo,e=l.nodeType,e===9)nf(l);else if(e===1)switch(l.nodeName){case"HEAD":case"HTML":case"BODY":nf(l);break;default:l.textContent=""}}break;case 5:case 26:case 27:case 6:case 4:case 17:break;default:if((l&1024)!==0)throw Error(o(163))}if(l=t.sibling,l!==null){l.return=t.return,Kl=l;break}Kl=t.return}}function s0(l,t,e){var a=e.flags;switch(e.tag){case 0:case 11:case 15:Pt(l,e),a&4&&gn(5,e);break;case 1:if(Pt(l,e),a&4)if(l=e.stateNode,t===null)try{l.componentDidMount()}catch(c){ml(e,e.return,c)}else{var n=Ke(e.type,t.memoizedProps);t=t.memoizedState;try{l.componentDidUpdate(n,t,l.__reactInternalSnapshotBeforeUpdate)}catch(c){ml(e,e.return,c)}}a&64&&a0(e),a&512&&bn(e,e.return);break;case 3:if(Pt(l,e),a&64&&(l=e.updateQueue,l!==null)){if(t=null,e.child!==null)switch(e.child.tag){case 27:case 5:t=e.child.stateNode;break;case 1:t=e.child.stateNode}try{Ks(l,t)}catch(c){ml(e,e.return,c)}}break;case 27:t===null&&a&4&&i0(e);case 26:case 5:Pt(l,e),t===null&&a&4&&u0(e),a&512&&bn(e,e.return);break;case 12:Pt(l,e);break;case 31:Pt(l,e),a&4&&r0(l,e);break;case 13:Pt(l,e),a&4&&h0(l,e),a&64&&(l=e.memoizedState,l!==null&&(l=l.dehydrated,l!==null&&(e=_r.bind(null,e),$r(l,e))));break;case 22:if(a=e.memoizedState!==null||Ft,!a){t=t!==null&&t.memoizedState!==null||Ll,n=Ft;var u=Ll;Ft=a,(Ll=t)&&!u?le(l,e,(e.subtreeFlags&8772)!==0):Pt(l,e),Ft=n,Ll=u}break;case 30:break;default:Pt(l,e)}}function o0(l){var t=l.alternate;t!==null&&(l.alternate=null,o0(t)),l.child=null,l.deletions=null,l.sibling=null,l.tag===5&&(t=l.stateNode,t!==null&&sc(t)),l.stateNode=null,l.return=null,l.dependencies=null,l.memoizedProps=null,l.memoizedState=null,l.pendingProps=null,l.stateNode=null,l.updateQueue=null}var Al=null,it=!1;function It(l,t,e){for(e=e.child;e!==null;)d0(l,t,e),e=e.sibling}function d0(l,t,e){if(rt&&typeof rt.onCommitFiberUnmount=="function")try{rt.onCommitFiberUnmount(Xa,e)}catch{}switch(e.tag){case 26:Ll||qt(e,t),It(l,t,e),e.memoizedState?e.memoizedState.count--:e.stateNode&&(e=e.stateNode,e.parentNode.removeChild(e));break;case 27:Ll||qt(e,t);var a=Al,n=it;ze(e.type)&&(Al=e.stateNode,it=!1),It(l,t,e),Mn(e.stateNode),Al=a,it=n;break;case 5:Ll||qt(e,t);case 6:if(a=Al,n=it,Al=null,It(l,t,e),Al=a,it=n,Al!==null)if(it)try{(Al.nodeType===9?Al.body:Al.nodeName==="HTML"?Al.ownerDocument.body:Al).removeChild(e.stateNode)}catch(u){ml(e,t,u)}else try{Al.removeChild(e.stateNode)}catch(u){ml(e,t,u)}break;case 18:Al!==null&&(it?(l=Al,a1(l.nodeType===9?l.body:l.nodeName==="HTML"?l.ownerDocument.body:l,e.stateNode),Ra(l)):a1(Al,e.stateNode));break;case 4:a=Al,n=it,Al=e.stateNode.containerInfo,it=!0,It(l,t,e),Al=a,it=n;break;case 0:case 11:case 14:case 15:ye(2,e,t),Ll||ye(4,e,t),It(l,t,e);break;case 1:Ll||(qt(e,t),a=e.stateNode,typeof a.componentWillUnmount=="function"&&n0(e,t,a)),It(l,t,e);break;case 21:It(l,t,e);break;case 22:Ll=(a=Ll)||e.memoizedState!==null,It(l,t,e),Ll=a;break;default:It(l,t,e)}}function r0(l,t){if(t.memoizedState===null&&(l=t.alternate,l!==null&&(l=l.memoizedState,l!==null))){l=l.dehydrated;try{Ra(l)}catch(e){ml(t,t.return,e)}}}function h0(l,t){if(t.memoizedState===null&&(l=t.alternate,l!==null&&(l=l.memoizedState,l!==null&&(l=l.dehydrated,l!==null))))try{Ra(l)}catch(e){ml(t,t.return,e)}}function Tr(l){switch(l.tag){case 31:case 13:case 19:var t=l.stateNode;return t===null&&(t=l.stateNode=new f0),t;case 22:return l=l.stateNode,t=l._retryCache,t===null&&(t=l._retryCache=new f0),t;default:throw Error(o(435,l.tag))}}function _u(l,t){var e=Tr(l);t.forEach(function(a){if(!e.has(a)){e.add(a);var n=xr.bind(null,l,a);a.then(n,n)}})}function ft(l,t){var e=t.deletions;if(e!==null)for(var a=0;a<e.length;a++){var n=e[a],u=l,c=t,i=c;l:for(;i!==null;){switch(i.tag){case 27:if(ze(i.type)){Al=i.stateNode,it=!1;break l}break;case 5:Al=i.stateNode,it=!1;break l;case 3:case 4:Al=i.stateNode.containerInfo,it=!0;break l}i=i.return}if(Al===null)throw Error(o(160));d0(u,c,n),Al=null,it=!1,u=n.alternate,u!==null&&(u.return=null),n.return=null}if(t.subtreeFlags&13886)for(t=t.child;t!==null;)v0(t,l),t=t.sibling}var Ut=null;function v0(l,t){var e=l.alternate,a=l.flags;switch(l.tag){case 0:case 11:case 14:case 15:ft(t,l),st(l),a&4&&(ye(3,l,l.return),gn(3,l),ye(5,l,l.return));break;case 1:ft(t,l),st(l),a&512&&(Ll||e===null||qt(e,e.return)),a&64&&Ft&&(l=l.updateQueue,l!==null&&(a=l.callbacks,a!==null&&(e=l.shared.hiddenCallbacks,l.shared.hiddenCallbacks=e===null?a:e.concat(a))));break;case 26:var n=Ut;if(ft(t,l),st(l),a&512&&(Ll||e===null||qt(e,e.return)),a&4){var u=e!==null?e.memoizedState:null;if(a=l.memoizedState,e===null)if(a===null)if(l.stateNode===null){l:{a=l.type,e=l.memoizedProps,n=n.ownerDocument||n;t:switch(a){case"title":u=n.getElementsByTagName("title")[0],(!u||u[Va]||u[kl]||u.namespaceURI==="http://www.w3.org/2000/svg"||u.hasAttribute("itemprop"))&&(u=n.createElement(a),n.head.insertBefore(u,n.querySelector("head > title"))),lt(u,a,e),u[kl]=l,Zl(u),a=u;break l;case"link":var c=v1("link","href",n).get(a+(e.href||""));if(c){for(var i=0;i<c.length;i++)if(u=c[i],u.getAttribute("href")===(e.href==null||e.href===""?null:e.href)&&u.getAttribute("rel")===(e.rel==null?null:e.rel)&&u.getAttribute("title")===(e.title==null?null:e.title)&&u.getAttribute("crossorigin")===(e.crossOrigin==null?null:e.crossOrigin)){c.splice(i,1);break t}}u=n.createElement(a),lt(u,a,e),n.head.appendChild(u);break;case"meta":if(c=v1("meta","content",n).get(a+(e.content||""))){for(i=0;i<c.length;i++)if(u=c[i],u.getAttribute("content")===(e.content==null?null:""+e.content)&&u.getAttribute("name")===(e.name==null?null:e.name)&&u.getAttribute("property")===(e.property==null?null:e.property)&&u.getAttribute("http-equiv")===(e.httpEquiv==null?null:e.httpEquiv)&&u.getAttribute("charset")===(e.charSet==null?null:e.charSet)){c.splice(i,1);break t}}u=n.createElement(a),lt(u,a,e),n.head.appendChild(u);break;default:throw Error(o(468,a))}u[kl]=l,Zl(u),a=u}l.stateNode=a}else m1(n,l.type,l.stateNode);else l.stateNode=h1(n,a,l.memoizedProps);else u!==a?(u===null?e.stateNode!==null&&(e=e.stateNode,e.parentNode.removeChild(e)):u.count--,a===null?m1(n,l.type,l.stateNode):h1(n,a,l.memoizedProps)):a===null&&l.stateNode!==null&&xi(l,l.memoizedProps,e.memoizedProps)}break;case 27:ft(t,l),st(l),a&512&&(Ll||e===null||qt(e,e.return)),e!==null&&a&4&&xi(l,l.memoizedProps,e.memoizedProps);break;case 5:if(ft(t,l),st(l),a&512&&(Ll||e===null||qt(e,e.return)),l.flags&32){n=l.stateNode;try{na(n,"")}catch(Y){ml(l,l.return,Y)}}a&4&&l.stateNode!=null&&(n=l.memoizedProps,xi(l,n,e!==null?e.memoizedProps:n)),a&1024&&(Ui=!0);break;case 6:if(ft(t,l),st(l),a&4){if(l.stateNode===null)throw Error(o(162));a=l.memoizedProps,e=l.stateNode;try{e.nodeValue=a}catch(Y){ml(l,l.return,Y)}}break;case 3:if(Zu=null,n=Ut,Ut=Qu(t.containerInfo),ft(t,l),Ut=n,st(l),a&4&&e!==null&&e.memoizedState.isDehydrated)try{Ra(t.containerInfo)}catch(Y){ml(l,l.return,Y)}Ui&&(Ui=!1,m0(l));break;case 4:a=Ut,Ut=Qu(l.stateNode.containerInfo),ft(t,l),st(l),Ut=a;break;case 12:ft(t,l),st(l);break;case 31:ft(t,l),st(l),a&4&&(a=l.updateQueue,a!==null&&(l.updateQueue=null,_u(l,a)));break;case 13:ft(t,l),st(l),l.child.flags&8192&&l.memoizedState!==null!=(e!==null&&e.memoizedState!==null)&&(Cu=tt()),a&4&&(a=l.updateQueue,a!==null&&(l.updateQueue=null,_u(l,a)));break;case 22:n=l.memoizedState!==null;var s=e!==null&&e.memoizedState!==null,g=Ft,A=Ll;if(Ft=g||n,Ll=A||s,ft(t,l),Ll=A,Ft=g,st(l),a&8192)l:for(t=l.stateNode,t._visibility=n?t._visibility&-2:t._visibility|1,n&&(e===null||s||Ft||Ll||Je(l)),e=null,t=l;;){if(t.tag===5||t.tag===26){if(e===null){s=e=t;try{if(u=s.stateNode,n)c=u.style,typeof c.setProperty=="function"?c.setProperty("display","none","important"):c.display="none";else{i=s.stateNode;var O=s.memoizedProps.style,S=O!=null&&O.hasOwnProperty("display")?O.display:null;i.style.display=S==null||typeof S=="boolean"?"":(""+S).trim()}}catch(Y){ml(s,s.return,Y)}}}else if(t.tag===6){if(e===null){s=t;try{s.stateNode.nodeValue=n?"":s.memoizedProps}catch(Y){ml(s,s.return,Y)}}}else if(t.tag===18){if(e===null){s=t;try{var T=s.stateNode;n?n1(T,!0):n1(s.stateNode,!1)}catch(Y){ml(s,s.return,Y)}}}else if((t.tag!==22&&t.tag!==23||t.memoizedState===null||t===l)&&t.child!==null){t.child.return=t,t=t.child;continue}if(t===l)break l;for(;t.sibling===null;){if(t.return===null||t.return===l)break l;e===t&&(e=null),t=t.return}e===t&&(e=null),t.sibling.return=t.return,t=t.sibling}a&4&&(a=l.updateQueue,a!==null&&(e=a.retryQueue,e!==null&&(a.retryQueue=null,_u(l,e))));break;case 19:ft(t,l),st(l),a&4&&(a=l.updateQueue,a!==null&&(l.updateQueue=null,_u(l,a)));break;case 30:break;case 21:break;default:ft(t,l),st(l)}}function st(l){var t=l.flags;if(t&2){try{for(var e,a=l.return;a!==null;){if(c0(a)){e=a;break}a=a.return}if(e==null)throw Error(o(160));switch(e.tag){case 27:var n=e.stateNode,u=Ci(l);Du(l,u,n);break;case 5:var c=e.stateNode;e.flags&32&&(na(c,""),e.flags&=-33);var i=Ci(l);Du(l,i,c);break;case 3:case 4:var s=e.stateNode.containerInfo,g=Ci(l);ji(l,g,s);break;default:throw Error(o(161))}}catch(A){ml(l,l.return,A)}l.flags&=-3}t&4096&&(l.flags&=-4097)}function m0(l){if(l.subtreeFlags&1024)for(l=l.child;l!==null;){var t=l;m0(t),t.tag===5&&t.flags&1024&&t.stateNode.reset(),l=l.sibling}}function Pt(l,t){if(t.subtreeFlags&8772)for(t=t.child;t!==null;)s0(l,t.alternate,t),t=t.sibling}function Je(l){for(l=l.child;l!==null;){var t=l;switch(t.tag){case 0:case 11:case 14:case 15:ye(4,t,t.return),Je(t);break;case 1:qt(t,t.return);var e=t.stateNode;typeof e.componentWillUnmount=="function"&&n0(t,t.return,e),Je(t);break;case 27:Mn(t.stateNode);case 26:case 5:qt(t,t.return),Je(t);break;case 22:t.memoizedState===null&&Je(t);break;case 30:Je(t);break;default:Je(t)}l=l.sibling}}function le(l,t,e){for(e=e&&(t.subtreeFlags&8772)!==0,t=t.child;t!==null;){var a=t.alternate,n=l,u=t,c=u.flags;switch(u.tag){case 0:case 11:case 15:le(n,u,e),gn(4,u);break;case 1:if(le(n,u,e),a=u,n=a.stateNode,typeof n.componentDidMount=="function")try{n.componentDidMount()}catch(g){ml(a,a.return,g)}if(a=u,n=a.updateQueue,n!==null){var i=a.stateNode;try{var s=n.shared.hiddenCallbacks;if(s!==null)for(n.shared.hiddenCallbacks=null,n=0;n<s.length;n++)Zs(s[n],i)}catch(g){ml(a,a.return,g)}}e&&c&64&&a0(u),bn(u,u.return);break;case 27:i0(u);case 26:case 5:le(n,u,e),e&&a===null&&c&4&&u0(u),bn(u,u.return);break;case 12:le(n,u,e);break;case 31:le(n,u,e),e&&c&4&&r0(n,u);break;case 13:le(n,u,e),e&&c&4&&h0(n,u);break;case 22:u.memoizedState===null&&le(n,u,e),bn(u,u.return);break;case 30:break;default:le(n,u,e)}t=t.sibling}}function Hi(l,t){var e=null;l!==null&&l.memoizedState!==null&&l.memoizedState.cachePool!==null&&(e=l.memoizedState.cachePool.pool),l=null,t.memoizedState!==null&&t.memoizedState.cachePool!==null&&(l=t.memoizedState.cachePool.pool),l!==e&&(l!=null&&l.refCount++,e!=null&&an(e))}function Ri(l,t){l=null,t.alternate!==null&&(l=t.alternate.memoizedState.cache),t=t.memoizedState.cache,t!==l&&(t.refCount++,l!=null&&an(l))}function Ht(l,t,e,a){if(t.subtreeFlags&10256)for(t=t.child;t!==null;)y0(l,t,e,a),t=t.sibling}function y0(l,t,e,a){var n=t.flags;switch(t.tag){case 0:case 11:case 15:Ht(l,t,e,a),n&2048&&gn(9,t);break;case 1:Ht(l,t,e,a);break;case 3:Ht(l,t,e,a),n&2048&&(l=null,t.alternate!==null&&(l=t.alternate.memoizedState.cache),t=t.memoizedState.cache,t!==l&&(t.refCount++,l!=null&&an(l)));break;case 12:if(n&2048){Ht(l,t,e,a),l=t.stateNode;try{var u=t.memoizedProps,c=u.id,i=u.onPostCommit;typeof i=="function"&&i(c,t.alternate===null?"mount":"update",l.passiveEffectDuration,-0)}catch(s){ml(t,t.return,s)}}else Ht(l,t,e,a);break;case 31:Ht(l,t,e,a);break;case 13:Ht(l,t,e,a);break;case 23:break;case 22:u=t.stateNode,c=t.alternate,t.memoizedState!==null?u._visibility&2?Ht(l,t,e,a):Sn(l,t):u._visibility&2?Ht(l,t,e,a):(u._visibility|=2,Aa(l,t,e,a,(t.subtreeFlags&10256)!==0||!1)),n&2048&&Hi(c,t);break;case 24:Ht(l,t,e,a),n&2048&&Ri(t.alternate,t);break;default:Ht(l,t,e,a)}}function Aa(l,t,e,a,n){for(n=n&&((t.subtreeFlags&10256)!==0||!1),t=t.child;t!==null;){var u=l,c=t,i=e,s=a,g=c.flags;switch(c.tag){case 0:case 11:case 15:Aa(u,c,i,s,n),gn(8,c);break;case 23:break;case 22:var A=c.stateNode;c.memoizedState!==null?A._visibility&2?Aa(u,c,i,s,n):Sn(u,c):(A._visibility|=2,Aa(u,c,i,s,n)),n&&g&2048&&Hi(c.alternate,c);break;case 24:Aa(u,c,i,s,n),n&&g&2048&&Ri(c.alternate,c);break;default:Aa(u,c,i,s,n)}t=t.sibling}}function Sn(l,t){if(t.subtreeFlags&10256)for(t=t.child;t!==null;){var e=l,a=t,n=a.flags;switch(a.tag){case 22:Sn(e,a),n&2048&&Hi(a.alternate,a);break;case 24:Sn(e,a),n&2048&&Ri(a.alternate,a);break;default:Sn(e,a)}t=t.sibling}}var pn=8192;function Na(l,t,e){if(l.subtreeFlags&pn)for(l=l.child;l!==null;)g0(l,t,e),l=l.sibling}function g0(l,t,e){switch(l.tag){case 26:Na(l,t,e),l.flags&pn&&l.memoizedState!==null&&ih(e,Ut,l.memoizedState,l.memoizedProps);break;case 5:Na(l,t,e);break;case 3:case 4:var a=Ut;Ut=Qu(l.stateNode.containerInfo),Na(l,t,e),Ut=a;break;case 22:l.memoizedState===null&&(a=l.alternate,a!==null&&a.memoizedState!==null?(a=pn,pn=16777216,Na(l,t,e),pn=a):Na(l,t,e));break;default:Na(l,t,e)}}function b0(l){var t=l.alternate;if(t!==null&&(l=t.child,l!==null)){t.child=null;do t=l.sibling,l.sibling=null,l=t;while(l!==null)}}function Tn(l){var t=l.deletions;if((l.flags&16)!==0){if(t!==null)for(var e=0;e<t.length;e++){var a=t[e];Kl=a,p0(a,l)}b0(l)}if(l.subtreeFlags&10256)for(l=l.child;l!==null;)S0(l),l=l.sibling}function S0(l){switch(l.tag){case 0:case 11:case 15:Tn(l),l.flags&2048&&ye(9,l,l.return);break;case 3:Tn(l);break;case 12:Tn(l);break;case 22:var t=l.stateNode;l.memoizedState!==null&&t._visibility&2&&(l.return===null||l.return.tag!==13)?(t._visibility&=-3,xu(l)):Tn(l);break;default:Tn(l)}}function xu(l){var t=l.deletions;if((l.flags&16)!==0){if(t!==null)for(var e=0;e<t.length;e++){var a=t[e];Kl=a,p0(a,l)}b0(l)}for(l=l.child;l!==null;){switch(t=l,t.tag){case 0:case 11:case 15:ye(8,t,t.return),xu(t);break;case 22:e=t.stateNode,e._visibility&2&&(e._visibility&=-3,xu(t));break;default:xu(t)}l=l.sibling}}function p0(l,t){for(;Kl!==null;){var e=Kl;switch(e.tag){case 0:case 11:case 15:ye(8,e,t);break;case 23:case 22:if(e.memoizedState!==null&&e.memoizedState.cachePool!==null){var a=e.memoizedState.cachePool.pool;a!=null&&a.refCount++}break;case 24:an(e.memoizedState.cache)}if(a=e.child,a!==null)a.return=e,Kl=a;else l:for(e=l;Kl!==null;){a=Kl;var n=a.sibling,u=a.return;if(o0(a),a===e){Kl=null;break l}if(n!==null){n.return=u,Kl=n;break l}Kl=u}}}var Er={getCacheForType:function(l){var t=Il(Bl),e=t.data.get(l);return e===void 0&&(e=l(),t.data.set(l,e)),e},cacheSignal:function(){return Il(Bl).controller.signal}},zr=typeof WeakMap=="function"?WeakMap:Map,hl=0,Tl=null,tl=null,al=0,vl=0,bt=null,ge=!1,Oa=!1,Bi=!1,te=0,Cl=0,be=0,We=0,qi=0,St=0,Ma=0,En=null,ot=null,Yi=!1,Cu=0,T0=0,ju=1/0,Uu=null,Se=null,wl=0,pe=null,Da=null,ee=0,Li=0,Gi=null,E0=null,zn=0,Xi=null;function pt(){return(hl&2)!==0&&al!==0?al&-al:b.T!==null?Ji():qf()}function z0(){if(St===0)if((al&536870912)===0||il){var l=Xn;Xn<<=1,(Xn&3932160)===0&&(Xn=262144),St=l}else St=536870912;return l=yt.current,l!==null&&(l.flags|=32),St}function dt(l,t,e){(l===Tl&&(vl===2||vl===9)||l.cancelPendingCommit!==null)&&(_a(l,0),Te(l,al,St,!1)),Qa(l,e),((hl&2)===0||l!==Tl)&&(l===Tl&&((hl&2)===0&&(We|=e),Cl===4&&Te(l,al,St,!1)),Yt(l))}function A0(l,t,e){if((hl&6)!==0)throw Error(o(327));var a=!e&&(t&127)===0&&(t&l.expiredLanes)===0||wa(l,t),n=a?Or(l,t):Qi(l,t,!0),u=a;do{if(n===0){Oa&&!a&&Te(l,t,0,!1);break}else{if(e=l.current.alternate,u&&!Ar(e)){n=Qi(l,t,!1),u=!1;continue}if(n===2){if(u=t,l.errorRecoveryDisabledLanes&u)var c=0;else c=l.pendingLanes&-536870913,c=c!==0?c:c&536870912?536870912:0;if(c!==0){t=c;l:{var i=l;n=En;var s=i.current.memoizedState.isDehydrated;if(s&&(_a(i,c).flags|=256),c=Qi(i,c,!1),c!==2){if(Bi&&!s){i.errorRecoveryDisabledLanes|=u,We|=u,n=4;break l}u=ot,ot=n,u!==null&&(ot===null?ot=u:ot.push.apply(ot,u))}n=c}if(u=!1,n!==2)continue}}if(n===1){_a(l,0),Te(l,t,0,!0);break}l:{switch(a=l,u=n,u){case 0:case 1:throw Error(o(345));case 4:if((t&4194048)!==t)break;case 6:Te(a,t,St,!ge);break l;case 2:ot=null;break;case 3:case 5:break;default:throw Error(o(329))}if((t&62914560)===t&&(n=Cu+300-tt(),10<n)){if(Te(a,t,St,!ge),Qn(a,0,!0)!==0)break l;ee=t,a.timeoutHandle=t1(N0.bind(null,a,e,ot,Uu,Yi,t,St,We,Ma,ge,u,"Throttled",-0,0),n);break l}N0(a,e,ot,Uu,Yi,t,St,We,Ma,ge,u,null,-0,0)}}break}while(!0);Yt(l)}function N0(l,t,e,a,n,u,c,i,s,g,A,O,S,T){if(l.timeoutHandle=-1,O=t.subtreeFlags,O&8192||(O&16785408)===16785408){O={stylesheets:null,count:0,imgCount:0,imgBytes:0,suspenseyImages:[],waitingForImages:!0,waitingForViewTransition:!1,unsuspend:Xt},g0(t,u,O);var Y=(u&62914560)===u?Cu-tt():(u&4194048)===u?T0-tt():0;if(Y=fh(O,Y),Y!==null){ee=u,l.cancelPendingCommit=Y(U0.bind(null,l,t,u,e,a,n,c,i,s,A,O,null,S,T)),Te(l,u,c,!g);return}}U0(l,t,u,e,a,n,c,i,s)}function Ar(l){for(var t=l;;){var e=t.tag;if((e===0||e===11||e===15)&&t.flags&16384&&(e=t.updateQueue,e!==null&&(e=e.stores,e!==null)))for(var a=0;a<e.length;a++){var n=e[a],u=n.getSnapshot;n=n.value;try{if(!vt(u(),n))return!1}catch{return!1}}if(e=t.child,t.subtreeFlags&16384&&e!==null)e.return=t,t=e;else{if(t===l)break;for(;t.sibling===null;){if(t.return===null||t.return===l)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}function Te(l,t,e,a){t&=~qi,t&=~We,l.suspendedLanes|=t,l.pingedLanes&=~t,a&&(l.warmLanes|=t),a=l.expirationTimes;for(var n=t;0<n;){var u=31-ht(n),c=1<<u;a[u]=-1,n&=~c}e!==0&&Hf(l,e,t)}function Hu(){return(hl&6)===0?(An(0),!1):!0}function wi(){if(tl!==null){if(vl===0)var l=tl.return;else l=tl,Zt=Le=null,ni(l),Sa=null,un=0,l=tl;for(;l!==null;)e0(l.alternate,l),l=l.return;tl=null}}function _a(l,t){var e=l.timeoutHandle;e!==-1&&(l.timeoutHandle=-1,Vr(e)),e=l.cancelPendingCommit,e!==null&&(l.cancelPendingCommit=null,e()),ee=0,wi(),Tl=l,tl=e=Qt(l.current,null),al=t,vl=0,bt=null,ge=!1,Oa=wa(l,t),Bi=!1,Ma=St=qi=We=be=Cl=0,ot=En=null,Yi=!1,(t&8)!==0&&(t|=t&32);var a=l.entangledLanes;if(a!==0)for(l=l.entanglements,a&=t;0<a;){var n=31-ht(a),u=1<<n;t|=l[n],a&=~u}return te=t,tu(),e}function O0(l,t){F=null,b.H=vn,t===ba||t===su?(t=Xs(),vl=3):t===Kc?(t=Xs(),vl=4):vl=t===pi?8:t!==null&&typeof t=="object"&&typeof t.then=="function"?6:1,bt=t,tl===null&&(Cl=1,zu(l,Nt(t,l.current)))}function M0(){var l=yt.current;return l===null?!0:(al&4194048)===al?_t===null:(al&62914560)===al||(al&536870912)!==0?l===_t:!1}function D0(){var l=b.H;return b.H=vn,l===null?vn:l}function _0(){var l=b.A;return b.A=Er,l}function Ru(){Cl=4,ge||(al&4194048)!==al&&yt.current!==null||(Oa=!0),(be&134217727)===0&&(We&134217727)===0||Tl===null||Te(Tl,al,St,!1)}function Qi(l,t,e){var a=hl;hl|=2;var n=D0(),u=_0();(Tl!==l||al!==t)&&(Uu=null,_a(l,t)),t=!1;var c=Cl;l:do try{if(vl!==0&&tl!==null){var i=tl,s=bt;switch(vl){case 8:wi(),c=6;break l;case 3:case 2:case 9:case 6:yt.current===null&&(t=!0);var g=vl;if(vl=0,bt=null,xa(l,i,s,g),e&&Oa){c=0;break l}break;default:g=vl,vl=0,bt=null,xa(l,i,s,g)}}Nr(),c=Cl;break}catch(A){O0(l,A)}while(!0);return t&&l.shellSuspendCounter++,Zt=Le=null,hl=a,b.H=n,b.A=u,tl===null&&(Tl=null,al=0,tu()),c}function Nr(){for(;tl!==null;)x0(tl)}function Or(l,t){var e=hl;hl|=2;var a=D0(),n=_0();Tl!==l||al!==t?(Uu=null,ju=tt()+500,_a(l,t)):Oa=wa(l,t);l:do try{if(vl!==0&&tl!==null){t=tl;var u=bt;t:switch(vl){case 1:vl=0,bt=null,xa(l,t,u,1);break;case 2:case 9:if(Ls(u)){vl=0,bt=null,C0(t);break}t=function(){vl!==2&&vl!==9||Tl!==l||(vl=7),Yt(l)},u.then(t,t);break l;case 3:vl=7;break l;case 4:vl=5;break l;case 7:Ls(u)?(vl=0,bt=null,C0(t)):(vl=0,bt=null,xa(l,t,u,7));break;case 5:var c=null;switch(tl.tag){case 26:c=tl.memoizedState;case 5:case 27:var i=tl;if(c?y1(c):i.stateNode.complete){vl=0,bt=null;var s=i.sibling;if(s!==null)tl=s;else{var g=i.return;g!==null?(tl=g,Bu(g)):tl=null}break t}}vl=0,bt=null,xa(l,t,u,5);break;case 6:vl=0,bt=null,xa(l,t,u,6);break;case 8:wi(),Cl=6;break l;default:throw Error(o(462))}}Mr();break}catch(A){O0(l,A)}while(!0);return Zt=Le=null,b.H=a,b.A=n,hl=e,tl!==null?0:(Tl=null,al=0,tu(),Cl)}function Mr(){for(;tl!==null&&!nc();)x0(tl)}function x0(l){var t=l0(l.alternate,l,te);l.memoizedProps=l.pendingProps,t===null?Bu(l):tl=t}function C0(l){var t=l,e=t.alternate;switch(t.tag){case 15:case 0:t=Wo(e,t,t.pendingProps,t.type,void 0,al);break;case 11:t=Wo(e,t,t.pendingProps,t.type.render,t.ref,al);break;case 5:ni(t);default:e0(e,t),t=tl=Ds(t,te),t=l0(e,t,te)}l.memoizedProps=l.pendingProps,t===null?Bu(l):tl=t}function xa(l,t,e,a){Zt=Le=null,ni(t),Sa=null,un=0;var n=t.return;try{if(mr(l,n,t,e,al)){Cl=1,zu(l,Nt(e,l.current)),tl=null;return}}catch(u){if(n!==null)throw tl=n,u;Cl=1,zu(l,Nt(e,l.current)),tl=null;return}t.flags&32768?(il||a===1?l=!0:Oa||(al&536870912)!==0?l=!1:(ge=l=!0,(a===2||a===9||a===3||a===6)&&(a=yt.current,a!==null&&a.tag===13&&(a.flags|=16384))),j0(t,l)):Bu(t)}function Bu(l){var t=l;do{if((t.flags&32768)!==0){j0(t,ge);return}l=t.return;var e=br(t.alternate,t,te);if(e!==null){tl=e;return}if(t=t.sibling,t!==null){tl=t;return}tl=t=l}while(t!==null);Cl===0&&(Cl=5)}function j0(l,t){do{var e=Sr(l.alternate,l);if(e!==null){e.flags&=32767,tl=e;return}if(e=l.return,e!==null&&(e.flags|=32768,e.subtreeFlags=0,e.deletions=null),!t&&(l=l.sibling,l!==null)){tl=l;return}tl=l=e}while(l!==null);Cl=6,tl=null}function U0(l,t,e,a,n,u,c,i,s){l.cancelPendingCommit=null;do qu();while(wl!==0);if((hl&6)!==0)throw Error(o(327));if(t!==null){if(t===l.current)throw Error(o(177));if(u=t.lanes|t.childLanes,u|=Cc,cd(l,e,u,c,i,s),l===Tl&&(tl=Tl=null,al=0),Da=t,pe=l,ee=e,Li=u,Gi=n,E0=a,(t.subtreeFlags&10256)!==0||(t.flags&10256)!==0?(l.callbackNode=null,l.callbackPriority=0,Cr(Ln,function(){return Y0(),null})):(l.callbackNode=null,l.callbackPriority=0),a=(t.flags&13878)!==0,(t.subtreeFlags&13878)!==0||a){a=b.T,b.T=null,n=p.p,p.p=2,c=hl,hl|=4;try{pr(l,t,e)}finally{hl=c,p.p=n,b.T=a}}wl=1,H0(),R0(),B0()}}function H0(){if(wl===1){wl=0;var l=pe,t=Da,e=(t.flags&13878)!==0;if((t.subtreeFlags&13878)!==0||e){e=b.T,b.T=null;var a=p.p;p.p=2;var n=hl;hl|=4;try{v0(t,l);var u=tf,c=Ss(l.containerInfo),i=u.focusedElem,s=u.selectionRange;if(c!==i&&i&&i.ownerDocument&&bs(i.ownerDocument.documentElement,i)){if(s!==null&&Oc(i)){var g=s.start,A=s.end;if(A===void 0&&(A=g),"selectionStart"in i)i.selectionStart=g,i.selectionEnd=Math.min(A,i.value.length);else{var O=i.ownerDocument||document,S=O&&O.defaultView||window;if(S.getSelection){var T=S.getSelection(),Y=i.textContent.length,V=Math.min(s.start,Y),Sl=s.end===void 0?V:Math.min(s.end,Y);!T.extend&&V>Sl&&(c=Sl,Sl=V,V=c);var v=gs(i,V),r=gs(i,Sl);if(v&&r&&(T.rangeCount!==1||T.anchorNode!==v.node||T.anchorOffset!==v.offset||T.focusNode!==r.node||T.focusOffset!==r.offset)){var y=O.createRange();y.setStart(v.node,v.offset),T.removeAllRanges(),V>Sl?(T.addRange(y),T.extend(r.node,r.offset)):(y.setEnd(r.node,r.offset),T.addRange(y))}}}}for(O=[],T=i;T=T.parentNode;)T.nodeType===1&&O.push({element:T,left:T.scrollLeft,top:T.scrollTop});for(typeof i.focus=="function"&&i.focus(),i=0;i<O.length;i++){var N=O[i];N.element.scrollLeft=N.left,N.element.scrollTop=N.top}}$u=!!lf,tf=lf=null}finally{hl=n,p.p=a,b.T=e}}l.current=t,wl=2}}function R0(){if(wl===2){wl=0;var l=pe,t=Da,e=(t.flags&8772)!==0;if((t.subtreeFlags&8772)!==0||e){e=b.T,b.T=null;var a=p.p;p.p=2;var n=hl;hl|=4;try{s0(l,t.alternate,t)}finally{hl=n,p.p=a,b.T=e}}wl=3}}function B0(){if(wl===4||wl===3){wl=0,Yn();var l=pe,t=Da,e=ee,a=E0;(t.subtreeFlags&10256)!==0||(t.flags&10256)!==0?wl=5:(wl=0,Da=pe=null,q0(l,l.pendingLanes));var n=l.pendingLanes;if(n===0&&(Se=null),ic(e),t=t.stateNode,rt&&typeof rt.onCommitFiberRoot=="function")try{rt.onCommitFiberRoot(Xa,t,void 0,(t.current.flags&128)===128)}catch{}if(a!==null){t=b.T,n=p.p,p.p=2,b.T=null;try{for(var u=l.onRecoverableError,c=0;c<a.length;c++){var i=a[c];u(i.value,{componentStack:i.stack})}}finally{b.T=t,p.p=n}}(ee&3)!==0&&qu(),Yt(l),n=l.pendingLanes,(e&261930)!==0&&(n&42)!==0?l===Xi?zn++:(zn=0,Xi=l):zn=0,An(0)}}function q0(l,t){(l.pooledCacheLanes&=t)===0&&(t=l.pooledCache,t!=null&&(l.pooledCache=null,an(t)))}function qu(){return H0(),R0(),B0(),Y0()}function Y0(){if(wl!==5)return!1;var l=pe,t=Li;Li=0;var e=ic(ee),a=b.T,n=p.p;try{p.p=32>e?32:e,b.T=null,e=Gi,Gi=null;var u=pe,c=ee;if(wl=0,Da=pe=null,ee=0,(hl&6)!==0)throw Error(o(331));var i=hl;if(hl|=4,S0(u.current),y0(u,u.current,c,e),hl=i,An(0,!1),rt&&typeof rt.onPostCommitFiberRoot=="function")try{rt.onPostCommitFiberRoot(Xa,u)}catch{}return!0}finally{p.p=n,b.T=a,q0(l,t)}}function L0(l,t,e){t=Nt(e,t),t=Si(l.stateNode,t,2),l=he(l,t,2),l!==null&&(Qa(l,2),Yt(l))}function ml(l,t,e){if(l.tag===3)L0(l,l,e);else for(;t!==null;){if(t.tag===3){L0(t,l,e);break}else if(t.tag===1){var a=t.stateNode;if(typeof t.type.getDerivedStateFromError=="function"||typeof a.componentDidCatch=="function"&&(Se===null||!Se.has(a))){l=Nt(e,l),e=Go(2),a=he(t,e,2),a!==null&&(Xo(e,a,t,l),Qa(a,2),Yt(a));break}}t=t.return}}function Vi(l,t,e){var a=l.pingCache;if(a===null){a=l.pingCache=new zr;var n=new Set;a.set(t,n)}else n=a.get(t),n===void 0&&(n=new Set,a.set(t,n));n.has(e)||(Bi=!0,n.add(e),l=Dr.bind(null,l,t,e),t.then(l,l))}function Dr(l,t,e){var a=l.pingCache;a!==null&&a.delete(t),l.pingedLanes|=l.suspendedLanes&e,l.warmLanes&=~e,Tl===l&&(al&e)===e&&(Cl===4||Cl===3&&(al&62914560)===al&&300>tt()-Cu?(hl&2)===0&&_a(l,0):qi|=e,Ma===al&&(Ma=0)),Yt(l)}function G0(l,t){t===0&&(t=Uf()),l=Be(l,t),l!==null&&(Qa(l,t),Yt(l))}function _r(l){var t=l.memoizedState,e=0;t!==null&&(e=t.retryLane),G0(l,e)}function xr(l,t){var e=0;switch(l.tag){case 31:case 13:var a=l.stateNode,n=l.memoizedState;n!==null&&(e=n.retryLane);break;case 19:a=l.stateNode;break;case 22:a=l.stateNode._retryCache;break;default:throw Error(o(314))}a!==null&&a.delete(t),G0(l,e)}function Cr(l,t){return Z(l,t)}var Yu=null,Ca=null,Zi=!1,Lu=!1,Ki=!1,Ee=0;function Yt(l){l!==Ca&&l.next===null&&(Ca===null?Yu=Ca=l:Ca=Ca.next=l),Lu=!0,Zi||(Zi=!0,Ur())}function An(l,t){if(!Ki&&Lu){Ki=!0;do for(var e=!1,a=Yu;a!==null;){if(l!==0){var n=a.pendingLanes;if(n===0)var u=0;else{var c=a.suspendedLanes,i=a.pingedLanes;u=(1<<31-ht(42|l)+1)-1,u&=n&~(c&~i),u=u&201326741?u&201326741|1:u?u|2:0}u!==0&&(e=!0,V0(a,u))}else u=al,u=Qn(a,a===Tl?u:0,a.cancelPendingCommit!==null||a.timeoutHandle!==-1),(u&3)===0||wa(a,u)||(e=!0,V0(a,u));a=a.next}while(e);Ki=!1}}function jr(){X0()}function X0(){Lu=Zi=!1;var l=0;Ee!==0&&Qr()&&(l=Ee);for(var t=tt(),e=null,a=Yu;a!==null;){var n=a.next,u=w0(a,t);u===0?(a.next=null,e===null?Yu=n:e.next=n,n===null&&(Ca=e)):(e=a,(l!==0||(u&3)!==0)&&(Lu=!0)),a=n}wl!==0&&wl!==5||An(l),Ee!==0&&(Ee=0)}function w0(l,t){for(var e=l.suspendedLanes,a=l.pingedLanes,n=l.expirationTimes,u=l.pendingLanes&-62914561;0<u;){var c=31-ht(u),i=1<<c,s=n[c];s===-1?((i&e)===0||(i&a)!==0)&&(n[c]=ud(i,t)):s<=t&&(l.expiredLanes|=i),u&=~i}if(t=Tl,e=al,e=Qn(l,l===t?e:0,l.cancelPendingCommit!==null||l.timeoutHandle!==-1),a=l.callbackNode,e===0||l===t&&(vl===2||vl===9)||l.cancelPendingCommit!==null)return a!==null&&a!==null&&cl(a),l.callbackNode=null,l.callbackPriority=0;if((e&3)===0||wa(l,e)){if(t=e&-e,t===l.callbackPriority)return t;switch(a!==null&&cl(a),ic(e)){case 2:case 8:e=Cf;break;case 32:e=Ln;break;case 268435456:e=jf;break;default:e=Ln}return a=Q0.bind(null,l),e=Z(e,a),l.callbackPriority=t,l.callbackNode=e,t}return a!==null&&a!==null&&cl(a),l.callbackPriority=2,l.callbackNode=null,2}function Q0(l,t){if(wl!==0&&wl!==5)return l.callbackNode=null,l.callbackPriority=0,null;var e=l.callbackNode;if(qu()&&l.callbackNode!==e)return null;var a=al;return a=Qn(l,l===Tl?a:0,l.cancelPendingCommit!==null||l.timeoutHandle!==-1),a===0?null:(A0(l,a,t),w0(l,tt()),l.callbackNode!=null&&l.callbackNode===e?Q0.bind(null,l):null)}function V0(l,t){if(qu())return null;A0(l,t,!0)}function Ur(){Zr(function(){(hl&6)!==0?Z(xf,jr):X0()})}function Ji(){if(Ee===0){var l=ya;l===0&&(l=Gn,Gn<<=1,(Gn&261888)===0&&(Gn=256)),Ee=l}return Ee}function Z0(l){return l==null||typeof l=="symbol"||typeof l=="boolean"?null:typeof l=="function"?l:Jn(""+l)}function K0(l,t){var e=t.ownerDocument.createElement("input");return e.name=t.name,e.value=t.value,l.id&&e.setAttribute("form",l.id),t.parentNode.insertBefore(e,t),l=new FormData(l),e.parentNode.removeChild(e),l}function Hr(l,t,e,a,n){if(t==="submit"&&e&&e.stateNode===n){var u=Z0((n[ut]||null).action),c=a.submitter;c&&(t=(t=c[ut]||null)?Z0(t.formAction):c.getAttribute("formAction"),t!==null&&(u=t,c=null));var i=new Fn("action","action",null,a,n);l.push({event:i,listeners:[{instance:null,listener:function(){if(a.defaultPrevented){if(Ee!==0){var s=c?K0(n,c):new FormData(n);hi(e,{pending:!0,data:s,method:n.method,action:u},null,s)}}else typeof u=="function"&&(i.preventDefault(),s=c?K0(n,c):new FormData(n),hi(e,{pending:!0,data:s,method:n.method,action:u},u,s))},currentTarget:n}]})}}for(var Wi=0;Wi<xc.length;Wi++){var $i=xc[Wi],Rr=$i.toLowerCase(),Br=$i[0].toUpperCase()+$i.slice(1);jt(Rr,"on"+Br)}jt(Es,"onAnimationEnd"),jt(zs,"onAnimationIteration"),jt(As,"onAnimationStart"),jt("dblclick","onDoubleClick"),jt("focusin","onFocus"),jt("focusout","onBlur"),jt(Id,"onTransitionRun"),jt(Pd,"onTransitionStart"),jt(lr,"onTransitionCancel"),jt(Ns,"onTransitionEnd"),ea("onMouseEnter",["mouseout","mouseover"]),ea("onMouseLeave",["mouseout","mouseover"]),ea("onPointerEnter",["pointerout","pointerover"]),ea("onPointerLeave",["pointerout","pointerover"]),je("onChange","change click focusin focusout input keydown keyup selectionchange".split(" ")),je("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" ")),je("onBeforeInput",["compositionend","keypress","textInput","paste"]),je("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" ")),je("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" ")),je("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var Nn="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),qr=new Set("beforetoggle cancel close invalid load scroll scrollend toggle".split(" ").concat(Nn));function J0(l,t){t=(t&4)!==0;for(var e=0;e<l.length;e++){var a=l[e],n=a.event;a=a.listeners;l:{var u=void 0;if(t)for(var c=a.length-1;0<=c;c--){var i=a[c],s=i.instance,g=i.currentTarget;if(i=i.listener,s!==u&&n.isPropagationStopped())break l;u=i,n.currentTarget=g;try{u(n)}catch(A){lu(A)}n.currentTarget=null,u=s}else for(c=0;c<a.length;c++){if(i=a[c],s=i.instance,g=i.currentTarget,i=i.listener,s!==u&&n.isPropagationStopped())break l;u=i,n.currentTarget=g;try{u(n)}catch(A){lu(A)}n.currentTarget=null,u=s}}}}function el(l,t){var e=t[fc];e===void 0&&(e=t[fc]=new Set);var a=l+"__bubble";e.has(a)||(W0(t,l,2,!1),e.add(a))}function ki(l,t,e){var a=0;t&&(a|=4),W0(e,l,a,t)}var Gu="_reactListening"+Math.random().toString(36).slice(2);function Fi(l){if(!l[Gu]){l[Gu]=!0,Gf.forEach(function(e){e!=="selectionchange"&&(qr.has(e)||ki(e,!1,l),ki(e,!0,l))});var t=l.nodeType===9?l:l.ownerDocument;t===null||t[Gu]||(t[Gu]=!0,ki("selectionchange",!1,t))}}function W0(l,t,e,a){switch(z1(t)){case 2:var n=dh;break;case 8:n=rh;break;default:n=hf}e=n.bind(null,t,e,l),n=void 0,!gc||t!=="touchstart"&&t!=="touchmove"&&t!=="wheel"||(n=!0),a?n!==void 0?l.addEventListener(t,e,{capture:!0,passive:n}):l.addEventListener(t,e,!0):n!==void 0?l.addEventListener(t,e,{passive:n}):l.addEventListener(t,e,!1)}function Ii(l,t,e,a,n){var u=a;if((t&1)===0&&(t&2)===0&&a!==null)l:for(;;){if(a===null)return;var c=a.tag;if(c===3||c===4){var i=a.stateNode.containerInfo;if(i===n)break;if(c===4)for(c=a.return;c!==null;){var s=c.tag;if((s===3||s===4)&&c.stateNode.containerInfo===n)return;c=c.return}for(;i!==null;){if(c=Pe(i),c===null)return;if(s=c.tag,s===5||s===6||s===26||s===27){a=u=c;continue l}i=i.parentNode}}a=a.return}If(function(){var g=u,A=mc(e),O=[];l:{var S=Os.get(l);if(S!==void 0){var T=Fn,Y=l;switch(l){case"keypress":if($n(e)===0)break l;case"keydown":case"keyup":T=xd;break;case"focusin":Y="focus",T=Tc;break;case"focusout":Y="blur",T=Tc;break;case"beforeblur":case"afterblur":T=Tc;break;case"click":if(e.button===2)break l;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":T=ts;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":T=bd;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":T=Ud;break;case Es:case zs:case As:T=Td;break;case Ns:T=Rd;break;case"scroll":case"scrollend":T=yd;break;case"wheel":T=qd;break;case"copy":case"cut":case"paste":T=zd;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":T=as;break;case"toggle":case"beforetoggle":T=Ld}var V=(t&4)!==0,Sl=!V&&(l==="scroll"||l==="scrollend"),v=V?S!==null?S+"Capture":null:S;V=[];for(var r=g,y;r!==null;){var N=r;if(y=N.stateNode,N=N.tag,N!==5&&N!==26&&N!==27||y===null||v===null||(N=Ka(r,v),N!=null&&V.push(On(r,N,y))),Sl)break;r=r.return}0<V.length&&(S=new T(S,Y,null,e,A),O.push({event:S,listeners:V}))}}if((t&7)===0){l:{if(S=l==="mouseover"||l==="pointerover",T=l==="mouseout"||l==="pointerout",S&&e!==vc&&(Y=e.relatedTarget||e.fromElement)&&(Pe(Y)||Y[Ie]))break l;if((T||S)&&(S=A.window===A?A:(S=A.ownerDocument)?S.defaultView||S.parentWindow:window,T?(Y=e.relatedTarget||e.toElement,T=g,Y=Y?Pe(Y):null,Y!==null&&(Sl=x(Y),V=Y.tag,Y!==Sl||V!==5&&V!==27&&V!==6)&&(Y=null)):(T=null,Y=g),T!==Y)){if(V=ts,N="onMouseLeave",v="onMouseEnter",r="mouse",(l==="pointerout"||l==="pointerover")&&(V=as,N="onPointerLeave",v="onPointerEnter",r="pointer"),Sl=T==null?S:Za(T),y=Y==null?S:Za(Y),S=new V(N,r+"leave",T,e,A),S.target=Sl,S.relatedTarget=y,N=null,Pe(A)===g&&(V=new V(v,r+"enter",Y,e,A),V.target=y,V.relatedTarget=Sl,N=V),Sl=N,T&&Y)t:{for(V=Yr,v=T,r=Y,y=0,N=v;N;N=V(N))y++;N=0;for(var w=r;w;w=V(w))N++;for(;0<y-N;)v=V(v),y--;for(;0<N-y;)r=V(r),N--;for(;y--;){if(v===r||r!==null&&v===r.alternate){V=v;break t}v=V(v),r=V(r)}V=null}else V=null;T!==null&&$0(O,S,T,V,!1),Y!==null&&Sl!==null&&$0(O,Sl,Y,V,!0)}}l:{if(S=g?Za(g):window,T=S.nodeName&&S.nodeName.toLowerCase(),T==="select"||T==="input"&&S.type==="file")var ol=ds;else if(ss(S))if(rs)ol=$d;else{ol=Jd;var G=Kd}else T=S.nodeName,!T||T.toLowerCase()!=="input"||S.type!=="checkbox"&&S.type!=="radio"?g&&hc(g.elementType)&&(ol=ds):ol=Wd;if(ol&&(ol=ol(l,g))){os(O,ol,e,A);break l}G&&G(l,S,g),l==="focusout"&&g&&S.type==="number"&&g.memoizedProps.value!=null&&rc(S,"number",S.value)}switch(G=g?Za(g):window,l){case"focusin":(ss(G)||G.contentEditable==="true")&&(fa=G,Mc=g,ln=null);break;case"focusout":ln=Mc=fa=null;break;case"mousedown":Dc=!0;break;case"contextmenu":case"mouseup":case"dragend":Dc=!1,ps(O,e,A);break;case"selectionchange":if(Fd)break;case"keydown":case"keyup":ps(O,e,A)}var I;if(zc)l:{switch(l){case"compositionstart":var nl="onCompositionStart";break l;case"compositionend":nl="onCompositionEnd";break l;case"compositionupdate":nl="onCompositionUpdate";break l}nl=void 0}else ia?is(l,e)&&(nl="onCompositionEnd"):l==="keydown"&&e.keyCode===229&&(nl="onCompositionStart");nl&&(ns&&e.locale!=="ko"&&(ia||nl!=="onCompositionStart"?nl==="onCompositionEnd"&&ia&&(I=Pf()):(ce=A,bc="value"in ce?ce.value:ce.textContent,ia=!0)),G=Xu(g,nl),0<G.length&&(nl=new es(nl,l,null,e,A),O.push({event:nl,listeners:G}),I?nl.data=I:(I=fs(e),I!==null&&(nl.data=I)))),(I=Xd?wd(l,e):Qd(l,e))&&(nl=Xu(g,"onBeforeInput"),0<nl.length&&(G=new es("onBeforeInput","beforeinput",null,e,A),O.push({event:G,listeners:nl}),G.data=I)),Hr(O,l,g,e,A)}J0(O,t)})}function On(l,t,e){return{instance:l,listener:t,currentTarget:e}}function Xu(l,t){for(var e=t+"Capture",a=[];l!==null;){var n=l,u=n.stateNode;if(n=n.tag,n!==5&&n!==26&&n!==27||u===null||(n=Ka(l,e),n!=null&&a.unshift(On(l,n,u)),n=Ka(l,t),n!=null&&a.push(On(l,n,u))),l.tag===3)return a;l=l.return}return[]}function Yr(l){if(l===null)return null;do l=l.return;while(l&&l.tag!==5&&l.tag!==27);return l||null}function $0(l,t,e,a,n){for(var u=t._reactName,c=[];e!==null&&e!==a;){var i=e,s=i.alternate,g=i.stateNode;if(i=i.tag,s!==null&&s===a)break;i!==5&&i!==26&&i!==27||g===null||(s=g,n?(g=Ka(e,u),g!=null&&c.unshift(On(e,g,s))):n||(g=Ka(e,u),g!=null&&c.push(On(e,g,s)))),e=e.return}c.length!==0&&l.push({event:t,listeners:c})}var Lr=/\r\n?/g,Gr=/\u0000|\uFFFD/g;function k0(l){return(typeof l=="string"?l:""+l).replace(Lr,`
-`).replace(Gr,"")}function F0(l,t){return t=k0(t),k0(l)===t}function bl(l,t,e,a,n,u){switch(e){case"children":typeof a=="string"?t==="body"||t==="textarea"&&a===""||na(l,a):(typeof a=="number"||typeof a=="bigint")&&t!=="body"&&na(l,""+a);break;case"className":Zn(l,"class",a);break;case"tabIndex":Zn(l,"tabindex",a);break;case"dir":case"role":case"viewBox":case"width":case"height":Zn(l,e,a);break;case"style":kf(l,a,u);break;case"data":if(t!=="object"){Zn(l,"data",a);break}case"src":case"href":if(a===""&&(t!=="a"||e!=="href")){l.removeAttribute(e);break}if(a==null||typeof a=="function"||typeof a=="symbol"||typeof a=="boolean"){l.removeAttribute(e);break}a=Jn(""+a),l.setAttribute(e,a);break;case"action":case"formAction":if(typeof a=="function"){l.setAttribute(e,"javascript:throw new Error('A React form was unexpectedly submitted. If you called form.submit() manually, consider using form.requestSubmit() instead. If you\\'re trying to use event.stopPropagation() in a submit event handler, consider also calling event.preventDefault().')");break}else typeof u=="function"&&(e==="formAction"?(t!=="input"&&bl(l,t,"name",n.name,n,null),bl(l,t,"formEncType",n.formEncType,n,null),bl(l,t,"formMethod",n.formMethod,n,null),bl(l,t,"formTarget",n.formTarget,n,null)):(bl(l,t,"encType",n.encType,n,null),bl(l,t,"method",n.method,n,null),bl(l,t,"target",n.target,n,null)));if(a==null||typeof a=="symbol"||typeof a=="boolean"){l.removeAttribute(e);break}a=Jn(""+a),l.setAttribute(e,a);break;case"onClick":a!=null&&(l.onclick=Xt);break;case"onScroll":a!=null&&el("scroll",l);break;case"onScrollEnd":a!=null&&el("scrollend",l);break;case"dangerouslySetInnerHTML":if(a!=null){if(typeof a!="object"||!("__html"in a))throw Error(o(61));if(e=a.__html,e!=null){if(n.children!=null)throw Error(o(60));l.innerHTML=e}}break;case"multiple":l.multiple=a&&typeof a!="function"&&typeof a!="symbol";break;case"muted":l.muted=a&&typeof a!="function"&&typeof a!="symbol";break;case"suppressContentEditableWarning":case"suppressHydrationWarning":case"defaultValue":case"defaultChecked":case"innerHTML":case"ref":break;case"autoFocus":break;case"xlinkHref":if(a==null||typeof a=="function"||typeof a=="boolean"||typeof a=="symbol"){l.removeAttribute("xlink:href");break}e=Jn(""+a),l.setAttributeNS("http://www.w3.org/1999/xlink","xlink:href",e);break;case"contentEditable":case"spellCheck":case"draggable":case"value":case"autoReverse":case"externalResourcesRequired":case"focusable":case"preserveAlpha":a!=null&&typeof a!="function"&&typeof a!="symbol"?l.setAttribute(e,""+a):l.removeAttribute(e);break;case"inert":case"allowFullScreen":case"async":case"autoPlay":case"controls":case"default":case"defer":case"disabled":case"disablePictureInPicture":case"disableRemotePlayback":case"formNoValidate":case"hidden":case"loop":case"noModule":case"noValidate":case"open":case"playsInline":case"readOnly":case"required":case"reversed":case"scoped":case"seamless":case"itemScope":a&&typeof a!="function"&&typeof a!="symbol"?l.setAttribute(e,""):l.removeAttribute(e);break;case"capture":case"download":a===!0?l.setAttribute(e,""):a!==!1&&a!=null&&typeof a!="function"&&typeof a!="symbol"?l.setAttribute(e,a):l.removeAttribute(e);break;case"cols":case"rows":case"size":case"span":a!=null&&typeof a!="function"&&typeof a!="symbol"&&!isNaN(a)&&1<=a?l.setAttribute(e,a):l.removeAttribute(e);break;case"rowSpan":case"start":a==null||typeof a=="function"||typeof a=="symbol"||isNaN(a)?l.removeAttribute(e):l.setAttribute(e,a);break;case"popover":el("beforetoggle",l),el("toggle",l),Vn(l,"popover",a);break;case"xlinkActuate":Gt(l,"http://www.w3.org/1999/xlink","xlink:actuate",a);break;case"xlinkArcrole":Gt(l,"http://www.w3.org/1999/xlink","xlink:arcrole",a);break;case"xlinkRole":Gt(l,"http://www.w3.org/1999/xlink","xlink:role",a);break;case"xlinkShow":Gt(l,"http://www.w3.org/1999/xlink","xlink:show",a);break;case"xlinkTitle":Gt(l,"http://www.w3.org/1999/xlink","xlink:title",a);break;case"xlinkType":Gt(l,"http://www.w3.org/1999/xlink","xlink:type",a);break;case"xmlBase":Gt(l,"http://www.w3.org/XML/1998/namespace","xml:base",a);break;case"xmlLang":Gt(l,"http://www.w3.org/XML/1998/namespace","xml:lang",a);break;case"xmlSpace":Gt(l,"http://www.w3.org/XML/1998/namespace","xml:space",a);break;case"is":Vn(l,"is",a);break;case"innerText":case"textContent":break;default:(!(2<e.length)||e[0]!=="o"&&e[0]!=="O"||e[1]!=="n"&&e[1]!=="N")&&(e=vd.get(e)||e,Vn(l,e,a))}}function Pi(l,t,e,a,n,u){switch(e){case"style":kf(l,a,u);break;case"dangerouslySetInnerHTML":if(a!=null){if(typeof a!="object"||!("__html"in a))throw Error(o(61));if(e=a.__html,e!=null){if(n.children!=null)throw Error(o(60));l.innerHTML=e}}break;case"children":typeof a=="string"?na(l,a):(typeof a=="number"||typeof a=="bigint")&&na(l,""+a);break;case"onScroll":a!=null&&el("scroll",l);break;case"onScrollEnd":a!=null&&el("scrollend",l);break;case"onClick":a!=null&&(l.onclick=Xt);break;case"suppressContentEditableWarning":case"suppressHydrationWarning":case"innerHTML":case"ref":break;case"innerText":case"textContent":break;default:if(!Xf.hasOwnProperty(e))l:{if(e[0]==="o"&&e[1]==="n"&&(n=e.endsWith("Capture"),t=e.slice(2,n?e.length-7:void 0),u=l[ut]||null,u=u!=null?u[e]:null,typeof u=="function"&&l.removeEventListener(t,u,n),typeof a=="function")){typeof u!="function"&&u!==null&&(e in l?l[e]=null:l.hasAttribute(e)&&l.removeAttribute(e)),l.addEventListener(t,a,n);break l}e in l?l[e]=a:a===!0?l.setAttribute(e,""):Vn(l,e,a)}}}function lt(l,t,e){switch(t){case"div":case"span":case"svg":case"path":case"a":case"g":case"p":case"li":break;case"img":el("error",l),el("load",l);var a=!1,n=!1,u;for(u in e)if(e.hasOwnProperty(u)){var c=e[u];if(c!=null)switch(u){case"src":a=!0;break;case"srcSet":n=!0;break;case"children":case"dangerouslySetInnerHTML":throw Error(o(137,t));default:bl(l,t,u,c,e,null)}}n&&bl(l,t,"srcSet",e.srcSet,e,null),a&&bl(l,t,"src",e.src,e,null);return;case"input":el("invalid",l);var i=u=c=n=null,s=null,g=null;for(a in e)if(e.hasOwnProperty(a)){var A=e[a];if(A!=null)switch(a){case"name":n=A;break;case"type":c=A;break;case"checked":s=A;break;case"defaultChecked":g=A;break;case"value":u=A;break;case"defaultValue":i=A;break;case"children":case"dangerouslySetInnerHTML":if(A!=null)throw Error(o(137,t));break;default:bl(l,t,a,A,e,null)}}Kf(l,u,i,s,g,c,n,!1);return;case"select":el("invalid",l),a=c=u=null;for(n in e)if(e.hasOwnProperty(n)&&(i=e[n],i!=null))switch(n){case"value":u=i;break;case"defaultValue":c=i;break;case"multiple":a=i;default:bl(l,t,n,i,e,null)}t=u,e=c,l.multiple=!!a,t!=null?aa(l,!!a,t,!1):e!=null&&aa(l,!!a,e,!0);return;case"textarea":el("invalid",l),u=n=a=null;for(c in e)if(e.hasOwnProperty(c)&&(i=e[c],i!=null))switch(c){case"value":a=i;break;case"defaultValue":n=i;break;case"children":u=i;break;case"dangerouslySetInnerHTML":if(i!=null)throw Error(o(91));break;default:bl(l,t,c,i,e,null)}Wf(l,a,n,u);return;case"option":for(s in e)e.hasOwnProperty(s)&&(a=e[s],a!=null)&&(s==="selected"?l.selected=a&&typeof a!="function"&&typeof a!="symbol":bl(l,t,s,a,e,null));return;case"dialog":el("beforetoggle",l),el("toggle",l),el("cancel",l),el("close",l);break;case"iframe":case"object":el("load",l);break;case"video":case"audio":for(a=0;a<Nn.length;a++)el(Nn[a],l);break;case"image":el("error",l),el("load",l);break;case"details":el("toggle",l);break;case"embed":case"source":case"link":el("error",l),el("load",l);case"area":case"base":case"br":case"col":case"hr":case"keygen":case"meta":case"param":case"track":case"wbr":case"menuitem":for(g in e)if(e.hasOwnProperty(g)&&(a=e[g],a!=null))switch(g){case"children":case"dangerouslySetInnerHTML":throw Error(o(137,t));default:bl(l,t,g,a,e,null)}return;default:if(hc(t)){for(A in e)e.hasOwnProperty(A)&&(a=e[A],a!==void 0&&Pi(l,t,A,a,e,void 0));return}}for(i in e)e.hasOwnProperty(i)&&(a=e[i],a!=null&&bl(l,t,i,a,e,null))}function Xr(l,t,e,a){switch(t){case"div":case"span":case"svg":case"path":case"a":case"g":case"p":case"li":break;case"input":var n=null,u=null,c=null,i=null,s=null,g=null,A=null;for(T in e){var O=e[T];if(e.hasOwnProperty(T)&&O!=null)switch(T){case"checked":break;case"value":break;case"defaultValue":s=O;default:a.hasOwnProperty(T)||bl(l,t,T,null,a,O)}}for(var S in a){var T=a[S];if(O=e[S],a.hasOwnProperty(S)&&(T!=null||O!=null))switch(S){case"type":u=T;break;case"name":n=T;break;case"checked":g=T;break;case"defaultChecked":A=T;break;case"value":c=T;break;case"defaultValue":i=T;break;case"children":case"dangerouslySetInnerHTML":if(T!=null)throw Error(o(137,t));break;default:T!==O&&bl(l,t,S,T,a,O)}}dc(l,c,i,s,g,A,u,n);return;case"select":T=c=i=S=null;for(u in e)if(s=e[u],e.hasOwnProperty(u)&&s!=null)switch(u){case"value":break;case"multiple":T=s;default:a.hasOwnProperty(u)||bl(l,t,u,null,a,s)}for(n in a)if(u=a[n],s=e[n],a.hasOwnProperty(n)&&(u!=null||s!=null))switch(n){case"value":S=u;break;case"defaultValue":i=u;break;case"multiple":c=u;default:u!==s&&bl(l,t,n,u,a,s)}t=i,e=c,a=T,S!=null?aa(l,!!e,S,!1):!!a!=!!e&&(t!=null?aa(l,!!e,t,!0):aa(l,!!e,e?[]:"",!1));return;case"textarea":T=S=null;for(i in e)if(n=e[i],e.hasOwnProperty(i)&&n!=null&&!a.hasOwnProperty(i))switch(i){case"value":break;case"children":break;default:bl(l,t,i,null,a,n)}for(c in a)if(n=a[c],u=e[c],a.hasOwnProperty(c)&&(n!=null||u!=null))switch(c){case"value":S=n;break;case"defaultValue":T=n;break;case"children":break;case"dangerouslySetInnerHTML":if(n!=null)throw Error(o(91));break;default:n!==u&&bl(l,t,c,n,a,u)}Jf(l,S,T);return;case"option":for(var Y in e)S=e[Y],e.hasOwnProperty(Y)&&S!=null&&!a.hasOwnProperty(Y)&&(Y==="selected"?l.selected=!1:bl(l,t,Y,null,a,S));for(s in a)S=a[s],T=e[s],a.hasOwnProperty(s)&&S!==T&&(S!=null||T!=null)&&(s==="selected"?l.selected=S&&typeof S!="function"&&typeof S!="symbol":bl(l,t,s,S,a,T));return;case"img":case"link":case"area":case"base":case"br":case"col":case"embed":case"hr":case"keygen":case"meta":case"param":case"source":case"track":case"wbr":case"menuitem":for(var V in e)S=e[V],e.hasOwnProperty(V)&&S!=null&&!a.hasOwnProperty(V)&&bl(l,t,V,null,a,S);for(g in a)if(S=a[g],T=e[g],a.hasOwnProperty(g)&&S!==T&&(S!=null||T!=null))switch(g){case"children":case"dangerouslySetInnerHTML":if(S!=null)throw Error(o(137,t));break;default:bl(l,t,g,S,a,T)}return;default:if(hc(t)){for(var Sl in e)S=e[Sl],e.hasOwnProperty(Sl)&&S!==void 0&&!a.hasOwnProperty(Sl)&&Pi(l,t,Sl,void 0,a,S);for(A in a)S=a[A],T=e[A],!a.hasOwnProperty(A)||S===T||S===void 0&&T===void 0||Pi(l,t,A,S,a,T);return}}for(var v in e)S=e[v],e.hasOwnProperty(v)&&S!=null&&!a.hasOwnProperty(v)&&bl(l,t,v,null,a,S);for(O in a)S=a[O],T=e[O],!a.hasOwnProperty(O)||S===T||S==null&&T==null||bl(l,t,O,S,a,T)}function I0(l){switch(l){case"css":case"script":case"font":case"img":case"image":case"input":case"link":return!0;default:return!1}}function wr(){if(typeof performance.getEntriesByType=="function"){for(var l=0,t=0,e=performance.getEntriesByType("resource"),a=0;a<e.length;a++){var n=e[a],u=n.transferSize,c=n.initiatorType,i=n.duration;if(u&&i&&I0(c)){for(c=0,i=n.responseEnd,a+=1;a<e.length;a++){var s=e[a],g=s.startTime;if(g>i)break;var A=s.transferSize,O=s.initiatorType;A&&I0(O)&&(s=s.responseEnd,c+=A*(s<i?1:(i-g)/(s-g)))}if(--a,t+=8*(u+c)/(n.duration/1e3),l++,10<l)break}}if(0<l)return t/l/1e6}return navigator.connection&&(l=navigator.connection.downlink,typeof l=="number")?l:5}var lf=null,tf=null;function wu(l){return l.nodeType===9?l:l.ownerDocument}function P0(l){switch(l){case"http://www.w3.org/2000/svg":return 1;case"http://www.w3.org/1998/Math/MathML":return 2;default:return 0}}function l1(l,t){if(l===0)switch(t){case"svg":return 1;case"math":return 2;default:return 0}return l===1&&t==="foreignObject"?0:l}function ef(l,t){return l==="textarea"||l==="noscript"||typeof t.children=="string"||typeof t.children=="number"||typeof t.children=="bigint"||typeof t.dangerouslySetInnerHTML=="object"&&t.dangerouslySetInnerHTML!==null&&t.dangerouslySetInnerHTML.__html!=null}var af=null;function Qr(){var l=window.event;return l&&l.type==="popstate"?l===af?!1:(af=l,!0):(af=null,!1)}var t1=typeof setTimeout=="function"?setTimeout:void 0,Vr=typeof clearTimeout=="function"?clearTimeout:void 0,e1=typeof Promise=="function"?Promise:void 0,Zr=typeof queueMicrotask=="function"?queueMicrotask:typeof e1<"u"?function(l){return e1.resolve(null).then(l).catch(Kr)}:t1;function Kr(l){setTimeout(function(){throw l})}function ze(l){return l==="head"}function a1(l,t){var e=t,a=0;do{var n=e.nextSibling;if(l.removeChild(e),n&&n.nodeType===8)if(e=n.data,e==="/$"||e==="/&"){if(a===0){l.removeChild(n),Ra(t);return}a--}else if(e==="$"||e==="$?"||e==="$~"||e==="$!"||e==="&")a++;else if(e==="html")Mn(l.ownerDocument.documentElement);else if(e==="head"){e=l.ownerDocument.head,Mn(e);for(var u=e.firstChild;u;){var c=u.nextSibling,i=u.nodeName;u[Va]||i==="SCRIPT"||i==="STYLE"||i==="LINK"&&u.rel.toLowerCase()==="stylesheet"||e.removeChild(u),u=c}}else e==="body"&&Mn(l.ownerDocument.body);e=n}while(e);Ra(t)}function n1(l,t){var e=l;l=0;do{var a=e.nextSibling;if(e.nodeType===1?t?(e._stashedDisplay=e.style.display,e.style.display="none"):(e.style.display=e._stashedDisplay||"",e.getAttribute("style")===""&&e.removeAttribute("style")):e.nodeType===3&&(t?(e._stashedText=e.nodeValue,e.nodeValue=""):e.nodeValue=e._stashedText||""),a&&a.nodeType===8)if(e=a.data,e==="/$"){if(l===0)break;l--}else e!=="$"&&e!=="$?"&&e!=="$~"&&e!=="$!"||l++;e=a}while(e)}function nf(l){var t=l.firstChild;for(t&&t.nodeType===10&&(t=t.nextSibling);t;){var e=t;switch(t=t.nextSibling,e.nodeName){case"HTML":case"HEAD":case"BODY":nf(e),sc(e);continue;case"SCRIPT":case"STYLE":continue;case"LINK":if(e.rel.toLowerCase()==="stylesheet")continue}l.removeChild(e)}}function Jr(l,t,e,a){for(;l.nodeType===1;){var n=e;if(l.nodeName.toLowerCase()!==t.toLowerCase()){if(!a&&(l.nodeName!=="INPUT"||l.type!=="hidden"))break}else if(a){if(!l[Va])switch(t){case"meta":if(!l.hasAttribute("itemprop"))break;return l;case"link":if(u=l.getAttribute("rel"),u==="stylesheet"&&l.hasAttribute("data-precedence"))break;if(u!==n.rel||l.getAttribute("href")!==(n.href==null||n.href===""?null:n.href)||l.getAttribute("crossorigin")!==(n.crossOrigin==null?null:n.crossOrigin)||l.getAttribute("title")!==(n.title==null?null:n.title))break;return l;case"style":if(l.hasAttribute("data-precedence"))break;return l;case"script":if(u=l.getAttribute("src"),(u!==(n.src==null?null:n.src)||l.getAttribute("type")!==(n.type==null?null:n.type)||l.getAttribute("crossorigin")!==(n.crossOrigin==null?null:n.crossOrigin))&&u&&l.hasAttribute("async")&&!l.hasAttribute("itemprop"))break;return l;default:return l}}else if(t==="input"&&l.type==="hidden"){var u=n.name==null?null:""+n.name;if(n.type==="hidden"&&l.getAttribute("name")===u)return l}else return l;if(l=xt(l.nextSibling),l===null)break}return null}function Wr(l,t,e){if(t==="")return null;for(;l.nodeType!==3;)if((l.nodeType!==1||l.nodeName!=="INPUT"||l.type!=="hidden")&&!e||(l=xt(l.nextSibling),l===null))return null;return l}function u1(l,t){for(;l.nodeType!==8;)if((l.nodeType!==1||l.nodeName!=="INPUT"||l.type!=="hidden")&&!t||(l=xt(l.nextSibling),l===null))return null;return l}function uf(l){return l.data==="$?"||l.data==="$~"}function cf(l){return l.data==="$!"||l.data==="$?"&&l.ownerDocument.readyState!=="loading"}function $r(l,t){var e=l.ownerDocument;if(l.data==="$~")l._reactRetry=t;else if(l.data!=="$?"||e.readyState!=="loading")t();else{var a=function(){t(),e.removeEventListener("DOMContentLoaded",a)};e.addEventListener("DOMContentLoaded",a),l._reactRetry=a}}function xt(l){for(;l!=null;l=l.nextSibling){var t=l.nodeType;if(t===1||t===3)break;if(t===8){if(t=l.data,t==="$"||t==="$!"||t==="$?"||t==="$~"||t==="&"||t==="F!"||t==="F")break;if(t==="/$"||t==="/&")return null}}return l}var ff=null;function c1(l){l=l.nextSibling;for(var t=0;l;){if(l.nodeType===8){var e=l.data;if(e==="/$"||e==="/&"){if(t===0)return xt(l.nextSibling);t--}else e!=="$"&&e!=="$!"&&e!=="$?"&&e!=="$~"&&e!=="&"||t++}l=l.nextSibling}return null}function i1(l){l=l.previousSibling;for(var t=0;l;){if(l.nodeType===8){var e=l.data;if(e==="$"||e==="$!"||e==="$?"||e==="$~"||e==="&"){if(t===0)return l;t--}else e!=="/$"&&e!=="/&"||t++}l=l.previousSibling}return null}function f1(l,t,e){switch(t=wu(e),l){case"html":if(l=t.documentElement,!l)throw Error(o(452));return l;case"head":if(l=t.head,!l)throw Error(o(453));return l;case"body":if(l=t.body,!l)throw Error(o(454));return l;default:throw Error(o(451))}}function Mn(l){for(var t=l.attributes;t.length;)l.removeAttributeNode(t[0]);sc(l)}var Ct=new Map,s1=new Set;function Qu(l){return typeof l.getRootNode=="function"?l.getRootNode():l.nodeType===9?l:l.ownerDocument}var ae=p.d;p.d={f:kr,r:Fr,D:Ir,C:Pr,L:lh,m:th,X:ah,S:eh,M:nh};function kr(){var l=ae.f(),t=Hu();return l||t}function Fr(l){var t=la(l);t!==null&&t.tag===5&&t.type==="form"?Oo(t):ae.r(l)}var ja=typeof document>"u"?null:document;function o1(l,t,e){var a=ja;if(a&&typeof t=="string"&&t){var n=zt(t);n='link[rel="'+l+'"][href="'+n+'"]',typeof e=="string"&&(n+='[crossorigin="'+e+'"]'),s1.has(n)||(s1.add(n),l={rel:l,crossOrigin:e,href:t},a.querySelector(n)===null&&(t=a.createElement("link"),lt(t,"link",l),Zl(t),a.head.appendChild(t)))}}function Ir(l){ae.D(l),o1("dns-prefetch",l,null)}function Pr(l,t){ae.C(l,t),o1("preconnect",l,t)}function lh(l,t,e){ae.L(l,t,e);var a=ja;if(a&&l&&t){var n='link[rel="preload"][as="'+zt(t)+'"]';t==="image"&&e&&e.imageSrcSet?(n+='[imagesrcset="'+zt(e.imageSrcSet)+'"]',typeof e.imageSizes=="string"&&(n+='[imagesizes="'+zt(e.imageSizes)+'"]')):n+='[href="'+zt(l)+'"]';var u=n;switch(t){case"style":u=Ua(l);break;case"script":u=Ha(l)}Ct.has(u)||(l=U({rel:"preload",href:t==="image"&&e&&e.imageSrcSet?void 0:l,as:t},e),Ct.set(u,l),a.querySelector(n)!==null||t==="style"&&a.querySelector(Dn(u))||t==="script"&&a.querySelector(_n(u))||(t=a.createElement("link"),lt(t,"link",l),Zl(t),a.head.appendChild(t)))}}function th(l,t){ae.m(l,t);var e=ja;if(e&&l){var a=t&&typeof t.as=="string"?t.as:"script",n='link[rel="modulepreload"][as="'+zt(a)+'"][href="'+zt(l)+'"]',u=n;switch(a){case"audioworklet":case"paintworklet":case"serviceworker":case"sharedworker":case"worker":case"script":u=Ha(l)}if(!Ct.has(u)&&(l=U({rel:"modulepreload",href:l},t),Ct.set(u,l),e.querySelector(n)===null)){switch(a){case"audioworklet":case"paintworklet":case"serviceworker":case"sharedworker":case"worker":case"script":if(e.querySelector(_n(u)))return}a=e.createElement("link"),lt(a,"link",l),Zl(a),e.head.appendChild(a)}}}function eh(l,t,e){ae.S(l,t,e);var a=ja;if(a&&l){var n=ta(a).hoistableStyles,u=Ua(l);t=t||"default";var c=n.get(u);if(!c){var i={loading:0,preload:null};if(c=a.querySelector(Dn(u)))i.loading=5;else{l=U({rel:"stylesheet",href:l,"data-precedence":t},e),(e=Ct.get(u))&&sf(l,e);var s=c=a.createElement("link");Zl(s),lt(s,"link",l),s._p=new Promise(function(g,A){s.onload=g,s.onerror=A}),s.addEventListener("load",function(){i.loading|=1}),s.addEventListener("error",function(){i.loading|=2}),i.loading|=4,Vu(c,t,a)}c={type:"stylesheet",instance:c,count:1,state:i},n.set(u,c)}}}function ah(l,t){ae.X(l,t);var e=ja;if(e&&l){var a=ta(e).hoistableScripts,n=Ha(l),u=a.get(n);u||(u=e.querySelector(_n(n)),u||(l=U({src:l,async:!0},t),(t=Ct.get(n))&&of(l,t),u=e.createElement("script"),Zl(u),lt(u,"link",l),e.head.appendChild(u)),u={type:"script",instance:u,count:1,state:null},a.set(n,u))}}function nh(l,t){ae.M(l,t);var e=ja;if(e&&l){var a=ta(e).hoistableScripts,n=Ha(l),u=a.get(n);u||(u=e.querySelector(_n(n)),u||(l=U({src:l,async:!0,type:"module"},t),(t=Ct.get(n))&&of(l,t),u=e.createElement("script"),Zl(u),lt(u,"link",l),e.head.appendChild(u)),u={type:"script",instance:u,count:1,state:null},a.set(n,u))}}function d1(l,t,e,a){var n=(n=ll.current)?Qu(n):null;if(!n)throw Error(o(446));switch(l){case"meta":case"title":return null;case"style":return typeof e.precedence=="string"&&typeof e.href=="string"?(t=Ua(e.href),e=ta(n).hoistableStyles,a=e.get(t),a||(a={type:"style",instance:null,count:0,state:null},e.set(t,a)),a):{type:"void",instance:null,count:0,state:null};case"link":if(e.rel==="stylesheet"&&typeof e.href=="string"&&typeof e.precedence=="string"){l=Ua(e.href);var u=ta(n).hoistableStyles,c=u.get(l);if(c||(n=n.ownerDocument||n,c={type:"stylesheet",instance:null,count:0,state:{loading:0,preload:null}},u.set(l,c),(u=n.querySelector(Dn(l)))&&!u._p&&(c.instance=u,c.state.loading=5),Ct.has(l)||(e={rel:"preload",as:"style",href:e.href,crossOrigin:e.crossOrigin,integrity:e.integrity,media:e.media,hrefLang:e.hrefLang,referrerPolicy:e.referrerPolicy},Ct.set(l,e),u||uh(n,l,e,c.state))),t&&a===null)throw Error(o(528,""));return c}if(t&&a!==null)throw Error(o(529,""));return null;case"script":return t=e.async,e=e.src,typeof e=="string"&&t&&typeof t!="function"&&typeof t!="symbol"?(t=Ha(e),e=ta(n).hoistableScripts,a=e.get(t),a||(a={type:"script",instance:null,count:0,state:null},e.set(t,a)),a):{type:"void",instance:null,count:0,state:null};default:throw Error(o(444,l))}}function Ua(l){return'href="'+zt(l)+'"'}function Dn(l){return'link[rel="stylesheet"]['+l+"]"}function r1(l){return U({},l,{"data-precedence":l.precedence,precedence:null})}function uh(l,t,e,a){l.querySelector('link[rel="preload"][as="style"]['+t+"]")?a.loading=1:(t=l.createElement("link"),a.preload=t,t.addEventListener("load",function(){return a.loading|=1}),t.addEventListener("error",function(){return a.loading|=2}),lt(t,"link",e),Zl(t),l.head.appendChild(t))}function Ha(l){return'[src="'+zt(l)+'"]'}function _n(l){return"script[async]"+l}function h1(l,t,e){if(t.count++,t.instance===null)switch(t.type){case"style":var a=l.querySelector('style[data-href~="'+zt(e.href)+'"]');if(a)return t.instance=a,Zl(a),a;var n=U({},e,{"data-href":e.href,"data-precedence":e.precedence,href:null,precedence:null});return a=(l.ownerDocument||l).createElement("style"),Zl(a),lt(a,"style",n),Vu(a,e.precedence,l),t.instance=a;case"stylesheet":n=Ua(e.href);var u=l.querySelector(Dn(n));if(u)return t.state.loading|=4,t.instance=u,Zl(u),u;a=r1(e),(n=Ct.get(n))&&sf(a,n),u=(l.ownerDocument||l).createElement("link"),Zl(u);var c=u;return c._p=new Promise(function(i,s){c.onload=i,c.onerror=s}),lt(u,"link",a),t.state.loading|=4,Vu(u,e.precedence,l),t.instance=u;case"script":return u=Ha(e.src),(n=l.querySelector(_n(u)))?(t.instance=n,Zl(n),n):(a=e,(n=Ct.get(u))&&(a=U({},e),of(a,n)),l=l.ownerDocument||l,n=l.createElement("script"),Zl(n),lt(n,"link",a),l.head.appendChild(n),t.instance=n);case"void":return null;default:throw Error(o(443,t.type))}else t.type==="stylesheet"&&(t.state.loading&4)===0&&(a=t.instance,t.state.loading|=4,Vu(a,e.precedence,l));return t.instance}function Vu(l,t,e){for(var a=e.querySelectorAll('link[rel="stylesheet"][data-precedence],style[data-precedence]'),n=a.length?a[a.length-1]:null,u=n,c=0;c<a.length;c++){var i=a[c];if(i.dataset.precedence===t)u=i;else if(u!==n)break}u?u.parentNode.insertBefore(l,u.nextSibling):(t=e.nodeType===9?e.head:e,t.insertBefore(l,t.firstChild))}function sf(l,t){l.crossOrigin==null&&(l.crossOrigin=t.crossOrigin),l.referrerPolicy==null&&(l.referrerPolicy=t.referrerPolicy),l.title==null&&(l.title=t.title)}function of(l,t){l.crossOrigin==null&&(l.crossOrigin=t.crossOrigin),l.referrerPolicy==null&&(l.referrerPolicy=t.referrerPolicy),l.integrity==null&&(l.integrity=t.integrity)}var Zu=null;function v1(l,t,e){if(Zu===null){var a=new Map,n=Zu=new Map;n.set(e,a)}else n=Zu,a=n.get(e),a||(a=new Map,n.set(e,a));if(a.has(l))return a;for(a.set(l,null),e=e.getElementsByTagName(l),n=0;n<e.length;n++){var u=e[n];if(!(u[Va]||u[kl]||l==="link"&&u.getAttribute("rel")==="stylesheet")&&u.namespaceURI!=="http://www.w3.org/2000/svg"){var c=u.getAttribute(t)||"";c=l+c;var i=a.get(c);i?i.push(u):a.set(c,[u])}}return a}function m1(l,t,e){l=l.ownerDocument||l,l.head.insertBefore(e,t==="title"?l.querySelector("head > title"):null)}function ch(l,t,e){if(e===1||t.itemProp!=null)return!1;switch(l){case"meta":case"title":return!0;case"style":if(typeof t.precedence!="string"||typeof t.href!="string"||t.href==="")break;return!0;case"link":if(typeof t.rel!="string"||typeof t.href!="string"||t.href===""||t.onLoad||t.onError)break;return t.rel==="stylesheet"?(l=t.disabled,typeof t.precedence=="string"&&l==null):!0;case"script":if(t.async&&typeof t.async!="function"&&typeof t.async!="symbol"&&!t.onLoad&&!t.onError&&t.src&&typeof t.src=="string")return!0}return!1}function y1(l){return!(l.type==="stylesheet"&&(l.state.loading&3)===0)}function ih(l,t,e,a){if(e.type==="stylesheet"&&(typeof a.media!="string"||matchMedia(a.media).matches!==!1)&&(e.state.loading&4)===0){if(e.instance===null){var n=Ua(a.href),u=t.querySelector(Dn(n));if(u){t=u._p,t!==null&&typeof t=="object"&&typeof t.then=="function"&&(l.count++,l=Ku.bind(l),t.then(l,l)),e.state.loading|=4,e.instance=u,Zl(u);return}u=t.ownerDocument||t,a=r1(a),(n=Ct.get(n))&&sf(a,n),u=u.createElement("link"),Zl(u);var c=u;c._p=new Promise(function(i,s){c.onload=i,c.onerror=s}),lt(u,"link",a),e.instance=u}l.stylesheets===null&&(l.stylesheets=new Map),l.stylesheets.set(e,t),(t=e.state.preload)&&(e.state.loading&3)===0&&(l.count++,e=Ku.bind(l),t.addEventListener("load",e),t.addEventListener("error",e))}}var df=0;function fh(l,t){return l.stylesheets&&l.count===0&&Wu(l,l.stylesheets),0<l.count||0<l.imgCount?function(e){var a=setTimeout(function(){if(l.stylesheets&&Wu(l,l.stylesheets),l.unsuspend){var u=l.unsuspend;l.unsuspend=null,u()}},6e4+t);0<l.imgBytes&&df===0&&(df=62500*wr());var n=setTimeout(function(){if(l.waitingForImages=!1,l.count===0&&(l.stylesheets&&Wu(l,l.stylesheets),l.unsuspend)){var u=l.unsuspend;l.unsuspend=null,u()}},(l.imgBytes>df?50:800)+t);return l.unsuspend=e,function(){l.unsuspend=null,clearTimeout(a),clearTimeout(n)}}:null}function Ku(){if(this.count--,this.count===0&&(this.imgCount===0||!this.waitingForImages)){if(this.stylesheets)Wu(this,this.stylesheets);else if(this.unsuspend){var l=this.unsuspend;this.unsuspend=null,l()}}}var Ju=null;function Wu(l,t){l.stylesheets=null,l.unsuspend!==null&&(l.count++,Ju=new Map,t.forEach(sh,l),Ju=null,Ku.call(l))}function sh(l,t){if(!(t.state.loading&4)){var e=Ju.get(l);if(e)var a=e.get(null);else{e=new Map,Ju.set(l,e);for(var n=l.querySelectorAll("link[data-precedence],style[data-precedence]"),u=0;u<n.length;u++){var c=n[u];(c.nodeName==="LINK"||c.getAttribute("media")!=="not all")&&(e.set(c.dataset.precedence,c),a=c)}a&&e.set(null,a)}n=t.instance,c=n.getAttribute("data-precedence"),u=e.get(c)||a,u===a&&e.set(null,n),e.set(c,n),this.count++,a=Ku.bind(this),n.addEventListener("load",a),n.addEventListener("error",a),u?u.parentNode.insertBefore(n,u.nextSibling):(l=l.nodeType===9?l.head:l,l.insertBefore(n,l.firstChild)),t.state.loading|=4}}var xn={$$typeof:Dl,Provider:null,Consumer:null,_currentValue:D,_currentValue2:D,_threadCount:0};function oh(l,t,e,a,n,u,c,i,s){this.tag=1,this.containerInfo=l,this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.next=this.pendingContext=this.context=this.cancelPendingCommit=null,this.callbackPriority=0,this.expirationTimes=uc(-1),this.entangledLanes=this.shellSuspendCounter=this.errorRecoveryDisabledLanes=this.expiredLanes=this.warmLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=uc(0),this.hiddenUpdates=uc(null),this.identifierPrefix=a,this.onUncaughtError=n,this.onCaughtError=u,this.onRecoverableError=c,this.pooledCache=null,this.pooledCacheLanes=0,this.formState=s,this.incompleteTransitions=new Map}function g1(l,t,e,a,n,u,c,i,s,g,A,O){return l=new oh(l,t,e,c,s,g,A,O,i),t=1,u===!0&&(t|=24),u=mt(3,null,null,t),l.current=u,u.stateNode=l,t=Qc(),t.refCount++,l.pooledCache=t,t.refCount++,u.memoizedState={element:a,isDehydrated:e,cache:t},Jc(u),l}function b1(l){return l?(l=da,l):da}function S1(l,t,e,a,n,u){n=b1(n),a.context===null?a.context=n:a.pendingContext=n,a=re(t),a.payload={element:e},u=u===void 0?null:u,u!==null&&(a.callback=u),e=he(l,a,t),e!==null&&(dt(e,l,t),fn(e,l,t))}function p1(l,t){if(l=l.memoizedState,l!==null&&l.dehydrated!==null){var e=l.retryLane;l.retryLane=e!==0&&e<t?e:t}}function rf(l,t){p1(l,t),(l=l.alternate)&&p1(l,t)}function T1(l){if(l.tag===13||l.tag===31){var t=Be(l,67108864);t!==null&&dt(t,l,67108864),rf(l,67108864)}}function E1(l){if(l.tag===13||l.tag===31){var t=pt();t=cc(t);var e=Be(l,t);e!==null&&dt(e,l,t),rf(l,t)}}var $u=!0;function dh(l,t,e,a){var n=b.T;b.T=null;var u=p.p;try{p.p=2,hf(l,t,e,a)}finally{p.p=u,b.T=n}}function rh(l,t,e,a){var n=b.T;b.T=null;var u=p.p;try{p.p=8,hf(l,t,e,a)}finally{p.p=u,b.T=n}}function hf(l,t,e,a){if($u){var n=vf(a);if(n===null)Ii(l,t,a,ku,e),A1(l,a);else if(vh(n,l,t,e,a))a.stopPropagation();else if(A1(l,a),t&4&&-1<hh.indexOf(l)){for(;n!==null;){var u=la(n);if(u!==null)switch(u.tag){case 3:if(u=u.stateNode,u.current.memoizedState.isDehydrated){var c=Ce(u.pendingLanes);if(c!==0){var i=u;for(i.pendingLanes|=2,i.entangledLanes|=2;c;){var s=1<<31-ht(c);i.entanglements[1]|=s,c&=~s}Yt(u),(hl&6)===0&&(ju=tt()+500,An(0))}}break;case 31:case 13:i=Be(u,2),i!==null&&dt(i,u,2),Hu(),rf(u,2)}if(u=vf(a),u===null&&Ii(l,t,a,ku,e),u===n)break;n=u}n!==null&&a.stopPropagation()}else Ii(l,t,a,null,e)}}function vf(l){return l=mc(l),mf(l)}var ku=null;function mf(l){if(ku=null,l=Pe(l),l!==null){var t=x(l);if(t===null)l=null;else{var e=t.tag;if(e===13){if(l=C(t),l!==null)return l;l=null}else if(e===31){if(l=B(t),l!==null)return l;l=null}else if(e===3){if(t.stateNode.current.memoizedState.isDehydrated)return t.tag===3?t.stateNode.containerInfo:null;l=null}else t!==l&&(l=null)}}return ku=l,null}function z1(l){switch(l){case"beforetoggle":case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"toggle":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 2;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 8;case"message":switch(I1()){case xf:return 2;case Cf:return 8;case Ln:case P1:return 32;case jf:return 268435456;default:return 32}default:return 32}}var yf=!1,Ae=null,Ne=null,Oe=null,Cn=new Map,jn=new Map,Me=[],hh="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset".split(" ");function A1(l,t){switch(l){case"focusin":case"focusout":Ae=null;break;case"dragenter":case"dragleave":Ne=null;break;case"mouseover":case"mouseout":Oe=null;break;case"pointerover":case"pointerout":Cn.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":jn.delete(t.pointerId)}}function Un(l,t,e,a,n,u){return l===null||l.nativeEvent!==u?(l={blockedOn:t,domEventName:e,eventSystemFlags:a,nativeEvent:u,targetContainers:[n]},t!==null&&(t=la(t),t!==null&&T1(t)),l):(l.eventSystemFlags|=a,t=l.targetContainers,n!==null&&t.indexOf(n)===-1&&t.push(n),l)}function vh(l,t,e,a,n){switch(t){case"focusin":return Ae=Un(Ae,l,t,e,a,n),!0;case"dragenter":return Ne=Un(Ne,l,t,e,a,n),!0;case"mouseover":return Oe=Un(Oe,l,t,e,a,n),!0;case"pointerover":var u=n.pointerId;return Cn.set(u,Un(Cn.get(u)||null,l,t,e,a,n)),!0;case"gotpointercapture":return u=n.pointerId,jn.set(u,Un(jn.get(u)||null,l,t,e,a,n)),!0}return!1}function N1(l){var t=Pe(l.target);if(t!==null){var e=x(t);if(e!==null){if(t=e.tag,t===13){if(t=C(e),t!==null){l.blockedOn=t,Yf(l.priority,function(){E1(e)});return}}else if(t===31){if(t=B(e),t!==null){l.blockedOn=t,Yf(l.priority,function(){E1(e)});return}}else if(t===3&&e.stateNode.current.memoizedState.isDehydrated){l.blockedOn=e.tag===3?e.stateNode.containerInfo:null;return}}}l.blockedOn=null}function Fu(l){if(l.blockedOn!==null)return!1;for(var t=l.targetContainers;0<t.length;){var e=vf(l.nativeEvent);if(e===null){e=l.nativeEvent;var a=new e.constructor(e.type,e);vc=a,e.target.dispatchEvent(a),vc=null}else return t=la(e),t!==null&&T1(t),l.blockedOn=e,!1;t.shift()}return!0}function O1(l,t,e){Fu(l)&&e.delete(t)}function mh(){yf=!1,Ae!==null&&Fu(Ae)&&(Ae=null),Ne!==null&&Fu(Ne)&&(Ne=null),Oe!==null&&Fu(Oe)&&(Oe=null),Cn.forEach(O1),jn.forEach(O1)}function Iu(l,t){l.blockedOn===t&&(l.blockedOn=null,yf||(yf=!0,f.unstable_scheduleCallback(f.unstable_NormalPriority,mh)))}var Pu=null;function M1(l){Pu!==l&&(Pu=l,f.unstable_scheduleCallback(f.unstable_NormalPriority,function(){Pu===l&&(Pu=null);for(var t=0;t<l.length;t+=3){var e=l[t],a=l[t+1],n=l[t+2];if(typeof a!="function"){if(mf(a||e)===null)continue;break}var u=la(e);u!==null&&(l.splice(t,3),t-=3,hi(u,{pending:!0,data:n,method:e.method,action:a},a,n))}}))}function Ra(l){function t(s){return Iu(s,l)}Ae!==null&&Iu(Ae,l),Ne!==null&&Iu(Ne,l),Oe!==null&&Iu(Oe,l),Cn.forEach(t),jn.forEach(t);for(var e=0;e<Me.length;e++){var a=Me[e];a.blockedOn===l&&(a.blockedOn=null)}for(;0<Me.length&&(e=Me[0],e.blockedOn===null);)N1(e),e.blockedOn===null&&Me.shift();if(e=(l.ownerDocument||l).$$reactFormReplay,e!=null)for(a=0;a<e.length;a+=3){var n=e[a],u=e[a+1],c=n[ut]||null;if(typeof u=="function")c||M1(e);else if(c){var i=null;if(u&&u.hasAttribute("formAction")){if(n=u,c=u[ut]||null)i=c.formAction;else if(mf(n)!==null)continue}else i=c.action;typeof i=="function"?e[a+1]=i:(e.splice(a,3),a-=3),M1(e)}}}function D1(){function l(u){u.canIntercept&&u.info==="react-transition"&&u.intercept({handler:function(){return new Promise(function(c){return n=c})},focusReset:"manual",scroll:"manual"})}function t(){n!==null&&(n(),n=null),a||setTimeout(e,20)}function e(){if(!a&&!navigation.transition){var u=navigation.currentEntry;u&&u.url!=null&&navigation.navigate(u.url,{state:u.getState(),info:"react-transition",history:"replace"})}}if(typeof navigation=="object"){var a=!1,n=null;return navigation.addEventListener("navigate",l),navigation.addEventListener("navigatesuccess",t),navigation.addEventListener("navigateerror",t),setTimeout(e,100),function(){a=!0,navigation.removeEventListener("navigate",l),navigation.removeEventListener("navigatesuccess",t),navigation.removeEventListener("navigateerror",t),n!==null&&(n(),n=null)}}}function gf(l){this._internalRoot=l}lc.prototype.render=gf.prototype.render=function(l){var t=this._internalRoot;if(t===null)throw Error(o(409));var e=t.current,a=pt();S1(e,a,l,t,null,null)},lc.prototype.unmount=gf.prototype.unmount=function(){var l=this._internalRoot;if(l!==null){this._internalRoot=null;var t=l.containerInfo;S1(l.current,2,null,l,null,null),Hu(),t[Ie]=null}};function lc(l){this._internalRoot=l}lc.prototype.unstable_scheduleHydration=function(l){if(l){var t=qf();l={blockedOn:null,target:l,priority:t};for(var e=0;e<Me.length&&t!==0&&t<Me[e].priority;e++);Me.splice(e,0,l),e===0&&N1(l)}};var _1=m.version;if(_1!=="19.2.4")throw Error(o(527,_1,"19.2.4"));p.findDOMNode=function(l){var t=l._reactInternals;if(t===void 0)throw typeof l.render=="function"?Error(o(188)):(l=Object.keys(l).join(","),Error(o(268,l)));return l=z(t),l=l!==null?q(l):null,l=l===null?null:l.stateNode,l};var yh={bundleType:0,version:"19.2.4",rendererPackageName:"react-dom",currentDispatcherRef:b,reconcilerVersion:"19.2.4"};if(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__<"u"){var tc=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!tc.isDisabled&&tc.supportsFiber)try{Xa=tc.inject(yh),rt=tc}catch{}}return Rn.createRoot=function(l,t){if(!_(l))throw Error(o(299));var e=!1,a="",n=Bo,u=qo,c=Yo;return t!=null&&(t.unstable_strictMode===!0&&(e=!0),t.identifierPrefix!==void 0&&(a=t.identifierPrefix),t.onUncaughtError!==void 0&&(n=t.onUncaughtError),t.onCaughtError!==void 0&&(u=t.onCaughtError),t.onRecoverableError!==void 0&&(c=t.onRecoverableError)),t=g1(l,1,!1,null,null,e,a,null,n,u,c,D1),l[Ie]=t.current,Fi(l),new gf(t)},Rn.hydrateRoot=function(l,t,e){if(!_(l))throw Error(o(299));var a=!1,n="",u=Bo,c=qo,i=Yo,s=null;return e!=null&&(e.unstable_strictMode===!0&&(a=!0),e.identifierPrefix!==void 0&&(n=e.identifierPrefix),e.onUncaughtError!==void 0&&(u=e.onUncaughtError),e.onCaughtError!==void 0&&(c=e.onCaughtError),e.onRecoverableError!==void 0&&(i=e.onRecoverableError),e.formState!==void 0&&(s=e.formState)),t=g1(l,1,!0,t,e??null,a,n,s,u,c,i,D1),t.context=b1(null),e=t.current,a=pt(),a=cc(a),n=re(a),n.callback=null,he(e,n,a),e=a,t.current.lanes=e,Qa(t,e),Yt(t),l[Ie]=t.current,Fi(l),new lc(t)},Rn.version="19.2.4",Rn}var L1;function Oh(){if(L1)return pf.exports;L1=1;function f(){if(!(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__>"u"||typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE!="function"))try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(f)}catch(m){console.error(m)}}return f(),pf.exports=Nh(),pf.exports}var Mh=Oh();const Dh=Q1(Mh),Gl={notepadTitle:"New notepad",noteTitle:"New note",tags:{note:"note",notepad:"notepad"},branding:{about:"https://github.com/francescougolini/sidenotes"},accentColors:["","#fefbe6","#e0f7fa","#f2eef9","#fde6e6","#feddc9","#e5f4da","#d1e3f8","#e8dbcd","#f5f5f5"]},Af={DB_NAME:"SidenotesApp",STORE_NAME:"notepads",VERSION:1},$e={MIME_TYPE:"text/plain",EXTENSIONS:{NOTE:".sidenotes.txt",BACKUP:".backup.sidenotes.txt"}},_h=238;class xh{constructor(m=Af.DB_NAME,E=Af.STORE_NAME){this.dbName=m,this.storeName=E,this.db=null}async init(){return this.db?this.db:new Promise((m,E)=>{const o=indexedDB.open(this.dbName,Af.VERSION);o.onupgradeneeded=_=>{const x=_.target.result;x.objectStoreNames.contains(this.storeName)||x.createObjectStore(this.storeName)},o.onsuccess=_=>{this.db=_.target.result,m(this.db)},o.onerror=_=>E(_.target.error)})}async bulkPut(m){const o=(await this.init()).transaction(this.storeName,"readwrite"),_=o.objectStore(this.storeName);return Object.entries(m).forEach(([x,C])=>_.put(C,x)),new Promise(x=>o.oncomplete=x)}async clear(){const m=await this.init();return new Promise((E,o)=>{const C=m.transaction(this.storeName,"readwrite").objectStore(this.storeName).clear();C.onsuccess=()=>E(),C.onerror=()=>o(C.error)})}async delete(m){const E=await this.init();return new Promise((o,_)=>{const x=E.transaction(this.storeName,"readwrite");x.objectStore(this.storeName).delete(m),x.oncomplete=()=>o(),x.onerror=()=>_(x.error)})}async getAll(){const m=await this.init();return new Promise((E,o)=>{const C=m.transaction(this.storeName,"readonly").objectStore(this.storeName).getAll();C.onsuccess=()=>{const B={};Array.isArray(C.result)&&C.result.forEach(j=>{B[j.id]=j}),E(B)},C.onerror=()=>o(C.error)})}}const Z1=(f="")=>{if(!f.trim())return 0;if("Segmenter"in Intl){const E=new Intl.Segmenter("en",{granularity:"word"});return Array.from(E.segment(f)).filter(o=>o.isWordLike).length}const m=/[\n\s]{0,}[a-zA-Z0-9\u00C0-\u017F\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}]+/gu;return(f.match(m)||[]).length},Ch=(f="")=>{const m=Z1(f);return Math.ceil(m/(_h/60))},Nf=f=>new Promise((m,E)=>{if(!(f instanceof Blob))return m(null);const o=new FileReader;o.onloadend=()=>m(o.result),o.onerror=E,o.readAsDataURL(f)}),Of=async f=>{try{return!f||typeof f!="string"||!f.startsWith("data:")?null:await(await fetch(f)).blob()}catch(m){return console.error("Conversion to blob failed",m),null}},qa=(f,m,E)=>{const o=new Blob([f],{type:E}),_=document.createElement("a");_.href=URL.createObjectURL(o),_.download=m,_.click(),URL.revokeObjectURL(_.href),_.remove()},G1=(f,m="text/plain")=>{const E=document.createElement("input");E.type="file",E.accept=m,E.onchange=o=>{const _=o.target.files[0];if(!_)return;const x=new FileReader;x.onload=C=>{try{f(C.target.result)}catch(B){console.error("File reading failed: "+B)}},x.readAsText(_)},E.click(),E.remove()},Mf=async(f,m,E,o="")=>{const x={files:[new File([f],m,{type:E,lastModified:Date.now()})],title:o||m};if(navigator.share)try{return await navigator.share(x),{success:!0,method:"share"}}catch(C){if(C.name==="AbortError")return{success:!1,method:"cancelled"};console.warn("Share failed, falling back:",C.name)}if(navigator.clipboard&&typeof f=="string")try{const C=E.includes("json")||E.includes("text")?f:`File ready: ${m}`;return await navigator.clipboard.writeText(C),qa(f,m,E),{success:!0,method:"clipboard+download"}}catch(C){console.warn("Clipboard failed:",C)}return qa(f,m,E),{success:!0,method:"download"}},Df=(f,m="NOTE")=>{const E=(f||"sidenotes").trim().replace(/\s+/g,"_").toLowerCase();return m==="BACKUP"?`notepads_${new Date().toISOString().split("T")[0].replace(/-/g,"")}${$e.EXTENSIONS.BACKUP}`:`${E}${$e.EXTENSIONS.NOTE}`},_e=(f="")=>`${f}-${Date.now()}-${Math.random().toString(36).substr(2,9)}`,jh=async(f,m)=>{try{const E=f&&f.notes&&Array.isArray(f.notes),o=f&&!E&&typeof f=="object",_={};if(E){alert('This is a single notepad file. Please use the "Import" button instead of "Restore".');return}if(o){const x=Object.keys(f);await Promise.all(x.map(async C=>{const B=f[C];if(B&&B.id&&Array.isArray(B.notes)){const j=await Promise.all(B.notes.map(async z=>{const q={...z};return q.attachment?.blob&&typeof q.attachment.blob=="string"&&(q.attachment.blob=await Of(q.attachment.blob)),{id:q.id||_e("note"),title:q.title||"",content:q.content||"",accentColor:q.accentColor||"",attachment:q.attachment||null}}));_[C]={id:B.id,title:B.title||"Untitled Notepad",created:B.created||Date.now(),lastUpdate:B.lastUpdate||Date.now(),notes:j}}}))}Object.keys(_).length>0?await m(_):alert("No valid backup data found.")}catch(E){console.error("Data validation failed:",E),alert("The file format is invalid.")}},Uh=(f="")=>f.startsWith("image/")?"image":f.startsWith("video/")?"video":f.startsWith("audio/")?"audio":"file",Hh=(f,m=2)=>{if(f===0)return"0 Bytes";const E=1024,o=m<0?0:m,_=["Bytes","KB","MB","GB"],x=Math.floor(Math.log(f)/Math.log(E));return parseFloat((f/Math.pow(E,x)).toFixed(o))+" "+_[x]},X1=async(f,m)=>Array.isArray(f)?Promise.all(f.map(async E=>E.attachment?.blob instanceof Blob?{...E,attachment:{...E.attachment,blob:await m(E.attachment.blob)}}:E)):[],Rh=async(f,m)=>Array.isArray(f)?Promise.all(f.map(async E=>typeof E.attachment?.blob=="string"?{...E,attachment:{...E.attachment,blob:await m(E.attachment.blob)}}:E)):[],w1=(f,m=35)=>{if(!f||f==="transparent"||f.toLowerCase()==="#ffffff")return null;let E=f.replace(/^#/,"");E.length===3&&(E=E.split("").map(rl=>rl+rl).join(""));const o=parseInt(E,16);if(isNaN(o))return null;let _=(o>>16)/255,x=(o>>8&255)/255,C=(o&255)/255;const B=Math.max(_,x,C),j=Math.min(_,x,C),z=B-j;let q=0,U=0,k=(B+j)/2;z!==0&&(U=k>.5?z/(2-B-j):z/(B+j),B===_?q=(x-C)/z+(x<C?6:0):B===x?q=(C-_)/z+2:q=(_-x)/z+4,q/=6);const P=1+m/100;U=Math.min(1,U*P),k=Math.max(0,k-m/100);const ul=rl=>{const Ml=(rl+q*12)%12,fl=U*Math.min(k,1-k);return k-fl*Math.max(-1,Math.min(Ml-3,9-Ml,1))};return`rgb(${Math.round(ul(0)*255)}, ${Math.round(ul(8)*255)}, ${Math.round(ul(4)*255)})`},Bn={importSingleNotepad:async f=>{const{db:m,setIsProcessing:E,openDialog:o,onOpenNotepad:_,onClose:x,uploadLocalFile:C,base64ToBlob:B,generateID:j,FILE_CONFIG:z}=f;C(async q=>{E(!0);try{const U=JSON.parse(q);if(U&&!U.notes&&typeof U=="object"&&Object.values(U).some(Nl=>Nl.notes)){alert('This file appears to be a full backup. Please use the "Restore" button instead of "Import".'),E(!1);return}if(!U||!U.notes)throw E(!1),new Error("Invalid structure");const P=await Rh(U.notes,B),ul={...U,notes:P},rl=async Nl=>{await m.bulkPut({[Nl.id]:Nl}),_(Nl),E(!1),x()};(await m.getAll())[ul.id]?(E(!1),o({isOpen:!0,message:"A version of this notepad already exists.",actions:[{actionLabel:"Keep both",customClasses:["dialog-button-standard"],action:()=>rl({...ul,id:j("notepad")})},{actionLabel:"Replace",customClasses:["dialog-button-confirm"],action:()=>rl(ul)},{actionLabel:"Cancel",customClasses:["dialog-button-standard"],action:()=>E(!1)}]})):await rl(ul)}catch(U){E(!1),alert("Import failed: Invalid file format."),console.error(U)}},z.MIME_TYPE)},shareSingleNotepad:async(f,m)=>{const{setIsProcessing:E,blobToBase64:o,getExportFileName:_,shareLocalFile:x,FILE_CONFIG:C}=m;if(!f||!f.id||typeof f.id!="string"){console.error("Invalid notepad object provided to share.");return}E(!0);try{const B=await X1(f.notes,o),j={id:f.id,title:f.title,created:f.created,lastUpdate:f.lastUpdate,notes:B},z=JSON.stringify(j);await x(z,_(f.title,"NOTE"),C.MIME_TYPE,f.title)}catch(B){console.error("Sharing failed:",B),alert("Could not share notepad.")}finally{E(!1)}},backupFullLibrary:async({db:f,setIsProcessing:m,blobToBase64:E,getExportFileName:o,shareLocalFile:_,FILE_CONFIG:x})=>{m(!0);try{const C=await f.getAll(),B=await Promise.all(Object.entries(C).map(async([z,q])=>{const U=await X1(q.notes,E);return[z,{...q,notes:U}]})),j=JSON.stringify(Object.fromEntries(B));await _(j,o(null,"BACKUP"),x.MIME_TYPE,"Full Library Backup")}catch(C){console.error("Backup failed:",C),alert("Could not generate backup file.")}finally{m(!1)}},restoreFullLibrary:f=>{const{db:m,setIsProcessing:E,openDialog:o,uploadLocalFile:_,dataFallbackMode:x,FILE_CONFIG:C}=f;o({isOpen:!0,message:"This will replace all local data. Proceed?",actions:[{actionLabel:"Proceed",customClasses:["dialog-button-confirm"],action:()=>{_(async B=>{E(!0);try{const j=JSON.parse(B);await x(j,async z=>{await m.clear(),await m.bulkPut(z),setTimeout(()=>window.location.reload(),250)})}catch(j){console.error("Restore failed:",j),alert("Restore failed: The file is corrupted or invalid.")}finally{E(!1)}},C.MIME_TYPE)}},{actionLabel:"Cancel",customClasses:["dialog-button-standard"],action:()=>{}}]})}},at={SET_NOTEPAD:"SET_NOTEPAD",UPDATE_TITLE:"UPDATE_TITLE",ADD_NOTE:"ADD_NOTE",DUPLICATE_NOTE:"DUPLICATE_NOTE",UPDATE_NOTE:"UPDATE_NOTE",DELETE_NOTE:"DELETE_NOTE",MOVE_NOTE:"MOVE_NOTE"};function Bh(f,m){const E=Date.now();switch(m.type){case at.SET_NOTEPAD:return{...m.payload};case at.UPDATE_TITLE:return{...f,title:m.payload,lastUpdate:E};case at.ADD_NOTE:return{...f,lastUpdate:E,notes:[...f.notes,m.payload]};case at.DUPLICATE_NOTE:{const{originalId:o,newNote:_}=m.payload,x=f.notes.findIndex(B=>B.id===o);if(x===-1)return f;const C=[...f.notes];return C.splice(x+1,0,_),{...f,lastUpdate:E,notes:C}}case at.UPDATE_NOTE:return{...f,lastUpdate:E,notes:f.notes.map(o=>o.id===m.payload.id?m.payload:o)};case at.DELETE_NOTE:return{...f,lastUpdate:E,notes:f.notes.filter(o=>o.id!==m.payload)};case at.MOVE_NOTE:{const{oldIndex:o,newIndex:_}=m.payload,x=[...f.notes],C=o-1,B=_-1;if(B<0||B>=x.length)return f;const[j]=x.splice(C,1);return x.splice(B,0,j),{...f,lastUpdate:E,notes:x}}default:return f}}function ec(f,m){const E=X.useRef();return X.useCallback((..._)=>{E.current&&clearTimeout(E.current),E.current=setTimeout(()=>f(..._),m)},[f,m])}const K1=()=>{const[f,m]=X.useState({isOpen:!1,message:"",actions:[],customClasses:[]}),E=X.useCallback(({message:_,actions:x,customClasses:C=[]})=>{m({isOpen:!0,message:_,actions:x,customClasses:C})},[]),o=X.useCallback(()=>{m(_=>({..._,isOpen:!1}))},[]);return{...f,openDialog:E,closeDialog:o}},qh=({size:f="32",className:m=""})=>h.jsx("svg",{"aria-label":"Sidenotes logo",xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon logo ${m}`,viewBox:"0 0 244 255",focusable:"false",children:h.jsx("path",{fillRule:"evenodd",d:"m 139.774,0.381005 c -43.8,0 -87.6,10.401 -108.403,31.203 -41.605,41.604995 -41.605,175.203995 0,216.798995 41.605,41.595 175.204,41.595 216.799,0 41.595,-41.595 41.595,-175.194 0,-216.798995 -20.797,-20.802 -64.597,-31.203 -108.396,-31.203 z m -13.459,39.615 h 33.681 c 20.626,1.697 36.135,21.633995 36.766,41.089995 0,14.78801 0,14.36001 0,24.696 -8.645,0.024 -25.152,0.14501 -34.627,0.004 0,-5.59 0,-8.476 0,-14.35 -0.788,-6.868 -4.762,-14.311 -14.154,-14.488 h -9.84 c -12.304,-0.375 -18.776,14.495 -9.377,26.404 21.543,22.772 29.802,30.464 49.855,54.078 29.429,33.767 21.169,76.574 -18.619,82.57 h -33.681 c -12.166,-0.404 -38.052,-4.36899 -38.942,-45.754 0,-12.836 0.317,-2.308 -0.002,-17.324 11.299,0 24.704,-0.283 34.735,-0.283 0,0 -0.004,6.457 -0.004,11.289 0.599,8.519 2.926,13.819 10.369,14.836 l 13.088,-0.566 c 10.251,0.957 19.944,-11.531 4.267,-27.43 -13.929,-15.818 -44.279,-45.765 -49.445,-51.305 l 0.002,0.016 C 75.871,90.631 91.157,39.855005 126.319,39.996005 Z",transform:"matrix(0.87392363,0,0,0.91332058,0.02108468,0.0330224)"})}),Yh=({size:f="16",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{fillRule:"evenodd",d:"M8 2a.5.5 0 0 1 .5.5v5h5a.5.5 0 0 1 0 1h-5v5a.5.5 0 0 1-1 0v-5h-5a.5.5 0 0 1 0-1h5v-5A.5.5 0 0 1 8 2"})}),Lh=({size:f="16",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{fillRule:"evenodd",d:"M4 2a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2zm2-1a1 1 0 0 0-1 1v8a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1zM2 5a1 1 0 0 0-1 1v8a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1v-1h1v1a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h1v1z"})}),Gh=({size:f="16",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M10.97 4.97a.75.75 0 0 1 1.07 1.05l-3.99 4.99a.75.75 0 0 1-1.08.02L4.324 8.384a.75.75 0 1 1 1.06-1.06l2.094 2.093 3.473-4.425z"})}),Xh=({size:f="16",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{fillRule:"evenodd",d:"M7.21.8C7.69.295 8 0 8 0c.109.363.234.708.371 1.038.812 1.946 2.073 3.35 3.197 4.6C12.878 7.096 14 8.345 14 10a6 6 0 0 1-12 0C2 6.668 5.58 2.517 7.21.8zm.413 1.021A31.25 31.25 0 0 0 5.794 3.99c-.726.95-1.436 2.008-1.96 3.07C3.304 8.133 3 9.138 3 10a5 5 0 0 0 10 0c0-1.201-.796-2.157-2.181-3.7l-.03-.032C9.75 5.11 8.5 3.72 7.623 1.82z"}),h.jsx("path",{fillRule:"evenodd",d:"M4.553 7.776c.82-1.641 1.717-2.753 2.093-3.13l.708.708c-.29.29-1.128 1.311-1.907 2.87l-.894-.448z"})]}),wh=({size:f="16",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M6.5 1h3a.5.5 0 0 1 .5.5v1H6v-1a.5.5 0 0 1 .5-.5ZM11 2.5v-1A1.5 1.5 0 0 0 9.5 0h-3A1.5 1.5 0 0 0 5 1.5v1H2.506a.58.58 0 0 0-.01 0H1.5a.5.5 0 0 0 0 1h.538l.853 10.66A2 2 0 0 0 4.885 16h6.23a2 2 0 0 0 1.994-1.84l.853-10.66h.538a.5.5 0 0 0 0-1h-.995a.59.59 0 0 0-.01 0H11Zm1.958 1-.846 10.58a1 1 0 0 1-.997.92h-6.23a1 1 0 0 1-.997-.92L3.042 3.5h9.916Zm-7.487 1a.5.5 0 0 1 .528.47l.5 8.5a.5.5 0 0 1-.998.06L5 5.03a.5.5 0 0 1 .47-.53Zm5.058 0a.5.5 0 0 1 .47.53l-.5 8.5a.5.5 0 1 1-.998-.06l.5-8.5a.5.5 0 0 1 .528-.47ZM8 4.5a.5.5 0 0 1 .5.5v8.5a.5.5 0 0 1-1 0V5a.5.5 0 0 1 .5-.5Z"})}),Qh=({size:f="16",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M1 3.5A1.5 1.5 0 0 1 2.5 2h2.764c.958 0 1.76.56 2.311 1.184C7.985 3.648 8.48 4 9 4h4.5A1.5 1.5 0 0 1 15 5.5v.64c.57.265.94.876.856 1.546l-.64 5.124A2.5 2.5 0 0 1 12.733 15H3.266a2.5 2.5 0 0 1-2.481-2.19l-.64-5.124A1.5 1.5 0 0 1 1 6.14zM2 6h12v-.5a.5.5 0 0 0-.5-.5H9c-.964 0-1.71-.629-2.174-1.154C6.374 3.334 5.82 3 5.264 3H2.5a.5.5 0 0 0-.5.5zm-.367 1a.5.5 0 0 0-.496.562l.64 5.124A1.5 1.5 0 0 0 3.266 14h9.468a1.5 1.5 0 0 0 1.489-1.314l.64-5.124A.5.5 0 0 0 14.367 7z"})}),Vh=({size:f="24",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M9.293 0H4a2 2 0 0 0-2 2v12a2 2 0 0 0 2 2h8a2 2 0 0 0 2-2V4.707A1 1 0 0 0 13.707 4L10 .293A1 1 0 0 0 9.293 0M9.5 3.5v-2l3 3h-2a1 1 0 0 1-1-1m-1 4v3.793l1.146-1.147a.5.5 0 0 1 .708.708l-2 2a.5.5 0 0 1-.708 0l-2-2a.5.5 0 0 1 .708-.708L7.5 11.293V7.5a.5.5 0 0 1 1 0"})}),Zh=({size:f="24",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M16 8A8 8 0 1 1 0 8a8 8 0 0 1 16 0M5.354 4.646a.5.5 0 1 0-.708.708L7.293 8l-2.647 2.646a.5.5 0 0 0 .708.708L8 8.707l2.646 2.647a.5.5 0 0 0 .708-.708L8.707 8l2.647-2.646a.5.5 0 0 0-.708-.708L8 7.293z"})}),Kh=({size:f="32",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{d:"M0 4a2 2 0 0 1 2-2h11a2 2 0 0 1 2 2v4a.5.5 0 0 1-1 0V7H1v5a1 1 0 0 0 1 1h5.5a.5.5 0 0 1 0 1H2a2 2 0 0 1-2-2V4Zm1 2h13V4a1 1 0 0 0-1-1H2a1 1 0 0 0-1 1v2Z"}),h.jsx("path",{d:"M16 12.5a3.5 3.5 0 1 1-7 0 3.5 3.5 0 0 1 7 0Zm-3.5-2a.5.5 0 0 0-.5.5v1h-1a.5.5 0 0 0 0 1h1v1a.5.5 0 0 0 1 0v-1h1a.5.5 0 0 0 0-1h-1v-1a.5.5 0 0 0-.5-.5Z"})]}),Jh=({size:f="32",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{fillRule:"evenodd",d:"M.172 15.828a.5.5 0 0 0 .707 0l4.096-4.096V14.5a.5.5 0 1 0 1 0v-3.975a.5.5 0 0 0-.5-.5H1.5a.5.5 0 0 0 0 1h2.768L.172 15.121a.5.5 0 0 0 0 .707M15.828.172a.5.5 0 0 0-.707 0l-4.096 4.096V1.5a.5.5 0 1 0-1 0v3.975a.5.5 0 0 0 .5.5H14.5a.5.5 0 0 0 0-1h-2.768L15.828.879a.5.5 0 0 0 0-.707"})}),Wh=({size:f="32",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{fillRule:"evenodd",d:"M5.828 10.172a.5.5 0 0 0-.707 0l-4.096 4.096V11.5a.5.5 0 0 0-1 0v3.975a.5.5 0 0 0 .5.5H4.5a.5.5 0 0 0 0-1H1.732l4.096-4.096a.5.5 0 0 0 0-.707m4.344-4.344a.5.5 0 0 0 .707 0l4.096-4.096V4.5a.5.5 0 1 0 1 0V.525a.5.5 0 0 0-.5-.5H11.5a.5.5 0 0 0 0 1h2.768l-4.096 4.096a.5.5 0 0 0 0 .707"})}),$h=({size:f="32",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M1 2.5A1.5 1.5 0 0 1 2.5 1h3A1.5 1.5 0 0 1 7 2.5v3A1.5 1.5 0 0 1 5.5 7h-3A1.5 1.5 0 0 1 1 5.5v-3zM2.5 2a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5h-3zm6.5.5A1.5 1.5 0 0 1 10.5 1h3A1.5 1.5 0 0 1 15 2.5v3A1.5 1.5 0 0 1 13.5 7h-3A1.5 1.5 0 0 1 9 5.5v-3zm1.5-.5a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5h-3zM1 10.5A1.5 1.5 0 0 1 2.5 9h3A1.5 1.5 0 0 1 7 10.5v3A1.5 1.5 0 0 1 5.5 15h-3A1.5 1.5 0 0 1 1 13.5v-3zm1.5-.5a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5h-3zm6.5.5A1.5 1.5 0 0 1 10.5 9h3a1.5 1.5 0 0 1 1.5 1.5v3a1.5 1.5 0 0 1-1.5 1.5h-3A1.5 1.5 0 0 1 9 13.5v-3zm1.5-.5a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5h-3z"})}),J1=({size:f="32",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{fillRule:"evenodd",d:"M8 5.5a.5.5 0 0 1 .5.5v1.5H10a.5.5 0 0 1 0 1H8.5V10a.5.5 0 0 1-1 0V8.5H6a.5.5 0 0 1 0-1h1.5V6a.5.5 0 0 1 .5-.5z"}),h.jsx("path",{d:"M3 0h10a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2v-1h1v1a1 1 0 0 0 1 1h10a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H3a1 1 0 0 0-1 1v1H1V2a2 2 0 0 1 2-2z"}),h.jsx("path",{d:"M1 5v-.5a.5.5 0 0 1 1 0V5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0V8h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0v.5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1z"})]}),W1=({size:f="16",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{fillRule:"evenodd",d:"M6.146 6.146a.5.5 0 0 1 .708 0L8 7.293l1.146-1.147a.5.5 0 1 1 .708.708L8.707 8l1.147 1.146a.5.5 0 0 1-.708.708L8 8.707 6.854 9.854a.5.5 0 0 1-.708-.708L7.293 8 6.146 6.854a.5.5 0 0 1 0-.708z"}),h.jsx("path",{d:"M3 0h10a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2v-1h1v1a1 1 0 0 0 1 1h10a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H3a1 1 0 0 0-1 1v1H1V2a2 2 0 0 1 2-2z"}),h.jsx("path",{d:"M1 5v-.5a.5.5 0 0 1 1 0V5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0V8h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0v.5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1z"})]}),kh=({size:f="20",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{fillRule:"evenodd",d:"M8 11a.5.5 0 0 0 .5-.5V6.707l1.146 1.147a.5.5 0 0 0 .708-.708l-2-2a.5.5 0 0 0-.708 0l-2 2a.5.5 0 1 0 .708.708L7.5 6.707V10.5a.5.5 0 0 0 .5.5z"}),h.jsx("path",{d:"M3 0h10a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2v-1h1v1a1 1 0 0 0 1 1h10a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H3a1 1 0 0 0-1 1v1H1V2a2 2 0 0 1 2-2z"}),h.jsx("path",{d:"M1 5v-.5a.5.5 0 0 1 1 0V5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0V8h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0v.5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1z"})]}),Fh=({size:f="20",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{d:"M7.293 1.5a1 1 0 0 1 1.414 0L11 3.793V2.5a.5.5 0 0 1 .5-.5h1a.5.5 0 0 1 .5.5v3.293l2.354 2.353a.5.5 0 0 1-.708.708L8 2.207l-5 5V13.5a.5.5 0 0 0 .5.5h4a.5.5 0 0 1 0 1h-4A1.5 1.5 0 0 1 2 13.5V8.207l-.646.647a.5.5 0 1 1-.708-.708L7.293 1.5Z"}),h.jsx("path",{d:"M10 13a1 1 0 0 1 1-1v-1a2 2 0 0 1 4 0v1a1 1 0 0 1 1 1v2a1 1 0 0 1-1 1h-4a1 1 0 0 1-1-1v-2Zm3-3a1 1 0 0 0-1 1v1h2v-1a1 1 0 0 0-1-1Z"})]}),Ih=({size:f="20",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 14",focusable:"false",children:[h.jsx("path",{fillRule:"evenodd",d:"M8 3a5 5 0 1 1-4.546 2.914.5.5 0 0 0-.908-.417A6 6 0 1 0 8 2v1z"}),h.jsx("path",{d:"M8 4.466V.534a.25.25 0 0 0-.41-.192L5.23 2.308a.25.25 0 0 0 0 .384l2.36 1.966A.25.25 0 0 0 8 4.466z"})]}),Ph=({size:f="20",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{d:"M5 0h8a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2 2 2 0 0 1-2 2H3a2 2 0 0 1-2-2h1a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1V4a1 1 0 0 0-1-1H3a1 1 0 0 0-1 1H1a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v9a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H5a1 1 0 0 0-1 1H3a2 2 0 0 1 2-2z"}),h.jsx("path",{d:"M1 6v-.5a.5.5 0 0 1 1 0V6h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0V9h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 2.5v.5H.5a.5.5 0 0 0 0 1h2a.5.5 0 0 0 0-1H2v-.5a.5.5 0 0 0-1 0z"})]}),$1=({size:f="32",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M13.5 1a1.5 1.5 0 1 0 0 3 1.5 1.5 0 0 0 0-3M11 2.5a2.5 2.5 0 1 1 .603 1.628l-6.718 3.12a2.5 2.5 0 0 1 0 1.504l6.718 3.12a2.5 2.5 0 1 1-.488.876l-6.718-3.12a2.5 2.5 0 1 1 0-3.256l6.718-3.12A2.5 2.5 0 0 1 11 2.5m-8.5 4a1.5 1.5 0 1 0 0 3 1.5 1.5 0 0 0 0-3m11 5.5a1.5 1.5 0 1 0 0 3 1.5 1.5 0 0 0 0-3"})}),lv=({size:f="32",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{d:"M8 15A7 7 0 1 1 8 1a7 7 0 0 1 0 14zm0 1A8 8 0 1 0 8 0a8 8 0 0 0 0 16z"}),h.jsx("path",{d:"M5.255 5.786a.237.237 0 0 0 .241.247h.825c.138 0 .248-.113.266-.25.09-.656.54-1.134 1.342-1.134.686 0 1.314.343 1.314 1.168 0 .635-.374.927-.965 1.371-.673.489-1.206 1.06-1.168 1.987l.003.217a.25.25 0 0 0 .25.246h.811a.25.25 0 0 0 .25-.25v-.105c0-.718.273-.927 1.01-1.486.609-.463 1.244-.977 1.244-2.056 0-1.511-1.276-2.241-2.673-2.241-1.267 0-2.655.59-2.75 2.286zm1.557 5.763c0 .533.425.927 1.01.927.609 0 1.028-.394 1.028-.927 0-.552-.42-.94-1.029-.94-.584 0-1.009.388-1.009.94z"})]}),tv=({size:f="50",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,className:`spinner-path ${m}`,viewBox:"0 0 50 50",focusable:"false",children:h.jsx("circle",{className:"path",cx:"25",cy:"25",r:"20",fill:"none",strokeWidth:"5"})}),ev=({note:f,index:m,totalNotes:E,onUpdate:o,onDeleteRequest:_,onMove:x,onDuplicate:C,availableColors:B,defaultTitle:j})=>{const{id:z,title:q,content:U,accentColor:k,attachment:P,collapsed:ul=!1}=f,rl=X.useId(),Ml=X.useId(),[fl,Nl]=X.useState(U),[Dl,_l]=X.useState(!1),[jl,yl]=X.useState(null),[K,pl]=X.useState("idle"),[Xl,Tt]=X.useState(!1),[Ql,Rl]=X.useState([U]),[Jl,Wl]=X.useState(0),[Vl,b]=X.useState(q),p=X.useRef(null),D=X.useRef(null),Q=X.useRef(null),W=X.useRef(null),d=X.useRef(null),M=X.useMemo(()=>{const H=w1(k,50),Z=w1(k,65);return H?{"--dynamic-icon-color":H,"--dynamic-icon-hover":Z}:{}},[k]);X.useEffect(()=>{let H=null;const Z=P?.blob;return Z instanceof Blob||Z instanceof File?(H=URL.createObjectURL(Z),yl(H)):yl(null),()=>{H&&URL.revokeObjectURL(H)}},[P?.blob]),X.useEffect(()=>{Nl(U)},[U]),X.useEffect(()=>{W.current&&(W.current.value=m)},[m]);const R=ec(H=>{o({...f,...H})},1e3),L=ec(H=>{Rl(Z=>{const cl=Z.slice(0,Jl+1);return cl.push(H),cl.length>50&&cl.shift(),cl}),Wl(Z=>Z>=50?49:Z+1)},300);X.useEffect(()=>{b(q)},[q]),X.useLayoutEffect(()=>{p.current&&p.current.innerText!==q&&q===Vl&&(p.current.innerText=q),D.current&&D.current.innerText!==U&&U===fl&&document.activeElement!==D.current&&(D.current.innerText=U)},[q,U,Vl,fl]),X.useLayoutEffect(()=>{if(!D.current)return;const H=()=>{const cl=getComputedStyle(document.documentElement),nc=parseInt(cl.getPropertyValue("--note-min-content-height"))||200,Yn=D.current.scrollHeight>nc;Tt(tt=>tt!==Yn?Yn:tt)},Z=new ResizeObserver(()=>{H()});return Z.observe(D.current),H(),()=>Z.disconnect()},[]);const J=H=>{if(!H)return;const Z={name:H.name,type:Uh(H.type),mimeType:H.type,size:H.size,blob:H};o({...f,attachment:Z})},ll=H=>{const Z=H.clipboardData.items;for(let cl=0;cl<Z.length;cl++)Z[cl].kind==="file"&&(H.preventDefault(),J(Z[cl].getAsFile()))},sl=H=>{H.preventDefault(),_l(!1),H.dataTransfer.files?.[0]&&J(H.dataTransfer.files[0])},$l=H=>{const Z=H.target.innerText;b(Z),R({title:Z})},Ol=H=>{const Z=H.target.innerText.trim();if(H.target.innerText.trim()===""){const cl=j;H.target.innerText=cl,b(cl),o({...f,title:cl})}else o({...f,title:Z})},xe=H=>{H.target.innerText===j&&(H.target.innerText="")},ke=H=>{const Z=H.target.innerText;Nl(Z),R({content:Z}),L(Z)},Ya=H=>{if((H.ctrlKey||H.metaKey)&&!H.altKey){if(H.key==="z"&&!H.shiftKey){if(H.preventDefault(),Jl>0){const Z=Jl-1,cl=Ql[Z];Wl(Z),La(cl)}}else if((H.key==="y"||H.key==="z"&&H.shiftKey)&&(H.preventDefault(),Jl<Ql.length-1)){const Z=Jl+1,cl=Ql[Z];Wl(Z),La(cl)}}},La=H=>{if(Nl(H),R({content:H}),D.current){D.current.innerText=H;const Z=document.createRange(),cl=window.getSelection();Z.selectNodeContents(D.current),Z.collapse(!1),cl.removeAllRanges(),cl.addRange(Z)}},Lt=()=>{C&&C(f)},Ga=()=>{let H=B[0];if(B.includes(k)){const Z=B.indexOf(k);H=Z!==B.length-1?B[Z+1]:B[0]}o({...f,accentColor:H})},Fe=H=>{const Z=H.target.value;if(Z==="")return;let cl=parseInt(Z,10);cl>E&&(cl=E),cl<1&&(cl=1),!isNaN(cl)&&cl!==m?(x(z,m,cl),H.target.value=cl):H.target.value=m},ac=async()=>{try{await navigator.clipboard.writeText(fl),pl("copied"),setTimeout(()=>pl("idle"),2e3)}catch{const H=(q||"note").replace(/[^\p{L}^\p{N}]+/gu," ").trim()+".txt";qa(fl,H,"text/plain"),pl("downloaded"),setTimeout(()=>pl("idle"),2e3)}},qn=()=>{o({...f,collapsed:!ul})};return h.jsxs("div",{ref:d,id:z,className:`note ${Dl?"drag-active":""}${ul&&Xl?" note-collapsed":""}`,onDragOver:H=>{H.preventDefault(),_l(!0)},onDragLeave:()=>_l(!1),onDrop:sl,children:[h.jsx("input",{id:Ml,name:`note-file-upload-${f.id}`,type:"file",ref:Q,style:{display:"none"},onChange:H=>J(H.target.files[0])}),h.jsxs("div",{className:`note-title-container ${Xl?"has-collapse-button":""}`,style:{backgroundColor:k||"inherit"},children:[h.jsx("h2",{ref:p,className:"note-title",contentEditable:"plaintext-only",suppressContentEditableWarning:!0,onInput:$l,onFocus:xe,onBlur:Ol}),Xl&&h.jsx("button",{type:"button",className:"note-collapse-toggle hovering-label","aria-label":ul?"Expand":"Collapse",onClick:qn,children:ul?h.jsx(Wh,{size:"14"}):h.jsx(Jh,{size:"14"})})]}),P&&h.jsxs("div",{className:"note-media-preview",children:[h.jsxs("div",{className:"media-controls-overlay",children:[h.jsx("button",{type:"button",className:"download-attachment hovering-label","aria-label":"Download",onClick:()=>qa(P.blob,P.name,P.type),children:h.jsx(Vh,{})}),h.jsx("button",{type:"button",className:"remove-attachment hovering-label","aria-label":"Remove",onClick:()=>o({...f,attachment:null}),children:h.jsx(Zh,{})})]}),h.jsxs("div",{className:"file-chip",role:"button",tabIndex:0,onClick:()=>qa(P.blob,P.name,P.type),onKeyDown:H=>{(H.key==="Enter"||H.key===" ")&&(H.preventDefault(),qa(P.blob,P.name,P.type))},children:[P.mimeType?.startsWith("image/")&&jl&&h.jsx("img",{src:jl,alt:P.name,className:"note-attachment-thumbnail",loading:"lazy"}),h.jsxs("div",{className:"file-info",children:[h.jsx("strong",{children:P.name}),h.jsx("span",{children:Hh(P.size)})]})]})]}),h.jsx("div",{className:"note-text-container",onPaste:ll,children:h.jsx("div",{ref:D,className:"note-text",contentEditable:"plaintext-only",suppressContentEditableWarning:!0,onInput:ke,onKeyDown:Ya})}),h.jsxs("div",{className:"note-toolbox-container",children:[h.jsxs("div",{className:"note-insights",children:[h.jsx("div",{className:"insight-container",children:h.jsxs("div",{className:"insight-content hovering-label","aria-label":"Characters",children:[h.jsx("span",{children:"C:"}),h.jsx("span",{className:"character-counter",children:fl.length})]})}),h.jsx("div",{className:"insight-container",children:h.jsxs("div",{className:"insight-content hovering-label","aria-label":"Words",children:[h.jsx("span",{children:"W:"}),h.jsx("span",{className:"word-counter",children:Z1(fl)})]})}),h.jsx("div",{className:"insight-container",children:h.jsxs("div",{className:"insight-content hovering-label","aria-label":"Time (sec)",children:[h.jsx("span",{children:"T:"}),h.jsx("span",{className:"time-counter",children:Ch(fl)})]})})]}),h.jsxs("div",{className:"note-controls",children:[h.jsx("div",{className:"note-control-container",children:h.jsx("button",{type:"button",className:"note-control hovering-label attach-file","aria-label":"Attach file",onClick:()=>Q.current?.click(),style:M,children:h.jsx(Qh,{})})}),h.jsx("div",{className:"note-control-container",children:h.jsx("button",{type:"button",className:"note-control hovering-label duplicate-note","aria-label":"Duplicate",onClick:Lt,children:h.jsx(Yh,{})})}),h.jsx("div",{className:"note-control-container",children:h.jsx("button",{type:"button",className:"note-control hovering-label share-note","aria-label":K==="copied"?"Copied!":K==="downloaded"?"Downloaded!":"Copy",onClick:ac,children:K==="copied"||K==="downloaded"?h.jsx(Gh,{size:"16"}):h.jsx(Lh,{size:"16"})})}),h.jsx("div",{className:"note-control-container",children:h.jsx("button",{type:"button",className:"note-control hovering-label change-accent-color","aria-label":"Colour",onClick:Ga,style:M,children:h.jsx(Xh,{})})}),h.jsx("div",{className:"note-control-container",children:h.jsx("button",{type:"button",className:"note-control hovering-label delete-note","aria-label":"Delete",onClick:()=>_(z),children:h.jsx(wh,{})})}),h.jsx("div",{className:"note-control-container",children:h.jsx("div",{className:"note-control hovering-label move-note","aria-label":"Move",children:h.jsx("input",{ref:W,id:rl,name:`note-position-${f.id}`,type:"number",min:"1",max:E,className:"note-index editable","aria-label":`Change position for note: ${q||"Untitled"}`,defaultValue:m,onBlur:Fe,onKeyDown:H=>H.key==="Enter"&&Fe(H)})})})]})]})]})},av=V1.memo(ev),k1=()=>h.jsxs("div",{className:"spinner-overlay",children:[h.jsx(tv,{}),h.jsx("p",{children:"Processing..."})]}),F1=({isOpen:f,message:m,actions:E,onClose:o,customClasses:_=[]})=>{const x=X.useRef(null);return X.useEffect(()=>{f&&x.current?x.current.showModal():!f&&x.current&&x.current.close()},[f]),h.jsxs("dialog",{ref:x,className:`dialog confirmation-dialog ${_.join(" ")}`,onClose:o,children:[h.jsx("header",{className:"dialog-header confirmation-dialog-header",children:h.jsx("h2",{children:m})}),h.jsx("footer",{className:"dialog-footer confirmation-dialog-footer",children:E.map((C,B)=>h.jsx("div",{className:"dialog-button-container",children:h.jsx("button",{type:"button",className:`dialog-button ${C.customClasses?C.customClasses.join(" "):""}`,onClick:()=>{C.action&&C.action(),o()},children:C.actionLabel})},B))})]})},nv=({isOpen:f,onClose:m,notepads:E,onRefresh:o,onOpenNotepad:_,onCreateNotepad:x,db:C,activeNotepadId:B})=>{const j=X.useId(),z=X.useRef(null),[q,U]=X.useState(!1),[k,P]=X.useState(""),[ul,rl]=X.useState(""),Ml=ec(b=>{rl(b)},300),{isOpen:fl,message:Nl,actions:Dl,customClasses:_l,openDialog:jl,closeDialog:yl}=K1();X.useEffect(()=>{f?z.current?.showModal():z.current?.close()},[f]);const K=b=>{const p=b.target.value;P(p),Ml(p)},pl=X.useCallback(()=>{P(""),rl(""),m()},[m]),Xl=X.useMemo(()=>{if(!ul)return E;const b=ul.toLowerCase();return E.filter(p=>p.title.toLowerCase().includes(b)?!0:p.notes.some(Q=>{const W=Q.title.toLowerCase().includes(b),d=Q.content.toLowerCase().includes(b);return W||d}))},[E,ul]),Tt=()=>{Bn.importSingleNotepad({db:C,setIsProcessing:U,openDialog:jl,onOpenNotepad:_,onClose:()=>{o(),m()},uploadLocalFile:G1,base64ToBlob:Of,generateID:_e,FILE_CONFIG:$e})},Ql=()=>{Bn.backupFullLibrary({db:C,setIsProcessing:U,blobToBase64:Nf,getExportFileName:Df,shareLocalFile:Mf,FILE_CONFIG:$e})},Rl=()=>{Bn.restoreFullLibrary({db:C,setIsProcessing:U,openDialog:jl,uploadLocalFile:G1,base64ToBlob:Of,dataFallbackMode:jh,FILE_CONFIG:$e})},Jl=b=>{Bn.shareSingleNotepad(b,{setIsProcessing:U,blobToBase64:Nf,getExportFileName:Df,shareLocalFile:Mf,FILE_CONFIG:$e})},Wl=async b=>{U(!0);try{const p={...b};p.id=_e("notepad",void 0,Date.now()),p.title=p.title+" (Copy)";const D=Date.now();p.created=D,p.lastUpdate=D,await C.bulkPut({[p.id]:p}),o()}catch(p){console.error("Duplicate failed",p)}finally{U(!1)}},Vl=b=>{jl({isOpen:!0,message:"Delete notepad?",actions:[{actionLabel:"Delete",customClasses:["dialog-button-confirm"],action:async()=>{const p=E.findIndex(W=>W.id===b);await C.delete(b);const D=await C.getAll(),Q=Object.values(D).sort((W,d)=>d.lastUpdate-W.lastUpdate);if(o(),b===B)if(Q.length===0)x(!0);else{const W=Q[p]||Q[p-1]||Q[0];W&&_(W)}}},{actionLabel:"Cancel",customClasses:["dialog-button-standard"],action:yl}]})};return h.jsxs(h.Fragment,{children:[h.jsxs("dialog",{ref:z,className:"dialog notepads-viewer",onClose:pl,children:[q&&h.jsx(k1,{}),h.jsx("header",{className:"dialog-header viewer-header",children:h.jsx("h2",{children:"Notepads"})}),h.jsxs("div",{className:"viewer-toolbox",children:[h.jsx("div",{className:"viewer-toolbox-search-container",children:h.jsx("input",{id:j,name:"notepad-search",className:"viewer-toolbox-control viewer-toolbox-search",placeholder:"Search notepads...",value:k,onInput:K,autoFocus:!0})}),h.jsxs("div",{className:"viewer-toolbox-controls",children:[h.jsx("div",{className:"viewer-toolbox-control-container",children:h.jsx("button",{className:"hovering-label viewer-toolbox-control","aria-label":"New notepad",onClick:()=>{x(!0),pl()},children:h.jsx(J1,{size:"20"})})}),h.jsx("div",{className:"viewer-toolbox-control-container",children:h.jsx("button",{className:"hovering-label viewer-toolbox-control","aria-label":"Import notepad",onClick:Tt,children:h.jsx(kh,{})})}),h.jsx("div",{className:"viewer-toolbox-control-container",children:h.jsx("button",{className:"hovering-label viewer-toolbox-control","aria-label":"Backup notepads",onClick:Ql,children:h.jsx(Fh,{})})}),h.jsx("div",{className:"viewer-toolbox-control-container",children:h.jsx("button",{className:"hovering-label viewer-toolbox-control tooltip-left","aria-label":"Restore backup",onClick:Rl,children:h.jsx(Ih,{})})})]})]}),h.jsx("div",{className:"dialog-body viewer-notepads-list",children:Xl.length>0?Xl.map((b,p)=>h.jsxs("div",{className:`viewer-list-item ${b.id===B?"active-notepad":""}`,children:[h.jsx("div",{className:"hovering-label viewer-last-update","aria-label":"Last update",children:new Date(b.lastUpdate).toLocaleString(void 0,{year:"numeric",month:"2-digit",day:"2-digit",hour:"2-digit",minute:"2-digit"})}),h.jsx("div",{className:"viewer-notepad-title-container viewer-notepad-title",role:"button",tabIndex:0,onClick:()=>{_(b),pl()},onKeyDown:D=>{(D.key==="Enter"||D.key===" ")&&(D.preventDefault(),_(b),pl())},children:b.title}),h.jsxs("div",{className:"viewer-controls",children:[h.jsx("div",{className:"viewer-control-container",children:h.jsx("button",{className:`viewer-control hovering-label viewer-share-control${p===0?" tooltip-below":""}`,"aria-label":"Share notepad",onClick:()=>Jl(b),children:h.jsx($1,{size:"20"})})}),h.jsx("div",{className:"viewer-control-container",children:h.jsx("button",{className:`viewer-control hovering-label viewer-duplicate-control${p===0?" tooltip-below":""}`,"aria-label":"Duplicate notepad",onClick:()=>Wl(b),children:h.jsx(Ph,{})})}),h.jsx("div",{className:"viewer-control-container",children:h.jsx("button",{className:`viewer-control hovering-label viewer-delete-control${p===0?" tooltip-below tooltip-left":" tooltip-left"}`,"aria-label":"Delete notepad",onClick:()=>Vl(b.id),children:h.jsx(W1,{size:"20"})})})]})]},b.id)):h.jsx("div",{className:"viewer-list-empty",children:"No notepads found"})}),h.jsx("footer",{className:"dialog-footer viewer-footer",children:h.jsx("div",{className:"dialog-button-container",children:h.jsx("button",{className:"dialog-button dialog-button-standard",onClick:pl,children:"Close"})})})]}),h.jsx(F1,{isOpen:fl,message:Nl,actions:Dl,onClose:yl,customClasses:_l})]})},Ba=new xh;function uv(){const[f,m]=X.useReducer(Bh,{id:_e(Gl.tags.notepad),title:Gl.notepadTitle,created:0,lastUpdate:0,notes:[]}),[E,o]=X.useState([]),[_,x]=X.useState([...Gl.accentColors]),[C,B]=X.useState(!1),[j,z]=X.useState(!1),{isOpen:q,message:U,actions:k,customClasses:P,openDialog:ul,closeDialog:rl}=K1(),Ml=X.useRef(null),fl=X.useCallback(async()=>{try{const p=await Ba.getAll(),D=Object.values(p).sort((Q,W)=>W.lastUpdate-Q.lastUpdate);o(D)}catch(p){console.error("Failed to refresh notepads list",p)}},[]),Nl=ec(p=>{Ba.bulkPut({[p.id]:p}).then(()=>{fl()})},300),Dl=p=>{const D=p.target.innerText;m({type:at.UPDATE_TITLE,payload:D})},_l=X.useCallback(()=>{B(!0),fl()},[fl]),jl=X.useCallback(p=>{m({type:at.SET_NOTEPAD,payload:p});const D=p.notes.map(Q=>Q.accentColor).filter(Q=>Q);x([...new Set([...Gl.accentColors,...D])]),document.title=p.title||Gl.notepadTitle},[]),yl=X.useCallback((p=!0)=>{const D=Date.now(),Q={id:_e(Gl.tags.notepad),title:Gl.notepadTitle,created:D,lastUpdate:D,notes:p?[{id:_e(Gl.tags.note),title:Gl.noteTitle,content:"",accentColor:"",collapsed:!1}]:[]};m({type:at.SET_NOTEPAD,payload:Q}),x([...Gl.accentColors]),document.title=Gl.notepadTitle},[]),K=X.useCallback(()=>{f.notes.length+1;const p={id:_e(Gl.tags.note),title:Gl.noteTitle,content:"",accentColor:"",collapsed:!1};m({type:at.ADD_NOTE,payload:p})},[f.notes.length]),pl=X.useCallback(p=>{const D={...p,id:_e(Gl.tags.note),title:p.title+" (Copy)"};m({type:at.DUPLICATE_NOTE,payload:{originalId:p.id,newNote:D}})},[]),Xl=X.useCallback(p=>{m({type:at.UPDATE_NOTE,payload:p})},[]),Tt=X.useCallback(p=>{m({type:at.DELETE_NOTE,payload:p})},[]),Ql=p=>{ul({isOpen:!0,message:"Delete this note permanently?",actions:[{actionLabel:"Delete",action:()=>Tt(p),customClasses:["dialog-button-confirm"]},{actionLabel:"Cancel",action:()=>{},customClasses:["dialog-button-standard"]}]})},Rl=X.useCallback((p,D,Q)=>{m({type:at.MOVE_NOTE,payload:{oldIndex:D,newIndex:Q}})},[]),Jl=()=>{ul({isOpen:!0,message:"Are you sure you want to delete this notepad?",actions:[{actionLabel:"Delete",customClasses:["dialog-button-confirm"],action:async()=>{await Ba.delete(f.id),await fl(),yl(!0)}},{actionLabel:"Cancel",customClasses:["dialog-button-standard"],action:()=>{}}]})},Wl=X.useCallback(()=>{Bn.shareSingleNotepad(f,{setIsProcessing:z,blobToBase64:Nf,getExportFileName:Df,shareLocalFile:Mf,FILE_CONFIG:$e})},[f]),Vl=p=>{p.target.innerText===Gl.notepadTitle&&(p.target.innerText="")},b=p=>{p.target.innerText.trim()===""&&(p.target.innerText=Gl.notepadTitle,m({type:at.UPDATE_TITLE,payload:Gl.notepadTitle}),document.title=Gl.notepadTitle)};return X.useEffect(()=>{(async()=>{try{await Ba.init(),await fl();const D=await Ba.getAll(),Q=Object.values(D).sort((W,d)=>d.lastUpdate-W.lastUpdate)[0];Q?jl(Q):yl(!0)}catch(D){console.error("Database initialisation failed",D)}})()},[jl,yl,fl]),X.useEffect(()=>{Ml.current&&Ml.current.innerText!==f.title&&(Ml.current.innerText=f.title)},[f.id,f.title]),X.useEffect(()=>{j||Nl(f)},[f,j,Nl]),X.useEffect(()=>{const p=()=>localStorage.setItem("sp_emergency_backup",JSON.stringify(f));return window.addEventListener("beforeunload",p),()=>window.removeEventListener("beforeunload",p)},[f]),X.useEffect(()=>{const p=D=>{(D.ctrlKey||D.metaKey)&&D.altKey&&D.key==="k"?(D.preventDefault(),_l()):(D.ctrlKey||D.metaKey)&&D.altKey&&D.key==="n"?(D.preventDefault(),K()):(D.ctrlKey||D.metaKey)&&D.altKey&&D.key==="m"&&(D.preventDefault(),yl(!0))};return window.addEventListener("keydown",p),()=>window.removeEventListener("keydown",p)},[_l,K,yl]),h.jsxs("div",{id:"notepad-entry-point",className:"entry-point",children:[j&&h.jsx(k1,{}),h.jsxs("main",{id:f.id,className:"notepad","data-notepad-created":f.created,"data-notepad-last-update":f.lastUpdate,children:[h.jsx("h1",{ref:Ml,className:"notepad-title editable",contentEditable:"plaintext-only","aria-label":"Notepad title",suppressContentEditableWarning:!0,onFocus:Vl,onBlur:b,onInput:Dl},f.id),h.jsx("div",{className:"notes-container",children:f.notes.map((p,D)=>h.jsx(av,{note:p,index:D+1,totalNotes:f.notes.length,defaultTitle:Gl.noteTitle,onUpdate:Xl,onDeleteRequest:Ql,onMove:Rl,onDuplicate:pl,availableColors:_},p.id))})]}),h.jsxs("div",{className:"toolbox",children:[h.jsx("div",{className:"toolbox-element branding",children:h.jsx(qh,{})}),h.jsx("div",{className:"toolbox-element",children:h.jsx("button",{className:"toolbox-control hovering-label tooltip-right add-note","aria-label":"Add note",onClick:K,children:h.jsx(Kh,{})})}),h.jsx("div",{className:"toolbox-element",children:h.jsx("button",{className:"toolbox-control hovering-label tooltip-right notepads-viewer-control","aria-label":"Notepads",onClick:_l,children:h.jsx($h,{})})}),h.jsx("div",{className:"toolbox-element",children:h.jsx("button",{className:"toolbox-control hovering-label tooltip-right","aria-label":"New notepad",onClick:()=>yl(!0),children:h.jsx(J1,{})})}),h.jsx("div",{className:"toolbox-element",children:h.jsx("button",{className:"toolbox-control hovering-label tooltip-right","aria-label":"Delete notepad",onClick:Jl,children:h.jsx(W1,{size:"32"})})}),h.jsx("div",{className:"toolbox-element",children:h.jsx("button",{className:"toolbox-control hovering-label tooltip-right","aria-label":"Share notepad",onClick:Wl,children:h.jsx($1,{size:"32"})})}),h.jsx("div",{className:"toolbox-element",children:h.jsx("button",{className:"toolbox-control hovering-label tooltip-right about","aria-label":"About",onClick:()=>window.open(Gl.branding.about,"_blank"),children:h.jsx(lv,{})})})]}),h.jsx(nv,{isOpen:C,onClose:()=>B(!1),notepads:E,onRefresh:fl,onOpenNotepad:jl,onCreateNotepad:yl,db:Ba,activeNotepadId:f.id}),h.jsx(F1,{isOpen:q,message:U,actions:k,onClose:rl,customClasses:P})]})}Dh.createRoot(document.getElementById("root")).render(h.jsx(V1.StrictMode,{children:h.jsx(uv,{})}));
+`).replace(Gr,"")}function F0(l,t){return t=k0(t),k0(l)===t}function bl(l,t,e,a,n,u){switch(e){case"children":typeof a=="string"?t==="body"||t==="textarea"&&a===""||na(l,a):(typeof a=="number"||typeof a=="bigint")&&t!=="body"&&na(l,""+a);break;case"className":Zn(l,"class",a);break;case"tabIndex":Zn(l,"tabindex",a);break;case"dir":case"role":case"viewBox":case"width":case"height":Zn(l,e,a);break;case"style":kf(l,a,u);break;case"data":if(t!=="object"){Zn(l,"data",a);break}case"src":case"href":if(a===""&&(t!=="a"||e!=="href")){l.removeAttribute(e);break}if(a==null||typeof a=="function"||typeof a=="symbol"||typeof a=="boolean"){l.removeAttribute(e);break}a=Jn(""+a),l.setAttribute(e,a);break;case"action":case"formAction":if(typeof a=="function"){l.setAttribute(e,"javascript:throw new Error('A React form was unexpectedly submitted. If you called form.submit() manually, consider using form.requestSubmit() instead. If you\\'re trying to use event.stopPropagation() in a submit event handler, consider also calling event.preventDefault().')");break}else typeof u=="function"&&(e==="formAction"?(t!=="input"&&bl(l,t,"name",n.name,n,null),bl(l,t,"formEncType",n.formEncType,n,null),bl(l,t,"formMethod",n.formMethod,n,null),bl(l,t,"formTarget",n.formTarget,n,null)):(bl(l,t,"encType",n.encType,n,null),bl(l,t,"method",n.method,n,null),bl(l,t,"target",n.target,n,null)));if(a==null||typeof a=="symbol"||typeof a=="boolean"){l.removeAttribute(e);break}a=Jn(""+a),l.setAttribute(e,a);break;case"onClick":a!=null&&(l.onclick=Xt);break;case"onScroll":a!=null&&el("scroll",l);break;case"onScrollEnd":a!=null&&el("scrollend",l);break;case"dangerouslySetInnerHTML":if(a!=null){if(typeof a!="object"||!("__html"in a))throw Error(o(61));if(e=a.__html,e!=null){if(n.children!=null)throw Error(o(60));l.innerHTML=e}}break;case"multiple":l.multiple=a&&typeof a!="function"&&typeof a!="symbol";break;case"muted":l.muted=a&&typeof a!="function"&&typeof a!="symbol";break;case"suppressContentEditableWarning":case"suppressHydrationWarning":case"defaultValue":case"defaultChecked":case"innerHTML":case"ref":break;case"autoFocus":break;case"xlinkHref":if(a==null||typeof a=="function"||typeof a=="boolean"||typeof a=="symbol"){l.removeAttribute("xlink:href");break}e=Jn(""+a),l.setAttributeNS("http://www.w3.org/1999/xlink","xlink:href",e);break;case"contentEditable":case"spellCheck":case"draggable":case"value":case"autoReverse":case"externalResourcesRequired":case"focusable":case"preserveAlpha":a!=null&&typeof a!="function"&&typeof a!="symbol"?l.setAttribute(e,""+a):l.removeAttribute(e);break;case"inert":case"allowFullScreen":case"async":case"autoPlay":case"controls":case"default":case"defer":case"disabled":case"disablePictureInPicture":case"disableRemotePlayback":case"formNoValidate":case"hidden":case"loop":case"noModule":case"noValidate":case"open":case"playsInline":case"readOnly":case"required":case"reversed":case"scoped":case"seamless":case"itemScope":a&&typeof a!="function"&&typeof a!="symbol"?l.setAttribute(e,""):l.removeAttribute(e);break;case"capture":case"download":a===!0?l.setAttribute(e,""):a!==!1&&a!=null&&typeof a!="function"&&typeof a!="symbol"?l.setAttribute(e,a):l.removeAttribute(e);break;case"cols":case"rows":case"size":case"span":a!=null&&typeof a!="function"&&typeof a!="symbol"&&!isNaN(a)&&1<=a?l.setAttribute(e,a):l.removeAttribute(e);break;case"rowSpan":case"start":a==null||typeof a=="function"||typeof a=="symbol"||isNaN(a)?l.removeAttribute(e):l.setAttribute(e,a);break;case"popover":el("beforetoggle",l),el("toggle",l),Vn(l,"popover",a);break;case"xlinkActuate":Gt(l,"http://www.w3.org/1999/xlink","xlink:actuate",a);break;case"xlinkArcrole":Gt(l,"http://www.w3.org/1999/xlink","xlink:arcrole",a);break;case"xlinkRole":Gt(l,"http://www.w3.org/1999/xlink","xlink:role",a);break;case"xlinkShow":Gt(l,"http://www.w3.org/1999/xlink","xlink:show",a);break;case"xlinkTitle":Gt(l,"http://www.w3.org/1999/xlink","xlink:title",a);break;case"xlinkType":Gt(l,"http://www.w3.org/1999/xlink","xlink:type",a);break;case"xmlBase":Gt(l,"http://www.w3.org/XML/1998/namespace","xml:base",a);break;case"xmlLang":Gt(l,"http://www.w3.org/XML/1998/namespace","xml:lang",a);break;case"xmlSpace":Gt(l,"http://www.w3.org/XML/1998/namespace","xml:space",a);break;case"is":Vn(l,"is",a);break;case"innerText":case"textContent":break;default:(!(2<e.length)||e[0]!=="o"&&e[0]!=="O"||e[1]!=="n"&&e[1]!=="N")&&(e=vd.get(e)||e,Vn(l,e,a))}}function Pi(l,t,e,a,n,u){switch(e){case"style":kf(l,a,u);break;case"dangerouslySetInnerHTML":if(a!=null){if(typeof a!="object"||!("__html"in a))throw Error(o(61));if(e=a.__html,e!=null){if(n.children!=null)throw Error(o(60));l.innerHTML=e}}break;case"children":typeof a=="string"?na(l,a):(typeof a=="number"||typeof a=="bigint")&&na(l,""+a);break;case"onScroll":a!=null&&el("scroll",l);break;case"onScrollEnd":a!=null&&el("scrollend",l);break;case"onClick":a!=null&&(l.onclick=Xt);break;case"suppressContentEditableWarning":case"suppressHydrationWarning":case"innerHTML":case"ref":break;case"innerText":case"textContent":break;default:if(!Xf.hasOwnProperty(e))l:{if(e[0]==="o"&&e[1]==="n"&&(n=e.endsWith("Capture"),t=e.slice(2,n?e.length-7:void 0),u=l[ut]||null,u=u!=null?u[e]:null,typeof u=="function"&&l.removeEventListener(t,u,n),typeof a=="function")){typeof u!="function"&&u!==null&&(e in l?l[e]=null:l.hasAttribute(e)&&l.removeAttribute(e)),l.addEventListener(t,a,n);break l}e in l?l[e]=a:a===!0?l.setAttribute(e,""):Vn(l,e,a)}}}function lt(l,t,e){switch(t){case"div":case"span":case"svg":case"path":case"a":case"g":case"p":case"li":break;case"img":el("error",l),el("load",l);var a=!1,n=!1,u;for(u in e)if(e.hasOwnProperty(u)){var c=e[u];if(c!=null)switch(u){case"src":a=!0;break;case"srcSet":n=!0;break;case"children":case"dangerouslySetInnerHTML":throw Error(o(137,t));default:bl(l,t,u,c,e,null)}}n&&bl(l,t,"srcSet",e.srcSet,e,null),a&&bl(l,t,"src",e.src,e,null);return;case"input":el("invalid",l);var i=u=c=n=null,s=null,g=null;for(a in e)if(e.hasOwnProperty(a)){var A=e[a];if(A!=null)switch(a){case"name":n=A;break;case"type":c=A;break;case"checked":s=A;break;case"defaultChecked":g=A;break;case"value":u=A;break;case"defaultValue":i=A;break;case"children":case"dangerouslySetInnerHTML":if(A!=null)throw Error(o(137,t));break;default:bl(l,t,a,A,e,null)}}Kf(l,u,i,s,g,c,n,!1);return;case"select":el("invalid",l),a=c=u=null;for(n in e)if(e.hasOwnProperty(n)&&(i=e[n],i!=null))switch(n){case"value":u=i;break;case"defaultValue":c=i;break;case"multiple":a=i;default:bl(l,t,n,i,e,null)}t=u,e=c,l.multiple=!!a,t!=null?aa(l,!!a,t,!1):e!=null&&aa(l,!!a,e,!0);return;case"textarea":el("invalid",l),u=n=a=null;for(c in e)if(e.hasOwnProperty(c)&&(i=e[c],i!=null))switch(c){case"value":a=i;break;case"defaultValue":n=i;break;case"children":u=i;break;case"dangerouslySetInnerHTML":if(i!=null)throw Error(o(91));break;default:bl(l,t,c,i,e,null)}Wf(l,a,n,u);return;case"option":for(s in e)e.hasOwnProperty(s)&&(a=e[s],a!=null)&&(s==="selected"?l.selected=a&&typeof a!="function"&&typeof a!="symbol":bl(l,t,s,a,e,null));return;case"dialog":el("beforetoggle",l),el("toggle",l),el("cancel",l),el("close",l);break;case"iframe":case"object":el("load",l);break;case"video":case"audio":for(a=0;a<Nn.length;a++)el(Nn[a],l);break;case"image":el("error",l),el("load",l);break;case"details":el("toggle",l);break;case"embed":case"source":case"link":el("error",l),el("load",l);case"area":case"base":case"br":case"col":case"hr":case"keygen":case"meta":case"param":case"track":case"wbr":case"menuitem":for(g in e)if(e.hasOwnProperty(g)&&(a=e[g],a!=null))switch(g){case"children":case"dangerouslySetInnerHTML":throw Error(o(137,t));default:bl(l,t,g,a,e,null)}return;default:if(hc(t)){for(A in e)e.hasOwnProperty(A)&&(a=e[A],a!==void 0&&Pi(l,t,A,a,e,void 0));return}}for(i in e)e.hasOwnProperty(i)&&(a=e[i],a!=null&&bl(l,t,i,a,e,null))}function Xr(l,t,e,a){switch(t){case"div":case"span":case"svg":case"path":case"a":case"g":case"p":case"li":break;case"input":var n=null,u=null,c=null,i=null,s=null,g=null,A=null;for(T in e){var O=e[T];if(e.hasOwnProperty(T)&&O!=null)switch(T){case"checked":break;case"value":break;case"defaultValue":s=O;default:a.hasOwnProperty(T)||bl(l,t,T,null,a,O)}}for(var S in a){var T=a[S];if(O=e[S],a.hasOwnProperty(S)&&(T!=null||O!=null))switch(S){case"type":u=T;break;case"name":n=T;break;case"checked":g=T;break;case"defaultChecked":A=T;break;case"value":c=T;break;case"defaultValue":i=T;break;case"children":case"dangerouslySetInnerHTML":if(T!=null)throw Error(o(137,t));break;default:T!==O&&bl(l,t,S,T,a,O)}}dc(l,c,i,s,g,A,u,n);return;case"select":T=c=i=S=null;for(u in e)if(s=e[u],e.hasOwnProperty(u)&&s!=null)switch(u){case"value":break;case"multiple":T=s;default:a.hasOwnProperty(u)||bl(l,t,u,null,a,s)}for(n in a)if(u=a[n],s=e[n],a.hasOwnProperty(n)&&(u!=null||s!=null))switch(n){case"value":S=u;break;case"defaultValue":i=u;break;case"multiple":c=u;default:u!==s&&bl(l,t,n,u,a,s)}t=i,e=c,a=T,S!=null?aa(l,!!e,S,!1):!!a!=!!e&&(t!=null?aa(l,!!e,t,!0):aa(l,!!e,e?[]:"",!1));return;case"textarea":T=S=null;for(i in e)if(n=e[i],e.hasOwnProperty(i)&&n!=null&&!a.hasOwnProperty(i))switch(i){case"value":break;case"children":break;default:bl(l,t,i,null,a,n)}for(c in a)if(n=a[c],u=e[c],a.hasOwnProperty(c)&&(n!=null||u!=null))switch(c){case"value":S=n;break;case"defaultValue":T=n;break;case"children":break;case"dangerouslySetInnerHTML":if(n!=null)throw Error(o(91));break;default:n!==u&&bl(l,t,c,n,a,u)}Jf(l,S,T);return;case"option":for(var Y in e)S=e[Y],e.hasOwnProperty(Y)&&S!=null&&!a.hasOwnProperty(Y)&&(Y==="selected"?l.selected=!1:bl(l,t,Y,null,a,S));for(s in a)S=a[s],T=e[s],a.hasOwnProperty(s)&&S!==T&&(S!=null||T!=null)&&(s==="selected"?l.selected=S&&typeof S!="function"&&typeof S!="symbol":bl(l,t,s,S,a,T));return;case"img":case"link":case"area":case"base":case"br":case"col":case"embed":case"hr":case"keygen":case"meta":case"param":case"source":case"track":case"wbr":case"menuitem":for(var V in e)S=e[V],e.hasOwnProperty(V)&&S!=null&&!a.hasOwnProperty(V)&&bl(l,t,V,null,a,S);for(g in a)if(S=a[g],T=e[g],a.hasOwnProperty(g)&&S!==T&&(S!=null||T!=null))switch(g){case"children":case"dangerouslySetInnerHTML":if(S!=null)throw Error(o(137,t));break;default:bl(l,t,g,S,a,T)}return;default:if(hc(t)){for(var Sl in e)S=e[Sl],e.hasOwnProperty(Sl)&&S!==void 0&&!a.hasOwnProperty(Sl)&&Pi(l,t,Sl,void 0,a,S);for(A in a)S=a[A],T=e[A],!a.hasOwnProperty(A)||S===T||S===void 0&&T===void 0||Pi(l,t,A,S,a,T);return}}for(var v in e)S=e[v],e.hasOwnProperty(v)&&S!=null&&!a.hasOwnProperty(v)&&bl(l,t,v,null,a,S);for(O in a)S=a[O],T=e[O],!a.hasOwnProperty(O)||S===T||S==null&&T==null||bl(l,t,O,S,a,T)}function I0(l){switch(l){case"css":case"script":case"font":case"img":case"image":case"input":case"link":return!0;default:return!1}}function wr(){if(typeof performance.getEntriesByType=="function"){for(var l=0,t=0,e=performance.getEntriesByType("resource"),a=0;a<e.length;a++){var n=e[a],u=n.transferSize,c=n.initiatorType,i=n.duration;if(u&&i&&I0(c)){for(c=0,i=n.responseEnd,a+=1;a<e.length;a++){var s=e[a],g=s.startTime;if(g>i)break;var A=s.transferSize,O=s.initiatorType;A&&I0(O)&&(s=s.responseEnd,c+=A*(s<i?1:(i-g)/(s-g)))}if(--a,t+=8*(u+c)/(n.duration/1e3),l++,10<l)break}}if(0<l)return t/l/1e6}return navigator.connection&&(l=navigator.connection.downlink,typeof l=="number")?l:5}var lf=null,tf=null;function wu(l){return l.nodeType===9?l:l.ownerDocument}function P0(l){switch(l){case"http://www.w3.org/2000/svg":return 1;case"http://www.w3.org/1998/Math/MathML":return 2;default:return 0}}function l1(l,t){if(l===0)switch(t){case"svg":return 1;case"math":return 2;default:return 0}return l===1&&t==="foreignObject"?0:l}function ef(l,t){return l==="textarea"||l==="noscript"||typeof t.children=="string"||typeof t.children=="number"||typeof t.children=="bigint"||typeof t.dangerouslySetInnerHTML=="object"&&t.dangerouslySetInnerHTML!==null&&t.dangerouslySetInnerHTML.__html!=null}var af=null;function Qr(){var l=window.event;return l&&l.type==="popstate"?l===af?!1:(af=l,!0):(af=null,!1)}var t1=typeof setTimeout=="function"?setTimeout:void 0,Vr=typeof clearTimeout=="function"?clearTimeout:void 0,e1=typeof Promise=="function"?Promise:void 0,Zr=typeof queueMicrotask=="function"?queueMicrotask:typeof e1<"u"?function(l){return e1.resolve(null).then(l).catch(Kr)}:t1;function Kr(l){setTimeout(function(){throw l})}function ze(l){return l==="head"}function a1(l,t){var e=t,a=0;do{var n=e.nextSibling;if(l.removeChild(e),n&&n.nodeType===8)if(e=n.data,e==="/$"||e==="/&"){if(a===0){l.removeChild(n),Ra(t);return}a--}else if(e==="$"||e==="$?"||e==="$~"||e==="$!"||e==="&")a++;else if(e==="html")Mn(l.ownerDocument.documentElement);else if(e==="head"){e=l.ownerDocument.head,Mn(e);for(var u=e.firstChild;u;){var c=u.nextSibling,i=u.nodeName;u[Va]||i==="SCRIPT"||i==="STYLE"||i==="LINK"&&u.rel.toLowerCase()==="stylesheet"||e.removeChild(u),u=c}}else e==="body"&&Mn(l.ownerDocument.body);e=n}while(e);Ra(t)}function n1(l,t){var e=l;l=0;do{var a=e.nextSibling;if(e.nodeType===1?t?(e._stashedDisplay=e.style.display,e.style.display="none"):(e.style.display=e._stashedDisplay||"",e.getAttribute("style")===""&&e.removeAttribute("style")):e.nodeType===3&&(t?(e._stashedText=e.nodeValue,e.nodeValue=""):e.nodeValue=e._stashedText||""),a&&a.nodeType===8)if(e=a.data,e==="/$"){if(l===0)break;l--}else e!=="$"&&e!=="$?"&&e!=="$~"&&e!=="$!"||l++;e=a}while(e)}function nf(l){var t=l.firstChild;for(t&&t.nodeType===10&&(t=t.nextSibling);t;){var e=t;switch(t=t.nextSibling,e.nodeName){case"HTML":case"HEAD":case"BODY":nf(e),sc(e);continue;case"SCRIPT":case"STYLE":continue;case"LINK":if(e.rel.toLowerCase()==="stylesheet")continue}l.removeChild(e)}}function Jr(l,t,e,a){for(;l.nodeType===1;){var n=e;if(l.nodeName.toLowerCase()!==t.toLowerCase()){if(!a&&(l.nodeName!=="INPUT"||l.type!=="hidden"))break}else if(a){if(!l[Va])switch(t){case"meta":if(!l.hasAttribute("itemprop"))break;return l;case"link":if(u=l.getAttribute("rel"),u==="stylesheet"&&l.hasAttribute("data-precedence"))break;if(u!==n.rel||l.getAttribute("href")!==(n.href==null||n.href===""?null:n.href)||l.getAttribute("crossorigin")!==(n.crossOrigin==null?null:n.crossOrigin)||l.getAttribute("title")!==(n.title==null?null:n.title))break;return l;case"style":if(l.hasAttribute("data-precedence"))break;return l;case"script":if(u=l.getAttribute("src"),(u!==(n.src==null?null:n.src)||l.getAttribute("type")!==(n.type==null?null:n.type)||l.getAttribute("crossorigin")!==(n.crossOrigin==null?null:n.crossOrigin))&&u&&l.hasAttribute("async")&&!l.hasAttribute("itemprop"))break;return l;default:return l}}else if(t==="input"&&l.type==="hidden"){var u=n.name==null?null:""+n.name;if(n.type==="hidden"&&l.getAttribute("name")===u)return l}else return l;if(l=xt(l.nextSibling),l===null)break}return null}function Wr(l,t,e){if(t==="")return null;for(;l.nodeType!==3;)if((l.nodeType!==1||l.nodeName!=="INPUT"||l.type!=="hidden")&&!e||(l=xt(l.nextSibling),l===null))return null;return l}function u1(l,t){for(;l.nodeType!==8;)if((l.nodeType!==1||l.nodeName!=="INPUT"||l.type!=="hidden")&&!t||(l=xt(l.nextSibling),l===null))return null;return l}function uf(l){return l.data==="$?"||l.data==="$~"}function cf(l){return l.data==="$!"||l.data==="$?"&&l.ownerDocument.readyState!=="loading"}function $r(l,t){var e=l.ownerDocument;if(l.data==="$~")l._reactRetry=t;else if(l.data!=="$?"||e.readyState!=="loading")t();else{var a=function(){t(),e.removeEventListener("DOMContentLoaded",a)};e.addEventListener("DOMContentLoaded",a),l._reactRetry=a}}function xt(l){for(;l!=null;l=l.nextSibling){var t=l.nodeType;if(t===1||t===3)break;if(t===8){if(t=l.data,t==="$"||t==="$!"||t==="$?"||t==="$~"||t==="&"||t==="F!"||t==="F")break;if(t==="/$"||t==="/&")return null}}return l}var ff=null;function c1(l){l=l.nextSibling;for(var t=0;l;){if(l.nodeType===8){var e=l.data;if(e==="/$"||e==="/&"){if(t===0)return xt(l.nextSibling);t--}else e!=="$"&&e!=="$!"&&e!=="$?"&&e!=="$~"&&e!=="&"||t++}l=l.nextSibling}return null}function i1(l){l=l.previousSibling;for(var t=0;l;){if(l.nodeType===8){var e=l.data;if(e==="$"||e==="$!"||e==="$?"||e==="$~"||e==="&"){if(t===0)return l;t--}else e!=="/$"&&e!=="/&"||t++}l=l.previousSibling}return null}function f1(l,t,e){switch(t=wu(e),l){case"html":if(l=t.documentElement,!l)throw Error(o(452));return l;case"head":if(l=t.head,!l)throw Error(o(453));return l;case"body":if(l=t.body,!l)throw Error(o(454));return l;default:throw Error(o(451))}}function Mn(l){for(var t=l.attributes;t.length;)l.removeAttributeNode(t[0]);sc(l)}var Ct=new Map,s1=new Set;function Qu(l){return typeof l.getRootNode=="function"?l.getRootNode():l.nodeType===9?l:l.ownerDocument}var ae=p.d;p.d={f:kr,r:Fr,D:Ir,C:Pr,L:lh,m:th,X:ah,S:eh,M:nh};function kr(){var l=ae.f(),t=Hu();return l||t}function Fr(l){var t=la(l);t!==null&&t.tag===5&&t.type==="form"?Oo(t):ae.r(l)}var ja=typeof document>"u"?null:document;function o1(l,t,e){var a=ja;if(a&&typeof t=="string"&&t){var n=zt(t);n='link[rel="'+l+'"][href="'+n+'"]',typeof e=="string"&&(n+='[crossorigin="'+e+'"]'),s1.has(n)||(s1.add(n),l={rel:l,crossOrigin:e,href:t},a.querySelector(n)===null&&(t=a.createElement("link"),lt(t,"link",l),Zl(t),a.head.appendChild(t)))}}function Ir(l){ae.D(l),o1("dns-prefetch",l,null)}function Pr(l,t){ae.C(l,t),o1("preconnect",l,t)}function lh(l,t,e){ae.L(l,t,e);var a=ja;if(a&&l&&t){var n='link[rel="preload"][as="'+zt(t)+'"]';t==="image"&&e&&e.imageSrcSet?(n+='[imagesrcset="'+zt(e.imageSrcSet)+'"]',typeof e.imageSizes=="string"&&(n+='[imagesizes="'+zt(e.imageSizes)+'"]')):n+='[href="'+zt(l)+'"]';var u=n;switch(t){case"style":u=Ua(l);break;case"script":u=Ha(l)}Ct.has(u)||(l=U({rel:"preload",href:t==="image"&&e&&e.imageSrcSet?void 0:l,as:t},e),Ct.set(u,l),a.querySelector(n)!==null||t==="style"&&a.querySelector(Dn(u))||t==="script"&&a.querySelector(_n(u))||(t=a.createElement("link"),lt(t,"link",l),Zl(t),a.head.appendChild(t)))}}function th(l,t){ae.m(l,t);var e=ja;if(e&&l){var a=t&&typeof t.as=="string"?t.as:"script",n='link[rel="modulepreload"][as="'+zt(a)+'"][href="'+zt(l)+'"]',u=n;switch(a){case"audioworklet":case"paintworklet":case"serviceworker":case"sharedworker":case"worker":case"script":u=Ha(l)}if(!Ct.has(u)&&(l=U({rel:"modulepreload",href:l},t),Ct.set(u,l),e.querySelector(n)===null)){switch(a){case"audioworklet":case"paintworklet":case"serviceworker":case"sharedworker":case"worker":case"script":if(e.querySelector(_n(u)))return}a=e.createElement("link"),lt(a,"link",l),Zl(a),e.head.appendChild(a)}}}function eh(l,t,e){ae.S(l,t,e);var a=ja;if(a&&l){var n=ta(a).hoistableStyles,u=Ua(l);t=t||"default";var c=n.get(u);if(!c){var i={loading:0,preload:null};if(c=a.querySelector(Dn(u)))i.loading=5;else{l=U({rel:"stylesheet",href:l,"data-precedence":t},e),(e=Ct.get(u))&&sf(l,e);var s=c=a.createElement("link");Zl(s),lt(s,"link",l),s._p=new Promise(function(g,A){s.onload=g,s.onerror=A}),s.addEventListener("load",function(){i.loading|=1}),s.addEventListener("error",function(){i.loading|=2}),i.loading|=4,Vu(c,t,a)}c={type:"stylesheet",instance:c,count:1,state:i},n.set(u,c)}}}function ah(l,t){ae.X(l,t);var e=ja;if(e&&l){var a=ta(e).hoistableScripts,n=Ha(l),u=a.get(n);u||(u=e.querySelector(_n(n)),u||(l=U({src:l,async:!0},t),(t=Ct.get(n))&&of(l,t),u=e.createElement("script"),Zl(u),lt(u,"link",l),e.head.appendChild(u)),u={type:"script",instance:u,count:1,state:null},a.set(n,u))}}function nh(l,t){ae.M(l,t);var e=ja;if(e&&l){var a=ta(e).hoistableScripts,n=Ha(l),u=a.get(n);u||(u=e.querySelector(_n(n)),u||(l=U({src:l,async:!0,type:"module"},t),(t=Ct.get(n))&&of(l,t),u=e.createElement("script"),Zl(u),lt(u,"link",l),e.head.appendChild(u)),u={type:"script",instance:u,count:1,state:null},a.set(n,u))}}function d1(l,t,e,a){var n=(n=ll.current)?Qu(n):null;if(!n)throw Error(o(446));switch(l){case"meta":case"title":return null;case"style":return typeof e.precedence=="string"&&typeof e.href=="string"?(t=Ua(e.href),e=ta(n).hoistableStyles,a=e.get(t),a||(a={type:"style",instance:null,count:0,state:null},e.set(t,a)),a):{type:"void",instance:null,count:0,state:null};case"link":if(e.rel==="stylesheet"&&typeof e.href=="string"&&typeof e.precedence=="string"){l=Ua(e.href);var u=ta(n).hoistableStyles,c=u.get(l);if(c||(n=n.ownerDocument||n,c={type:"stylesheet",instance:null,count:0,state:{loading:0,preload:null}},u.set(l,c),(u=n.querySelector(Dn(l)))&&!u._p&&(c.instance=u,c.state.loading=5),Ct.has(l)||(e={rel:"preload",as:"style",href:e.href,crossOrigin:e.crossOrigin,integrity:e.integrity,media:e.media,hrefLang:e.hrefLang,referrerPolicy:e.referrerPolicy},Ct.set(l,e),u||uh(n,l,e,c.state))),t&&a===null)throw Error(o(528,""));return c}if(t&&a!==null)throw Error(o(529,""));return null;case"script":return t=e.async,e=e.src,typeof e=="string"&&t&&typeof t!="function"&&typeof t!="symbol"?(t=Ha(e),e=ta(n).hoistableScripts,a=e.get(t),a||(a={type:"script",instance:null,count:0,state:null},e.set(t,a)),a):{type:"void",instance:null,count:0,state:null};default:throw Error(o(444,l))}}function Ua(l){return'href="'+zt(l)+'"'}function Dn(l){return'link[rel="stylesheet"]['+l+"]"}function r1(l){return U({},l,{"data-precedence":l.precedence,precedence:null})}function uh(l,t,e,a){l.querySelector('link[rel="preload"][as="style"]['+t+"]")?a.loading=1:(t=l.createElement("link"),a.preload=t,t.addEventListener("load",function(){return a.loading|=1}),t.addEventListener("error",function(){return a.loading|=2}),lt(t,"link",e),Zl(t),l.head.appendChild(t))}function Ha(l){return'[src="'+zt(l)+'"]'}function _n(l){return"script[async]"+l}function h1(l,t,e){if(t.count++,t.instance===null)switch(t.type){case"style":var a=l.querySelector('style[data-href~="'+zt(e.href)+'"]');if(a)return t.instance=a,Zl(a),a;var n=U({},e,{"data-href":e.href,"data-precedence":e.precedence,href:null,precedence:null});return a=(l.ownerDocument||l).createElement("style"),Zl(a),lt(a,"style",n),Vu(a,e.precedence,l),t.instance=a;case"stylesheet":n=Ua(e.href);var u=l.querySelector(Dn(n));if(u)return t.state.loading|=4,t.instance=u,Zl(u),u;a=r1(e),(n=Ct.get(n))&&sf(a,n),u=(l.ownerDocument||l).createElement("link"),Zl(u);var c=u;return c._p=new Promise(function(i,s){c.onload=i,c.onerror=s}),lt(u,"link",a),t.state.loading|=4,Vu(u,e.precedence,l),t.instance=u;case"script":return u=Ha(e.src),(n=l.querySelector(_n(u)))?(t.instance=n,Zl(n),n):(a=e,(n=Ct.get(u))&&(a=U({},e),of(a,n)),l=l.ownerDocument||l,n=l.createElement("script"),Zl(n),lt(n,"link",a),l.head.appendChild(n),t.instance=n);case"void":return null;default:throw Error(o(443,t.type))}else t.type==="stylesheet"&&(t.state.loading&4)===0&&(a=t.instance,t.state.loading|=4,Vu(a,e.precedence,l));return t.instance}function Vu(l,t,e){for(var a=e.querySelectorAll('link[rel="stylesheet"][data-precedence],style[data-precedence]'),n=a.length?a[a.length-1]:null,u=n,c=0;c<a.length;c++){var i=a[c];if(i.dataset.precedence===t)u=i;else if(u!==n)break}u?u.parentNode.insertBefore(l,u.nextSibling):(t=e.nodeType===9?e.head:e,t.insertBefore(l,t.firstChild))}function sf(l,t){l.crossOrigin==null&&(l.crossOrigin=t.crossOrigin),l.referrerPolicy==null&&(l.referrerPolicy=t.referrerPolicy),l.title==null&&(l.title=t.title)}function of(l,t){l.crossOrigin==null&&(l.crossOrigin=t.crossOrigin),l.referrerPolicy==null&&(l.referrerPolicy=t.referrerPolicy),l.integrity==null&&(l.integrity=t.integrity)}var Zu=null;function v1(l,t,e){if(Zu===null){var a=new Map,n=Zu=new Map;n.set(e,a)}else n=Zu,a=n.get(e),a||(a=new Map,n.set(e,a));if(a.has(l))return a;for(a.set(l,null),e=e.getElementsByTagName(l),n=0;n<e.length;n++){var u=e[n];if(!(u[Va]||u[kl]||l==="link"&&u.getAttribute("rel")==="stylesheet")&&u.namespaceURI!=="http://www.w3.org/2000/svg"){var c=u.getAttribute(t)||"";c=l+c;var i=a.get(c);i?i.push(u):a.set(c,[u])}}return a}function m1(l,t,e){l=l.ownerDocument||l,l.head.insertBefore(e,t==="title"?l.querySelector("head > title"):null)}function ch(l,t,e){if(e===1||t.itemProp!=null)return!1;switch(l){case"meta":case"title":return!0;case"style":if(typeof t.precedence!="string"||typeof t.href!="string"||t.href==="")break;return!0;case"link":if(typeof t.rel!="string"||typeof t.href!="string"||t.href===""||t.onLoad||t.onError)break;return t.rel==="stylesheet"?(l=t.disabled,typeof t.precedence=="string"&&l==null):!0;case"script":if(t.async&&typeof t.async!="function"&&typeof t.async!="symbol"&&!t.onLoad&&!t.onError&&t.src&&typeof t.src=="string")return!0}return!1}function y1(l){return!(l.type==="stylesheet"&&(l.state.loading&3)===0)}function ih(l,t,e,a){if(e.type==="stylesheet"&&(typeof a.media!="string"||matchMedia(a.media).matches!==!1)&&(e.state.loading&4)===0){if(e.instance===null){var n=Ua(a.href),u=t.querySelector(Dn(n));if(u){t=u._p,t!==null&&typeof t=="object"&&typeof t.then=="function"&&(l.count++,l=Ku.bind(l),t.then(l,l)),e.state.loading|=4,e.instance=u,Zl(u);return}u=t.ownerDocument||t,a=r1(a),(n=Ct.get(n))&&sf(a,n),u=u.createElement("link"),Zl(u);var c=u;c._p=new Promise(function(i,s){c.onload=i,c.onerror=s}),lt(u,"link",a),e.instance=u}l.stylesheets===null&&(l.stylesheets=new Map),l.stylesheets.set(e,t),(t=e.state.preload)&&(e.state.loading&3)===0&&(l.count++,e=Ku.bind(l),t.addEventListener("load",e),t.addEventListener("error",e))}}var df=0;function fh(l,t){return l.stylesheets&&l.count===0&&Wu(l,l.stylesheets),0<l.count||0<l.imgCount?function(e){var a=setTimeout(function(){if(l.stylesheets&&Wu(l,l.stylesheets),l.unsuspend){var u=l.unsuspend;l.unsuspend=null,u()}},6e4+t);0<l.imgBytes&&df===0&&(df=62500*wr());var n=setTimeout(function(){if(l.waitingForImages=!1,l.count===0&&(l.stylesheets&&Wu(l,l.stylesheets),l.unsuspend)){var u=l.unsuspend;l.unsuspend=null,u()}},(l.imgBytes>df?50:800)+t);return l.unsuspend=e,function(){l.unsuspend=null,clearTimeout(a),clearTimeout(n)}}:null}function Ku(){if(this.count--,this.count===0&&(this.imgCount===0||!this.waitingForImages)){if(this.stylesheets)Wu(this,this.stylesheets);else if(this.unsuspend){var l=this.unsuspend;this.unsuspend=null,l()}}}var Ju=null;function Wu(l,t){l.stylesheets=null,l.unsuspend!==null&&(l.count++,Ju=new Map,t.forEach(sh,l),Ju=null,Ku.call(l))}function sh(l,t){if(!(t.state.loading&4)){var e=Ju.get(l);if(e)var a=e.get(null);else{e=new Map,Ju.set(l,e);for(var n=l.querySelectorAll("link[data-precedence],style[data-precedence]"),u=0;u<n.length;u++){var c=n[u];(c.nodeName==="LINK"||c.getAttribute("media")!=="not all")&&(e.set(c.dataset.precedence,c),a=c)}a&&e.set(null,a)}n=t.instance,c=n.getAttribute("data-precedence"),u=e.get(c)||a,u===a&&e.set(null,n),e.set(c,n),this.count++,a=Ku.bind(this),n.addEventListener("load",a),n.addEventListener("error",a),u?u.parentNode.insertBefore(n,u.nextSibling):(l=l.nodeType===9?l.head:l,l.insertBefore(n,l.firstChild)),t.state.loading|=4}}var xn={$$typeof:Dl,Provider:null,Consumer:null,_currentValue:D,_currentValue2:D,_threadCount:0};function oh(l,t,e,a,n,u,c,i,s){this.tag=1,this.containerInfo=l,this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.next=this.pendingContext=this.context=this.cancelPendingCommit=null,this.callbackPriority=0,this.expirationTimes=uc(-1),this.entangledLanes=this.shellSuspendCounter=this.errorRecoveryDisabledLanes=this.expiredLanes=this.warmLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=uc(0),this.hiddenUpdates=uc(null),this.identifierPrefix=a,this.onUncaughtError=n,this.onCaughtError=u,this.onRecoverableError=c,this.pooledCache=null,this.pooledCacheLanes=0,this.formState=s,this.incompleteTransitions=new Map}function g1(l,t,e,a,n,u,c,i,s,g,A,O){return l=new oh(l,t,e,c,s,g,A,O,i),t=1,u===!0&&(t|=24),u=mt(3,null,null,t),l.current=u,u.stateNode=l,t=Qc(),t.refCount++,l.pooledCache=t,t.refCount++,u.memoizedState={element:a,isDehydrated:e,cache:t},Jc(u),l}function b1(l){return l?(l=da,l):da}function S1(l,t,e,a,n,u){n=b1(n),a.context===null?a.context=n:a.pendingContext=n,a=re(t),a.payload={element:e},u=u===void 0?null:u,u!==null&&(a.callback=u),e=he(l,a,t),e!==null&&(dt(e,l,t),fn(e,l,t))}function p1(l,t){if(l=l.memoizedState,l!==null&&l.dehydrated!==null){var e=l.retryLane;l.retryLane=e!==0&&e<t?e:t}}function rf(l,t){p1(l,t),(l=l.alternate)&&p1(l,t)}function T1(l){if(l.tag===13||l.tag===31){var t=Be(l,67108864);t!==null&&dt(t,l,67108864),rf(l,67108864)}}function E1(l){if(l.tag===13||l.tag===31){var t=pt();t=cc(t);var e=Be(l,t);e!==null&&dt(e,l,t),rf(l,t)}}var $u=!0;function dh(l,t,e,a){var n=b.T;b.T=null;var u=p.p;try{p.p=2,hf(l,t,e,a)}finally{p.p=u,b.T=n}}function rh(l,t,e,a){var n=b.T;b.T=null;var u=p.p;try{p.p=8,hf(l,t,e,a)}finally{p.p=u,b.T=n}}function hf(l,t,e,a){if($u){var n=vf(a);if(n===null)Ii(l,t,a,ku,e),A1(l,a);else if(vh(n,l,t,e,a))a.stopPropagation();else if(A1(l,a),t&4&&-1<hh.indexOf(l)){for(;n!==null;){var u=la(n);if(u!==null)switch(u.tag){case 3:if(u=u.stateNode,u.current.memoizedState.isDehydrated){var c=Ce(u.pendingLanes);if(c!==0){var i=u;for(i.pendingLanes|=2,i.entangledLanes|=2;c;){var s=1<<31-ht(c);i.entanglements[1]|=s,c&=~s}Yt(u),(hl&6)===0&&(ju=tt()+500,An(0))}}break;case 31:case 13:i=Be(u,2),i!==null&&dt(i,u,2),Hu(),rf(u,2)}if(u=vf(a),u===null&&Ii(l,t,a,ku,e),u===n)break;n=u}n!==null&&a.stopPropagation()}else Ii(l,t,a,null,e)}}function vf(l){return l=mc(l),mf(l)}var ku=null;function mf(l){if(ku=null,l=Pe(l),l!==null){var t=x(l);if(t===null)l=null;else{var e=t.tag;if(e===13){if(l=C(t),l!==null)return l;l=null}else if(e===31){if(l=B(t),l!==null)return l;l=null}else if(e===3){if(t.stateNode.current.memoizedState.isDehydrated)return t.tag===3?t.stateNode.containerInfo:null;l=null}else t!==l&&(l=null)}}return ku=l,null}function z1(l){switch(l){case"beforetoggle":case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"toggle":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 2;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 8;case"message":switch(I1()){case xf:return 2;case Cf:return 8;case Ln:case P1:return 32;case jf:return 268435456;default:return 32}default:return 32}}var yf=!1,Ae=null,Ne=null,Oe=null,Cn=new Map,jn=new Map,Me=[],hh="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset".split(" ");function A1(l,t){switch(l){case"focusin":case"focusout":Ae=null;break;case"dragenter":case"dragleave":Ne=null;break;case"mouseover":case"mouseout":Oe=null;break;case"pointerover":case"pointerout":Cn.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":jn.delete(t.pointerId)}}function Un(l,t,e,a,n,u){return l===null||l.nativeEvent!==u?(l={blockedOn:t,domEventName:e,eventSystemFlags:a,nativeEvent:u,targetContainers:[n]},t!==null&&(t=la(t),t!==null&&T1(t)),l):(l.eventSystemFlags|=a,t=l.targetContainers,n!==null&&t.indexOf(n)===-1&&t.push(n),l)}function vh(l,t,e,a,n){switch(t){case"focusin":return Ae=Un(Ae,l,t,e,a,n),!0;case"dragenter":return Ne=Un(Ne,l,t,e,a,n),!0;case"mouseover":return Oe=Un(Oe,l,t,e,a,n),!0;case"pointerover":var u=n.pointerId;return Cn.set(u,Un(Cn.get(u)||null,l,t,e,a,n)),!0;case"gotpointercapture":return u=n.pointerId,jn.set(u,Un(jn.get(u)||null,l,t,e,a,n)),!0}return!1}function N1(l){var t=Pe(l.target);if(t!==null){var e=x(t);if(e!==null){if(t=e.tag,t===13){if(t=C(e),t!==null){l.blockedOn=t,Yf(l.priority,function(){E1(e)});return}}else if(t===31){if(t=B(e),t!==null){l.blockedOn=t,Yf(l.priority,function(){E1(e)});return}}else if(t===3&&e.stateNode.current.memoizedState.isDehydrated){l.blockedOn=e.tag===3?e.stateNode.containerInfo:null;return}}}l.blockedOn=null}function Fu(l){if(l.blockedOn!==null)return!1;for(var t=l.targetContainers;0<t.length;){var e=vf(l.nativeEvent);if(e===null){e=l.nativeEvent;var a=new e.constructor(e.type,e);vc=a,e.target.dispatchEvent(a),vc=null}else return t=la(e),t!==null&&T1(t),l.blockedOn=e,!1;t.shift()}return!0}function O1(l,t,e){Fu(l)&&e.delete(t)}function mh(){yf=!1,Ae!==null&&Fu(Ae)&&(Ae=null),Ne!==null&&Fu(Ne)&&(Ne=null),Oe!==null&&Fu(Oe)&&(Oe=null),Cn.forEach(O1),jn.forEach(O1)}function Iu(l,t){l.blockedOn===t&&(l.blockedOn=null,yf||(yf=!0,f.unstable_scheduleCallback(f.unstable_NormalPriority,mh)))}var Pu=null;function M1(l){Pu!==l&&(Pu=l,f.unstable_scheduleCallback(f.unstable_NormalPriority,function(){Pu===l&&(Pu=null);for(var t=0;t<l.length;t+=3){var e=l[t],a=l[t+1],n=l[t+2];if(typeof a!="function"){if(mf(a||e)===null)continue;break}var u=la(e);u!==null&&(l.splice(t,3),t-=3,hi(u,{pending:!0,data:n,method:e.method,action:a},a,n))}}))}function Ra(l){function t(s){return Iu(s,l)}Ae!==null&&Iu(Ae,l),Ne!==null&&Iu(Ne,l),Oe!==null&&Iu(Oe,l),Cn.forEach(t),jn.forEach(t);for(var e=0;e<Me.length;e++){var a=Me[e];a.blockedOn===l&&(a.blockedOn=null)}for(;0<Me.length&&(e=Me[0],e.blockedOn===null);)N1(e),e.blockedOn===null&&Me.shift();if(e=(l.ownerDocument||l).$$reactFormReplay,e!=null)for(a=0;a<e.length;a+=3){var n=e[a],u=e[a+1],c=n[ut]||null;if(typeof u=="function")c||M1(e);else if(c){var i=null;if(u&&u.hasAttribute("formAction")){if(n=u,c=u[ut]||null)i=c.formAction;else if(mf(n)!==null)continue}else i=c.action;typeof i=="function"?e[a+1]=i:(e.splice(a,3),a-=3),M1(e)}}}function D1(){function l(u){u.canIntercept&&u.info==="react-transition"&&u.intercept({handler:function(){return new Promise(function(c){return n=c})},focusReset:"manual",scroll:"manual"})}function t(){n!==null&&(n(),n=null),a||setTimeout(e,20)}function e(){if(!a&&!navigation.transition){var u=navigation.currentEntry;u&&u.url!=null&&navigation.navigate(u.url,{state:u.getState(),info:"react-transition",history:"replace"})}}if(typeof navigation=="object"){var a=!1,n=null;return navigation.addEventListener("navigate",l),navigation.addEventListener("navigatesuccess",t),navigation.addEventListener("navigateerror",t),setTimeout(e,100),function(){a=!0,navigation.removeEventListener("navigate",l),navigation.removeEventListener("navigatesuccess",t),navigation.removeEventListener("navigateerror",t),n!==null&&(n(),n=null)}}}function gf(l){this._internalRoot=l}lc.prototype.render=gf.prototype.render=function(l){var t=this._internalRoot;if(t===null)throw Error(o(409));var e=t.current,a=pt();S1(e,a,l,t,null,null)},lc.prototype.unmount=gf.prototype.unmount=function(){var l=this._internalRoot;if(l!==null){this._internalRoot=null;var t=l.containerInfo;S1(l.current,2,null,l,null,null),Hu(),t[Ie]=null}};function lc(l){this._internalRoot=l}lc.prototype.unstable_scheduleHydration=function(l){if(l){var t=qf();l={blockedOn:null,target:l,priority:t};for(var e=0;e<Me.length&&t!==0&&t<Me[e].priority;e++);Me.splice(e,0,l),e===0&&N1(l)}};var _1=m.version;if(_1!=="19.2.4")throw Error(o(527,_1,"19.2.4"));p.findDOMNode=function(l){var t=l._reactInternals;if(t===void 0)throw typeof l.render=="function"?Error(o(188)):(l=Object.keys(l).join(","),Error(o(268,l)));return l=z(t),l=l!==null?q(l):null,l=l===null?null:l.stateNode,l};var yh={bundleType:0,version:"19.2.4",rendererPackageName:"react-dom",currentDispatcherRef:b,reconcilerVersion:"19.2.4"};if(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__<"u"){var tc=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!tc.isDisabled&&tc.supportsFiber)try{Xa=tc.inject(yh),rt=tc}catch{}}return Rn.createRoot=function(l,t){if(!_(l))throw Error(o(299));var e=!1,a="",n=Bo,u=qo,c=Yo;return t!=null&&(t.unstable_strictMode===!0&&(e=!0),t.identifierPrefix!==void 0&&(a=t.identifierPrefix),t.onUncaughtError!==void 0&&(n=t.onUncaughtError),t.onCaughtError!==void 0&&(u=t.onCaughtError),t.onRecoverableError!==void 0&&(c=t.onRecoverableError)),t=g1(l,1,!1,null,null,e,a,null,n,u,c,D1),l[Ie]=t.current,Fi(l),new gf(t)},Rn.hydrateRoot=function(l,t,e){if(!_(l))throw Error(o(299));var a=!1,n="",u=Bo,c=qo,i=Yo,s=null;return e!=null&&(e.unstable_strictMode===!0&&(a=!0),e.identifierPrefix!==void 0&&(n=e.identifierPrefix),e.onUncaughtError!==void 0&&(u=e.onUncaughtError),e.onCaughtError!==void 0&&(c=e.onCaughtError),e.onRecoverableError!==void 0&&(i=e.onRecoverableError),e.formState!==void 0&&(s=e.formState)),t=g1(l,1,!0,t,e??null,a,n,s,u,c,i,D1),t.context=b1(null),e=t.current,a=pt(),a=cc(a),n=re(a),n.callback=null,he(e,n,a),e=a,t.current.lanes=e,Qa(t,e),Yt(t),l[Ie]=t.current,Fi(l),new lc(t)},Rn.version="19.2.4",Rn}var L1;function Oh(){if(L1)return pf.exports;L1=1;function f(){if(!(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__>"u"||typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE!="function"))try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(f)}catch(m){console.error(m)}}return f(),pf.exports=Nh(),pf.exports}var Mh=Oh();const Dh=Q1(Mh),Gl={notepadTitle:"New notepad",noteTitle:"New note",tags:{note:"note",notepad:"notepad"},branding:{about:"https://github.com/francescougolini/sidenotes"},accentColors:["","#fefbe6","#e0f7fa","#f2eef9","#fde6e6","#feddc9","#e5f4da","#d1e3f8","#e8dbcd","#f5f5f5"]},Af={DB_NAME:"SidenotesApp",STORE_NAME:"notepads",REVISIONS_STORE_NAME:"revisions",META_STORE_NAME:"meta",VERSION:5,REVISION_INTERVAL:3e5,REVISION_LIMIT:50,REVISION_MAX_AGE:2592e6,BACKUP_KEY:"sp_emergency_backup",SORT_KEY:"sp_viewer_sort",SYNC_CHANNEL:"sidenotes-sync",ENCRYPTION_ITERATIONS:31e4,PASSPHRASE_MIN_LENGTH:8,LOCK_TIMEOUT:6e5},$e={MIME_TYPE:"text/plain",NOTEPAD_ATTACHMENT_QUOTA:104857600,MARKDOWN_MIME_TYPE:"text/markdown",ZIP_MIME_TYPE:"application/zip",ENCRYPTED_MIME_TYPE:"application/octet-stream",ENCRYPTED_FORMAT:"sidenotes-encrypted",EXTENSIONS:{NOTE:".sidenotes.txt",BACKUP:".backup.sidenotes.txt",MARKDOWN:".md",LIBRARY:".library.sidenotes.zip",ENCRYPTED_NOTE:".sidenotes",ENCRYPTED_BACKUP:".backup.sidenotes"},ACCEPT:{NOTEPAD:"text/plain,text/markdown,.md,.sidenotes",LIBRARY:"text/plain,application/zip,.zip,.sidenotes"}},_h=238;class xh{constructor(m=Af.DB_NAME,E=Af.STORE_NAME,o=Af.REVISIONS_STORE_NAME,_=Af.META_STORE_NAME){this.dbName=m,this.storeName=E,this.revisionsStoreName=o,this.metaStoreName=_,this.searchIndex=new Wv,this.db=null,this.encryption=null,this.key=null,this.blobCache=new Map,this.unreadable=new Set,this.revisionTimes=new Map,this.listeners=new Set,this.channel=typeof BroadcastChannel<"u"?new BroadcastChannel(Af.SYNC_CHANNEL):null,this.channel&&(this.channel.onmessage=({data:x})=>{x.type!==kv.NOTE_ACTION&&(this.searchIndex.ready=!1),this.listeners.forEach(C=>C(x))})}broadcast(m){this.channel?.postMessage(m)}subscribe(m){return this.listeners.add(m),()=>this.listeners.delete(m)}get isLocked(){return!!this.encryption&&!this.key}async init(){return this.db?this.db:new Promise((m,E)=>{const o=indexedDB.open(this.dbName,Af.VERSION);o.onupgradeneeded=_=>{const x=_.target.result,C=_.target.transaction,S=x.objectStoreNames.contains(this.storeName)?C.objectStore(this.storeName):x.createObjectStore(this.storeName);S.indexNames.contains("tags")||S.createIndex("tags","tags",{multiEntry:!0}),x.objectStoreNames.contains(this.metaStoreName)||x.createObjectStore(this.metaStoreName);const B=x.objectStoreNames.contains(this.revisionsStoreName)?null:x.createObjectStore(this.revisionsStoreName,{keyPath:"id"});if(B?.createIndex("notepadId","notepadId"),_.oldVersion===0)return;const j=Date.now();C.objectStore(this.storeName).openCursor().onsuccess=z=>{const q=z.target.result;if(!q)return;const U=q.value.iv?q.value:Gp({...q.value,notes:(q.value.notes||[]).map(Vv)});q.value.iv||q.update(U),B?.put({id:_e("revision"),notepadId:U.id,created:j,notepad:U}),q.continue()},_.oldVersion===2&&(C.objectStore(this.revisionsStoreName).openCursor().onsuccess=z=>{const q=z.target.result;q&&(q.update({...q.value,notepad:{...q.value.notepad,notes:q.value.notepad.notes.map(Vv)}}),q.continue())})},o.onsuccess=_=>{this.db=_.target.result,this.loadEncryption().then(()=>m(this.db),E)},o.onerror=_=>E(_.target.error)})}async bulkPut(m){const E=await this.init(),B=await Promise.all(Object.entries(m).map(async([x,C])=>[x,await this.seal(C)])),o=E.transaction([this.storeName,this.metaStoreName],"readwrite"),_=o.objectStore(this.storeName);return this.checkKey(o,()=>B.forEach(([x,C])=>_.put(C,x))),new Promise((x,C)=>{o.oncomplete=()=>{this.searchIndex.ready&&Object.values(m).forEach(j=>this.searchIndex.update(j)),Object.values(m).forEach(j=>this.broadcast({type:kv.NOTEPAD_SAVED,notepadId:j.id,lastUpdate:Vp(j)})),x()},o.onabort=()=>C(o.error||new Error("The encryption key has changed in another tab"))})}checkKey(m,E){const o=m.objectStore(this.metaStoreName).get("encryption");o.onsuccess=()=>{(o.result?.salt??null)===(this.encryption?.salt??null)?E():m.abort()}}async clear(){const m=await this.init();return new Promise((E,o)=>{const C=m.transaction(this.storeName,"readwrite").objectStore(this.storeName).clear();C.onsuccess=()=>{this.searchIndex.build({}),this.broadcast({type:kv.LIBRARY_CLEARED}),E()},C.onerror=()=>o(C.error)})}async delete(m){const E=await this.init();return new Promise((o,_)=>{const x=E.transaction([this.storeName,this.revisionsStoreName],"readwrite"),C=x.objectStore(this.revisionsStoreName),B=x.objectStore(this.storeName);B.get(m).onsuccess=j=>{const z=j.target.result;z&&(C.put({id:_e("revision"),notepadId:m,created:Date.now(),deleted:!0,notepad:z}),B.delete(m))},x.oncomplete=()=>{this.searchIndex.remove(m),this.broadcast({type:kv.NOTEPAD_DELETED,notepadId:m}),o()},x.onerror=()=>_(x.error)})}async getAll(){const m=await this.init();return new Promise((E,o)=>{const C=m.transaction(this.storeName,"readonly").objectStore(this.storeName).getAll();C.onsuccess=()=>{const x=new Set;E(Promise.all((C.result||[]).map(async B=>{try{return Gp(await this.unseal(B))}catch(j){if(!this.key)throw j;return console.error(`Could not decrypt notepad ${B.id}`,j),x.add(B.id),null}})).then(B=>{const j={};return this.unreadable=x,B.forEach(z=>{z&&(j[z.id]=z)}),j}))},C.onerror=()=>o(C.error)})}async search(m){return this.searchIndex.ready||this.searchIndex.build(await this.getAll()),this.searchIndex.search(m)}async getTags(){const m=await this.init(),E=new Map;return this.encryption?Object.values(await this.getAll()).forEach(o=>o.tags.forEach(_=>E.set(_,(E.get(_)||0)+1))):await new Promise((o,_)=>{const x=m.transaction(this.storeName,"readonly").objectStore(this.storeName).index("tags").openKeyCursor();x.onsuccess=()=>{const C=x.result;C?(E.set(C.key,(E.get(C.key)||0)+1),C.continue()):o()},x.onerror=()=>_(x.error)}),[...E].sort((o,_)=>_[1]-o[1]||o[0].localeCompare(_[0])).map(([o])=>o)}async getDeleted(){const m=await this.init();return new Promise((E,o)=>{const _=m.transaction([this.storeName,this.revisionsStoreName],"readwrite"),x=_.objectStore(this.revisionsStoreName),C=x.getAll(),B=_.objectStore(this.storeName).getAllKeys();let j=[];B.onsuccess=()=>{const z=new Set(B.result),q=new Map,U=Date.now();C.result.filter(k=>!z.has(k.notepadId)).sort((k,P)=>P.created-k.created).forEach(k=>{q.has(k.notepadId)||q.set(k.notepadId,k),U-q.get(k.notepadId).created>Af.REVISION_MAX_AGE&&x.delete(k.id)}),j=[...q.values()].filter(k=>U-k.created<=Af.REVISION_MAX_AGE)},_.oncomplete=()=>E(Promise.all(j.map(async z=>({...z,notepad:Gp(await this.unseal(z.notepad))})))),_.onerror=()=>o(_.error)})}async getRevisions(m){const E=await this.init();return new Promise((o,_)=>{const C=E.transaction(this.revisionsStoreName,"readonly").objectStore(this.revisionsStoreName).index("notepadId").getAll(m);C.onsuccess=()=>o(Promise.all(C.result.map(async B=>({...B,notepad:Gp(await this.unseal(B.notepad))}))).then(B=>B.sort((j,z)=>z.created-j.created))),C.onerror=()=>_(C.error)})}async saveRevision(m,E=!1){const o=await this.init();if(!E){if(!this.revisionTimes.has(m.id)){const _=await new Promise((x,C)=>{const B=o.transaction(this.revisionsStoreName,"readonly").objectStore(this.revisionsStoreName).index("notepadId").getAll(m.id);B.onsuccess=()=>x(B.result.reduce((j,z)=>Math.max(j,z.created),0)),B.onerror=()=>C(B.error)});this.revisionTimes.set(m.id,_)}if(Date.now()-this.revisionTimes.get(m.id)<Af.REVISION_INTERVAL)return}const P=await this.seal(m);return new Promise((_,x)=>{const C=o.transaction([this.revisionsStoreName,this.metaStoreName],"readwrite"),B=C.objectStore(this.revisionsStoreName);this.checkKey(C,()=>{const j=B.index("notepadId").getAll(m.id);j.onsuccess=()=>{const z=Date.now(),q=j.result.sort((U,k)=>k.created-U.created);if(q[0]?.notepad.lastUpdate!==m.lastUpdate&&(E||!q[0]||z-q[0].created>=Af.REVISION_INTERVAL)){const U={id:_e("revision"),notepadId:m.id,created:z,notepad:P};B.put(U),q.unshift(U),this.revisionTimes.set(m.id,z)}q.forEach((U,k)=>{(k>=Af.REVISION_LIMIT||k>0&&z-U.created>Af.REVISION_MAX_AGE)&&B.delete(U.id)})}}),C.oncomplete=()=>_(),C.onabort=()=>x(C.error||new Error("The encryption key has changed in another tab"))})}async loadEncryption(){const m=await this.init();return new Promise((E,o)=>{const _=m.transaction(this.metaStoreName,"readonly").objectStore(this.metaStoreName).get("encryption");_.onsuccess=()=>{this.encryption=_.result||null,this.key=null,E(this.encryption)},_.onerror=()=>o(_.error)})}async unlock(m){const E=await jv(m,zv(this.encryption.salt),this.encryption.iterations);await vv(E,this.encryption.verifier),this.key=E}lock(){this.key=null,this.blobCache.clear(),this.searchIndex=new Wv}async seal(m,E=this.key){if(!E){if(this.encryption)throw new Error("The library is locked");return m}const o=[],_=m.notes.map(x=>x.attachments?.length?{...x,attachments:x.attachments.map(C=>C.blob instanceof Blob?(o.push(C),{...C,blob:o.length-1}):C)}:x);return{id:m.id,lastUpdate:m.lastUpdate,...await bv(E,JSON.stringify({...m,notes:_})),blobs:await Promise.all(o.map(async x=>{const C=this.blobCache.get(x.id);if(C?.blob===x.blob&&C.key===E)return C.sealed;const B=await bv(E,await x.blob.arrayBuffer());return this.blobCache.set(x.id,{blob:x.blob,key:E,sealed:B}),B}))}}async unseal(m){if(!m?.iv)return m;if(!this.key)throw new Error("The library is locked");const E=JSON.parse(new TextDecoder().decode(await vv(this.key,m)));return{...E,notes:await Promise.all(E.notes.map(async o=>o.attachments?.length?{...o,attachments:await Promise.all(o.attachments.map(async _=>{if(typeof _.blob!="number")return _;const x=m.blobs[_.blob],C=this.blobCache.get(_.id);if(C?.key===this.key&&rv(C.sealed.iv)===rv(x.iv))return{..._,blob:C.blob};const B=new Blob([await vv(this.key,x)],{type:_.mimeType});return this.blobCache.set(_.id,{blob:B,key:this.key,sealed:x}),{..._,blob:B}}))}:o))}}async encryptExport(m){if(!this.key)throw new Error("The library is locked");const{iv:E,data:o}=await bv(this.key,m);return JSON.stringify({format:$e.ENCRYPTED_FORMAT,version:1,salt:this.encryption.salt,iterations:this.encryption.iterations,iv:rv(E),data:rv(o)})}async setPassphrase(m,E){const o=await this.init();this.encryption&&await vv(await jv(E,zv(this.encryption.salt),this.encryption.iterations),this.encryption.verifier);const _=crypto.getRandomValues(new Uint8Array(16)),x=await jv(m,_,Af.ENCRYPTION_ITERATIONS),C={salt:rv(_),iterations:Af.ENCRYPTION_ITERATIONS,verifier:await bv(x,"sidenotes")},B=await Promise.all(Object.values(await this.getAll()).map(z=>this.seal(z,x))),j=await Promise.all((await this.getRevisions()).map(async z=>({...z,notepad:await this.seal(z.notepad,x)})));await new Promise((z,q)=>{const U=o.transaction([this.storeName,this.revisionsStoreName,this.metaStoreName],"readwrite");this.checkKey(U,()=>{B.forEach(k=>U.objectStore(this.storeName).put(k,k.id)),j.forEach(k=>U.objectStore(this.revisionsStoreName).put(k)),U.objectStore(this.metaStoreName).put(C,"encryption")}),U.oncomplete=()=>z(),U.onabort=()=>q(U.error||new Error("The encryption key has changed in another tab"))}),this.encryption=C,this.key=x,this.broadcast({type:kv.ENCRYPTION_CHANGED})}}class Wv{constructor(){this.docs=new Map,this.postings=new Map,this.ready=!1}build(f){this.docs.clear(),this.postings.clear(),Object.values(f).forEach(m=>this.update(m)),this.ready=!0}update(f){this.remove(f.id),this.add({key:f.id,notepadId:f.id,noteId:null,notepadTitle:f.title,title:f.title||"",content:"",labels:f.tags});for(const m of f.notes||[])this.add({key:`${f.id}/${m.id}`,notepadId:f.id,noteId:m.id,notepadTitle:f.title,title:m.title||"",content:m.content||"",labels:m.tags});const m=this.docs.get(f.id),E=new Set(m.tags);for(const o of this.docs.values())o.notepadId===f.id&&o!==m&&(o.tags.forEach(_=>E.add(_)),m.tags.forEach(_=>o.tags.add(_)));m.tags=E}add(f){const m=new Map,E=(o,_)=>Xv(Av(o)).forEach(({term:x})=>m.set(x,(m.get(x)||0)+_));E(f.title,2),E(f.content,1),f.terms=m,f.tags=new Set([...(f.labels||[]).map(Av),...Array.from(Av(`${f.title}
+${f.content}`).matchAll(/(?:^|\s)#([\p{L}\p{N}_-]+)/gu),o=>o[1])]),this.docs.set(f.key,f),m.forEach((o,_)=>{this.postings.has(_)||this.postings.set(_,new Map),this.postings.get(_).set(f.key,o)})}remove(f){for(const[m,E]of this.docs)E.notepadId===f&&(this.docs.delete(m),E.terms.forEach((o,_)=>{const x=this.postings.get(_);x.delete(m),x.size===0&&this.postings.delete(_)}))}search(f){const m=[],E=[],o=[];for(const j of f.matchAll(/tag:(\S+)|"([^"]+)"|(\S+)/g))j[1]?o.push(Av(j[1]).replace(/^#/,"")):(j[2]&&E.push(Av(j[2])),m.push(...Xv(Av(j[2]||j[3])).map(z=>z.term)));if(m.length===0&&o.length===0)return{results:[],needles:[]};const _=this.docs.size,x=new Map;let C=null;for(const j of new Set(m)){const z=new Map;for(const[q,U]of this.postings)if(q.startsWith(j)){const k=Math.log(1+_/U.size)*(q===j?1:.5);U.forEach((P,ul)=>z.set(ul,(z.get(ul)||0)+P*k))}C=C?new Set([...C].filter(q=>z.has(q))):new Set(z.keys()),z.forEach((q,U)=>x.set(U,(x.get(U)||0)+q))}const B=[];for(const j of C??this.docs.keys()){const z=this.docs.get(j),q=Av(`${z.title}
+${z.content}`);o.every(U=>z.tags.has(U))&&E.every(U=>q.includes(U))&&B.push({notepadId:z.notepadId,noteId:z.noteId,notepadTitle:z.notepadTitle,title:z.title,content:z.content,score:x.get(j)||1})}return{results:B.sort((j,z)=>z.score-j.score),needles:[...E,...m,...o.map(j=>`#${j}`)]}}}const Z1=(f="")=>{if(!f.trim())return 0;if("Segmenter"in Intl){const E=new Intl.Segmenter("en",{granularity:"word"});return Array.from(E.segment(f)).filter(o=>o.isWordLike).length}const m=/[\n\s]{0,}[a-zA-Z0-9\u00C0-\u017F\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}]+/gu;return(f.match(m)||[]).length},Tv="Segmenter"in Intl?new Intl.Segmenter(void 0,{granularity:"word"}):null,Av=f=>f.normalize("NFD").replace(/\p{M}/gu,"").toLowerCase(),Zv=f=>{let m="",E=0;const o=[];for(const _ of f){const x=Av(_);m+=x;for(let C=0;C<x.length;C++)o.push(E);E+=_.length}return o.push(E),{text:m,map:o}},Xv=f=>Tv?Array.from(Tv.segment(f)).filter(m=>m.isWordLike).map(m=>({term:m.segment,index:m.index})):Array.from(f.matchAll(/[\p{L}\p{N}]+/gu),m=>({term:m[0],index:m.index})),Uv=(f,m,E=60)=>{const{text:o,map:_}=Zv(f),x=[];for(const U of m)for(let k=U?o.indexOf(U):-1;k!==-1;k=o.indexOf(U,k+U.length))x.push([_[k],_[k+U.length]]);if(x.length===0)return[{text:f.length>E*2?`${f.slice(0,E*2)}\u2026`:f,match:!1}];x.sort((U,k)=>U[0]-k[0]);const C=Math.max(0,x[0][0]-E),B=Math.min(f.length,x[0][0]+E*2),j=[];let z=C;for(const[U,k]of x)U<z||U>=B||(U>z&&j.push({text:f.slice(z,U),match:!1}),z=Math.min(k,B),j.push({text:f.slice(U,z),match:!0}));return z<B&&j.push({text:f.slice(z,B),match:!1}),C>0&&j.unshift({text:"\u2026",match:!1}),B<f.length&&j.push({text:"\u2026",match:!1}),j},Bv=(f,m,E=0)=>{const o=document.getElementById(f);if(!o?.querySelector(".note-text")?.textContent&&!o?.querySelector(".note-title")?.textContent){E<30&&requestAnimationFrame(()=>Bv(f,m,E+1));return}o.scrollIntoView({behavior:"smooth",block:"center"});const _=[];for(const C of o.querySelectorAll(".note-title, .note-text:not([hidden]), .note-markdown")){const B=document.createTreeWalker(C,NodeFilter.SHOW_TEXT),j=[];let z="";for(let P;P=B.nextNode();)j.push({node:P,start:z.length}),z+=P.data;const{text:q,map:U}=Zv(z),k=P=>{const ul=j.findLast(rl=>rl.start<=P);return[ul.node,P-ul.start]};for(const P of m)for(let ul=P?q.indexOf(P):-1;ul!==-1;ul=q.indexOf(P,ul+P.length)){const rl=document.createRange();rl.setStart(...k(U[ul])),rl.setEnd(...k(U[ul+P.length])),_.push(rl)}}if(_.length!==0)if(window.CSS?.highlights&&typeof Highlight<"u"){CSS.highlights.set("search-match",new Highlight(..._));const C=()=>{CSS.highlights.delete("search-match"),document.removeEventListener("pointerdown",C)};document.addEventListener("pointerdown",C)}else{const C=window.getSelection();C.removeAllRanges(),C.addRange(_[0])}},Ch=(f="")=>{const m=Z1(f);return Math.ceil(m/(_h/60))},Nf=f=>new Promise((m,E)=>{if(!(f instanceof Blob))return m(null);const o=new FileReader;o.onloadend=()=>m(o.result),o.onerror=E,o.readAsDataURL(f)}),Of=async f=>{try{return!f||typeof f!="string"||!f.startsWith("data:")?null:await(await fetch(f)).blob()}catch(m){return console.error("Conversion to blob failed",m),null}},qa=(f,m,E)=>{const o=new Blob([f],{type:E}),_=document.createElement("a");_.href=URL.createObjectURL(o),_.download=m,_.click(),URL.revokeObjectURL(_.href),_.remove()},G1=(f,m="text/plain",B="text")=>{const E=document.createElement("input");E.type="file",E.accept=m,E.onchange=o=>{const _=o.target.files[0];if(!_)return;const x=new FileReader;x.onload=C=>{try{f(C.target.result)}catch(B){console.error("File reading failed: "+B)}},B==="buffer"?x.readAsArrayBuffer(_):x.readAsText(_)},E.click(),E.remove()},Mf=async(f,m,E,o="")=>{const x={files:[new File([f],m,{type:E,lastModified:Date.now()})],title:o||m};if(navigator.share)try{return await navigator.share(x),{success:!0,method:"share"}}catch(C){if(C.name==="AbortError")return{success:!1,method:"cancelled"};console.warn("Share failed, falling back:",C.name)}if(navigator.clipboard&&typeof f=="string")try{const C=E.includes("json")||E.includes("text")?f:`File ready: ${m}`;return await navigator.clipboard.writeText(C),qa(f,m,E),{success:!0,method:"clipboard+download"}}catch(C){console.warn("Clipboard failed:",C)}return qa(f,m,E),{success:!0,method:"download"}},Df=(f,m="NOTE")=>{const E=Hv(f);return m==="BACKUP"||m==="ENCRYPTED_BACKUP"||m==="LIBRARY"?`notepads_${new Date().toISOString().split("T")[0].replace(/-/g,"")}${$e.EXTENSIONS[m]}`:`${E}${$e.EXTENSIONS[m]}`},_e=(f="")=>`${f}-${Date.now()}-${Math.random().toString(36).substr(2,9)}`,rv=f=>{const m=new Uint8Array(f);let E="";for(let o=0;o<m.length;o+=32768)E+=String.fromCharCode(...m.subarray(o,o+32768));return btoa(E)},zv=f=>Uint8Array.from(atob(f),m=>m.charCodeAt(0)),jv=async(f,m,E)=>crypto.subtle.deriveKey({name:"PBKDF2",salt:m,iterations:E,hash:"SHA-256"},await crypto.subtle.importKey("raw",new TextEncoder().encode(f),"PBKDF2",!1,["deriveKey"]),{name:"AES-GCM",length:256},!1,["encrypt","decrypt"]),bv=async(f,m)=>{const E=crypto.getRandomValues(new Uint8Array(12));return{iv:E,data:await crypto.subtle.encrypt({name:"AES-GCM",iv:E},f,typeof m=="string"?new TextEncoder().encode(m):m)}},vv=(f,{iv:m,data:E})=>crypto.subtle.decrypt({name:"AES-GCM",iv:m},f,E),wv=async(f,m)=>{for(let E="This file is encrypted. Enter its passphrase to open it.";;E="Wrong passphrase. Try again."){const o=await m({message:E});if(o===null)return null;try{return new TextDecoder().decode(await vv(await jv(o,zv(f.salt),f.iterations),{iv:zv(f.iv),data:zv(f.data)}))}catch(_){if(_.name!=="OperationError")throw _}}},jh=async(f,m)=>{try{const E=f&&f.notes&&Array.isArray(f.notes),o=f&&!E&&typeof f=="object",_={};if(E){alert('This is a single notepad file. Please use the "Import" button instead of "Restore".');return}if(o){const x=Object.keys(f);await Promise.all(x.map(async C=>{const B=f[C];if(B&&B.id&&Array.isArray(B.notes)){const j=await Promise.all(B.notes.map(async z=>{const q=Vv(z);return{id:q.id||_e("note"),title:q.title||"",content:q.content||"",accentColor:q.accentColor||"",collapsed:!!q.collapsed,markdown:!!q.markdown,tags:Fp(q.tags),attachments:await Promise.all(q.attachments.map(async U=>typeof U.blob=="string"?{...U,blob:await Of(U.blob)}:U))}}));_[C]={id:B.id,title:B.title||"Untitled Notepad",created:B.created||Date.now(),lastUpdate:B.lastUpdate||Date.now(),tags:Fp(B.tags),pinned:!!B.pinned,archived:!!B.archived,notes:j}}}))}Object.keys(_).length>0?await m(_):alert("No valid backup data found.")}catch(E){console.error("Data validation failed:",E),alert("The file format is invalid.")}},Uh=(f="")=>f.startsWith("image/")?"image":f.startsWith("video/")?"video":f.startsWith("audio/")?"audio":"file",Vv=f=>{const{attachment:m,...E}=f;return{...E,attachments:(Array.isArray(f.attachments)?f.attachments:m?[m]:[]).map(o=>o.id?o:{...o,id:_e("attachment")})}},Fp=f=>Array.isArray(f)?[...new Set(f.map(m=>String(m).trim().replace(/^#+/,"").replace(/\s+/g,"-").toLowerCase()).filter(Boolean))]:[],Gp=f=>f&&{...f,tags:Fp(f.tags),pinned:!!f.pinned,archived:!!f.archived,notes:(f.notes||[]).map(m=>({...m,tags:Fp(m.tags)}))},Hp=f=>new Set([...f.tags||[],...f.notes.flatMap(m=>m.tags||[])]),Pp={lastUpdate:(f,m)=>m.lastUpdate-f.lastUpdate,created:(f,m)=>m.created-f.created,title:(f,m)=>(f.title||"").localeCompare(m.title||"",void 0,{sensitivity:"base"}),notes:(f,m)=>m.notes.length-f.notes.length},Wp=(f,m,E)=>{f?.encryption?m({message:"Markdown exports are not encrypted. Anyone with the file can read these notes.",actions:[{actionLabel:"Export anyway",customClasses:["dialog-button-confirm"],action:E},{actionLabel:"Cancel",customClasses:["dialog-button-standard"],action:()=>{}}]}):E()},Hh=(f,m=2)=>{if(f===0)return"0 Bytes";const E=1024,o=m<0?0:m,_=["Bytes","KB","MB","GB"],x=Math.floor(Math.log(f)/Math.log(E));return parseFloat((f/Math.pow(E,x)).toFixed(o))+" "+_[x]},X1=async(f,m)=>Array.isArray(f)?Promise.all(f.map(async E=>E.attachments?.length?{...E,attachments:await Promise.all(E.attachments.map(async o=>o.blob instanceof Blob?{...o,blob:await m(o.blob)}:o))}:E)):[],Rh=async(f,m)=>Array.isArray(f)?Promise.all(f.map(async E=>{const o=Vv(E);return{...o,attachments:await Promise.all(o.attachments.map(async _=>typeof _.blob=="string"?{..._,blob:await m(_.blob)}:_))}})):[],yv=async(f,m)=>{const E=m.reduce((o,_)=>o+_.size,0),x=f.notes.reduce((o,_)=>o+(_.attachments||[]).reduce((C,B)=>C+(B.size||0),0),0);if(x+E>$e.NOTEPAD_ATTACHMENT_QUOTA)return alert(`Attachments in "${f.title||Gl.notepadTitle}" are limited to ${Hh($e.NOTEPAD_ATTACHMENT_QUOTA)}. It already uses ${Hh(x)}, so ${Hh(E)} more will not fit.`),!1;if(!navigator.storage?.estimate)return!0;try{const{usage:o=0,quota:_=0}=await navigator.storage.estimate();if(!_||o+E<=_)return!0;return alert(`Not enough storage to add ${Hh(E)}. This browser has ${Hh(Math.max(_-o,0))} left, and "${f.title||Gl.notepadTitle}" already uses ${Hh(x)} for attachments.`),!1}catch(o){return console.warn("Storage estimate failed",o),!0}},Sv=f=>JSON.stringify({...f,notes:f.notes.map(m=>m.attachments?.length?{...m,attachments:m.attachments.map(E=>({...E,blob:null}))}:m)}),Rv=(f,m)=>{const E=[],o=f.notes.map(_=>{const x=Vv(_),C=m?.notes.find(j=>j.id===_.id)?.attachments||[],B=x.attachments.filter(j=>{if(j.blob instanceof Blob)return!0;const z=C.find(q=>q.blob instanceof Blob&&q.name===j.name&&q.size===j.size);return z?(j.blob=z.blob,!0):(E.includes(_.title||Gl.noteTitle)||E.push(_.title||Gl.noteTitle),!1)});return{...x,attachments:B}});return{notepad:{...f,notes:o},lostAttachments:E}},Lv=(f="",m="")=>{const E=f?f.split(`
+`):[],o=m?m.split(`
+`):[],_=E.length,x=o.length;if(_*x>25e4)return[...E.map(q=>({type:"-",text:q})),...o.map(q=>({type:"+",text:q}))];const C=Array.from({length:_+1},()=>new Uint32Array(x+1));for(let U=_-1;U>=0;U--)for(let k=x-1;k>=0;k--)C[U][k]=E[U]===o[k]?C[U+1][k+1]+1:Math.max(C[U+1][k],C[U][k+1]);const B=[];let j=0,z=0;for(;j<_&&z<x;)E[j]===o[z]?(B.push({type:"=",text:E[j]}),j++,z++):C[j+1][z]>=C[j][z+1]?B.push({type:"-",text:E[j++]}):B.push({type:"+",text:o[z++]});for(;j<_;)B.push({type:"-",text:E[j++]});for(;z<x;)B.push({type:"+",text:o[z++]});return B},mv=(f,m,E)=>{if(m===E||E===f)return m;if(m===f)return E;const o=f?f.split(`
+`):[],_=U=>{const j=Array.from({length:o.length+1},()=>({keep:!0,insert:[]}));let z=0;for(const q of Lv(f,U))q.type==="="?z++:q.type==="-"?j[z++].keep=!1:j[z].insert.push(q.text);for(let q=o.length-1,k;q>=0;q--)j[q].keep?k=void 0:(k===void 0&&(k=j[q+1].insert.length?q+1+`
+`+j[q+1].insert.join(`
+`):""),j[q].change=k);return j},x=_(m),C=_(E),B=[];for(let j=0;j<=o.length;j++){const z=x[j].insert,q=C[j].insert;if(z.length>0&&q.length>0&&z.join(`
+`)!==q.join(`
+`)||j<o.length&&!x[j].keep&&!C[j].keep&&x[j].change!==C[j].change)return null;B.push(...z.length>0?z:q),j<o.length&&x[j].keep&&C[j].keep&&B.push(o[j])}return B.join(`
+`)},dv=(f,m)=>{const E=window.getSelection(),o=f.innerText,_=document.activeElement===f&&E.rangeCount>0,x=()=>document.createTreeWalker(f,NodeFilter.SHOW_TEXT|NodeFilter.SHOW_ELEMENT);let C=0;if(_)for(let z=x().currentNode,q=x();z;z=q.nextNode()){if(z===E.focusNode){C+=z.nodeType===Node.TEXT_NODE?E.focusOffset:Array.from(z.childNodes).slice(0,E.focusOffset).reduce((U,k)=>U+(k.nodeName==="BR"?1:k.textContent.length),0);break}z.nodeType===Node.TEXT_NODE?C+=z.data.length:z.nodeName==="BR"&&C++}if(f.innerText=m,!_)return;let B=0;for(;B<o.length&&B<m.length&&o[B]===m[B];)B++;C>B&&(C=Math.max(B,C+m.length-o.length));const j=document.createRange();j.selectNodeContents(f),j.collapse(!1);for(let z=x(),q=z.nextNode();q;q=z.nextNode())if(q.nodeType===Node.TEXT_NODE){if(C<=q.data.length){j.setStart(q,C),j.collapse(!0);break}C-=q.data.length}else if(q.nodeName==="BR"){if(C===0){j.setStartBefore(q),j.collapse(!0);break}C--}E.removeAllRanges(),E.addRange(j)},Dv=(f,m)=>{const E=new Map((f?.notes||[]).map(_=>[_.id,_])),o=new Set(m.notes.map(_=>_.id));return[...m.notes.map(_=>{const x=E.get(_.id);if(!x)return{id:_.id,title:_.title,status:"added",previousTitle:null,lines:Lv("",_.content||"")};const C=x.title!==_.title,B=x.content!==_.content,j=x.accentColor!==_.accentColor||!!x.collapsed!=!!_.collapsed||!!x.markdown!=!!_.markdown||(x.tags||[]).join()!==(_.tags||[]).join()||(x.attachments||[]).map(q=>q.name).join("/")!==(_.attachments||[]).map(q=>q.name).join("/");return{id:_.id,title:_.title,status:C||B||j?"modified":"unchanged",previousTitle:C?x.title:null,lines:B?Lv(x.content||"",_.content||""):[]}}),...(f?.notes||[]).filter(_=>!o.has(_.id)).map(_=>({id:_.id,title:_.title,status:"removed",previousTitle:null,lines:Lv(_.content||"","")}))]},Ov=f=>f.replace(/[\\/:*?"<>|]+/g,"_"),Hv=f=>Ov((f||"sidenotes").trim().replace(/\s+/g,"_").toLowerCase()),Qv=f=>/^["[]/.test(f)?JSON.parse(f):f==="true"?!0:f==="false"?!1:/^-?\d+(\.\d+)?$/.test(f)?Number(f):f,Kv=f=>{const m={notes:[]};let E=null,o=null;for(const _ of f.split(`
+`)){const x=_.match(/^( *)(- )?([\w-]+):(?: (.*))?$/);if(!x)continue;const[,C,B,j,z]=x,q=z===void 0||z===""?null:Qv(z);C.length===0?(E=null,o=null,j!=="notes"&&(m[j]=q)):B&&C.length<=2?(E={[j]:q},o=null,m.notes.push(E)):E&&(C.length<=4?q===null&&j==="attachments"?(o=null,E[j]=[]):q===null&&j==="attachment"?(o={},E[j]=o):(o=null,E[j]=q):B&&Array.isArray(E.attachments)?(o={[j]:q},E.attachments.push(o)):o&&(o[j]=q))}return m},Jv=(f,m=()=>null)=>{const E=JSON.stringify,o=["---",`id: ${E(f.id)}`,`created: ${f.created}`,`lastUpdate: ${f.lastUpdate}`,`tags: ${E(f.tags||[])}`,`pinned: ${!!f.pinned}`,`archived: ${!!f.archived}`,"notes:"];f.notes.forEach((_,x)=>{o.push(`  - id: ${E(_.id)}`,`    accentColor: ${E(_.accentColor||"")}`,`    collapsed: ${!!_.collapsed}`,`    markdown: ${!!_.markdown}`,`    tags: ${E(_.tags||[])}`);const C=(_.attachments||[]).map((B,j)=>m(B,x,j)).filter(Boolean);C.length>0&&(o.push("    attachments:"),C.forEach(B=>Object.entries(B).forEach(([j,z],q)=>o.push(`${q===0?"      - ":"        "}${j}: ${typeof z=="string"?E(z):z}`))))}),o.push("---","",`# ${(f.title||"").replace(/\n/g," ")}`,"");for(const _ of f.notes)o.push(`## ${(_.title||"").replace(/\n/g," ")}`,"",(_.content||"").replace(/^([#\\])/gm,"\\$1"),"");return o.join(`
+`)},Gv=(f,m=()=>null)=>{const E=f.replace(/\r\n?/g,`
+`),o=E.match(/^---\n([\s\S]*?)\n---\n/),_=o?Kv(o[1]):{notes:[]},x=[];let C=null,B=null;for(const z of(o?E.slice(o[0].length):E).split(`
+`)){const q=z.match(/^(#{1,2})(?: (.*))?$/);q&&q[1]==="#"&&C===null&&B===null?C=q[2]||"":q&&q[1]==="##"?(B={title:q[2]||"",lines:[]},x.push(B)):B&&B.lines.push(z.replace(/^\\([#\\])/,"$1"))}const j=Date.now();return{id:_.id||_e(Gl.tags.notepad),title:C??Gl.notepadTitle,created:_.created||j,lastUpdate:_.lastUpdate||j,tags:Fp(_.tags),pinned:!!_.pinned,archived:!!_.archived,notes:x.map((z,q)=>{const U=_.notes[q]||{},k=z.lines;return k[0]===""&&k.shift(),k.length>0&&k[k.length-1]===""&&k.pop(),{id:U.id||_e(Gl.tags.note),title:z.title,content:k.join(`
+`),accentColor:U.accentColor||"",collapsed:!!U.collapsed,markdown:!!U.markdown,tags:Fp(U.tags),attachments:Vv(U).attachments.flatMap(P=>{const ul=m(P);return ul?[{id:P.id,...ul}]:[]})}})}},Yv=f=>/^\s*[{[]/.test(f)?JSON.parse(f):Gv(f,m=>m.data?{name:m.name,type:m.type||Uh(m.mimeType),mimeType:m.mimeType,size:m.size,blob:m.data}:null),Pv=(()=>{const f=new Uint32Array(256);for(let m=0;m<256;m++){let E=m;for(let o=0;o<8;o++)E=E&1?3988292384^E>>>1:E>>>1;f[m]=E>>>0}return f})(),Mv=f=>{let m=4294967295;for(let E=0;E<f.length;E++)m=Pv[(m^f[E])&255]^m>>>8;return(m^4294967295)>>>0},Iv=f=>{const m=new TextEncoder,E=[],o=[],_=new Date,x=_.getHours()<<11|_.getMinutes()<<5|_.getSeconds()>>1,C=_.getFullYear()-1980<<9|_.getMonth()+1<<5|_.getDate();let B=0;for(const{name:q,data:U}of f){const k=m.encode(q),P=Mv(U),ul=new DataView(new ArrayBuffer(30)),rl=new DataView(new ArrayBuffer(46));ul.setUint32(0,67324752,!0),ul.setUint16(4,20,!0),ul.setUint16(6,2048,!0),ul.setUint16(10,x,!0),ul.setUint16(12,C,!0),ul.setUint32(14,P,!0),ul.setUint32(18,U.length,!0),ul.setUint32(22,U.length,!0),ul.setUint16(26,k.length,!0),rl.setUint32(0,33639248,!0),rl.setUint16(4,20,!0),rl.setUint16(6,20,!0),rl.setUint16(8,2048,!0),rl.setUint16(12,x,!0),rl.setUint16(14,C,!0),rl.setUint32(16,P,!0),rl.setUint32(20,U.length,!0),rl.setUint32(24,U.length,!0),rl.setUint16(28,k.length,!0),rl.setUint32(42,B,!0),E.push(new Uint8Array(ul.buffer),k,U),o.push(new Uint8Array(rl.buffer),k),B+=30+k.length+U.length}const j=o.reduce((q,U)=>q+U.length,0),z=new DataView(new ArrayBuffer(22));return z.setUint32(0,101010256,!0),z.setUint16(8,f.length,!0),z.setUint16(10,f.length,!0),z.setUint32(12,j,!0),z.setUint32(16,B,!0),new Blob([...E,...o,new Uint8Array(z.buffer)],{type:$e.ZIP_MIME_TYPE})},Nv=async f=>{const m=new Uint8Array(f),E=new DataView(f),o=new TextDecoder,_=new Map;let x=m.length-22;for(;x>=0&&E.getUint32(x,!0)!==101010256;)x--;if(x<0)throw new Error("Invalid ZIP archive");let C=E.getUint32(x+16,!0);for(let B=E.getUint16(x+10,!0);B>0;B--){if(E.getUint32(C,!0)!==33639248)throw new Error("Invalid ZIP archive");const j=E.getUint16(C+10,!0),z=E.getUint32(C+20,!0),q=E.getUint16(C+28,!0),U=E.getUint32(C+42,!0),k=o.decode(m.subarray(C+46,C+46+q)),P=U+30+E.getUint16(U+26,!0)+E.getUint16(U+28,!0),ul=m.subarray(P,P+z);k.endsWith("/")||(j===0?_.set(k,ul):j===8&&_.set(k,new Uint8Array(await new Response(new Blob([ul]).stream().pipeThrough(new DecompressionStream("deflate-raw"))).arrayBuffer()))),C+=46+q+E.getUint16(C+30,!0)+E.getUint16(C+32,!0)}return _},Fv=async f=>{const m=new Uint8Array(f),E=new TextDecoder;if(m[0]!==80||m[1]!==75)return JSON.parse(E.decode(m));const o=await Nv(f),_={};for(const[x,C]of o){if(!x.toLowerCase().endsWith($e.EXTENSIONS.MARKDOWN))continue;const B=x.slice(0,x.lastIndexOf("/")+1),j=Gv(E.decode(C),z=>{const q=z.file&&o.get(B+z.file);return q?{name:z.name,type:z.type||Uh(z.mimeType),mimeType:z.mimeType,size:z.size??q.length,blob:new Blob([q],{type:z.mimeType})}:null});_[j.id]=j}return _},w1=(f,m=35)=>{if(!f||f==="transparent"||f.toLowerCase()==="#ffffff")return null;let E=f.replace(/^#/,"");E.length===3&&(E=E.split("").map(rl=>rl+rl).join(""));const o=parseInt(E,16);if(isNaN(o))return null;let _=(o>>16)/255,x=(o>>8&255)/255,C=(o&255)/255;const B=Math.max(_,x,C),j=Math.min(_,x,C),z=B-j;let q=0,U=0,k=(B+j)/2;z!==0&&(U=k>.5?z/(2-B-j):z/(B+j),B===_?q=(x-C)/z+(x<C?6:0):B===x?q=(C-_)/z+2:q=(_-x)/z+4,q/=6);const P=1+m/100;U=Math.min(1,U*P),k=Math.max(0,k-m/100);const ul=rl=>{const Ml=(rl+q*12)%12,fl=U*Math.min(k,1-k);return k-fl*Math.max(-1,Math.min(Ml-3,9-Ml,1))};return`rgb(${Math.round(ul(0)*255)}, ${Math.round(ul(8)*255)}, ${Math.round(ul(4)*255)})`},Bn={importSingleNotepad:async f=>{const{db:m,setIsProcessing:E,openDialog:o,onOpenNotepad:_,onClose:x,uploadLocalFile:C,base64ToBlob:B,generateID:j,requestPassphrase:k,FILE_CONFIG:z}=f;C(async q=>{E(!0);try{let U=Yv(q);if(U?.format===z.ENCRYPTED_FORMAT){E(!1);const wl=await wv(U,k);if(wl===null)return;E(!0),U=Yv(wl)}if(U&&!U.notes&&typeof U=="object"&&Object.values(U).some(Nl=>Nl.notes)){alert('This file appears to be a full backup. Please use the "Restore" button instead of "Import".'),E(!1);return}if(!U||!U.notes)throw E(!1),new Error("Invalid structure");const P=await Rh(U.notes,B),ul=Gp({...U,notes:P}),rl=async Nl=>{await m.bulkPut({[Nl.id]:Nl}),_(Nl),E(!1),x()};(await m.getAll())[ul.id]?(E(!1),o({isOpen:!0,message:"A version of this notepad already exists.",actions:[{actionLabel:"Keep both",customClasses:["dialog-button-standard"],action:()=>rl({...ul,id:j("notepad")})},{actionLabel:"Replace",customClasses:["dialog-button-confirm"],action:()=>rl(ul)},{actionLabel:"Cancel",customClasses:["dialog-button-standard"],action:()=>E(!1)}]})):await rl(ul)}catch(U){E(!1),alert("Import failed: Invalid file format."),console.error(U)}},z.ACCEPT.NOTEPAD)},shareSingleNotepad:async(f,m)=>{const{db:q,setIsProcessing:E,blobToBase64:o,getExportFileName:_,shareLocalFile:x,FILE_CONFIG:C}=m;if(!f||!f.id||typeof f.id!="string"){console.error("Invalid notepad object provided to share.");return}E(!0);try{const B=await X1(f.notes,o),j={id:f.id,title:f.title,created:f.created,lastUpdate:f.lastUpdate,tags:f.tags||[],pinned:!!f.pinned,archived:!!f.archived,notes:B},z=JSON.stringify(j),U=q?.encryption;await x(U?await q.encryptExport(z):z,_(f.title,U?"ENCRYPTED_NOTE":"NOTE"),U?C.ENCRYPTED_MIME_TYPE:C.MIME_TYPE,f.title)}catch(B){console.error("Sharing failed:",B),alert("Could not share notepad.")}finally{E(!1)}},exportSingleNotepadMarkdown:async(f,m)=>{const{db:k,openDialog:P,setIsProcessing:E,blobToBase64:o,getExportFileName:_,shareLocalFile:x,FILE_CONFIG:C}=m;if(!f||!f.id||typeof f.id!="string"){console.error("Invalid notepad object provided to export.");return}Wp(k,P,async()=>{E(!0);try{const B=await Promise.all(f.notes.map(z=>Promise.all((z.attachments||[]).map(async q=>q.blob instanceof Blob?await o(q.blob):null)))),j=Jv(f,(z,q,U)=>B[q][U]?{id:z.id,name:z.name,type:z.type,mimeType:z.mimeType,size:z.size,data:B[q][U]}:null);await x(j,_(f.title,"MARKDOWN"),C.MARKDOWN_MIME_TYPE,f.title)}catch(B){console.error("Markdown export failed:",B),alert("Could not export notepad.")}finally{E(!1)}})},backupFullLibrary:async({db:f,setIsProcessing:m,blobToBase64:E,getExportFileName:o,shareLocalFile:_,FILE_CONFIG:x})=>{m(!0);try{const C=await f.getAll(),B=await Promise.all(Object.entries(C).map(async([z,q])=>{const U=await X1(q.notes,E);return[z,{...q,notes:U}]})),j=JSON.stringify(Object.fromEntries(B)),k=f.encryption;await _(k?await f.encryptExport(j):j,o(null,k?"ENCRYPTED_BACKUP":"BACKUP"),k?x.ENCRYPTED_MIME_TYPE:x.MIME_TYPE,"Full Library Backup")}catch(C){console.error("Backup failed:",C),alert("Could not generate backup file.")}finally{m(!1)}},exportLibraryArchive:({db:f,openDialog:k,setIsProcessing:m,getExportFileName:E,shareLocalFile:o,FILE_CONFIG:_})=>{Wp(f,k,async()=>{m(!0);try{const x=await f.getAll(),C=new TextEncoder,B=[],j=new Set;for(const z of Object.values(x)){let q=Hv(z.title);for(let P=2;j.has(q);P++)q=`${Hv(z.title)}-${P}`;j.add(q);const U=[],k=Jv(z,(P,ul,rl)=>{if(!(P.blob instanceof Blob))return null;const Ml=`attachments/${ul+1}-${rl+1}-${Ov(P.name||"file")}`;return U.push({name:`${q}/${Ml}`,blob:P.blob}),{id:P.id,name:P.name,type:P.type,mimeType:P.mimeType,size:P.size,file:Ml}});B.push({name:`${q}/${q}${_.EXTENSIONS.MARKDOWN}`,data:C.encode(k)});for(const P of U)B.push({name:P.name,data:new Uint8Array(await P.blob.arrayBuffer())})}await o(Iv(B),E(null,"LIBRARY"),_.ZIP_MIME_TYPE,"Full Library Export")}catch(x){console.error("Library export failed:",x),alert("Could not generate library export.")}finally{m(!1)}})},restoreFullLibrary:f=>{const{db:m,setIsProcessing:E,openDialog:o,uploadLocalFile:_,dataFallbackMode:x,requestPassphrase:k,FILE_CONFIG:C}=f;o({isOpen:!0,message:"This will replace all local data. Proceed?",actions:[{actionLabel:"Proceed",customClasses:["dialog-button-confirm"],action:()=>{_(async B=>{E(!0);try{let j=await Fv(B);if(j?.format===C.ENCRYPTED_FORMAT){E(!1);const q=await wv(j,k);if(q===null)return;E(!0),j=JSON.parse(q)}await x(j,async z=>{await m.clear(),await m.bulkPut(z),setTimeout(()=>window.location.reload(),250)})}catch(j){console.error("Restore failed:",j),alert("Restore failed: The file is corrupted or invalid.")}finally{E(!1)}},C.ACCEPT.LIBRARY,"buffer")}},{actionLabel:"Cancel",customClasses:["dialog-button-standard"],action:()=>{}}]})}},at={SET_NOTEPAD:"SET_NOTEPAD",UPDATE_TITLE:"UPDATE_TITLE",ADD_NOTE:"ADD_NOTE",DUPLICATE_NOTE:"DUPLICATE_NOTE",UPDATE_NOTE:"UPDATE_NOTE",DELETE_NOTE:"DELETE_NOTE",MOVE_NOTE:"MOVE_NOTE",RESTORE_NOTE:"RESTORE_NOTE",UPDATE_META:"UPDATE_META"},kv={NOTE_ACTION:"NOTE_ACTION",NOTEPAD_SAVED:"NOTEPAD_SAVED",NOTEPAD_DELETED:"NOTEPAD_DELETED",LIBRARY_CLEARED:"LIBRARY_CLEARED",ENCRYPTION_CHANGED:"ENCRYPTION_CHANGED"},xv=f=>{switch(f.type){case at.ADD_NOTE:case at.UPDATE_NOTE:return f.payload.id;case at.DELETE_NOTE:return f.payload;case at.MOVE_NOTE:return f.payload.noteId;case at.DUPLICATE_NOTE:return f.payload.newNote.id;case at.RESTORE_NOTE:return f.payload.note.id;default:return null}};const Yp=(f,m,E)=>({...f,...m,modified:E,...Object.keys(m).every(o=>o==="pinned"||o==="archived")?{}:{lastUpdate:E}}),Vp=f=>Math.max(f.lastUpdate||0,f.modified||0);function Bh(f,m){const E=m.lastUpdate||Date.now();switch(m.type){case at.SET_NOTEPAD:return{...m.payload};case at.UPDATE_TITLE:return{...f,title:m.payload,lastUpdate:E,modified:E};case at.ADD_NOTE:return{...f,lastUpdate:E,modified:E,notes:[...f.notes,m.payload]};case at.DUPLICATE_NOTE:{const{originalId:o,newNote:_}=m.payload,x=f.notes.findIndex(B=>B.id===o);if(x===-1)return f;const C=[...f.notes];return C.splice(x+1,0,_),{...f,lastUpdate:E,modified:E,notes:C}}case at.UPDATE_NOTE:return{...f,lastUpdate:E,modified:E,notes:f.notes.map(o=>o.id===m.payload.id?m.payload:o)};case at.DELETE_NOTE:return{...f,lastUpdate:E,modified:E,notes:f.notes.filter(o=>o.id!==m.payload)};case at.MOVE_NOTE:{const{noteId:o,oldIndex:_,newIndex:x}=m.payload,C=[...f.notes],B=o?C.findIndex(z=>z.id===o):_-1,j=x-1;if(B<0||j<0||j>=C.length)return f;const[z]=C.splice(B,1);return C.splice(j,0,z),{...f,lastUpdate:E,modified:E,notes:C}}case at.RESTORE_NOTE:{const{note:o,index:_}=m.payload,x=f.notes.findIndex(B=>B.id===o.id),C=[...f.notes];return x===-1?C.splice(Math.min(Math.max(_-1,0),C.length),0,o):C.splice(x,1,o),{...f,lastUpdate:E,modified:E,notes:C}}case at.UPDATE_META:return Yp(f,m.payload,E);default:return f}}function ec(f,m){const E=X.useRef();return X.useCallback((..._)=>{E.current&&clearTimeout(E.current),E.current=setTimeout(()=>f(..._),m)},[f,m])}const K1=()=>{const[f,m]=X.useState({isOpen:!1,message:"",actions:[],customClasses:[],content:null}),x=X.useRef(null),E=X.useCallback(({message:_,actions:C,customClasses:B=[],content:j=null,onDismiss:z=null})=>{const q=x.current;x.current=z,q?.(),m({isOpen:!0,message:_,actions:C.map(U=>({...U,action:()=>(x.current=null,U.action?.())})),customClasses:B,content:j})},[]),o=X.useCallback(()=>{const _=x.current;x.current=null,_?.(),m(C=>({...C,isOpen:!1}))},[]);return{...f,openDialog:E,closeDialog:o}},qh=({size:f="32",className:m=""})=>h.jsx("svg",{"aria-label":"Sidenotes logo",xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon logo ${m}`,viewBox:"0 0 244 255",focusable:"false",children:h.jsx("path",{fillRule:"evenodd",d:"m 139.774,0.381005 c -43.8,0 -87.6,10.401 -108.403,31.203 -41.605,41.604995 -41.605,175.203995 0,216.798995 41.605,41.595 175.204,41.595 216.799,0 41.595,-41.595 41.595,-175.194 0,-216.798995 -20.797,-20.802 -64.597,-31.203 -108.396,-31.203 z m -13.459,39.615 h 33.681 c 20.626,1.697 36.135,21.633995 36.766,41.089995 0,14.78801 0,14.36001 0,24.696 -8.645,0.024 -25.152,0.14501 -34.627,0.004 0,-5.59 0,-8.476 0,-14.35 -0.788,-6.868 -4.762,-14.311 -14.154,-14.488 h -9.84 c -12.304,-0.375 -18.776,14.495 -9.377,26.404 21.543,22.772 29.802,30.464 49.855,54.078 29.429,33.767 21.169,76.574 -18.619,82.57 h -33.681 c -12.166,-0.404 -38.052,-4.36899 -38.942,-45.754 0,-12.836 0.317,-2.308 -0.002,-17.324 11.299,0 24.704,-0.283 34.735,-0.283 0,0 -0.004,6.457 -0.004,11.289 0.599,8.519 2.926,13.819 10.369,14.836 l 13.088,-0.566 c 10.251,0.957 19.944,-11.531 4.267,-27.43 -13.929,-15.818 -44.279,-45.765 -49.445,-51.305 l 0.002,0.016 C 75.871,90.631 91.157,39.855005 126.319,39.996005 Z",transform:"matrix(0.87392363,0,0,0.91332058,0.02108468,0.0330224)"})}),Yh=({size:f="16",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{fillRule:"evenodd",d:"M8 2a.5.5 0 0 1 .5.5v5h5a.5.5 0 0 1 0 1h-5v5a.5.5 0 0 1-1 0v-5h-5a.5.5 0 0 1 0-1h5v-5A.5.5 0 0 1 8 2"})}),Lh=({size:f="16",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{fillRule:"evenodd",d:"M4 2a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2zm2-1a1 1 0 0 0-1 1v8a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1zM2 5a1 1 0 0 0-1 1v8a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1v-1h1v1a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h1v1z"})}),Gh=({size:f="16",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M10.97 4.97a.75.75 0 0 1 1.07 1.05l-3.99 4.99a.75.75 0 0 1-1.08.02L4.324 8.384a.75.75 0 1 1 1.06-1.06l2.094 2.093 3.473-4.425z"})}),Xh=({size:f="16",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{fillRule:"evenodd",d:"M7.21.8C7.69.295 8 0 8 0c.109.363.234.708.371 1.038.812 1.946 2.073 3.35 3.197 4.6C12.878 7.096 14 8.345 14 10a6 6 0 0 1-12 0C2 6.668 5.58 2.517 7.21.8zm.413 1.021A31.25 31.25 0 0 0 5.794 3.99c-.726.95-1.436 2.008-1.96 3.07C3.304 8.133 3 9.138 3 10a5 5 0 0 0 10 0c0-1.201-.796-2.157-2.181-3.7l-.03-.032C9.75 5.11 8.5 3.72 7.623 1.82z"}),h.jsx("path",{fillRule:"evenodd",d:"M4.553 7.776c.82-1.641 1.717-2.753 2.093-3.13l.708.708c-.29.29-1.128 1.311-1.907 2.87l-.894-.448z"})]}),wh=({size:f="16",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M6.5 1h3a.5.5 0 0 1 .5.5v1H6v-1a.5.5 0 0 1 .5-.5ZM11 2.5v-1A1.5 1.5 0 0 0 9.5 0h-3A1.5 1.5 0 0 0 5 1.5v1H2.506a.58.58 0 0 0-.01 0H1.5a.5.5 0 0 0 0 1h.538l.853 10.66A2 2 0 0 0 4.885 16h6.23a2 2 0 0 0 1.994-1.84l.853-10.66h.538a.5.5 0 0 0 0-1h-.995a.59.59 0 0 0-.01 0H11Zm1.958 1-.846 10.58a1 1 0 0 1-.997.92h-6.23a1 1 0 0 1-.997-.92L3.042 3.5h9.916Zm-7.487 1a.5.5 0 0 1 .528.47l.5 8.5a.5.5 0 0 1-.998.06L5 5.03a.5.5 0 0 1 .47-.53Zm5.058 0a.5.5 0 0 1 .47.53l-.5 8.5a.5.5 0 1 1-.998-.06l.5-8.5a.5.5 0 0 1 .528-.47ZM8 4.5a.5.5 0 0 1 .5.5v8.5a.5.5 0 0 1-1 0V5a.5.5 0 0 1 .5-.5Z"})}),Qh=({size:f="16",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M1 3.5A1.5 1.5 0 0 1 2.5 2h2.764c.958 0 1.76.56 2.311 1.184C7.985 3.648 8.48 4 9 4h4.5A1.5 1.5 0 0 1 15 5.5v.64c.57.265.94.876.856 1.546l-.64 5.124A2.5 2.5 0 0 1 12.733 15H3.266a2.5 2.5 0 0 1-2.481-2.19l-.64-5.124A1.5 1.5 0 0 1 1 6.14zM2 6h12v-.5a.5.5 0 0 0-.5-.5H9c-.964 0-1.71-.629-2.174-1.154C6.374 3.334 5.82 3 5.264 3H2.5a.5.5 0 0 0-.5.5zm-.367 1a.5.5 0 0 0-.496.562l.64 5.124A1.5 1.5 0 0 0 3.266 14h9.468a1.5 1.5 0 0 0 1.489-1.314l.64-5.124A.5.5 0 0 0 14.367 7z"})}),Vh=({size:f="24",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M9.293 0H4a2 2 0 0 0-2 2v12a2 2 0 0 0 2 2h8a2 2 0 0 0 2-2V4.707A1 1 0 0 0 13.707 4L10 .293A1 1 0 0 0 9.293 0M9.5 3.5v-2l3 3h-2a1 1 0 0 1-1-1m-1 4v3.793l1.146-1.147a.5.5 0 0 1 .708.708l-2 2a.5.5 0 0 1-.708 0l-2-2a.5.5 0 0 1 .708-.708L7.5 11.293V7.5a.5.5 0 0 1 1 0"})}),Zh=({size:f="24",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M16 8A8 8 0 1 1 0 8a8 8 0 0 1 16 0M5.354 4.646a.5.5 0 1 0-.708.708L7.293 8l-2.647 2.646a.5.5 0 0 0 .708.708L8 8.707l2.646 2.647a.5.5 0 0 0 .708-.708L8.707 8l2.647-2.646a.5.5 0 0 0-.708-.708L8 7.293z"})}),Kh=({size:f="32",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{d:"M0 4a2 2 0 0 1 2-2h11a2 2 0 0 1 2 2v4a.5.5 0 0 1-1 0V7H1v5a1 1 0 0 0 1 1h5.5a.5.5 0 0 1 0 1H2a2 2 0 0 1-2-2V4Zm1 2h13V4a1 1 0 0 0-1-1H2a1 1 0 0 0-1 1v2Z"}),h.jsx("path",{d:"M16 12.5a3.5 3.5 0 1 1-7 0 3.5 3.5 0 0 1 7 0Zm-3.5-2a.5.5 0 0 0-.5.5v1h-1a.5.5 0 0 0 0 1h1v1a.5.5 0 0 0 1 0v-1h1a.5.5 0 0 0 0-1h-1v-1a.5.5 0 0 0-.5-.5Z"})]}),Jh=({size:f="32",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{fillRule:"evenodd",d:"M.172 15.828a.5.5 0 0 0 .707 0l4.096-4.096V14.5a.5.5 0 1 0 1 0v-3.975a.5.5 0 0 0-.5-.5H1.5a.5.5 0 0 0 0 1h2.768L.172 15.121a.5.5 0 0 0 0 .707M15.828.172a.5.5 0 0 0-.707 0l-4.096 4.096V1.5a.5.5 0 1 0-1 0v3.975a.5.5 0 0 0 .5.5H14.5a.5.5 0 0 0 0-1h-2.768L15.828.879a.5.5 0 0 0 0-.707"})}),Wh=({size:f="32",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{fillRule:"evenodd",d:"M5.828 10.172a.5.5 0 0 0-.707 0l-4.096 4.096V11.5a.5.5 0 0 0-1 0v3.975a.5.5 0 0 0 .5.5H4.5a.5.5 0 0 0 0-1H1.732l4.096-4.096a.5.5 0 0 0 0-.707m4.344-4.344a.5.5 0 0 0 .707 0l4.096-4.096V4.5a.5.5 0 1 0 1 0V.525a.5.5 0 0 0-.5-.5H11.5a.5.5 0 0 0 0 1h2.768l-4.096 4.096a.5.5 0 0 0 0 .707"})}),$h=({size:f="32",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M1 2.5A1.5 1.5 0 0 1 2.5 1h3A1.5 1.5 0 0 1 7 2.5v3A1.5 1.5 0 0 1 5.5 7h-3A1.5 1.5 0 0 1 1 5.5v-3zM2.5 2a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5h-3zm6.5.5A1.5 1.5 0 0 1 10.5 1h3A1.5 1.5 0 0 1 15 2.5v3A1.5 1.5 0 0 1 13.5 7h-3A1.5 1.5 0 0 1 9 5.5v-3zm1.5-.5a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5h-3zM1 10.5A1.5 1.5 0 0 1 2.5 9h3A1.5 1.5 0 0 1 7 10.5v3A1.5 1.5 0 0 1 5.5 15h-3A1.5 1.5 0 0 1 1 13.5v-3zm1.5-.5a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5h-3zm6.5.5A1.5 1.5 0 0 1 10.5 9h3a1.5 1.5 0 0 1 1.5 1.5v3a1.5 1.5 0 0 1-1.5 1.5h-3A1.5 1.5 0 0 1 9 13.5v-3zm1.5-.5a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5h-3z"})}),J1=({size:f="32",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{fillRule:"evenodd",d:"M8 5.5a.5.5 0 0 1 .5.5v1.5H10a.5.5 0 0 1 0 1H8.5V10a.5.5 0 0 1-1 0V8.5H6a.5.5 0 0 1 0-1h1.5V6a.5.5 0 0 1 .5-.5z"}),h.jsx("path",{d:"M3 0h10a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2v-1h1v1a1 1 0 0 0 1 1h10a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H3a1 1 0 0 0-1 1v1H1V2a2 2 0 0 1 2-2z"}),h.jsx("path",{d:"M1 5v-.5a.5.5 0 0 1 1 0V5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0V8h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0v.5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1z"})]}),W1=({size:f="16",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{fillRule:"evenodd",d:"M6.146 6.146a.5.5 0 0 1 .708 0L8 7.293l1.146-1.147a.5.5 0 1 1 .708.708L8.707 8l1.147 1.146a.5.5 0 0 1-.708.708L8 8.707 6.854 9.854a.5.5 0 0 1-.708-.708L7.293 8 6.146 6.854a.5.5 0 0 1 0-.708z"}),h.jsx("path",{d:"M3 0h10a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2v-1h1v1a1 1 0 0 0 1 1h10a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H3a1 1 0 0 0-1 1v1H1V2a2 2 0 0 1 2-2z"}),h.jsx("path",{d:"M1 5v-.5a.5.5 0 0 1 1 0V5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0V8h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0v.5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1z"})]}),kh=({size:f="20",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{fillRule:"evenodd",d:"M8 11a.5.5 0 0 0 .5-.5V6.707l1.146 1.147a.5.5 0 0 0 .708-.708l-2-2a.5.5 0 0 0-.708 0l-2 2a.5.5 0 1 0 .708.708L7.5 6.707V10.5a.5.5 0 0 0 .5.5z"}),h.jsx("path",{d:"M3 0h10a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2v-1h1v1a1 1 0 0 0 1 1h10a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H3a1 1 0 0 0-1 1v1H1V2a2 2 0 0 1 2-2z"}),h.jsx("path",{d:"M1 5v-.5a.5.5 0 0 1 1 0V5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0V8h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0v.5h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1z"})]}),Fh=({size:f="20",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{d:"M7.293 1.5a1 1 0 0 1 1.414 0L11 3.793V2.5a.5.5 0 0 1 .5-.5h1a.5.5 0 0 1 .5.5v3.293l2.354 2.353a.5.5 0 0 1-.708.708L8 2.207l-5 5V13.5a.5.5 0 0 0 .5.5h4a.5.5 0 0 1 0 1h-4A1.5 1.5 0 0 1 2 13.5V8.207l-.646.647a.5.5 0 1 1-.708-.708L7.293 1.5Z"}),h.jsx("path",{d:"M10 13a1 1 0 0 1 1-1v-1a2 2 0 0 1 4 0v1a1 1 0 0 1 1 1v2a1 1 0 0 1-1 1h-4a1 1 0 0 1-1-1v-2Zm3-3a1 1 0 0 0-1 1v1h2v-1a1 1 0 0 0-1-1Z"})]}),Ih=({size:f="20",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 14",focusable:"false",children:[h.jsx("path",{fillRule:"evenodd",d:"M8 3a5 5 0 1 1-4.546 2.914.5.5 0 0 0-.908-.417A6 6 0 1 0 8 2v1z"}),h.jsx("path",{d:"M8 4.466V.534a.25.25 0 0 0-.41-.192L5.23 2.308a.25.25 0 0 0 0 .384l2.36 1.966A.25.25 0 0 0 8 4.466z"})]}),Ph=({size:f="20",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{d:"M5 0h8a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2 2 2 0 0 1-2 2H3a2 2 0 0 1-2-2h1a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1V4a1 1 0 0 0-1-1H3a1 1 0 0 0-1 1H1a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v9a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H5a1 1 0 0 0-1 1H3a2 2 0 0 1 2-2z"}),h.jsx("path",{d:"M1 6v-.5a.5.5 0 0 1 1 0V6h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 3v-.5a.5.5 0 0 1 1 0V9h.5a.5.5 0 0 1 0 1h-2a.5.5 0 0 1 0-1H1zm0 2.5v.5H.5a.5.5 0 0 0 0 1h2a.5.5 0 0 0 0-1H2v-.5a.5.5 0 0 0-1 0z"})]}),$1=({size:f="32",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M13.5 1a1.5 1.5 0 1 0 0 3 1.5 1.5 0 0 0 0-3M11 2.5a2.5 2.5 0 1 1 .603 1.628l-6.718 3.12a2.5 2.5 0 0 1 0 1.504l6.718 3.12a2.5 2.5 0 1 1-.488.876l-6.718-3.12a2.5 2.5 0 1 1 0-3.256l6.718-3.12A2.5 2.5 0 0 1 11 2.5m-8.5 4a1.5 1.5 0 1 0 0 3 1.5 1.5 0 0 0 0-3m11 5.5a1.5 1.5 0 1 0 0 3 1.5 1.5 0 0 0 0-3"})}),Aq=({size:f="32",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M8 1a2 2 0 0 1 2 2v4H6V3a2 2 0 0 1 2-2m3 6V3a3 3 0 0 0-6 0v4a2 2 0 0 0-2 2v5a2 2 0 0 0 2 2h6a2 2 0 0 0 2-2V9a2 2 0 0 0-2-2M5 8h6a1 1 0 0 1 1 1v5a1 1 0 0 1-1 1H5a1 1 0 0 1-1-1V9a1 1 0 0 1 1-1"})}),fv=({size:f="32",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{d:"M8.515 1.019A7 7 0 0 0 8 1V0a8 8 0 0 1 .589.022zm2.004.45a7 7 0 0 0-.985-.299l.219-.976q.576.129 1.126.342zm1.37.71a7 7 0 0 0-.439-.27l.493-.87a8 8 0 0 1 .979.654l-.615.789a7 7 0 0 0-.418-.302zm1.834 1.79a7 7 0 0 0-.653-.796l.724-.69q.406.429.747.91zm.744 1.352a7 7 0 0 0-.214-.468l.893-.45a8 8 0 0 1 .45 1.088l-.95.313a7 7 0 0 0-.179-.483m.53 2.507a7 7 0 0 0-.1-1.025l.985-.17q.1.58.116 1.17zm-.131 1.538q.05-.254.081-.51l.993.123a8 8 0 0 1-.23 1.155l-.964-.267q.069-.247.12-.501m-.952 2.379q.276-.436.486-.908l.914.405q-.24.54-.555 1.038zm-.964 1.205q.183-.183.35-.378l.758.653a8 8 0 0 1-.401.432z"}),h.jsx("path",{d:"M8 1a7 7 0 1 0 4.95 11.95l.707.707A8.001 8.001 0 1 1 8 0z"}),h.jsx("path",{d:"M7.5 3a.5.5 0 0 1 .5.5v5.21l3.248 1.856a.5.5 0 0 1-.496.868l-3.5-2A.5.5 0 0 1 7 9V3.5a.5.5 0 0 1 .5-.5"})]}),Ev=({size:f="20",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{d:"M14 3a1 1 0 0 1 1 1v8a1 1 0 0 1-1 1H2a1 1 0 0 1-1-1V4a1 1 0 0 1 1-1zM2 2a2 2 0 0 0-2 2v8a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V4a2 2 0 0 0-2-2z"}),h.jsx("path",{fillRule:"evenodd",d:"M9.146 8.146a.5.5 0 0 1 .708 0L11.5 9.793l1.646-1.647a.5.5 0 0 1 .708.708l-2 2a.5.5 0 0 1-.708 0l-2-2a.5.5 0 0 1 0-.708"}),h.jsx("path",{fillRule:"evenodd",d:"M11.5 5a.5.5 0 0 1 .5.5v4a.5.5 0 0 1-1 0v-4a.5.5 0 0 1 .5-.5"}),h.jsx("path",{d:"M3.56 11V7.01h.056l1.428 3.239h.774l1.42-3.24h.056V11h1.073V5.001h-1.2l-1.71 3.894h-.039l-1.71-3.894H2.5V11z"})]}),Cv=({size:f="20",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{d:"M6.5 7.5a1 1 0 0 1 1-1h1a1 1 0 0 1 1 1v.938l.4 1.599a1 1 0 0 1-.416 1.074l-.93.62a1 1 0 0 1-1.109 0l-.93-.62a1 1 0 0 1-.415-1.074l.4-1.599zm2 0h-1v.938a1 1 0 0 1-.03.243l-.4 1.598.93.62.93-.62-.4-1.598a1 1 0 0 1-.03-.243z"}),h.jsx("path",{d:"M2 2a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2zm5.5-1H4a1 1 0 0 0-1 1v12a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1V2a1 1 0 0 0-1-1H9v1H8v1h1v1H8v1h1v1H7.5V5h-1V4h1V3h-1V2h1z"})]}),lv=({size:f="32",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{d:"M8 15A7 7 0 1 1 8 1a7 7 0 0 1 0 14zm0 1A8 8 0 1 0 8 0a8 8 0 0 0 0 16z"}),h.jsx("path",{d:"M5.255 5.786a.237.237 0 0 0 .241.247h.825c.138 0 .248-.113.266-.25.09-.656.54-1.134 1.342-1.134.686 0 1.314.343 1.314 1.168 0 .635-.374.927-.965 1.371-.673.489-1.206 1.06-1.168 1.987l.003.217a.25.25 0 0 0 .25.246h.811a.25.25 0 0 0 .25-.25v-.105c0-.718.273-.927 1.01-1.486.609-.463 1.244-.977 1.244-2.056 0-1.511-1.276-2.241-2.673-2.241-1.267 0-2.655.59-2.75 2.286zm1.557 5.763c0 .533.425.927 1.01.927.609 0 1.028-.394 1.028-.927 0-.552-.42-.94-1.029-.94-.584 0-1.009.388-1.009.94z"})]}),tv=({size:f="50",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,className:`spinner-path ${m}`,viewBox:"0 0 50 50",focusable:"false",children:h.jsx("circle",{className:"path",cx:"25",cy:"25",r:"20",fill:"none",strokeWidth:"5"})}),pv=({size:f="24",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{fillRule:"evenodd",d:"M11.354 1.646a.5.5 0 0 1 0 .708L5.707 8l5.647 5.646a.5.5 0 0 1-.708.708l-6-6a.5.5 0 0 1 0-.708l6-6a.5.5 0 0 1 .708 0"})}),qv=({size:f="24",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{fillRule:"evenodd",d:"M4.646 1.646a.5.5 0 0 1 .708 0l6 6a.5.5 0 0 1 0 .708l-6 6a.5.5 0 0 1-.708-.708L10.293 8 4.646 2.354a.5.5 0 0 1 0-.708"})}),hv=({images:f,urls:m,index:E,onIndexChange:o,onClose:_})=>{const x=X.useRef(null),C=f[E];X.useEffect(()=>{x.current?.showModal()},[]);const B=j=>o((E+j+f.length)%f.length);return h.jsx("dialog",{ref:x,className:"attachment-lightbox",onClose:_,onClick:j=>{j.target===x.current&&x.current.close()},onKeyDown:j=>{j.key==="ArrowLeft"?B(-1):j.key==="ArrowRight"&&B(1)},children:C&&h.jsxs(h.Fragment,{children:[h.jsx("img",{src:m[C.id],alt:C.name}),h.jsxs("div",{className:"lightbox-toolbar",children:[f.length>1&&h.jsx("button",{type:"button",className:"hovering-label","aria-label":"Previous",onClick:()=>B(-1),children:h.jsx(pv,{})}),h.jsx("span",{className:"lightbox-caption",children:f.length>1?`${C.name} (${E+1}/${f.length})`:C.name}),f.length>1&&h.jsx("button",{type:"button",className:"hovering-label","aria-label":"Next",onClick:()=>B(1),children:h.jsx(qv,{})}),h.jsx("button",{type:"button",className:"hovering-label","aria-label":"Close",onClick:()=>x.current.close(),children:h.jsx(Zh,{})})]})]})})},gv=({attachments:f,onRemove:m})=>{const[E,o]=X.useState({}),[_,x]=X.useState(null),U=X.useRef(new Map);X.useEffect(()=>{const j=U.current,z=new Set(f.map(q=>q.id));j.forEach((q,k)=>{z.has(k)||(URL.revokeObjectURL(q),j.delete(k))}),f.forEach(q=>{q.blob instanceof Blob&&!j.has(q.id)&&j.set(q.id,URL.createObjectURL(q.blob))}),o(Object.fromEntries(j))},[f]),X.useEffect(()=>()=>{U.current.forEach(j=>URL.revokeObjectURL(j)),U.current.clear()},[]);const C=f.filter(j=>j.type==="image"&&E[j.id]),B=j=>qa(j.blob,j.name,j.mimeType);return h.jsxs("div",{className:"note-media-preview note-attachment-gallery",children:[f.map(j=>h.jsxs("div",{className:`note-attachment note-attachment-${j.type}`,children:[h.jsxs("div",{className:"media-controls-overlay",children:[h.jsx("button",{type:"button",className:"download-attachment hovering-label","aria-label":"Download",onClick:()=>B(j),children:h.jsx(Vh,{})}),h.jsx("button",{type:"button",className:"remove-attachment hovering-label","aria-label":"Remove",onClick:()=>{x(null),m(j.id)},children:h.jsx(Zh,{})})]}),j.type==="image"&&E[j.id]?h.jsx("button",{type:"button",className:"note-attachment-open","aria-label":`Open ${j.name}`,onClick:()=>x(C.indexOf(j)),children:h.jsx("img",{src:E[j.id],alt:j.name,className:"note-attachment-thumbnail",loading:"lazy"})}):(j.type==="audio"||j.type==="video")&&E[j.id]?h.jsxs("figure",{className:"note-attachment-player",children:[j.type==="audio"?h.jsx("audio",{src:E[j.id],controls:!0,preload:"metadata"}):h.jsx("video",{src:E[j.id],controls:!0,preload:"metadata",playsInline:!0}),h.jsxs("figcaption",{className:"file-info",children:[h.jsx("strong",{children:j.name}),h.jsx("span",{children:Hh(j.size)})]})]}):h.jsx("div",{className:"file-chip",role:"button",tabIndex:0,onClick:()=>B(j),onKeyDown:z=>{(z.key==="Enter"||z.key===" ")&&(z.preventDefault(),B(j))},children:h.jsxs("div",{className:"file-info",children:[h.jsx("strong",{children:j.name}),h.jsx("span",{children:Hh(j.size)})]})})]},j.id)),_!==null&&h.jsx(hv,{images:C,urls:E,index:_,onIndexChange:x,onClose:()=>x(null)})]})},Sp=f=>{const m=[],E=f.split(`
+`);for(let o=0;o<E.length;o++){const _=E[o],x=m[m.length-1],C=_.match(/^\s*(```|~~~)\s*([\w+-]*)/);if(C){const z=[];for(o++;o<E.length&&!E[o].trimStart().startsWith(C[1]);o++)z.push(E[o]);m.push({type:"code",language:C[2],text:z.join(`
+`)});continue}const B=_.match(/^(#{1,6})\s+(.*)$/),j=_.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(?:\[([ xX])\](?=\s|$)\s*)?(.*)$/);if(!_.trim())x&&x.type!=="blank"&&m.push({type:"blank"});else if(B)m.push({type:"heading",level:B[1].length,text:B[2]});else if(/^\s*([-*_])(\s*\1){2,}\s*$/.test(_))m.push({type:"rule"});else if(j){const z={text:j[4],line:o,checked:j[3]===void 0?null:j[3]!==" "};x?.type==="list"&&x.ordered===!j[1]?x.items.push(z):m.push({type:"list",ordered:!j[1],start:j[1]?1:Number(j[2]),items:[z]})}else x?.type==="paragraph"?x.lines.push(_):m.push({type:"paragraph",lines:[_]})}return m},Tp=f=>{const m=[];let E=0;for(const o of f.matchAll(/`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|(?<![\p{L}\p{N}*])\*(?!\s)(.+?)(?<!\s)\*(?![\p{L}\p{N}*])|(?<![\p{L}\p{N}_])_(?!\s)(.+?)(?<!\s)_(?![\p{L}\p{N}_])|\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)|\b(?:https?:\/\/|www\.)[^\s<>]*[^\s<>.,:;!?"')\]]/gu)){o.index>E&&m.push(f.slice(E,o.index)),E=o.index+o[0].length;const _=m.length;o[1]!==void 0?m.push(h.jsx("code",{children:o[1]},_)):o[2]!==void 0||o[3]!==void 0?m.push(h.jsx("strong",{children:Tp(o[2]??o[3])},_)):o[4]!==void 0||o[5]!==void 0?m.push(h.jsx("em",{children:Tp(o[4]??o[5])},_)):m.push(h.jsx("a",{href:o[7]??(o[0].startsWith("www.")?`https://${o[0]}`:o[0]),target:"_blank",rel:"noopener noreferrer",children:o[6]!==void 0?Tp(o[6]):o[0]},_))}return E<f.length&&m.push(f.slice(E)),m},Mp=({blocks:f,onToggle:m})=>f.map((E,o)=>{switch(E.type){case"heading":return h.jsx(`h${Math.min(E.level+2,6)}`,{className:"note-markdown-heading",children:Tp(E.text)},o);case"code":return h.jsx("pre",{className:"note-markdown-code",children:h.jsx("code",{"data-language":E.language||void 0,children:E.text})},o);case"list":return h.jsx(E.ordered?"ol":"ul",{className:"note-markdown-list",start:E.ordered?E.start:void 0,children:E.items.map(_=>h.jsx("li",{className:_.checked===null?void 0:"note-markdown-task",children:_.checked===null?Tp(_.text):h.jsxs("label",{children:[h.jsx("input",{type:"checkbox",checked:_.checked,onChange:()=>m(_.line)}),h.jsx("span",{children:Tp(_.text)})]})},_.line))},o);case"rule":return h.jsx("hr",{},o);case"paragraph":return h.jsx("p",{children:E.lines.map((_,x)=>h.jsxs(h.Fragment,{children:[x>0&&h.jsx("br",{}),Tp(_)]},x))},o);default:return null}}),Cp=f=>Array.from(f.dataTransfer?.types||[]).includes("Files"),Rp=(f,m,E,o)=>{const _=f.map(C=>C.getBoundingClientRect()),x=_.reduce((C,B)=>B.top<=o&&B.top>C?B.top:C,-1/0);return _.filter((C,B)=>f[B]!==m&&(C.top<x||C.top===x&&(_.some(j=>j!==C&&j.top===C.top)?E>C.left+C.width/2:o>C.top+C.height/2))).length},Dp=({size:f="16",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M7 2a1 1 0 1 1-2 0 1 1 0 0 1 2 0m3 0a1 1 0 1 1-2 0 1 1 0 0 1 2 0M7 5a1 1 0 1 1-2 0 1 1 0 0 1 2 0m3 0a1 1 0 1 1-2 0 1 1 0 0 1 2 0M7 8a1 1 0 1 1-2 0 1 1 0 0 1 2 0m3 0a1 1 0 1 1-2 0 1 1 0 0 1 2 0m-3 3a1 1 0 1 1-2 0 1 1 0 0 1 2 0m3 0a1 1 0 1 1-2 0 1 1 0 0 1 2 0m-3 3a1 1 0 1 1-2 0 1 1 0 0 1 2 0m3 0a1 1 0 1 1-2 0 1 1 0 0 1 2 0"})}),Ep=({size:f="16",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{fillRule:"evenodd",d:"M1 11.5a.5.5 0 0 0 .5.5h11.793l-3.147 3.146a.5.5 0 0 0 .708.708l4-4a.5.5 0 0 0 0-.708l-4-4a.5.5 0 0 0-.708.708L13.293 11H1.5a.5.5 0 0 0-.5.5m14-7a.5.5 0 0 1-.5.5H2.707l3.147 3.146a.5.5 0 1 1-.708.708l-4-4a.5.5 0 0 1 0-.708l4-4a.5.5 0 1 1 .708.708L2.707 4H14.5a.5.5 0 0 1 .5.5"})}),Bp=({note:f,notepads:m,activeNotepadId:E,onClose:o,onTransfer:_})=>{const x=X.useRef(null),C=X.useId(),[B,j]=X.useState(""),[z,q]=X.useState(!1),[U,k]=X.useState(""),P=m.filter(rl=>rl.id!==E);X.useEffect(()=>{f?(j(""),k(""),x.current?.showModal()):x.current?.close()},[f]);const ul=async rl=>{q(!0),k("");try{await _(f,B,rl),o()}catch(Ml){console.error("Failed to transfer note",Ml),k(rl?"Could not copy the note.":"Could not move the note.")}finally{q(!1)}};return h.jsxs("dialog",{ref:x,className:"dialog confirmation-dialog transfer-dialog",onClose:o,children:[z&&h.jsx(k1,{}),h.jsx("header",{className:"dialog-header confirmation-dialog-header",children:h.jsx("h2",{children:`Move or copy "${f?.title||Gl.noteTitle}" to\u2026`})}),h.jsxs("div",{className:"dialog-body confirmation-dialog-body",children:[P.length>0?h.jsx("ul",{className:"transfer-notepads",children:P.map(rl=>h.jsx("li",{children:h.jsxs("label",{className:"transfer-notepad",children:[h.jsx("input",{type:"radio",name:C,value:rl.id,checked:B===rl.id,onChange:()=>j(rl.id),disabled:z}),h.jsx("span",{className:"transfer-notepad-title",children:rl.title||Gl.notepadTitle}),h.jsx("span",{className:"transfer-notepad-count",children:`${rl.notes.length} ${rl.notes.length===1?"note":"notes"}`})]})},rl.id))}):h.jsx("p",{className:"transfer-empty",children:"There are no other notepads yet."}),U&&h.jsx("p",{className:"passphrase-error",role:"alert",children:U})]}),h.jsxs("footer",{className:"dialog-footer confirmation-dialog-footer",children:[h.jsx("div",{className:"dialog-button-container",children:h.jsx("button",{type:"button",className:"dialog-button dialog-button-confirm",disabled:!B||z,onClick:()=>ul(!1),children:"Move"})}),h.jsx("div",{className:"dialog-button-container",children:h.jsx("button",{type:"button",className:"dialog-button dialog-button-standard",disabled:!B||z,onClick:()=>ul(!0),children:"Copy"})}),h.jsx("div",{className:"dialog-button-container",children:h.jsx("button",{type:"button",className:"dialog-button dialog-button-standard",onClick:o,children:"Cancel"})})]})]})},Kp=({size:f="20",filled:m=!1,className:E=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${E}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:m?"M4.146.146A.5.5 0 0 1 4.5 0h7a.5.5 0 0 1 .5.5c0 .68-.342 1.174-.646 1.479-.126.125-.25.224-.354.298v4.431l.078.048c.203.127.476.314.751.555C12.36 7.775 13 8.527 13 9.5a.5.5 0 0 1-.5.5h-4v4.5c0 .276-.224 1.5-.5 1.5s-.5-1.224-.5-1.5V10h-4a.5.5 0 0 1-.5-.5c0-.973.64-1.725 1.17-2.189A6 6 0 0 1 5 6.708V2.277a3 3 0 0 1-.354-.298C4.342 1.674 4 1.179 4 .5a.5.5 0 0 1 .146-.354":"M4.146.146A.5.5 0 0 1 4.5 0h7a.5.5 0 0 1 .5.5c0 .68-.342 1.174-.646 1.479-.126.125-.25.224-.354.298v4.431l.078.048c.203.127.476.314.751.555C12.36 7.775 13 8.527 13 9.5a.5.5 0 0 1-.5.5h-4v4.5c0 .276-.224 1.5-.5 1.5s-.5-1.224-.5-1.5V10h-4a.5.5 0 0 1-.5-.5c0-.973.64-1.725 1.17-2.189A6 6 0 0 1 5 6.708V2.277a3 3 0 0 1-.354-.298C4.342 1.674 4 1.179 4 .5a.5.5 0 0 1 .146-.354m1.58 1.408-.002-.001zm-.002-.001.002.001A.5.5 0 0 1 6 2v5a.5.5 0 0 1-.276.447h-.002l-.012.007-.054.03a5 5 0 0 0-.827.58c-.318.278-.585.596-.725.936h7.792c-.14-.34-.407-.658-.725-.936a5 5 0 0 0-.881-.61l-.012-.006h-.002A.5.5 0 0 1 10 7V2a.5.5 0 0 1 .295-.458 1.8 1.8 0 0 0 .351-.271c.08-.08.155-.17.214-.271H5.14q.091.15.214.271a1.8 1.8 0 0 0 .37.282"})}),Lp=({size:f="20",className:m=""})=>h.jsx("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:h.jsx("path",{d:"M0 2a1 1 0 0 1 1-1h14a1 1 0 0 1 1 1v2a1 1 0 0 1-1 1v7.5a2.5 2.5 0 0 1-2.5 2.5h-9A2.5 2.5 0 0 1 1 12.5V5a1 1 0 0 1-1-1zm2 3v7.5A1.5 1.5 0 0 0 3.5 14h9a1.5 1.5 0 0 0 1.5-1.5V5zm13-3H1v2h14zM5 7.5a.5.5 0 0 1 .5-.5h5a.5.5 0 0 1 0 1h-5a.5.5 0 0 1-.5-.5"})}),Np=({size:f="16",className:m=""})=>h.jsxs("svg",{xmlns:"http://www.w3.org/2000/svg",width:f,height:f,fill:"currentColor",className:`svg-icon ${m}`,viewBox:"0 0 16 16",focusable:"false",children:[h.jsx("path",{d:"M6 4.5a1.5 1.5 0 1 1-3 0 1.5 1.5 0 0 1 3 0m-1 0a.5.5 0 1 0-1 0 .5.5 0 0 0 1 0"}),h.jsx("path",{d:"M2 1h4.586a1 1 0 0 1 .707.293l7 7a1 1 0 0 1 0 1.414l-4.586 4.586a1 1 0 0 1-1.414 0l-7-7A1 1 0 0 1 1 6.586V2a1 1 0 0 1 1-1m0 5.586 7 7L13.586 9l-7-7H2z"})]}),Jp=({tags:f,onChange:m,loadSuggestions:E,label:o,autoFocus:_=!1,className:x=""})=>{const C=X.useId(),[B,j]=X.useState(""),[z,q]=X.useState([]),U=k=>{const P=Fp([...f,...k.split(",")]);P.length!==f.length&&m(P),j("")};return h.jsxs("div",{className:`tag-editor ${x}`,children:[f.length>0&&h.jsx("ul",{className:"tag-list","aria-label":o,children:f.map(k=>h.jsxs("li",{className:"tag-chip",children:[h.jsx("span",{children:`#${k}`}),h.jsx("button",{type:"button",className:"tag-remove","aria-label":`Remove tag ${k}`,onClick:()=>m(f.filter(P=>P!==k)),children:h.jsx(Zh,{size:"12"})})]},k))}),h.jsx("input",{className:"tag-input",list:C,value:B,placeholder:"Add tags\u2026","aria-label":`Add ${o.toLowerCase()}`,autoFocus:_,onChange:k=>j(k.target.value),onFocus:()=>{E&&E().then(q)},onKeyDown:k=>{k.key==="Enter"||k.key===","?(k.preventDefault(),B.trim()&&U(B)):k.key==="Backspace"&&!B&&f.length>0&&m(f.slice(0,-1))},onBlur:()=>{B.trim()&&U(B)}}),h.jsx("datalist",{id:C,children:z.filter(k=>!f.includes(k)).map(k=>h.jsx("option",{value:k},k))})]})},Qp=({tags:f,counts:m,archived:E,selectedTag:o,deleted:B,showDeleted:j,onSelect:_,onShowDeleted:z})=>{const x=(C,B,j,z)=>h.jsx("li",{children:h.jsxs("button",{type:"button",className:`viewer-sidebar-item${j?" active":""}`,"aria-pressed":j,onClick:z,children:[h.jsx("span",{className:"viewer-sidebar-label",children:C}),h.jsx("span",{className:"viewer-sidebar-count",children:B})]})},C);return h.jsxs("nav",{className:"viewer-sidebar","aria-label":"Filter notepads",children:[h.jsxs("ul",{className:"viewer-sidebar-list",children:[x("Notepads",m.active,!j&&!E&&!o,()=>_(!1,null)),x("Archive",m.archived,!j&&E&&!o,()=>_(!0,null)),(B>0||j)&&x("Recently deleted",B,j,z)]}),f.length>0&&h.jsxs(h.Fragment,{children:[h.jsx("h3",{className:"viewer-sidebar-heading",children:"Tags"}),h.jsx("ul",{className:"viewer-sidebar-list",children:f.map(([C,q])=>x(`#${C}`,q,!j&&o===C,()=>_(E,o===C?null:C)))})]})]})},ev=({note:f,index:m,totalNotes:E,onUpdate:o,onDeleteRequest:_,onMove:x,onDuplicate:C,availableColors:B,defaultTitle:j,checkStorage:jl,resolveConflict:yl,onTransfer:Ut,loadTagSuggestions:Rt})=>{const{id:z,title:q,content:U,accentColor:k,attachments:P=[],collapsed:ul=!1,markdown:Pt=!1,tags:Xt=[]}=f,rl=X.useId(),Ml=X.useId(),[fl,Nl]=X.useState(U),[Dl,_l]=X.useState(!1),[K,pl]=X.useState("idle"),[Xl,Tt]=X.useState(!1),[Ql,Rl]=X.useState([U]),[Jl,Wl]=X.useState(0),[Vl,b]=X.useState(q),[Kt,It]=X.useState(Pt),[Qt,Jt]=X.useState(!1),Zt=X.useRef(U),Sl=X.useRef(q),p=X.useRef(null),D=X.useRef(null),Q=X.useRef(null),W=X.useRef(null),d=X.useRef(null),Ft=X.useRef(null),Ll=X.useRef(f),M=X.useMemo(()=>{const H=w1(k,50),Z=w1(k,65);return H?{"--dynamic-icon-color":H,"--dynamic-icon-hover":Z}:{}},[k]);X.useEffect(()=>{const H=Zt.current;if(Zt.current=U,H===U)return;if(fl===H||fl===U){Nl(U),D.current&&document.activeElement===D.current&&D.current.innerText!==U&&dv(D.current,U);return}const Z=mv(H,fl,U),cl=nc=>{Nl(nc),D.current&&dv(D.current,nc),R({content:nc})};Z!==null?cl(Z):yl?yl(f,fl,U).then(cl):Nl(U)},[U]),X.useEffect(()=>{W.current&&(W.current.value=m)},[m]);const R=ec(H=>{o({...Ll.current,markdown:Kt,...H})},1e3),L=ec(H=>{Rl(Z=>{const cl=Z.slice(0,Jl+1);return cl.push(H),cl.length>50&&cl.shift(),cl}),Wl(Z=>Z>=50?49:Z+1)},300);X.useEffect(()=>{const H=Sl.current;if(Sl.current=q,H===q)return;if(Vl===H||Vl?.trim()===q){b(q);return}const Z=mv(H,Vl,q),cl=nc=>{b(nc),R({title:nc})};Z!==null?cl(Z):yl?yl({...f,title:H},Vl,q).then(cl):b(q)},[q]),X.useEffect(()=>{It(Pt)},[Pt]),X.useEffect(()=>{Ll.current=f},[f]),X.useLayoutEffect(()=>{p.current&&p.current.innerText!==q&&q===Vl&&(p.current.innerText=q),D.current&&D.current.innerText!==U&&U===fl&&document.activeElement!==D.current&&(D.current.innerText=U)},[q,U,Vl,fl]),X.useLayoutEffect(()=>{const Y=Kt?Ft.current:D.current;if(!Y)return;const H=()=>{const cl=getComputedStyle(document.documentElement),nc=parseInt(cl.getPropertyValue("--note-min-content-height"))||200,Yn=Y.scrollHeight>nc;Tt(tt=>tt!==Yn?Yn:tt)},Z=new ResizeObserver(()=>{H()});return Z.observe(Y),H(),()=>Z.disconnect()},[Kt]);const J=async H=>{const Z=Array.from(H||[]).filter(Boolean);Z.length===0||jl&&!await jl(Z)||o({...Ll.current,attachments:[...Ll.current.attachments||[],...Z.map(cl=>({id:_e("attachment"),name:cl.name,type:Uh(cl.type),mimeType:cl.type,size:cl.size,blob:cl}))]})},ll=H=>{const Z=Array.from(H.clipboardData.items).filter(cl=>cl.kind==="file").map(cl=>cl.getAsFile());Z.length>0&&(H.preventDefault(),J(Z))},sl=H=>{_l(!1),Cp(H)&&(H.preventDefault(),J(H.dataTransfer.files))},$l=H=>{const Z=H.target.innerText;b(Z),R({title:Z})},Ol=H=>{const Z=H.target.innerText.trim();if(H.target.innerText.trim()===""){const cl=j;H.target.innerText=cl,b(cl),o({...f,title:cl})}else o({...f,title:Z})},xe=H=>{H.target.innerText===j&&(H.target.innerText="")},ke=H=>{const Z=H.target.innerText;Nl(Z),R({content:Z}),L(Z)},Ya=H=>{if((H.ctrlKey||H.metaKey)&&!H.altKey){if(H.key==="z"&&!H.shiftKey){if(H.preventDefault(),Jl>0){const Z=Jl-1,cl=Ql[Z];Wl(Z),La(cl)}}else if((H.key==="y"||H.key==="z"&&H.shiftKey)&&(H.preventDefault(),Jl<Ql.length-1)){const Z=Jl+1,cl=Ql[Z];Wl(Z),La(cl)}}},La=H=>{if(Nl(H),R({content:H}),D.current){D.current.innerText=H;const Z=document.createRange(),cl=window.getSelection();Z.selectNodeContents(D.current),Z.collapse(!1),cl.removeAllRanges(),cl.addRange(Z)}},Lt=()=>{C&&C(f)},Ga=()=>{let H=B[0];if(B.includes(k)){const Z=B.indexOf(k);H=Z!==B.length-1?B[Z+1]:B[0]}o({...f,accentColor:H})},Fe=H=>{const Z=H.target.value;if(Z==="")return;let cl=parseInt(Z,10);cl>E&&(cl=E),cl<1&&(cl=1),!isNaN(cl)&&cl!==m?(x(z,m,cl),H.target.value=cl):H.target.value=m},ac=async()=>{try{await navigator.clipboard.writeText(fl),pl("copied"),setTimeout(()=>pl("idle"),2e3)}catch{const H=(q||"note").replace(/[^\p{L}^\p{N}]+/gu," ").trim()+".txt";qa(fl,H,"text/plain"),pl("downloaded"),setTimeout(()=>pl("idle"),2e3)}},qn=()=>{o({...f,collapsed:!ul})},Gt=()=>{It(!Kt),R({content:fl,markdown:!Kt})},Ot=H=>{const Z=fl.split(`
+`);Z[H]=Z[H].replace(/\[[ xX]\]/,nc=>nc==="[ ]"?"[x]":"[ ]");const cl=Z.join(`
+`);Nl(cl),R({content:cl}),L(cl),D.current&&(D.current.innerText=cl)},Vt=H=>{if(!H.isPrimary||H.button!==0)return;H.preventDefault();const Z=H.currentTarget,cl=d.current,nc=[...cl.parentElement.children];let Yn=m;const tt=At=>{Yn=Rp(nc,cl,At.clientX,At.clientY)+1,nc.filter(Bt=>Bt!==cl).forEach((Bt,Et,Dt)=>{Yn!==m&&Et===Yn-1?Bt.dataset.dropPosition="before":Yn!==m&&Et===Dt.length-1&&Yn>Dt.length?Bt.dataset.dropPosition="after":delete Bt.dataset.dropPosition}),At.clientY<48?window.scrollBy?.(0,-16):At.clientY>window.innerHeight-48&&window.scrollBy?.(0,16)},Ht=At=>{Z.removeEventListener("pointermove",tt),Z.removeEventListener("pointerup",Ht),Z.removeEventListener("pointercancel",Ht),delete cl.dataset.dragging,nc.forEach(Bt=>delete Bt.dataset.dropPosition),At.type==="pointerup"&&Yn!==m&&x(z,m,Yn)};Z.setPointerCapture(H.pointerId),cl.dataset.dragging="",Z.addEventListener("pointermove",tt),Z.addEventListener("pointerup",Ht),Z.addEventListener("pointercancel",Ht)},Wt=H=>{const Z=H.key==="ArrowUp"||H.key==="ArrowLeft"?m-1:H.key==="ArrowDown"||H.key==="ArrowRight"?m+1:H.key==="Home"?1:H.key==="End"?E:null;if(Z===null)return;H.preventDefault();const cl=H.currentTarget;Z>=1&&Z<=E&&Z!==m&&(x(z,m,Z),requestAnimationFrame(()=>cl.focus()))},Ct=()=>{Ut&&Ut({...f,title:Vl,content:fl,markdown:Kt})},Nt=X.useMemo(()=>Sp(fl),[fl]),Yt=Nt.flatMap(H=>H.type==="list"?H.items.filter(Z=>Z.checked!==null):[]);return h.jsxs("div",{ref:d,id:z,className:`note ${Dl?"drag-active":""}${ul&&Xl?" note-collapsed":""}`,onDragOver:H=>{Cp(H)&&(H.preventDefault(),_l(!0))},onDragLeave:()=>_l(!1),onDrop:sl,children:[h.jsx("input",{id:Ml,name:`note-file-upload-${f.id}`,type:"file",multiple:!0,ref:Q,style:{display:"none"},onChange:H=>J(H.target.files)}),h.jsxs("div",{className:`note-title-container ${Xl?"has-collapse-button":""}`,style:{backgroundColor:k||"inherit"},children:[h.jsx("h2",{ref:p,className:"note-title",contentEditable:"plaintext-only",suppressContentEditableWarning:!0,onInput:$l,onFocus:xe,onBlur:Ol}),Xl&&h.jsx("button",{type:"button",className:"note-collapse-toggle hovering-label","aria-label":ul?"Expand":"Collapse",onClick:qn,children:ul?h.jsx(Wh,{size:"14"}):h.jsx(Jh,{size:"14"})})]}),(Xt.length>0||Qt)&&h.jsx(Jp,{className:"note-tags",tags:Xt,label:"Note tags",autoFocus:Qt,loadSuggestions:Rt,onChange:H=>o({...f,tags:H})}),P.length>0&&h.jsx(gv,{attachments:P,onRemove:H=>o({...f,attachments:P.filter(Z=>Z.id!==H)})}),h.jsxs("div",{className:"note-text-container",onPaste:ll,children:[h.jsx("div",{ref:D,className:"note-text",contentEditable:"plaintext-only",suppressContentEditableWarning:!0,hidden:Kt,onInput:ke,onKeyDown:Ya}),Kt&&h.jsx("div",{ref:Ft,className:"note-markdown",children:h.jsx(Mp,{blocks:Nt,onToggle:Ot})})]}),h.jsxs("div",{className:"note-toolbox-container",children:[h.jsxs("div",{className:"note-insights",children:[h.jsx("div",{className:"insight-container",children:h.jsxs("div",{className:"insight-content hovering-label","aria-label":"Characters",children:[h.jsx("span",{children:"C:"}),h.jsx("span",{className:"character-counter",children:fl.length})]})}),h.jsx("div",{className:"insight-container",children:h.jsxs("div",{className:"insight-content hovering-label","aria-label":"Words",children:[h.jsx("span",{children:"W:"}),h.jsx("span",{className:"word-counter",children:Z1(fl)})]})}),h.jsx("div",{className:"insight-container",children:h.jsxs("div",{className:"insight-content hovering-label","aria-label":"Time (sec)",children:[h.jsx("span",{children:"T:"}),h.jsx("span",{className:"time-counter",children:Ch(fl)})]})}),Yt.length>0&&h.jsx("div",{className:"insight-container",children:h.jsxs("div",{className:"insight-content hovering-label","aria-label":"Tasks completed",children:[h.jsx("span",{children:"\u2713:"}),h.jsx("span",{className:"task-counter",children:`${Yt.filter(H=>H.checked).length}/${Yt.length}`})]})})]}),h.jsxs("div",{className:"note-controls",children:[h.jsx("div",{className:"note-control-container",children:h.jsx("button",{type:"button",className:"note-control hovering-label attach-file","aria-label":"Attach file",onClick:()=>Q.current?.click(),style:M,children:h.jsx(Qh,{})})}),h.jsx("div",{className:"note-control-container",children:h.jsx("button",{type:"button",className:"note-control hovering-label duplicate-note","aria-label":"Duplicate",onClick:Lt,children:h.jsx(Yh,{})})}),h.jsx("div",{className:"note-control-container",children:h.jsx("button",{type:"button",className:"note-control hovering-label transfer-note","aria-label":"Move/Copy to notepad\u2026",onClick:Ct,children:h.jsx(Ep,{})})}),h.jsx("div",{className:"note-control-container",children:h.jsx("button",{type:"button",className:"note-control hovering-label toggle-markdown","aria-label":Kt?"Edit text":"Markdown view","aria-pressed":Kt,onClick:Gt,children:h.jsx(Ev,{size:"16"})})}),h.jsx("div",{className:"note-control-container",children:h.jsx("button",{type:"button",className:"note-control hovering-label share-note","aria-label":K==="copied"?"Copied!":K==="downloaded"?"Downloaded!":"Copy",onClick:ac,children:K==="copied"||K==="downloaded"?h.jsx(Gh,{size:"16"}):h.jsx(Lh,{size:"16"})})}),h.jsx("div",{className:"note-control-container",children:h.jsx("button",{type:"button",className:"note-control hovering-label change-accent-color","aria-label":"Colour",onClick:Ga,style:M,children:h.jsx(Xh,{})})}),h.jsx("div",{className:"note-control-container",children:h.jsx("button",{type:"button",className:"note-control hovering-label note-tags-control","aria-label":"Tags","aria-pressed":Qt,onClick:()=>Jt(!Qt),children:h.jsx(Np,{})})}),h.jsx("div",{className:"note-control-container",children:h.jsx("button",{type:"button",className:"note-control hovering-label delete-note","aria-label":"Delete",onClick:()=>_(z),children:h.jsx(wh,{})})}),h.jsx("div",{className:"note-control-container",children:h.jsx("button",{type:"button",className:"note-control hovering-label note-drag-handle","aria-label":"Drag to reorder","aria-keyshortcuts":"ArrowUp ArrowDown Home End",onPointerDown:Vt,onKeyDown:Wt,children:h.jsx(Dp,{})})}),h.jsx("div",{className:"note-control-container",children:h.jsx("div",{className:"note-control hovering-label move-note","aria-label":"Move",children:h.jsx("input",{ref:W,id:rl,name:`note-position-${f.id}`,type:"number",min:"1",max:E,className:"note-index editable","aria-label":`Change position for note: ${q||"Untitled"}`,defaultValue:m,onBlur:Fe,onKeyDown:H=>H.key==="Enter"&&Fe(H)})})})]})]})]})},av=V1.memo(ev),k1=()=>h.jsxs("div",{className:"spinner-overlay",children:[h.jsx(tv,{}),h.jsx("p",{children:"Processing..."})]}),F1=({isOpen:f,message:m,actions:E,onClose:o,customClasses:_=[],content:j=null})=>{const x=X.useRef(null);return X.useEffect(()=>{f&&x.current?x.current.showModal():!f&&x.current&&x.current.close()},[f]),h.jsxs("dialog",{ref:x,className:`dialog confirmation-dialog ${_.join(" ")}`,onClose:o,children:[h.jsx("header",{className:"dialog-header confirmation-dialog-header",children:h.jsx("h2",{children:m})}),j&&h.jsx("div",{className:"dialog-body confirmation-dialog-body",children:j}),h.jsx("footer",{className:"dialog-footer confirmation-dialog-footer",children:E.map((C,B)=>h.jsx("div",{className:"dialog-button-container",children:h.jsx("button",{type:"button",className:`dialog-button ${C.customClasses?C.customClasses.join(" "):""}`,onClick:()=>{C.action&&C.action(),o()},children:C.actionLabel})},B))})]})},$v=()=>{const[f,m]=X.useState(null),E=X.useRef(null),o=X.useCallback(x=>new Promise(C=>{E.current=C,m(x)}),[]),_=X.useCallback(x=>{E.current?.(x),E.current=null,m(null)},[]);return{prompt:f,requestPassphrase:o,resolvePrompt:_}},_v=({prompt:f,onResolve:m})=>{const E=X.useRef(null),[o,_]=X.useState("");return X.useEffect(()=>{f?(_(""),E.current?.showModal()):E.current?.close()},[f]),h.jsx("dialog",{ref:E,className:"dialog confirmation-dialog passphrase-dialog",onCancel:x=>{x.preventDefault(),m(null)},children:h.jsxs("form",{onSubmit:x=>{x.preventDefault(),m(o)},children:[h.jsx("header",{className:"dialog-header confirmation-dialog-header",children:h.jsx("h2",{children:f?.message})}),h.jsx("div",{className:"dialog-body confirmation-dialog-body",children:h.jsx("input",{type:"password",name:"passphrase",className:"passphrase-input","aria-label":"Passphrase",autoComplete:"current-password",value:o,onChange:x=>_(x.target.value),autoFocus:!0})}),h.jsxs("footer",{className:"dialog-footer confirmation-dialog-footer",children:[h.jsx("div",{className:"dialog-button-container",children:h.jsx("button",{type:"submit",className:"dialog-button dialog-button-confirm",disabled:!o,children:"Unlock"})}),h.jsx("div",{className:"dialog-button-container",children:h.jsx("button",{type:"button",className:"dialog-button dialog-button-standard",onClick:()=>m(null),children:"Cancel"})})]})]})})},Ip=({db:f,onUnlock:m})=>{const[E,o]=X.useState(""),[_,x]=X.useState(""),[C,B]=X.useState(!1),j=async z=>{z.preventDefault(),B(!0),x("");try{await f.unlock(E),o(""),await m()}catch(q){q.name==="OperationError"?x("Wrong passphrase. Try again."):(console.error("Unlock failed",q),x("Could not open the library."))}finally{B(!1)}};return h.jsx("div",{className:"lock-screen",children:h.jsxs("form",{className:"lock-screen-form",onSubmit:j,children:[h.jsx(qh,{size:"64"}),h.jsx("h1",{children:"Sidenotes is locked"}),h.jsx("input",{type:"password",name:"passphrase",className:"passphrase-input","aria-label":"Passphrase",placeholder:"Passphrase",autoComplete:"current-password",value:E,onChange:z=>o(z.target.value),disabled:C,autoFocus:!0}),_&&h.jsx("p",{className:"passphrase-error",role:"alert",children:_}),h.jsx("button",{type:"submit",className:"dialog-button dialog-button-confirm",disabled:C||!E,children:C?"Unlocking...":"Unlock"})]})})},Op=({isOpen:f,onClose:m,db:E,onChange:o,onLock:_})=>{const x=X.useRef(null),[C,B]=X.useState(""),[j,z]=X.useState(""),[q,U]=X.useState(""),[k,P]=X.useState(""),[ul,rl]=X.useState(!1),Ml=!!E.encryption;X.useEffect(()=>{f?(B(""),z(""),U(""),P(""),x.current?.showModal()):x.current?.close()},[f]);const vl=async yl=>{if(yl.preventDefault(),j.length<Af.PASSPHRASE_MIN_LENGTH){P(`Use at least ${Af.PASSPHRASE_MIN_LENGTH} characters.`);return}if(j!==q){P("The new passphrases do not match.");return}rl(!0),P("");try{await E.setPassphrase(j,C),localStorage.removeItem(Af.BACKUP_KEY),o(),m()}catch(fl){fl.name==="OperationError"?P("The current passphrase is wrong."):(console.error("Encryption update failed",fl),P("Could not update encryption. The library was left unchanged."))}finally{rl(!1)}},wl=(fl,Nl,Dl,_l)=>h.jsxs("label",{className:"encryption-field",children:[h.jsx("span",{children:fl}),h.jsx("input",{type:"password",className:"passphrase-input",autoComplete:_l,value:Nl,onChange:jl=>Dl(jl.target.value),disabled:ul})]});return h.jsx("dialog",{ref:x,className:"dialog confirmation-dialog encryption-dialog",onClose:m,children:h.jsxs("form",{onSubmit:vl,children:[ul&&h.jsx(k1,{}),h.jsx("header",{className:"dialog-header confirmation-dialog-header",children:h.jsx("h2",{children:Ml?"Change passphrase":"Encrypt library"})}),h.jsxs("div",{className:"dialog-body confirmation-dialog-body encryption-form",children:[h.jsx("p",{className:"encryption-description",children:Ml?"Notepads, attachments and history are encrypted on this device. Changing the passphrase re-encrypts the library; files exported earlier still open with the passphrase they were made with.":"Encrypt notepads, attachments and history on this device with a passphrase. Backups and shared notepads will be encrypted too; Markdown exports stay readable and ask before saving. A forgotten passphrase cannot be recovered."}),Ml&&wl("Current passphrase",C,B,"current-password"),wl("New passphrase",j,z,"new-password"),wl("Confirm new passphrase",q,U,"new-password"),k&&h.jsx("p",{className:"passphrase-error",role:"alert",children:k})]}),h.jsxs("footer",{className:"dialog-footer confirmation-dialog-footer",children:[h.jsx("div",{className:"dialog-button-container",children:h.jsx("button",{type:"submit",className:"dialog-button dialog-button-confirm",disabled:ul,children:Ml?"Change passphrase":"Encrypt library"})}),Ml&&h.jsx("div",{className:"dialog-button-container",children:h.jsx("button",{type:"button",className:"dialog-button dialog-button-standard",onClick:()=>{m(),_()},children:"Lock now"})}),h.jsx("div",{className:"dialog-button-container",children:h.jsx("button",{type:"button",className:"dialog-button dialog-button-standard",onClick:m,children:"Close"})})]})]})})},cv=({change:f,label:m=f.status,action:E=null})=>h.jsxs("div",{className:`snapshot-diff-note snapshot-diff-${f.status}`,children:[h.jsxs("div",{className:"snapshot-diff-note-header",children:[h.jsx("strong",{children:f.title||Gl.noteTitle}),h.jsx("span",{className:"snapshot-diff-status",children:m}),E]}),f.previousTitle!==null&&h.jsxs("div",{className:"snapshot-diff-previous-title",children:["Previous title: ",f.previousTitle]}),f.lines.some(o=>o.type!=="=")&&h.jsx("pre",{className:"snapshot-diff-lines",children:f.lines.filter(o=>o.type!=="=").map((o,_)=>h.jsx("div",{className:o.type==="+"?"diff-line-added":"diff-line-removed",children:`${o.type} ${o.text}`},_))})]}),ov=({stored:f,snapshot:m,lostAttachments:E=[]})=>{const o=X.useMemo(()=>Dv(f,m).filter(_=>_.status!=="unchanged"),[f,m]);return h.jsxs("div",{className:"snapshot-diff",children:[f&&f.title!==m.title&&h.jsxs("div",{className:"snapshot-diff-notepad-title",children:["Notepad title: ",h.jsx("del",{children:f.title}),h.jsx("ins",{children:m.title})]}),o.length>0?o.map(_=>h.jsx(cv,{change:_},_.id)):h.jsx("div",{className:"snapshot-diff-empty",children:"No note content changed."}),E.length>0&&h.jsxs("div",{className:"snapshot-diff-warning",children:["Attachments that could not be recovered: ",E.join(", ")]})]})},iv=({hits:f,needles:m,onSelect:E})=>h.jsx("div",{className:"viewer-search-results",children:f.map(o=>h.jsxs("div",{className:"viewer-search-result",role:"button",tabIndex:0,onClick:()=>E(o),onKeyDown:_=>{(_.key==="Enter"||_.key===" ")&&(_.preventDefault(),E(o))},children:[h.jsx("div",{className:"viewer-search-result-title",children:Uv(o.title||(o.noteId?Gl.noteTitle:Gl.notepadTitle),m,200).map((_,x)=>_.match?h.jsx("mark",{children:_.text},x):_.text)}),o.content&&h.jsx("div",{className:"viewer-search-snippet",children:Uv(o.content,m).map((_,x)=>_.match?h.jsx("mark",{children:_.text},x):_.text)})]},o.noteId||o.notepadId))}),nv=({isOpen:f,onClose:m,notepads:E,onRefresh:o,onOpenNotepad:_,onCreateNotepad:x,onUpdateNotepad:Kt,db:C,activeNotepadId:B})=>{const j=X.useId(),z=X.useRef(null),[q,U]=X.useState(!1),[k,P]=X.useState(""),[ul,rl]=X.useState(""),[vl,wl]=X.useState(null),[It,Ot]=X.useState(!1),[Pt,Ft]=X.useState(null),[Ut,Vt]=X.useState(()=>Pp[localStorage.getItem(Af.SORT_KEY)]?localStorage.getItem(Af.SORT_KEY):"lastUpdate"),[Sl,Ll]=X.useState([]),[Hl,Il]=X.useState(!1),Ml=ec(b=>{rl(b)},300),{isOpen:fl,message:Nl,actions:Dl,customClasses:_l,openDialog:jl,closeDialog:yl}=K1(),{prompt:Gt,requestPassphrase:Zt,resolvePrompt:Nt}=$v();X.useEffect(()=>{f?z.current?.showModal():z.current?.close()},[f]),X.useEffect(()=>{if(!ul){wl(null);return}let b=!0;return C.search(ul).then(p=>{b&&wl(p)}).catch(p=>console.error("Search failed",p)),()=>{b=!1}},[ul,C,E]),X.useEffect(()=>{f&&C.getDeleted().then(Ll).catch(b=>console.error("Failed to load deleted notepads",b))},[f,C,E]);const K=b=>{const p=b.target.value;P(p),Ml(p)},pl=X.useCallback(()=>{P(""),rl(""),m()},[m]),dl=X.useMemo(()=>{if(!ul||!vl)return null;const b=new Map;return vl.results.forEach(p=>{b.has(p.notepadId)||b.set(p.notepadId,[]),b.get(p.notepadId).push(p)}),b},[ul,vl]),Xl=X.useMemo(()=>{const b=E.filter(p=>p.archived===It&&(!Pt||Hp(p).has(Pt)));return dl?[...dl.keys()].map(p=>b.find(D=>D.id===p)).filter(Boolean):b.sort((p,D)=>D.pinned-p.pinned||Pp[Ut](p,D))},[E,dl,It,Pt,Ut]),Wt=X.useMemo(()=>{const b=new Map;return E.filter(p=>p.archived===It).forEach(p=>Hp(p).forEach(D=>b.set(D,(b.get(D)||0)+1))),[...b].sort((p,D)=>p[0].localeCompare(D[0]))},[E,It]),Yt=(b,p)=>{Kt(b.id,{[p]:!b[p]})},Tt=()=>{Bn.importSingleNotepad({db:C,setIsProcessing:U,openDialog:jl,onOpenNotepad:_,onClose:()=>{o(),m()},uploadLocalFile:G1,base64ToBlob:Of,generateID:_e,requestPassphrase:Zt,FILE_CONFIG:$e})},Ql=()=>{Bn.backupFullLibrary({db:C,setIsProcessing:U,blobToBase64:Nf,getExportFileName:Df,shareLocalFile:Mf,FILE_CONFIG:$e})},Rl=()=>{Bn.restoreFullLibrary({db:C,setIsProcessing:U,openDialog:jl,uploadLocalFile:G1,base64ToBlob:Of,dataFallbackMode:jh,requestPassphrase:Zt,FILE_CONFIG:$e})},Jl=b=>{Bn.shareSingleNotepad(b,{db:C,setIsProcessing:U,blobToBase64:Nf,getExportFileName:Df,shareLocalFile:Mf,FILE_CONFIG:$e})},Yl=b=>{Bn.exportSingleNotepadMarkdown(b,{db:C,openDialog:jl,setIsProcessing:U,blobToBase64:Nf,getExportFileName:Df,shareLocalFile:Mf,FILE_CONFIG:$e})},hl=()=>{Bn.exportLibraryArchive({db:C,openDialog:jl,setIsProcessing:U,getExportFileName:Df,shareLocalFile:Mf,FILE_CONFIG:$e})},Wl=async b=>{U(!0);try{const p={...b};p.id=_e("notepad",void 0,Date.now()),p.title=p.title+" (Copy)";const D=Date.now();p.created=D,p.lastUpdate=D,await C.bulkPut({[p.id]:p}),o()}catch(p){console.error("Duplicate failed",p)}finally{U(!1)}},Vl=b=>{jl({isOpen:!0,message:`Delete notepad? It can be restored from Recently deleted for ${Af.REVISION_MAX_AGE/864e5} days.`,actions:[{actionLabel:"Delete",customClasses:["dialog-button-confirm"],action:async()=>{const p=E.findIndex(W=>W.id===b);await C.delete(b);const D=await C.getAll(),Q=Object.values(D).filter(W=>!W.archived).sort((W,d)=>d.lastUpdate-W.lastUpdate);if(o(),b===B)if(Q.length===0)x(!0);else{const W=Q[p]||Q[p-1]||Q[0];W&&_(W)}}},{actionLabel:"Cancel",customClasses:["dialog-button-standard"],action:yl}]})},Cl=async b=>{U(!0);try{await C.bulkPut({[b.id]:{...b,lastUpdate:Date.now()}}),o()}catch(p){console.error("Restore failed",p)}finally{U(!1)}};return h.jsxs(h.Fragment,{children:[h.jsxs("dialog",{ref:z,className:"dialog notepads-viewer",onClose:pl,children:[q&&h.jsx(k1,{}),h.jsx("header",{className:"dialog-header viewer-header",children:h.jsx("h2",{children:"Notepads"})}),h.jsxs("div",{className:"viewer-toolbox",children:[h.jsx("div",{className:"viewer-toolbox-search-container",children:h.jsx("input",{id:j,name:"notepad-search",className:"viewer-toolbox-control viewer-toolbox-search",placeholder:'Search notes, "phrases" or tag:name...',value:k,onInput:K,autoFocus:!0})}),h.jsx("div",{className:"viewer-toolbox-sort-container",children:h.jsx("select",{className:"viewer-toolbox-control viewer-toolbox-sort","aria-label":"Sort notepads",value:Ut,onChange:b=>{Vt(b.target.value),localStorage.setItem(Af.SORT_KEY,b.target.value)},children:[["lastUpdate","Last update"],["created","Created"],["title","Title"],["notes","Note count"]].map(([b,p])=>h.jsx("option",{value:b,children:p},b))})}),h.jsxs("div",{className:"viewer-toolbox-controls",children:[h.jsx("div",{className:"viewer-toolbox-control-container",children:h.jsx("button",{className:"hovering-label viewer-toolbox-control","aria-label":"New notepad",onClick:()=>{x(!0),pl()},children:h.jsx(J1,{size:"20"})})}),h.jsx("div",{className:"viewer-toolbox-control-container",children:h.jsx("button",{className:"hovering-label viewer-toolbox-control","aria-label":"Import notepad",onClick:Tt,children:h.jsx(kh,{})})}),h.jsx("div",{className:"viewer-toolbox-control-container",children:h.jsx("button",{className:"hovering-label viewer-toolbox-control","aria-label":"Backup notepads",onClick:Ql,children:h.jsx(Fh,{})})}),h.jsx("div",{className:"viewer-toolbox-control-container",children:h.jsx("button",{className:"hovering-label viewer-toolbox-control","aria-label":"Export library as Markdown",onClick:hl,children:h.jsx(Cv,{})})}),h.jsx("div",{className:"viewer-toolbox-control-container",children:h.jsx("button",{className:"hovering-label viewer-toolbox-control tooltip-left","aria-label":"Restore backup",onClick:Rl,children:h.jsx(Ih,{})})})]})]}),C.unreadable.size>0&&h.jsx("div",{className:"viewer-warning",role:"alert",children:`${C.unreadable.size} ${C.unreadable.size===1?"notepad":"notepads"} could not be decrypted with the current passphrase.`}),h.jsxs("div",{className:"viewer-body",children:[h.jsx(Qp,{tags:Wt,counts:{active:E.filter(b=>!b.archived).length,archived:E.filter(b=>b.archived).length},archived:It,selectedTag:Pt,deleted:Sl.length,showDeleted:Hl,onSelect:(b,p)=>{Il(!1),Ot(b),Ft(p)},onShowDeleted:()=>Il(!0)}),h.jsx("div",{className:"dialog-body viewer-notepads-list",children:Hl?Sl.length>0?Sl.map((b,p)=>h.jsxs("div",{className:"viewer-list-item deleted-notepad",children:[h.jsx("div",{className:"hovering-label viewer-last-update","aria-label":"Deleted",children:new Date(b.created).toLocaleString(void 0,{year:"numeric",month:"2-digit",day:"2-digit",hour:"2-digit",minute:"2-digit"})}),h.jsx("div",{className:"viewer-notepad-title-container viewer-notepad-title",children:b.notepad.title}),h.jsx("div",{className:"viewer-controls",children:h.jsx("div",{className:"viewer-control-container",children:h.jsx("button",{className:`viewer-control hovering-label viewer-restore-control${p===0?" tooltip-below":""}`,"aria-label":"Restore notepad",onClick:()=>Cl(b.notepad),children:h.jsx(Ih,{})})})})]},b.notepadId)):h.jsx("div",{className:"viewer-list-empty",children:"No deleted notepads"}):Xl.length>0?Xl.map((b,p)=>h.jsxs(h.Fragment,{children:[h.jsxs("div",{className:`viewer-list-item ${b.id===B?"active-notepad":""}${b.pinned?" pinned-notepad":""}`,children:[h.jsx("div",{className:"hovering-label viewer-last-update","aria-label":"Last update",children:new Date(b.lastUpdate).toLocaleString(void 0,{year:"numeric",month:"2-digit",day:"2-digit",hour:"2-digit",minute:"2-digit"})}),h.jsx("div",{className:"viewer-notepad-title-container viewer-notepad-title",role:"button",tabIndex:0,onClick:()=>{_(b),pl()},onKeyDown:D=>{(D.key==="Enter"||D.key===" ")&&(D.preventDefault(),_(b),pl())},children:b.title}),b.tags.length>0&&h.jsx("div",{className:"viewer-notepad-tags",children:b.tags.map(D=>h.jsx("span",{className:"tag-chip",children:`#${D}`},D))}),h.jsxs("div",{className:"viewer-controls",children:[h.jsx("div",{className:"viewer-control-container",children:h.jsx("button",{className:`viewer-control hovering-label viewer-pin-control${p===0?" tooltip-below":""}`,"aria-label":b.pinned?"Unpin notepad":"Pin notepad","aria-pressed":b.pinned,onClick:()=>Yt(b,"pinned"),children:h.jsx(Kp,{filled:b.pinned})})}),h.jsx("div",{className:"viewer-control-container",children:h.jsx("button",{className:`viewer-control hovering-label viewer-archive-control${p===0?" tooltip-below":""}`,"aria-label":b.archived?"Unarchive notepad":"Archive notepad","aria-pressed":b.archived,onClick:()=>Yt(b,"archived"),children:h.jsx(Lp,{})})}),h.jsx("div",{className:"viewer-control-container",children:h.jsx("button",{className:`viewer-control hovering-label viewer-share-control${p===0?" tooltip-below":""}`,"aria-label":"Share notepad",onClick:()=>Jl(b),children:h.jsx($1,{size:"20"})})}),h.jsx("div",{className:"viewer-control-container",children:h.jsx("button",{className:`viewer-control hovering-label viewer-markdown-control${p===0?" tooltip-below":""}`,"aria-label":"Export as Markdown",onClick:()=>Yl(b),children:h.jsx(Ev,{})})}),h.jsx("div",{className:"viewer-control-container",children:h.jsx("button",{className:`viewer-control hovering-label viewer-duplicate-control${p===0?" tooltip-below":""}`,"aria-label":"Duplicate notepad",onClick:()=>Wl(b),children:h.jsx(Ph,{})})}),h.jsx("div",{className:"viewer-control-container",children:h.jsx("button",{className:`viewer-control hovering-label viewer-delete-control${p===0?" tooltip-below tooltip-left":" tooltip-left"}`,"aria-label":"Delete notepad",onClick:()=>Vl(b.id),children:h.jsx(W1,{size:"20"})})})]})]}),dl?.has(b.id)&&h.jsx(iv,{hits:dl.get(b.id),needles:vl.needles,onSelect:D=>{_(b),pl(),D.noteId&&Bv(D.noteId,vl.needles)}})]},b.id)):h.jsx("div",{className:"viewer-list-empty",children:"No notepads found"})})]}),h.jsx("footer",{className:"dialog-footer viewer-footer",children:h.jsx("div",{className:"dialog-button-container",children:h.jsx("button",{className:"dialog-button dialog-button-standard",onClick:pl,children:"Close"})})})]}),h.jsx(F1,{isOpen:fl,message:Nl,actions:Dl,onClose:yl,customClasses:_l}),h.jsx(_v,{prompt:Gt,onResolve:Nt})]})},sv=({isOpen:f,onClose:m,notepad:E,db:o,onRestoreNotepad:_,onRestoreNote:x})=>{const C=X.useRef(null),[B,j]=X.useState([]),[z,q]=X.useState(null),{isOpen:U,message:k,actions:P,customClasses:ul,openDialog:rl,closeDialog:Ml}=K1(),fl=X.useCallback(async()=>{try{const K=await o.getRevisions(E.id);j(K),q(pl=>K.some(Xl=>Xl.id===pl)?pl:K[0]?.id??null)}catch(K){console.error("Failed to load notepad history",K)}},[o,E.id]);X.useEffect(()=>{f?(C.current?.showModal(),fl()):C.current?.close()},[f,fl]);const Nl=B.find(K=>K.id===z),Dl=X.useMemo(()=>Nl?Dv(Nl.notepad,E).filter(K=>K.status!=="unchanged"):[],[Nl,E]),_l={added:"Added since",removed:"Deleted since",modified:"Changed since"},jl=()=>{rl({message:"Restore this version of the notepad? The current version will be kept in the history.",actions:[{actionLabel:"Restore",customClasses:["dialog-button-confirm"],action:async()=>{await _(Nl.notepad),fl()}},{actionLabel:"Cancel",customClasses:["dialog-button-standard"],action:()=>{}}]})},yl=async K=>{const pl=Nl.notepad.notes.findIndex(Xl=>Xl.id===K);await x(Nl.notepad.notes[pl],pl+1),fl()};return h.jsxs(h.Fragment,{children:[h.jsxs("dialog",{ref:C,className:"dialog history-viewer",onClose:m,children:[h.jsx("header",{className:"dialog-header viewer-header",children:h.jsx("h2",{children:`History: ${E.title||Gl.notepadTitle}`})}),h.jsx("div",{className:"dialog-body history-body",children:B.length>0?[h.jsx("div",{className:"history-revisions-list",children:B.map(K=>h.jsxs("div",{className:`history-revision ${K.id===z?"active-revision":""}`,role:"button",tabIndex:0,onClick:()=>q(K.id),onKeyDown:pl=>{(pl.key==="Enter"||pl.key===" ")&&(pl.preventDefault(),q(K.id))},children:[h.jsx("span",{className:"history-revision-date",children:new Date(K.created).toLocaleString(void 0,{year:"numeric",month:"2-digit",day:"2-digit",hour:"2-digit",minute:"2-digit"})}),h.jsx("span",{className:"history-revision-notes",children:`${K.notepad.notes.length} ${K.notepad.notes.length===1?"note":"notes"}`})]},K.id))},"revisions"),Nl&&h.jsxs("div",{className:"history-revision-details snapshot-diff",children:[h.jsxs("div",{className:"history-revision-toolbar",children:[h.jsx("span",{children:Dl.length>0?"Changes since this version":"No note changes since this version"}),h.jsx("button",{type:"button",className:"dialog-button dialog-button-standard",onClick:jl,children:"Restore notepad"})]}),Nl.notepad.title!==E.title&&h.jsxs("div",{className:"snapshot-diff-notepad-title",children:["Notepad title: ",h.jsx("del",{children:Nl.notepad.title}),h.jsx("ins",{children:E.title})]}),Dl.map(K=>h.jsx(cv,{change:K,label:_l[K.status],action:K.status!=="added"&&h.jsx("button",{type:"button",className:"history-restore-note",onClick:()=>yl(K.id),children:"Restore note"})},K.id))]},"details")]:h.jsx("div",{className:"viewer-list-empty",children:"No saved versions yet"})}),h.jsx("footer",{className:"dialog-footer viewer-footer",children:h.jsx("div",{className:"dialog-button-container",children:h.jsx("button",{className:"dialog-button dialog-button-standard",onClick:m,children:"Close"})})})]}),h.jsx(F1,{isOpen:U,message:k,actions:P,onClose:Ml,customClasses:ul})]})},Ba=new xh;function uv(){const[f,Ht]=X.useReducer(Bh,{id:_e(Gl.tags.notepad),title:Gl.notepadTitle,created:0,lastUpdate:0,notes:[]}),m=X.useCallback(p=>{const D=Date.now();Hl.current=!0,Ht({...p,lastUpdate:D}),p.type!==at.SET_NOTEPAD&&Ba.broadcast({type:kv.NOTE_ACTION,notepadId:vl.current.id,noteId:xv(p),lastUpdate:D,action:p})},[]),[E,o]=X.useState([]),[_,x]=X.useState([...Gl.accentColors]),[C,B]=X.useState(!1),[j,z]=X.useState(!1),[Yl,hl]=X.useState(!1),[Kt,It]=X.useState(null),[Pt,Ot]=X.useState(!1),[Gt,Zt]=X.useState(!1),[Yt,Qt]=X.useState(null),{isOpen:q,message:U,actions:k,customClasses:P,content:zl,openDialog:ul,closeDialog:rl}=K1(),Ml=X.useRef(null),Sl=X.useRef(Promise.resolve()),Ll=X.useRef(null),Hl=X.useRef(!1),Ol=X.useRef(!1),vl=X.useRef(f),wl=X.useCallback(p=>yv(vl.current,p),[]),fl=X.useCallback(async()=>{try{const p=await Ba.getAll(),D=Object.values(p).sort((Q,W)=>W.lastUpdate-Q.lastUpdate);o(D)}catch(p){console.error("Failed to refresh notepads list",p)}},[]),Nl=ec(p=>{Ba.isLocked||(Hl.current=!1,Ba.bulkPut({[p.id]:p}).then(()=>{Ol.current&&fl(),Ba.saveRevision(p).catch(D=>console.error("Failed to save revision",D))}).catch(D=>{Hl.current=!0,console.error("Failed to save notepad",D)}))},300),Dl=p=>{const D=p.target.innerText;m({type:at.UPDATE_TITLE,payload:D})},_l=X.useCallback(()=>{B(!0),fl()},[fl]),jl=X.useCallback(p=>{m({type:at.SET_NOTEPAD,payload:p});const D=p.notes.map(Q=>Q.accentColor).filter(Q=>Q);x([...new Set([...Gl.accentColors,...D])]),document.title=p.title||Gl.notepadTitle},[]),yl=X.useCallback((p=!0)=>{const D=Date.now(),Q={id:_e(Gl.tags.notepad),title:Gl.notepadTitle,created:D,lastUpdate:D,notes:p?[{id:_e(Gl.tags.note),title:Gl.noteTitle,content:"",accentColor:"",collapsed:!1,tags:[]}]:[],tags:[],pinned:!1,archived:!1};m({type:at.SET_NOTEPAD,payload:Q}),x([...Gl.accentColors]),document.title=Gl.notepadTitle},[]),gl=X.useCallback(p=>{const D=()=>localStorage.removeItem(Af.BACKUP_KEY);let Q=null;try{Q=JSON.parse(localStorage.getItem(Af.BACKUP_KEY))}catch(E){console.warn("Emergency backup is unreadable",E)}if(!Q||!Q.id||!Array.isArray(Q.notes))return D();const W=p[Q.id];if(W?!(Vp(Q)>Vp(W)):!Q.created)return D();const{notepad:d,lostAttachments:M}=Rv(Q,W);ul({message:`Unsaved changes to "${Q.title||Gl.notepadTitle}" were found from your last session. Restore them?`,content:h.jsx(ov,{stored:W,snapshot:d,lostAttachments:M}),customClasses:["snapshot-dialog"],onDismiss:D,actions:[{actionLabel:"Restore",customClasses:["dialog-button-confirm"],action:async()=>{D(),await Ba.bulkPut({[d.id]:d}),jl(d),await fl()}},{actionLabel:"Discard",customClasses:["dialog-button-standard"],action:D}]})},[ul,jl,fl]),Nt=X.useCallback(async()=>{const p=await Ba.getAll(),M=Ll.current;Ll.current=null,M&&!(p[M.id]&&Vp(p[M.id])>=Vp(M))&&(await Ba.bulkPut({[M.id]:M}),p[M.id]=M);const D=Object.values(p).sort((W,d)=>d.lastUpdate-W.lastUpdate),Q=p[vl.current.id]||D.find(W=>!W.archived);return o(D),Q?jl(Q):yl(!0),It(!1),p},[jl,yl]),Ft=X.useCallback(async(p=!0)=>{if(p)try{await Ba.bulkPut({[vl.current.id]:vl.current})}catch(D){console.error("Failed to save notepad before locking",D)}Ba.lock(),B(!1),hl(!1),Zt(!1),Qt(null),rl(),o([]),Ht({type:at.SET_NOTEPAD,payload:{id:vl.current.id,title:"",created:0,lastUpdate:0,notes:[]}}),document.title="Sidenotes",It(!0)},[rl]),K=X.useCallback(()=>{f.notes.length+1;const p={id:_e(Gl.tags.note),title:Gl.noteTitle,content:"",accentColor:"",collapsed:!1,tags:[]};m({type:at.ADD_NOTE,payload:p})},[f.notes.length]),pl=X.useCallback(p=>{const D={...p,id:_e(Gl.tags.note),title:p.title+" (Copy)"};m({type:at.DUPLICATE_NOTE,payload:{originalId:p.id,newNote:D}})},[]),Xl=X.useCallback(p=>{m({type:at.UPDATE_NOTE,payload:p})},[]),Tt=X.useCallback(p=>{m({type:at.DELETE_NOTE,payload:p})},[]),Ql=p=>{ul({isOpen:!0,message:"Delete this note permanently?",actions:[{actionLabel:"Delete",action:()=>{Ba.saveRevision(f,!0).catch(D=>console.error("Failed to save revision",D)),Tt(p)},customClasses:["dialog-button-confirm"]},{actionLabel:"Cancel",action:()=>{},customClasses:["dialog-button-standard"]}]})},Rl=X.useCallback((p,D,Q)=>{m({type:at.MOVE_NOTE,payload:{noteId:p,oldIndex:D,newIndex:Q}})},[]),Ut=X.useCallback((p,D,Q)=>Sl.current=Sl.current.then(()=>new Promise(W=>{ul({message:`"${p.title||Gl.noteTitle}" was changed in another tab while you were editing it.`,content:h.jsxs(h.Fragment,{children:[h.jsx(cv,{change:{id:p.id,title:p.title,status:"modified",previousTitle:null,lines:Lv(Q,D)},label:"Your changes"}),h.jsx("div",{className:"snapshot-diff-hint",children:"Colour, tags and other note settings always keep the latest change."})]}),customClasses:["snapshot-dialog"],onDismiss:()=>W(D),actions:[{actionLabel:"Keep mine",customClasses:["dialog-button-confirm"],action:()=>W(D)},{actionLabel:"Keep theirs",customClasses:["dialog-button-standard"],action:()=>W(Q)}]})})),[ul]),Vt=X.useCallback(p=>{Qt(p),fl()},[fl]),Wt=X.useCallback(async(p,D,Q)=>{const W=(await Ba.getAll())[D];if(!W)throw new Error("Target notepad not found");const d=Date.now(),M=Q?{...p,id:_e(Gl.tags.note),attachments:(p.attachments||[]).map(y=>({...y,id:_e("attachment")}))}:W.notes.some(y=>y.id===p.id)?{...p,id:_e(Gl.tags.note)}:p,S={...W,lastUpdate:d,notes:[...W.notes,M]},R={...vl.current,lastUpdate:d,notes:Q?vl.current.notes:vl.current.notes.filter(L=>L.id!==p.id)};Q||await Ba.saveRevision(vl.current,!0),await Ba.bulkPut({[R.id]:R,[S.id]:S}),Ht({type:at.SET_NOTEPAD,payload:R}),Q||Ba.broadcast({type:kv.NOTE_ACTION,notepadId:R.id,noteId:p.id,lastUpdate:d,action:{type:at.DELETE_NOTE,payload:p.id}}),Ba.broadcast({type:kv.NOTE_ACTION,notepadId:S.id,noteId:M.id,lastUpdate:d,action:{type:at.ADD_NOTE,payload:M}}),fl()},[fl]),At=X.useCallback(async(p,D)=>{if(p===vl.current.id){m({type:at.UPDATE_META,payload:D});return}const Q=(await Ba.getAll())[p],W=Date.now();Q&&(await Ba.bulkPut({[p]:Yp(Q,D,W)}),Ba.broadcast({type:kv.NOTE_ACTION,notepadId:p,noteId:null,lastUpdate:W,action:{type:at.UPDATE_META,payload:D}}),fl())},[fl]),Bt=X.useCallback(async()=>{try{return[...new Set([...await Ba.getTags(),...Hp(vl.current)])]}catch(p){return console.error("Failed to load tags",p),[]}},[]),dl=X.useCallback(async p=>{await Ba.saveRevision(f,!0),jl({...p,lastUpdate:Date.now()})},[f,jl]),tl=X.useCallback(async(p,D)=>{await Ba.saveRevision(f,!0),m({type:at.RESTORE_NOTE,payload:{note:p,index:D}})},[f]),Jl=()=>{ul({isOpen:!0,message:`Are you sure you want to delete this notepad? It can be restored from Recently deleted for ${Af.REVISION_MAX_AGE/864e5} days.`,actions:[{actionLabel:"Delete",customClasses:["dialog-button-confirm"],action:async()=>{await Ba.delete(f.id),await fl(),yl(!0)}},{actionLabel:"Cancel",customClasses:["dialog-button-standard"],action:()=>{}}]})},Wl=X.useCallback(()=>{Bn.shareSingleNotepad(f,{db:Ba,setIsProcessing:z,blobToBase64:Nf,getExportFileName:Df,shareLocalFile:Mf,FILE_CONFIG:$e})},[f]),Vl=p=>{p.target.innerText===Gl.notepadTitle&&(p.target.innerText="")},b=p=>{p.target.innerText.trim()===""&&(p.target.innerText=Gl.notepadTitle,m({type:at.UPDATE_TITLE,payload:Gl.notepadTitle}),document.title=Gl.notepadTitle)};return X.useEffect(()=>{(async()=>{try{await Ba.init(),Ot(!!Ba.encryption),Ba.isLocked?It(!0):gl(await Nt())}catch(D){console.error("Database initialisation failed",D)}})()},[Nt,gl]),X.useEffect(()=>{Ml.current&&Ml.current.innerText!==f.title&&(Ml.current.innerText=f.title)},[f.id,f.title]),X.useEffect(()=>{Kt!==!1||j||!Hl.current||Nl(f)},[f,j,Kt,Nl]),X.useEffect(()=>{Ol.current=C||!!Yt},[C,Yt]),X.useEffect(()=>{vl.current=f},[f]),X.useEffect(()=>Ba.subscribe(p=>{if(p.type===kv.ENCRYPTION_CHANGED){Ba.isLocked||(Ll.current=vl.current),Ba.loadEncryption().then(()=>{Ot(!!Ba.encryption),Ft(!1)});return}if(!Ba.isLocked){if(p.type===kv.NOTE_ACTION){p.notepadId===vl.current.id&&Ht({...p.action,lastUpdate:p.lastUpdate});return}if(p.type===kv.NOTEPAD_SAVED){p.notepadId!==vl.current.id?Ol.current&&fl():p.lastUpdate>Vp(vl.current)&&Ba.getAll().then(D=>{const Q=D[vl.current.id];Q&&Vp(Q)>Vp(vl.current)&&(jl(Q),Hl.current=!1),Ol.current&&o(Object.values(D).sort((W,d)=>d.lastUpdate-W.lastUpdate))});return}fl(),(p.type===kv.LIBRARY_CLEARED||p.notepadId===vl.current.id)&&Ba.getAll().then(D=>{if(D[vl.current.id])return;const Q=Object.values(D).filter(W=>!W.archived).sort((W,d)=>d.lastUpdate-W.lastUpdate)[0];Q?jl(Q):yl(!0)})}}),[fl,jl,yl,Ft]),X.useEffect(()=>{const p=()=>{Ba.encryption||localStorage.setItem(Af.BACKUP_KEY,Sv(f))};return window.addEventListener("beforeunload",p),()=>window.removeEventListener("beforeunload",p)},[f]),X.useEffect(()=>{if(Kt!==!1||!Pt)return;const p=["pointerdown","keydown","wheel","touchstart"];let D=setTimeout(Ft,Af.LOCK_TIMEOUT);const Q=()=>{clearTimeout(D),D=setTimeout(Ft,Af.LOCK_TIMEOUT)};return p.forEach(W=>window.addEventListener(W,Q,{passive:!0})),()=>{clearTimeout(D),p.forEach(W=>window.removeEventListener(W,Q))}},[Kt,Pt,Ft]),X.useEffect(()=>{const p=D=>{(D.ctrlKey||D.metaKey)&&D.altKey&&D.key==="k"?(D.preventDefault(),_l()):(D.ctrlKey||D.metaKey)&&D.altKey&&D.key==="n"?(D.preventDefault(),K()):(D.ctrlKey||D.metaKey)&&D.altKey&&D.key==="m"&&(D.preventDefault(),yl(!0))};return window.addEventListener("keydown",p),()=>window.removeEventListener("keydown",p)},[_l,K,yl]),Kt===!0?h.jsx(Ip,{db:Ba,onUnlock:Nt}):h.jsxs("div",{id:"notepad-entry-point",className:"entry-point",children:[j&&h.jsx(k1,{}),h.jsxs("main",{id:f.id,className:"notepad","data-notepad-created":f.created,"data-notepad-last-update":f.lastUpdate,children:[h.jsx("h1",{ref:Ml,className:"notepad-title editable",contentEditable:"plaintext-only","aria-label":"Notepad title",suppressContentEditableWarning:!0,onFocus:Vl,onBlur:b,onInput:Dl},f.id),h.jsx(Jp,{className:"notepad-tags",tags:f.tags||[],label:"Notepad tags",loadSuggestions:Bt,onChange:p=>m({type:at.UPDATE_META,payload:{tags:p}})}),h.jsx("div",{className:"notes-container",children:f.notes.map((p,D)=>h.jsx(av,{note:p,index:D+1,totalNotes:f.notes.length,defaultTitle:Gl.noteTitle,onUpdate:Xl,loadTagSuggestions:Bt,onDeleteRequest:Ql,onMove:Rl,onDuplicate:pl,onTransfer:Vt,availableColors:_,checkStorage:wl,resolveConflict:Ut},p.id))})]}),h.jsxs("div",{className:"toolbox",children:[h.jsx("div",{className:"toolbox-element branding",children:h.jsx(qh,{})}),h.jsx("div",{className:"toolbox-element",children:h.jsx("button",{className:"toolbox-control hovering-label tooltip-right add-note","aria-label":"Add note",onClick:K,children:h.jsx(Kh,{})})}),h.jsx("div",{className:"toolbox-element",children:h.jsx("button",{className:"toolbox-control hovering-label tooltip-right notepads-viewer-control","aria-label":"Notepads",onClick:_l,children:h.jsx($h,{})})}),h.jsx("div",{className:"toolbox-element",children:h.jsx("button",{className:"toolbox-control hovering-label tooltip-right history-viewer-control","aria-label":"History",onClick:()=>hl(!0),children:h.jsx(fv,{})})}),h.jsx("div",{className:"toolbox-element",children:h.jsx("button",{className:"toolbox-control hovering-label tooltip-right encryption-control","aria-label":"Encryption",onClick:()=>Zt(!0),children:h.jsx(Aq,{})})}),h.jsx("div",{className:"toolbox-element",children:h.jsx("button",{className:"toolbox-control hovering-label tooltip-right","aria-label":"New notepad",onClick:()=>yl(!0),children:h.jsx(J1,{})})}),h.jsx("div",{className:"toolbox-element",children:h.jsx("button",{className:"toolbox-control hovering-label tooltip-right","aria-label":"Delete notepad",onClick:Jl,children:h.jsx(W1,{size:"32"})})}),h.jsx("div",{className:"toolbox-element",children:h.jsx("button",{className:"toolbox-control hovering-label tooltip-right","aria-label":"Share notepad",onClick:Wl,children:h.jsx($1,{size:"32"})})}),h.jsx("div",{className:"toolbox-element",children:h.jsx("button",{className:"toolbox-control hovering-label tooltip-right about","aria-label":"About",onClick:()=>window.open(Gl.branding.about,"_blank"),children:h.jsx(lv,{})})})]}),h.jsx(nv,{isOpen:C,onClose:()=>B(!1),notepads:E,onRefresh:fl,onOpenNotepad:jl,onCreateNotepad:yl,onUpdateNotepad:At,db:Ba,activeNotepadId:f.id}),h.jsx(sv,{isOpen:Yl,onClose:()=>hl(!1),notepad:f,db:Ba,onRestoreNotepad:dl,onRestoreNote:tl}),h.jsx(Op,{isOpen:Gt,onClose:()=>Zt(!1),db:Ba,onChange:()=>Ot(!!Ba.encryption),onLock:()=>Ft()}),h.jsx(Bp,{note:Yt,notepads:E,activeNotepadId:f.id,onClose:()=>Qt(null),onTransfer:Wt}),h.jsx(F1,{isOpen:q,message:U,actions:k,onClose:rl,customClasses:P,content:zl})]})}Dh.createRoot(document.getElementById("root")).render(h.jsx(V1.StrictMode,{children:h.jsx(uv,{})}));
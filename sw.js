@@ -1 +1 @@
-if(!self.define){let e,s={};const i=(i,n)=>(i=new URL(i+".js",n).href,s[i]||new Promise(s=>{if("document"in self){const e=document.createElement("script");e.src=i,e.onload=s,document.head.appendChild(e)}else e=i,importScripts(i),s()}).then(()=>{let e=s[i];if(!e)throw new Error(`Module ${i} didn’t register its module`);return e}));self.define=(n,r)=>{const d=e||("document"in self?document.currentScript.src:"")||location.href;if(s[d])return;let t={};const o=e=>i(e,d),f={module:{uri:d},exports:t,require:o};s[d]=Promise.all(n.map(e=>f[e]||o(e))).then(e=>(r(...e),t))}}define(["./workbox-8c29f6e4"],function(e){"use strict";self.skipWaiting(),e.clientsClaim(),e.precacheAndRoute([{url:"registerSW.js",revision:"1872c500de691dce40960bb85481de07"},{url:"index.html",revision:"df2b8c350c407943bed7a57505dff9cf"},{url:"assets/index-fPskW6gx.js",revision:null},{url:"assets/index-DQ8L5pIM.css",revision:null},{url:"assets/favicon.png",revision:"d518b95a4898ffdb9515adb65ea66b98"},{url:"assets/icon-1024-1024.png",revision:"4599da7770d81d2131ebb780407fbf86"},{url:"assets/icon-192-192.png",revision:"bfc646fc254fdbadddf8ac086559fea0"},{url:"assets/icon-512-512.png",revision:"817fdc673fa6067101a6b5b39dd84ec9"},{url:"manifest.webmanifest",revision:"a78cd94a702661f9894fcaddd180ffcc"}],{}),e.cleanupOutdatedCaches(),e.registerRoute(new e.NavigationRoute(e.createHandlerBoundToURL("index.html")))});
+if(!self.define){let e,s={};const i=(i,n)=>(i=new URL(i+".js",n).href,s[i]||new Promise(s=>{if("document"in self){const e=document.createElement("script");e.src=i,e.onload=s,document.head.appendChild(e)}else e=i,importScripts(i),s()}).then(()=>{let e=s[i];if(!e)throw new Error(`Module ${i} didn’t register its module`);return e}));self.define=(n,r)=>{const d=e||("document"in self?document.currentScript.src:"")||location.href;if(s[d])return;let t={};const o=e=>i(e,d),f={module:{uri:d},exports:t,require:o};s[d]=Promise.all(n.map(e=>f[e]||o(e))).then(e=>(r(...e),t))}}define(["./workbox-8c29f6e4"],function(e){"use strict";self.skipWaiting(),e.clientsClaim(),e.precacheAndRoute([{url:"registerSW.js",revision:"1872c500de691dce40960bb85481de07"},{url:"index.html",revision:"2e3cc99e50b2b4ed55f5635150568cfb"},{url:"assets/index-ieCeZqZY.js",revision:null},{url:"assets/index-qppWmADa.css",revision:null},{url:"assets/favicon.png",revision:"d518b95a4898ffdb9515adb65ea66b98"},{url:"assets/icon-1024-1024.png",revision:"4599da7770d81d2131ebb780407fbf86"},{url:"assets/icon-192-192.png",revision:"bfc646fc254fdbadddf8ac086559fea0"},{url:"assets/icon-512-512.png",revision:"817fdc673fa6067101a6b5b39dd84ec9"},{url:"manifest.webmanifest",revision:"a78cd94a702661f9894fcaddd180ffcc"}],{}),e.cleanupOutdatedCaches(),e.registerRoute(new e.NavigationRoute(e.createHandlerBoundToURL("index.html")))});